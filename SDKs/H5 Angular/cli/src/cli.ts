@@ -6,7 +6,7 @@ import type { ConfirmQuestion, InputQuestion, ListQuestion } from 'inquirer';
 import inquirer from 'inquirer';
 import path from 'path';
 import url from "url";
-import { buildProject, INewProjectOptions, IServeOptions, login, loginCloud, newProject, serveProject, setConfiguration } from './commands/index.js';
+import { addEnvironment, applyUpgrade, buildProject, codegenMI, deployProject, doctor, extractTranslations, generate, getIonApiConfigPath, IDeployOptions, IMockOptions, INewProjectOptions, IServeOptions, listEnvironments, SCHEMATICS, login, loginBackendService, loginCloud, loginStatus, logout, newProject, planUpgrade, printUpgradePlan, serveProject, setConfiguration, startMockServer, useEnvironment } from './commands/index.js';
 import { isValidProxyUrl } from './utils.js';
 
 // For __dirname in es module: https://blog.logrocket.com/alternatives-dirname-node-js-es-modules/
@@ -37,6 +37,27 @@ const wrapServe = async (options: IServeOptions) => {
    }
 };
 
+const wrapMock = async (options: IMockOptions) => {
+   try {
+      await startMockServer(options);
+   } catch (error) {
+      console.error(error);
+      exit('Mock server was aborted because of an error', false);
+   }
+};
+
+const wrapDeploy = async (options: IDeployOptions) => {
+   if (!fs.existsSync('odin.json')) {
+      exit('Could not find an Odin configuration file.', false);
+   }
+   try {
+      await deployProject(options);
+   } catch (error) {
+      console.error((error as Error).message);
+      exit('Deploy failed', false);
+   }
+};
+
 const wrapNew = async (options: INewProjectOptions) => {
    try {
       await newProject(options);
@@ -252,25 +273,82 @@ program
    .option('-p, --port <port>', 'Port to listen on')
    .option('-m, --multi-tenant', 'Enable Multi-Tenant proxy')
    .option('-i, --ion-api', 'Use ION API for Multi-Tenant proxy requests')
+   .option('--mock', 'Answer M3 requests from local fixture files instead of proxying to M3')
+   .option('-f, --fixtures <dir>', 'Fixture directory used with --mock', 'mock')
+   .option('--record <dir>', 'Save proxied M3 requests and responses to a directory')
+   .option('--replay <dir>', 'Answer M3 requests from recordings instead of proxying to M3')
+   .option('-e, --env <name>', 'Environment in odin.json to use, instead of the active one')
    .action(async (options) => {
+      if (options.record && options.replay) {
+         exit('The --record and --replay options cannot be used together.', false);
+      }
       await wrapServe({
          port: options.port || 8080,
          multiTenant: Boolean(options.multiTenant),
          ionApi: Boolean(options.ionApi),
+         mock: Boolean(options.mock),
+         fixtures: options.fixtures,
+         record: options.record,
+         replay: options.replay,
+         env: options.env,
+      });
+   });
+
+program
+   .command('mock')
+   .description('Start an offline M3 stand-in server that answers from fixture files')
+   .option('-p, --port <port>', 'Port to listen on', '8081')
+   .option('-f, --fixtures <dir>', 'Fixture directory', 'mock')
+   .action(async (options) => {
+      await wrapMock({
+         port: parseInt(options.port, 10),
+         fixtures: options.fixtures,
       });
    });
 
 program
-   .command('login <ionApiConfigPath>')
+   .command('login [ionApiConfigPath]')
    .option('--m3 <m3Url>', 'URL to M3')
    .option('-c, --update-config', 'Update odin.json configuration')
+   .option('--status', 'Show the stored credentials of the project')
+   .option('--backend-service', 'Log in without a browser, with the client credentials of a backend service')
+   .option('--saml-assertion <file>', 'Exchange a SAML assertion for a token (with --backend-service)')
+   .option('-e, --env <name>', 'Environment in odin.json to log in to, instead of the active one')
    .description('Multi-Tenant login')
-   .action(async (ionApiConfig: string, options) => {
+   .action(async (ionApiConfig: string | undefined, options) => {
+      if (options.status) {
+         try {
+            loginStatus(options.env);
+         } catch (error) {
+            console.error(error);
+            exit('Login command failed', false);
+         }
+         return;
+      }
+      ionApiConfig = ionApiConfig || getIonApiConfigPath(options.env);
+      if (!ionApiConfig) {
+         exit('Missing path to the ION API configuration file.');
+         return;
+      }
       try {
+         if (options.backendService) {
+            if (options.m3) {
+               exit('--m3 cannot be used with --backend-service, as the M3 session cookie requires a browser login.');
+               return;
+            }
+            await loginBackendService({
+               ionApiConfig,
+               samlAssertion: options.samlAssertion,
+               updateConfig: options.updateConfig,
+               env: options.env,
+            });
+            return;
+         }
          await login({
             ionApiConfig,
             m3Url: options.m3,
             updateConfig: options.updateConfig,
+            env: options.env,
          });
       } catch (error) {
          console.error(error);
@@ -291,6 +369,20 @@ program
       }
    });
 
+program
+   .command('logout')
+   .option('-t, --tenant <tenant>', 'Only remove the credentials for this tenant')
+   .option('-e, --env <name>', 'Environment in odin.json to log out of, instead of the active one')
+   .description('Remove the stored Multi-Tenant credentials of the project')
+   .action((options) => {
+      try {
+         logout(options.tenant, options.env);
+      } catch (error) {
+         console.error(error);
+         exit('Logout command failed', false);
+      }
+   });
+
 program
    .command('build')
    .description('Build a production-ready application')
@@ -306,18 +398,198 @@ program
       });
    });
 
+program
+   .command('deploy')
+   .description('Upload the built application to H5 Administration')
+   .option('-f, --file <path>', 'Package to upload (default: dist/<projectName>.zip)')
+   .option('--m3 <m3Url>', 'URL to M3 (default: m3Url in odin.json)')
+   .option('-i, --ion-api', 'Upload through ION API')
+   .option('--dry-run', 'Only validate the package')
+   .action(async (options) => {
+      await wrapDeploy({
+         file: options.file,
+         m3Url: options.m3,
+         ionApi: Boolean(options.ionApi),
+         dryRun: Boolean(options.dryRun),
+      });
+   });
+
 program
    .command('set <key> <value>')
    .description('Configure an existing project. Valid configuration keys are: name, m3-proxy, ion-proxy')
-   .action((key: string, value: string) => {
+   .option('-e, --env <name>', 'Environment in odin.json to configure, instead of the active one')
+   .action((key: string, value: string, options) => {
       try {
-         setConfiguration(key, value);
+         setConfiguration(key, value, options.env);
       } catch (error) {
          console.error(error);
          exit('Configuration failed', false);
       }
    });
 
+program
+   .command('upgrade')
+   .description('Bring the project up to date with the boilerplate and configuration of this CLI version')
+   .option('--dry-run', 'Only show the changes')
+   .option('-y, --yes', 'Apply the changes without asking')
+   .action(async (options) => {
+      try {
+         const plan = planUpgrade();
+         printUpgradePlan(plan);
+         if (plan.changes.length === 0 || options.dryRun) {
+            return;
+         }
+         if (!options.yes) {
+            const answers = await inquirer.prompt<{ apply: boolean }>([{
+               type: 'confirm',
+               name: 'apply',
+               message: 'Apply these changes?',
+               default: false,
+            } as ConfirmQuestion]);
+            if (!answers.apply) {
+               console.log('No changes were made');
+               return;
+            }
+         }
+         applyUpgrade(plan);
+      } catch (error) {
+         console.error((error as Error).message);
+         exit('Upgrade failed', false);
+      }
+   });
+
+program
+   .command('generate <schematic> <transaction>')
+   .description(`Generate code for an MI transaction, e.g CRS610MI/LstByNumber. Valid schematics are: ${SCHEMATICS.join(', ')}`)
+   .option('-n, --name <name>', 'Base name of the generated files and classes')
+   .option('--catalog <path>', 'Path to the MI catalog', 'mi-catalog.json')
+   .option('--swagger <paths...>', 'm3api-rest Swagger files, or directories with one per program, to read the fields from')
+   .option('--fields <fields>', 'Comma separated output fields, instead of those in the catalog')
+   .option('--key <fields>', 'Comma separated key fields, instead of the mandatory input fields in the catalog')
+   .option('--update <transaction>', 'Transaction used to save the record in a detail form, e.g ChgBasicData')
+   .option('--path <dir>', 'Directory to generate into', 'src/app')
+   .option('--force', 'Overwrite existing files')
+   .action((schematic: string, transaction: string, options) => {
+      try {
+         generate(schematic, {
+            transaction,
+            name: options.name,
+            catalog: options.catalog,
+            swagger: options.swagger,
+            fields: options.fields?.split(','),
+            keys: options.key?.split(','),
+            update: options.update,
+            path: options.path,
+            force: options.force,
+         });
+      } catch (error) {
+         console.error((error as Error).message);
+         exit('Generate failed', false);
+      }
+   });
+
+program
+   .command('doctor')
+   .description('Check the project configuration, Angular setup, credentials and M3 connection, and suggest fixes')
+   .option('-e, --env <name>', 'Environment in odin.json to check, instead of the active one')
+   .option('--offline', 'Skip the checks that make network requests')
+   .option('--strict', 'Exit with an error code on warnings as well')
+   .action(async (options) => {
+      try {
+         const healthy = await doctor({ env: options.env, offline: Boolean(options.offline), strict: Boolean(options.strict) });
+         if (!healthy) {
+            exit(undefined, false);
+         }
+      } catch (error) {
+         console.error(error);
+         exit('Doctor failed', false);
+      }
+   });
+
+const codegen = program
+   .command('codegen')
+   .description('Generate typed clients from API descriptions');
+
+codegen
+   .command('mi <swagger...>')
+   .description('Generate typed MI clients from m3api-rest Swagger files, e.g MHS850MI.json')
+   .option('-o, --out <dir>', 'Directory to generate into (default: src/app/mi in Angular projects, else src/mi)')
+   .action((swaggerPaths: string[], options) => {
+      try {
+         codegenMI(swaggerPaths, { out: options.out });
+      } catch (error) {
+         console.error((error as Error).message);
+         exit('Code generation failed', false);
+      }
+   });
+
+const translations = program
+   .command('translations')
+   .description('Manage the M3 constants that an application translates');
+
+translations
+   .command('extract')
+   .description('Write the M3 constants that the source code translates to a bundle that is preloaded when the application starts')
+   .option('-s, --src <dir>', 'Directory with the source code (default: src)')
+   .option('-o, --out <file>', 'Bundle file (default: src/assets/m3-translations.json in Angular projects, else m3-translations.json)')
+   .action((options) => {
+      try {
+         extractTranslations({ src: options.src, out: options.out });
+      } catch (error) {
+         console.error((error as Error).message);
+         exit('Extracting translations failed', false);
+      }
+   });
+
+const env = program
+   .command('env')
+   .description('Manage the M3 environments of a project, e.g TST and PRD tenants');
+
+env
+   .command('list')
+   .description('List the environments in odin.json')
+   .action(() => {
+      try {
+         listEnvironments();
+      } catch (error) {
+         console.error(error);
+         exit('Listing environments failed', false);
+      }
+   });
+
+env
+   .command('add <name>')
+   .description('Add an environment, based on the current settings in odin.json')
+   .option('--m3 <m3Url>', 'URL to M3')
+   .option('--ion <ionUrl>', 'ION API URL including the tenant, e.g https://mingle-ionapi.example.com/TENANT_TST')
+   .option('--portal <portalUrl>', 'URL to Infor OS portal')
+   .option('--ion-api-config <path>', 'Path to the ION API configuration file used by odin login')
+   .action((name: string, options) => {
+      try {
+         addEnvironment(name, {
+            m3Url: options.m3,
+            ionUrl: options.ion,
+            portalUrl: options.portal,
+            ionApiConfig: options.ionApiConfig,
+         });
+      } catch (error) {
+         console.error(error);
+         exit('Adding environment failed', false);
+      }
+   });
+
+env
+   .command('use <name>')
+   .description(`Use an environment for serve, login, deploy and set. Use 'default' for the settings at the root of odin.json`)
+   .action((name: string) => {
+      try {
+         useEnvironment(name);
+      } catch (error) {
+         console.error(error);
+         exit('Switching environment failed', false);
+      }
+   });
+
 const inquireNewProject = async () => {
    const nameQuestion: InputQuestion = {
       name: 'projectName',
@@ -0,0 +1,40 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { isAngularProject } from '../utils.js';
+import { readSwagger } from './codegen/swagger.js';
+import { miClientTemplate, miProgramTemplate } from './codegen/templates.js';
+
+export interface ICodegenOptions {
+   /**
+    * Directory to generate into, relative to the project root. Defaults to src/app/mi in Angular projects and src/mi
+    * in other projects.
+    */
+   out?: string;
+}
+
+/**
+ * Generate a typed MI client for each m3api-rest Swagger file, with interfaces for the input and output of every
+ * transaction.
+ *
+ * Field names, mandatory fields and numeric and date fields are checked when the code is compiled. Max lengths are
+ * documented on the fields and checked before a request is sent.
+ *
+ * @returns The paths of the generated files
+ */
+export function codegenMI(swaggerPaths: string[], options: ICodegenOptions): string[] {
+   const programs = swaggerPaths.map(swaggerPath => ({ program: readSwagger(swaggerPath), source: path.basename(swaggerPath) }));
+   const directory = path.resolve(options.out || (isAngularProject() ? path.join('src', 'app', 'mi') : path.join('src', 'mi')));
+   fs.ensureDirSync(directory);
+
+   const files = [
+      { name: 'mi-client.ts', content: miClientTemplate() },
+      ...programs.map(({ program, source }) => ({ name: `${program.name.toLowerCase()}.ts`, content: miProgramTemplate(program, source) })),
+   ];
+   return files.map(file => {
+      const filePath = path.join(directory, file.name);
+      const exists = fs.existsSync(filePath);
+      fs.writeFileSync(filePath, file.content);
+      console.log(`${exists ? 'Updated' : 'Created'} ${path.relative(process.cwd(), filePath)}`);
+      return filePath;
+   });
+}
@@ -0,0 +1,138 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { IMICatalogField, IMICatalogProgram, IMICatalogTransaction, isListTransaction } from '../generate/catalog.js';
+
+interface ISwaggerParameter {
+   name: string;
+   in: string;
+   type?: string;
+   required?: boolean;
+   description?: string;
+}
+
+interface ISwaggerProperty {
+   type?: string;
+   /**
+    * numeric or mvxdate for fields that are converted by typedOutput
+    */
+   format?: string;
+   description?: string;
+}
+
+/**
+ * The parts of a JSON schema that lead to the properties of the output records
+ */
+interface ISwaggerSchema {
+   properties?: { [name: string]: ISwaggerSchema & ISwaggerProperty };
+   items?: ISwaggerSchema;
+}
+
+interface ISwaggerOperation {
+   summary?: string;
+   description?: string;
+   parameters?: ISwaggerParameter[];
+   responses?: { [status: string]: { schema?: ISwaggerSchema } };
+}
+
+interface ISwaggerDocument {
+   swagger?: string;
+   info?: { title?: string };
+   basePath?: string;
+   paths?: { [path: string]: { get?: ISwaggerOperation } };
+}
+
+/**
+ * Read an m3api-rest Swagger 2.0 description of an MI program, e.g downloaded from the API gateway.
+ *
+ * The fields are returned in the same format as in the MI catalog used by 'odin generate'.
+ */
+export function readSwagger(swaggerPath: string): IMICatalogProgram {
+   const resolvedPath = path.resolve(swaggerPath);
+   if (!fs.existsSync(resolvedPath)) {
+      throw new Error(`Swagger file '${resolvedPath}' does not exist`);
+   }
+   const document: ISwaggerDocument = fs.readJsonSync(resolvedPath);
+   if (document.swagger !== '2.0' || !document.paths) {
+      throw new Error(`'${resolvedPath}' is not a Swagger 2.0 description of an MI program`);
+   }
+   const name = getProgramName(document);
+   if (!name) {
+      throw new Error(`Could not find the MI program name in '${resolvedPath}'`);
+   }
+
+   const operations = Object.entries(document.paths)
+      .filter(([, pathItem]) => !!pathItem.get)
+      .map(([transactionPath, pathItem]) => ({ name: transactionPath.replace(/^\//, ''), operation: pathItem.get as ISwaggerOperation }));
+   const outputs = operations.map(({ operation }) => getOutputs(operation));
+   // Input parameters are strings in the Swagger file, but are dates if the program returns the same field as a date
+   const dateFields = new Set(outputs.flat().filter(field => field.type === 'D').map(field => field.name));
+   const transactions: IMICatalogTransaction[] = operations.map(({ name: transactionName, operation }, index) => ({
+      name: transactionName,
+      description: operation.summary || operation.description,
+      multiLine: isListTransaction(transactionName),
+      inputs: getInputs(operation, dateFields),
+      outputs: outputs[index],
+   }));
+   return {
+      name,
+      description: document.info?.title?.replace(new RegExp(`^${name}\\s*-\\s*`), ''),
+      transactions,
+   };
+}
+
+function getProgramName(document: ISwaggerDocument): string | undefined {
+   const fromPath = document.basePath?.split('/').filter(segment => !!segment).pop();
+   const fromTitle = document.info?.title?.split(' ')[0];
+   return [fromPath, fromTitle].find(candidate => !!candidate && /^[A-Z0-9]+MI$/.test(candidate));
+}
+
+/**
+ * M3 fields are upper case. Lower case parameters, such as maxrecs and cono, control the request.
+ */
+function isM3Field(name: string): boolean {
+   return /^[A-Z0-9]+$/.test(name);
+}
+
+function getInputs(operation: ISwaggerOperation, dateFields: Set<string>): IMICatalogField[] {
+   return (operation.parameters || [])
+      .filter(parameter => parameter.in === 'query' && isM3Field(parameter.name))
+      .map(parameter => {
+         const { description, length } = parseDescription(parameter.description);
+         const isDate = dateFields.has(parameter.name) || (/\bdate\b/i.test(description || '') && (length === 8 || length === 10));
+         return {
+            name: parameter.name,
+            description,
+            type: parameter.type === 'number' ? 'N' : isDate ? 'D' : 'A',
+            length,
+            mandatory: !!parameter.required,
+         };
+      });
+}
+
+function getOutputs(operation: ISwaggerOperation): IMICatalogField[] {
+   const schema = operation.responses?.['200']?.schema;
+   const properties: { [name: string]: ISwaggerProperty } =
+      schema?.properties?.results?.items?.properties?.records?.items?.properties || {};
+   return Object.entries(properties)
+      .filter(([name]) => isM3Field(name))
+      .map(([name, property]) => {
+         const { description, length } = parseDescription(property.description);
+         return {
+            name,
+            description,
+            type: property.format === 'numeric' ? 'N' : property.format === 'mvxdate' ? 'D' : 'A',
+            length,
+         };
+      });
+}
+
+/**
+ * Split a description such as "Customer number(10)" into the description and the max length.
+ */
+function parseDescription(text = ''): { description?: string, length?: number } {
+   const match = text.match(/^(.*?)\s*\((\d+)\)$/);
+   if (!match) {
+      return { description: text || undefined };
+   }
+   return { description: match[1] || undefined, length: Number(match[2]) };
+}
@@ -0,0 +1,154 @@
+import { IMICatalogField, IMICatalogProgram, IMICatalogTransaction } from '../generate/catalog.js';
+
+const HEADER = `// Generated by 'odin codegen mi'. Do not edit, run the command again to update.`;
+
+/**
+ * Module shared by all generated MI clients, with the runtime checks that cannot be expressed in types.
+ */
+export function miClientTemplate(): string {
+   return `${HEADER}
+import { IMIOptions, IMIRequest, IMIResponse, IMIService, MIRecord, MIUtil } from '@infor-up/m3-odin';
+import { Observable, throwError } from 'rxjs';
+
+/**
+ * Response of a generated MI client. Requests are made with typedOutput, so numeric fields are numbers and date
+ * fields are dates.
+ */
+export interface ITypedMIResponse<T> extends IMIResponse {
+   item?: T;
+   items?: T[];
+}
+
+/**
+ * Request options of a generated MI client, with output fields restricted to the fields of the transaction.
+ */
+export interface ITypedMIOptions<T> extends IMIOptions {
+   outputFields?: (Exclude<keyof T, keyof MIRecord> & string)[];
+}
+
+/**
+ * Max length of the input fields of a transaction. For numeric fields it is the number of digits.
+ */
+export interface IMIFieldLengths {
+   [name: string]: { length: number, numeric?: boolean };
+}
+
+/**
+ * Execute a transaction, after checking the length of the input fields.
+ *
+ * Dates are sent in the yyyyMMdd format and numbers with . as decimal separator. If a field is too long, the returned
+ * observable fails without sending the request. The metadata is always requested, as the typed output is converted with it.
+ */
+export function executeTyped<T>(miService: IMIService, program: string, transaction: string, input: object,
+   lengths: IMIFieldLengths, options?: IMIOptions): Observable<ITypedMIResponse<T>> {
+   const record: { [name: string]: string } = {};
+   for (const [name, value] of Object.entries(input)) {
+      const formatted = MIUtil.toMIFormat(value);
+      const field = lengths[name];
+      const length = field?.numeric ? formatted.replace(/[-.]/g, '').length : formatted.length;
+      if (field && length > field.length) {
+         const unit = field.numeric ? 'digits' : 'characters';
+         return throwError(() => new Error(\`\${program}/\${transaction}: \${name} can have at most \${field.length} \${unit}\`));
+      }
+      record[name] = formatted;
+   }
+   const request: IMIRequest = { ...options, program, transaction, record, includeMetadata: true, typedOutput: true };
+   return miService.execute(request) as Observable<ITypedMIResponse<T>>;
+}
+`;
+}
+
+/**
+ * Interfaces for the input and output of each transaction in a program, and a client class with one method per
+ * transaction.
+ */
+export function miProgramTemplate(program: IMICatalogProgram, source: string): string {
+   const transactions = program.transactions || [];
+   const className = `${program.name}Client`;
+   const interfaces = transactions.map(transaction => {
+      const typeName = `I${program.name}${transaction.name}`;
+      return `/**
+ * Input of ${program.name}/${transaction.name}
+ */
+export interface ${typeName}Input {${fieldProperties(transaction.inputs || [], field => !field.mandatory)}
+}
+
+/**
+ * Output of ${program.name}/${transaction.name}
+ */
+export interface ${typeName}Output extends MIRecord {${fieldProperties(transaction.outputs || [], () => true)}
+}
+`;
+   });
+   const methods = transactions.map(transaction => methodTemplate(program, transaction));
+   return `${HEADER}
+// Source: ${source}
+import { IMIService, MIRecord } from '@infor-up/m3-odin';
+import { Observable } from 'rxjs';
+import { executeTyped, ITypedMIOptions, ITypedMIResponse } from './mi-client';
+
+${interfaces.join('\n')}
+/**
+ * ${program.name}${program.description ? ` - ${program.description}` : ''}
+ */
+export class ${className} {
+   static readonly program = '${program.name}';
+
+   constructor(private miService: IMIService) { }
+${methods.join('')}}
+`;
+}
+
+function methodTemplate(program: IMICatalogProgram, transaction: IMICatalogTransaction): string {
+   const typeName = `I${program.name}${transaction.name}`;
+   const inputs = transaction.inputs || [];
+   const hasMandatoryInput = inputs.some(field => field.mandatory);
+   const lengths = inputs
+      .filter(field => field.length && field.type !== 'D')
+      .map(field => `${field.name}: { length: ${field.length}${field.type === 'N' ? ', numeric: true' : ''} }`);
+   const description = transaction.description && transaction.description !== transaction.name ?
+      `${transaction.name}: ${transaction.description}` :
+      transaction.name;
+   const input = `input: ${typeName}Input${hasMandatoryInput ? '' : ' = {}'}`;
+   const output = `${typeName}Output`;
+   const fields = `{${lengths.map(length => `\n         ${length},`).join('')}${lengths.length > 0 ? '\n      ' : ''}}`;
+   return `
+   /**
+    * ${description}${transaction.multiLine ? '\n    *\n    * Returns the records in the items of the response.' : ''}
+    */
+   ${lowerFirst(transaction.name)}(${input}, options?: ITypedMIOptions<${output}>): Observable<ITypedMIResponse<${output}>> {
+      return executeTyped(this.miService, '${program.name}', '${transaction.name}', input, ${fields}, options);
+   }
+`;
+}
+
+/**
+ * Properties of an interface body, each on a new line
+ */
+function fieldProperties(fields: IMICatalogField[], isOptional: (field: IMICatalogField) => boolean): string {
+   return fields.map(field => {
+      const details = [
+         field.length ? `Max length ${field.length}` : '',
+         field.type === 'D' ? 'Date' : field.type === 'N' ? 'Numeric' : '',
+         field.mandatory ? 'Mandatory' : '',
+      ].filter(detail => !!detail).join(', ');
+      const comment = [field.description, details ? `(${details})` : ''].filter(text => !!text).join(' ');
+      const doc = comment ? `\n   /**\n    * ${comment}\n    */` : '';
+      return `${doc}\n   ${field.name}${isOptional(field) ? '?' : ''}: ${fieldType(field)};`;
+   }).join('');
+}
+
+function fieldType(field: IMICatalogField): string {
+   switch (field.type) {
+      case 'N':
+         return 'number';
+      case 'D':
+         return 'Date';
+      default:
+         return 'string';
+   }
+}
+
+function lowerFirst(text: string): string {
+   return text.charAt(0).toLowerCase() + text.substring(1);
+}
@@ -0,0 +1,191 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { ProxyConfigMap } from 'webpack-dev-server';
+import { IOdinConfiguration, isValidProxyUrl, listZipEntries, readConfig, readPackageJson, removeSurroundingSlash, resolveEnvironment } from '../utils.js';
+import { readCredentials, readRenewedCredentials } from './login/utils.js';
+
+export interface IDeployOptions {
+   /**
+    * Path to the package. Defaults to dist/<projectName>.zip
+    */
+   file?: string;
+   /**
+    * URL to M3. Defaults to m3Url, or the /mne proxy target, in odin.json
+    */
+   m3Url?: string;
+   /**
+    * Upload through ION API with the token from 'odin login', instead of the M3 session cookie
+    */
+   ionApi?: boolean;
+   /**
+    * Only validate the package
+    */
+   dryRun?: boolean;
+   /**
+    * Time between the requests for the status of an upload that is still being processed (ms)
+    */
+   pollInterval?: number;
+}
+
+interface IUploadRequest {
+   url: string;
+   headers: Record<string, string>;
+}
+
+const APPS_PATH = '/mne/apps';
+const POLL_INTERVAL = 2000;
+const MAX_POLL_ATTEMPTS = 30;
+
+/**
+ * Upload a package built with 'odin build' to H5 Administration.
+ */
+export async function deployProject(options: IDeployOptions) {
+   const odinConfig = resolveEnvironment(readConfig());
+   const projectName = odinConfig.projectName;
+   if (!projectName) {
+      throw new Error('projectName missing from odin configuration');
+   }
+   const zipPath = path.resolve(options.file || path.join('dist', `${projectName}.zip`));
+   const problems = validatePackage(zipPath);
+   if (problems.length > 0) {
+      throw new Error(`Package '${zipPath}' is invalid:\n${problems.map(problem => ` - ${problem}`).join('\n')}`);
+   }
+   console.log(`Package '${zipPath}' is valid`);
+   if (options.dryRun) {
+      console.log('Dry run, nothing was uploaded');
+      return;
+   }
+
+   const uploadRequest = options.ionApi ? await createIonApiRequest(odinConfig) : createMneRequest(odinConfig, options.m3Url);
+   const form = new FormData();
+   form.append('name', projectName);
+   form.append('file', new Blob([fs.readFileSync(zipPath)], { type: 'application/zip' }), path.basename(zipPath));
+
+   console.log(`Uploading to ${uploadRequest.url}`);
+   const response = await fetch(uploadRequest.url, { method: 'POST', headers: uploadRequest.headers, body: form });
+   const content = await response.text();
+   if (response.status === 401 || response.status === 403) {
+      throw new Error(`Upload was not authorized (${response.status}). Run 'odin login' and try again.`);
+   } else if (!response.ok) {
+      throw new Error(`Upload failed with status ${response.status}: ${content}`);
+   }
+   let version = getDeployedVersion(content);
+   if (response.status === 202) {
+      // The package is processed in the background, its status is available from the Location header or <apps>/<name>
+      const location = response.headers.get('location');
+      const statusUrl = location ?
+         new URL(location, uploadRequest.url).href :
+         `${uploadRequest.url}/${encodeURIComponent(projectName)}`;
+      version = await waitForDeployment(statusUrl, uploadRequest.headers, options.pollInterval ?? POLL_INTERVAL);
+   }
+   version = version || (readPackageJson() as { version?: string }).version;
+   console.log(`Deployed '${projectName}'${version ? ` version ${version}` : ''}`);
+}
+
+/**
+ * Validate a package before it is uploaded.
+ *
+ * @returns A list of problems, empty if the package is valid
+ */
+export function validatePackage(zipPath: string): string[] {
+   if (!fs.existsSync(zipPath)) {
+      return [`The file does not exist. Run 'odin build' to create it.`];
+   }
+   if (fs.statSync(zipPath).size === 0) {
+      return ['The file is empty'];
+   }
+   let entries: string[];
+   try {
+      entries = listZipEntries(zipPath);
+   } catch (error) {
+      return [(error as Error).message];
+   }
+   const problems: string[] = [];
+   if (!entries.includes('index.html')) {
+      problems.push('index.html is missing from the root of the package');
+   }
+   if (entries.some(entry => entry.startsWith('/') || entry.split('/').includes('..'))) {
+      problems.push('The package contains entries with absolute or relative paths');
+   }
+   return problems;
+}
+
+/**
+ * Request the status of an upload until it is no longer being processed.
+ *
+ * @returns The deployed version, if the status contains one
+ */
+async function waitForDeployment(statusUrl: string, headers: Record<string, string>, pollInterval: number): Promise<string | undefined> {
+   for (let attempt = 0; attempt < MAX_POLL_ATTEMPTS; attempt++) {
+      await new Promise(resolvePromise => setTimeout(resolvePromise, pollInterval));
+      const response = await fetch(statusUrl, { headers });
+      const content = await response.text();
+      if (response.status === 202) {
+         console.log('Waiting for the package to be deployed');
+      } else if (!response.ok) {
+         throw new Error(`Deployment failed with status ${response.status}: ${content}`);
+      } else {
+         return getDeployedVersion(content);
+      }
+   }
+   throw new Error(`The package was uploaded, but was not deployed after ${MAX_POLL_ATTEMPTS} status requests`);
+}
+
+function createMneRequest(odinConfig: IOdinConfiguration, m3Url?: string): IUploadRequest {
+   const url = m3Url || odinConfig.m3Url || getProxyTarget(odinConfig, '/mne');
+   if (!url || !isValidProxyUrl(url)) {
+      throw new Error(`M3 URL '${url}' is invalid. Set it with --m3 or 'm3Url' in odin.json.`);
+   }
+   const cookies = readCredentials()?.cookieHeader;
+   if (!cookies) {
+      throw new Error(`No valid M3 session cookie was found. Run 'odin login' with --m3 first.`);
+   }
+   return {
+      url: removeSurroundingSlash(url) + APPS_PATH,
+      headers: { cookie: cookies },
+   };
+}
+
+async function createIonApiRequest(odinConfig: IOdinConfiguration): Promise<IUploadRequest> {
+   const ionApiUrl = getIonApiUrl(odinConfig);
+   if (!ionApiUrl || !isValidProxyUrl(ionApiUrl)) {
+      throw new Error(`ION API URL '${ionApiUrl}' is invalid. Configure it with 'odin set ion-proxy'.`);
+   }
+   const authorizationHeader = (await readRenewedCredentials())?.authorizationHeader;
+   if (!authorizationHeader) {
+      throw new Error(`No valid ION API token was found. Run 'odin login' first.`);
+   }
+   return {
+      url: removeSurroundingSlash(ionApiUrl) + '/M3' + APPS_PATH,
+      headers: { Authorization: authorizationHeader },
+   };
+}
+
+function getProxyTarget(odinConfig: IOdinConfiguration, apiPath: string): string | undefined {
+   const pathConfig = (odinConfig.proxy as ProxyConfigMap | undefined)?.[apiPath];
+   if (typeof pathConfig === 'object' && typeof pathConfig.target === 'string') {
+      return pathConfig.target;
+   }
+   return undefined;
+}
+
+/**
+ * The ION API URL is the /ODIN_DEV_TENANT target, followed by the tenant in its path rewrite (if any)
+ */
+function getIonApiUrl(odinConfig: IOdinConfiguration): string | undefined {
+   const apiPath = '/ODIN_DEV_TENANT';
+   const target = getProxyTarget(odinConfig, apiPath);
+   const pathConfig = (odinConfig.proxy as ProxyConfigMap | undefined)?.[apiPath];
+   const pathRewrite = typeof pathConfig === 'object' ? pathConfig.pathRewrite : undefined;
+   const tenant = pathRewrite && typeof pathRewrite === 'object' ? (pathRewrite as Record<string, string>)[`^${apiPath}`] : '';
+   return target ? removeSurroundingSlash(target) + (tenant || '') : undefined;
+}
+
+function getDeployedVersion(content: string): string | undefined {
+   try {
+      const result = JSON.parse(content);
+      return result.version || result.Version;
+   } catch {
+      return undefined;
+   }
+}
@@ -0,0 +1,400 @@
+import fs from 'fs-extra';
+import os from 'os';
+import { createRequire } from 'module';
+import path from 'path';
+import url from 'url';
+import { ProxyConfigMap } from 'webpack-dev-server';
+import { CredentialStore, isExpired } from '../credentials.cjs';
+import { ANGULAR_BUILDER, compareVersions, IAngularJson, IOdinConfiguration, IPackageJson, isAngularProject, isValidProxyUrl, readConfig, readPackageJson, resolveEnvironment } from '../utils.js';
+import { getCredentialStoreOptions, urlJoin } from './login/utils.js';
+
+const __dirname = url.fileURLToPath(new URL('.', import.meta.url));
+
+const REQUIRED_PROXY_PATHS = ['/m3api-rest', '/mne', '/ca'];
+const ION_PROXY_PATH = '/ODIN_DEV_TENANT';
+const CSRF_PROBE_TIMEOUT = 10000;
+
+export interface IDoctorOptions {
+   /**
+    * Environment in odin.json to check. Defaults to the active environment.
+    */
+   env?: string;
+   /**
+    * Skip the checks that make network requests
+    */
+   offline?: boolean;
+   /**
+    * Treat warnings as problems
+    */
+   strict?: boolean;
+}
+
+export type DoctorStatus = 'ok' | 'warning' | 'error';
+
+export interface IDoctorResult {
+   check: string;
+   status: DoctorStatus;
+   message: string;
+   /**
+    * What to do about a warning or error
+    */
+   fix?: string;
+}
+
+/**
+ * Check the project in the current working directory, and the environment it is served and built in.
+ *
+ * @returns The result of each check
+ */
+export async function runDoctor(options: IDoctorOptions = {}): Promise<IDoctorResult[]> {
+   const results: IDoctorResult[] = [checkNodeVersion()];
+   const config = checkConfiguration(results, options.env);
+   if (config) {
+      results.push(...checkProxy(config));
+   }
+   results.push(...checkAngularProject());
+   if (config) {
+      results.push(...checkCredentials(options.env));
+      if (!options.offline) {
+         results.push(await probeCsrf(config, options.env));
+      }
+   }
+   return results;
+}
+
+/**
+ * Run all checks and print the results with the fixes for any problems.
+ *
+ * @returns True if there were no errors, or no warnings either in strict mode
+ */
+export async function doctor(options: IDoctorOptions = {}): Promise<boolean> {
+   const results = await runDoctor(options);
+   for (const result of results) {
+      console.log(`[${result.status}] ${result.check}: ${result.message}`);
+      if (result.fix && result.status !== 'ok') {
+         console.log(`        Fix: ${result.fix}`);
+      }
+   }
+   const errors = results.filter(result => result.status === 'error').length;
+   const warnings = results.filter(result => result.status === 'warning').length;
+   console.log(`\n${errors} error(s), ${warnings} warning(s)`);
+   return errors === 0 && (!options.strict || warnings === 0);
+}
+
+function checkNodeVersion(): IDoctorResult {
+   const check = 'Node.js';
+   const required = fs.readJsonSync(path.join(__dirname, '../../package.json')).engines?.node || '';
+   const minimum = required.replace(/^>=\s*/, '');
+   if (minimum && compareVersions(process.versions.node, minimum) < 0) {
+      return {
+         check,
+         status: 'error',
+         message: `Version ${process.versions.node} is older than ${minimum}`,
+         fix: `Install Node.js ${minimum} or later`,
+      };
+   }
+   return { check, status: 'ok', message: `Version ${process.versions.node}` };
+}
+
+function checkConfiguration(results: IDoctorResult[], environment?: string): IOdinConfiguration | undefined {
+   const check = 'odin.json';
+   if (!fs.existsSync('odin.json')) {
+      results.push({
+         check,
+         status: 'error',
+         message: `Not found in ${process.cwd()}`,
+         fix: `Run odin in the project root, or create a project with 'odin new'`,
+      });
+      return undefined;
+   }
+   let config: IOdinConfiguration;
+   try {
+      config = resolveEnvironment(readConfig(), environment);
+   } catch (error) {
+      results.push({ check, status: 'error', message: (error as Error).message, fix: 'Correct the JSON syntax, or the environment name' });
+      return undefined;
+   }
+   if (!config.projectName || config.projectName === 'ODIN_PROJECT_NAME') {
+      results.push({ check, status: 'error', message: 'projectName is not set', fix: `Run 'odin set name <name>'` });
+   } else {
+      const environmentName = config.activeEnvironment ? `, environment '${config.activeEnvironment}'` : '';
+      results.push({ check, status: 'ok', message: `Project '${config.projectName}'${environmentName}` });
+   }
+   for (const key of ['m3Url', 'portalUrl'] as const) {
+      const value = config[key];
+      if (value && !isValidProxyUrl(value)) {
+         results.push({
+            check,
+            status: 'warning',
+            message: `${key} '${value}' is not a valid URL`,
+            fix: `Set ${key} in odin.json to protocol://hostname:port`,
+         });
+      }
+   }
+   return config;
+}
+
+function checkProxy(config: IOdinConfiguration): IDoctorResult[] {
+   const check = 'Proxy';
+   const proxy = config.proxy;
+   if (!proxy || Array.isArray(proxy) || typeof proxy !== 'object') {
+      return [{
+         check,
+         status: 'error',
+         message: 'The proxy in odin.json is not a map of paths to proxy settings',
+         fix: `Run 'odin set m3-proxy <url>' to configure it`,
+      }];
+   }
+   const proxyMap = proxy as ProxyConfigMap;
+   const results: IDoctorResult[] = [];
+   for (const apiPath of REQUIRED_PROXY_PATHS) {
+      if (!proxyMap[apiPath]) {
+         results.push({
+            check,
+            status: 'error',
+            message: `${apiPath} is missing`,
+            fix: `Run 'odin set m3-proxy <url>' to add the M3 paths`,
+         });
+      }
+   }
+   for (const [apiPath, pathConfig] of Object.entries(proxyMap)) {
+      const target = getTarget(proxyMap, apiPath);
+      const setCommand = apiPath === ION_PROXY_PATH ? 'ion-proxy' : 'm3-proxy';
+      if (typeof pathConfig !== 'object') {
+         results.push({
+            check,
+            status: 'error',
+            message: `${apiPath} should be an object with a target`,
+            fix: `Run 'odin set ${setCommand} <url>'`,
+         });
+      } else if (!target || !isValidProxyUrl(target)) {
+         results.push({
+            check,
+            status: 'error',
+            message: `${apiPath} has an invalid target '${target || ''}'`,
+            fix: `Run 'odin set ${setCommand} <url>'`,
+         });
+      } else {
+         results.push({ check, status: 'ok', message: `${apiPath} -> ${target}` });
+      }
+   }
+   return results;
+}
+
+function checkAngularProject(): IDoctorResult[] {
+   const check = 'Angular';
+   const packageJson: IPackageJson = fs.existsSync('package.json') ? readPackageJson() : {};
+   const dependencies = { ...packageJson.dependencies, ...packageJson.devDependencies };
+   const usesAngular = !!dependencies['@angular/core'];
+   if (!isAngularProject()) {
+      if (usesAngular) {
+         return [{
+            check,
+            status: 'error',
+            message: 'package.json depends on Angular, but angular.json was not found in this or any parent directory',
+            fix: 'Restore angular.json, it is needed to serve and build the project with the Angular CLI',
+         }];
+      }
+      return [{ check, status: 'ok', message: 'Not an Angular project, webpack is used to serve and build' }];
+   }
+   if (!fs.existsSync('angular.json')) {
+      return [{
+         check,
+         status: 'warning',
+         message: 'angular.json is in a parent directory, not in the current directory',
+         fix: 'Run odin in the directory with angular.json',
+      }];
+   }
+
+   const results: IDoctorResult[] = [checkAngularVersion(dependencies['@angular/core'])];
+   let angularJson: IAngularJson;
+   try {
+      angularJson = fs.readJsonSync('angular.json');
+   } catch (error) {
+      results.push({
+         check,
+         status: 'error',
+         message: `angular.json is invalid: ${(error as Error).message}`,
+         fix: 'Correct the JSON syntax',
+      });
+      return results;
+   }
+   for (const [projectName, project] of Object.entries(angularJson.projects || {})) {
+      const build = project.architect?.build;
+      if (!build || project.projectType === 'library') {
+         continue;
+      }
+      const hasBuilder = build.builder === ANGULAR_BUILDER;
+      const hasMain = !build.options?.browser || !!build.options.main;
+      if (!hasBuilder) {
+         results.push({
+            check,
+            status: 'error',
+            message: `Project '${projectName}' uses the builder '${build.builder}'`,
+            fix: `Set projects.${projectName}.architect.build.builder to '${ANGULAR_BUILDER}' in angular.json`,
+         });
+      }
+      if (!hasMain) {
+         results.push({
+            check,
+            status: 'error',
+            message: `Project '${projectName}' has the option 'browser', which ${ANGULAR_BUILDER} does not support`,
+            fix: `Rename projects.${projectName}.architect.build.options.browser to 'main' in angular.json`,
+         });
+      }
+      if (hasBuilder && hasMain) {
+         results.push({ check, status: 'ok', message: `Project '${projectName}' uses ${ANGULAR_BUILDER}` });
+      }
+   }
+   return results;
+}
+
+/**
+ * The project is served and built by the Angular CLI that is installed with odin, so they should have the same major
+ * version.
+ */
+function checkAngularVersion(dependency?: string): IDoctorResult {
+   const check = 'Angular CLI';
+   let cliVersion: string;
+   try {
+      // Node's module resolution also finds the Angular CLI when npm has hoisted it out of odin's node_modules
+      cliVersion = fs.readJsonSync(createRequire(import.meta.url).resolve('@angular/cli/package.json')).version;
+   } catch (error) {
+      return {
+         check,
+         status: 'warning',
+         message: `Could not find the Angular CLI of odin: ${(error as Error).message}`,
+         fix: 'Reinstall odin',
+      };
+   }
+   const installedPath = path.resolve('node_modules', '@angular', 'core', 'package.json');
+   const projectVersion: string | undefined = fs.existsSync(installedPath) ? fs.readJsonSync(installedPath).version : dependency;
+   const projectMajor = projectVersion?.match(/\d+/)?.[0];
+   if (!projectVersion || !projectMajor) {
+      return { check, status: 'warning', message: `Could not find the Angular version of the project`, fix: 'Run npm install' };
+   }
+   const cliMajor = cliVersion.split('.')[0];
+   if (projectMajor !== cliMajor) {
+      const update = `ng update @angular/core@${cliMajor} @angular/cli@${cliMajor}`;
+      return {
+         check,
+         status: 'error',
+         message: `Odin uses Angular CLI ${cliVersion}, but the project uses Angular ${projectVersion}`,
+         fix: `Update the project with '${update}', or install an odin version for Angular ${projectMajor}`,
+      };
+   }
+   return { check, status: 'ok', message: `Odin uses Angular CLI ${cliVersion}, the project uses Angular ${projectVersion}` };
+}
+
+function checkCredentials(environment?: string): IDoctorResult[] {
+   const check = 'Credentials';
+   const results: IDoctorResult[] = [];
+   const legacyFiles = ['authorizationheader.json', 'cookieheader.json']
+      .map(fileName => path.resolve(os.tmpdir(), fileName))
+      .filter(filePath => fs.existsSync(filePath));
+   if (legacyFiles.length > 0) {
+      results.push({
+         check,
+         status: 'warning',
+         message: `Plaintext credentials from an earlier version are in ${legacyFiles.join(', ')}, and are no longer used`,
+         fix: `Run 'odin logout' to remove them, and 'odin login' to log in again`,
+      });
+   }
+   const store = new CredentialStore(getCredentialStoreOptions(environment));
+   const tenants = store.listTenants();
+   if (tenants.length === 0) {
+      results.push({ check, status: 'ok', message: 'Not logged in, which is only needed for multi-tenant and ION API proxies' });
+   }
+   for (const tenant of tenants) {
+      let credentials;
+      try {
+         credentials = store.read(tenant);
+      } catch {
+         const logout = `odin logout --tenant ${tenant}${environment ? ` --env ${environment}` : ''}`;
+         results.push({
+            check,
+            status: 'error',
+            message: `The credentials for ${tenant} could not be decrypted`,
+            fix: `Run '${logout}' and log in again`,
+         });
+         continue;
+      }
+      if (!credentials) {
+         continue;
+      }
+      const expired = [
+         isExpired(credentials.tokenExpiresAt) && !credentials.tokenRequest ? 'ION API token' : '',
+         isExpired(credentials.cookieExpiresAt) ? 'M3 session cookie' : '',
+      ].filter(name => !!name);
+      if (expired.length > 0) {
+         results.push({ check, status: 'warning', message: `${tenant}: ${expired.join(' and ')} expired`, fix: `Run 'odin login' again` });
+      } else {
+         results.push({ check, status: 'ok', message: `${tenant}: valid${credentials.tokenRequest ? ', renewed automatically' : ''}` });
+      }
+   }
+   return results;
+}
+
+/**
+ * Request a CSRF token through the /m3api-rest proxy target, like the m3-odin library does before its first request,
+ * with the stored credentials if there are any.
+ */
+async function probeCsrf(config: IOdinConfiguration, environment?: string): Promise<IDoctorResult> {
+   const check = 'CSRF probe';
+   const proxyMap = (config.proxy && !Array.isArray(config.proxy) ? config.proxy : {}) as ProxyConfigMap;
+   const target = getTarget(proxyMap, '/m3api-rest');
+   if (!target || !isValidProxyUrl(target)) {
+      return { check, status: 'warning', message: 'Skipped, /m3api-rest has no valid target' };
+   }
+   const isIonApi = target === getTarget(proxyMap, ION_PROXY_PATH);
+   const probeUrl = urlJoin(target, isIonApi ? '/M3/m3api-rest/csrf' : '/m3api-rest/csrf');
+   const headers: Record<string, string> = { Accept: 'text/plain' };
+   let credentials;
+   try {
+      credentials = new CredentialStore(getCredentialStoreOptions(environment)).read();
+   } catch {
+      credentials = undefined;
+   }
+   if (isIonApi && credentials?.authorizationHeader && !isExpired(credentials.tokenExpiresAt)) {
+      headers.Authorization = credentials.authorizationHeader;
+   } else if (!isIonApi && credentials?.cookieHeader && !isExpired(credentials.cookieExpiresAt)) {
+      headers.Cookie = credentials.cookieHeader;
+   }
+
+   let status: number;
+   try {
+      const response = await fetch(probeUrl, { headers, redirect: 'manual', signal: AbortSignal.timeout(CSRF_PROBE_TIMEOUT) });
+      status = response.status;
+   } catch (error) {
+      const cause = (error as Error & { cause?: Error }).cause?.message || (error as Error).message;
+      return {
+         check,
+         status: 'error',
+         message: `${probeUrl} could not be reached (${cause})`,
+         fix: 'Check the URL in odin.json, and that you are connected to the network or VPN of M3',
+      };
+   }
+   if (status >= 200 && status < 300) {
+      return { check, status: 'ok', message: `${probeUrl} returned ${status}` };
+   }
+   if (status === 401 || status === 403 || (status >= 300 && status < 400)) {
+      const login = isIonApi ? `'odin login <ionApiConfigPath>'` : `'odin login <ionApiConfigPath> --m3 <m3Url>'`;
+      return {
+         check,
+         status: 'warning',
+         message: `${probeUrl} is reachable, but returned ${status} without a login`,
+         fix: `Run ${login} to use the multi-tenant proxy, or log in from the browser`,
+      };
+   }
+   return {
+      check,
+      status: 'error',
+      message: `${probeUrl} returned ${status}`,
+      fix: 'Check that the /m3api-rest target in odin.json points to M3 or ION API',
+   };
+}
+
+function getTarget(proxyMap: ProxyConfigMap, apiPath: string): string | undefined {
+   const pathConfig = proxyMap[apiPath];
+   return typeof pathConfig === 'object' && typeof pathConfig.target === 'string' ? pathConfig.target : undefined;
+}
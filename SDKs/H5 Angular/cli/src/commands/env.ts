@@ -0,0 +1,110 @@
+import fs from 'fs-extra';
+import { ProxyConfigMap } from 'webpack-dev-server';
+import { getEnvironment, IOdinConfiguration, IOdinEnvironment, isValidProxyUrl, readConfig, resolveEnvironment, writeConfig } from '../utils.js';
+import { configureIonProxy, configureProxy } from './set.js';
+
+export interface IEnvironmentOptions {
+   /**
+    * URL to M3, used as the /m3api-rest, /mne and /ca proxy target
+    */
+   m3Url?: string;
+   /**
+    * ION API URL including the tenant, e.g https://mingle-ionapi.example.com/TENANT_TST
+    */
+   ionUrl?: string;
+   portalUrl?: string;
+   ionApiConfig?: string;
+}
+
+/**
+ * Name used by 'odin env use' to go back to the settings at the root of odin.json
+ */
+export const DEFAULT_ENVIRONMENT = 'default';
+
+/**
+ * Print the environments of the project, marking the active one.
+ */
+export function listEnvironments() {
+   const config = readConfig();
+   const names = Object.keys(config.environments || {});
+   const active = config.activeEnvironment;
+   console.log(`${!active ? '* ' : '  '}${DEFAULT_ENVIRONMENT} (settings at the root of odin.json)`);
+   for (const name of names) {
+      const environment = getEnvironment(config, name);
+      const details = [
+         `M3: ${getProxyTarget(environment, '/mne') || 'not set'}`,
+         `ION API config: ${environment.ionApiConfig || 'not set'}`,
+      ];
+      console.log(`${name === active ? '* ' : '  '}${name} (${details.join(', ')})`);
+   }
+   if (names.length === 0) {
+      console.log(`No environments have been added. Run 'odin env add <name>' to add one.`);
+   }
+}
+
+/**
+ * Add an environment. It starts out as a copy of the settings at the root of odin.json, with the given options applied.
+ */
+export function addEnvironment(name: string, options: IEnvironmentOptions) {
+   if (name.match(/^[a-zA-Z0-9_-]+$/) === null) {
+      throw new Error('The environment name can only have letters, numbers, dashes and underscores');
+   }
+   if (name === DEFAULT_ENVIRONMENT) {
+      throw new Error(`'${DEFAULT_ENVIRONMENT}' is reserved for the settings at the root of odin.json`);
+   }
+   if (options.portalUrl && !isValidProxyUrl(options.portalUrl)) {
+      throw new Error(`Portal URL '${options.portalUrl}' is invalid. It should be protocol://hostname:port`);
+   }
+   const config = readConfig();
+   if (config.environments?.[name]) {
+      throw new Error(`Environment '${name}' already exists`);
+   }
+   const environment: IOdinEnvironment = {
+      m3Url: options.m3Url || config.m3Url,
+      portalUrl: options.portalUrl || config.portalUrl,
+      ionApiConfig: options.ionApiConfig || config.ionApiConfig,
+      proxy: JSON.parse(JSON.stringify(config.proxy || {})),
+   };
+   if (options.m3Url) {
+      configureProxy(options.m3Url, environment);
+   }
+   if (options.ionUrl) {
+      configureIonProxy(options.ionUrl, environment);
+   }
+   if (options.ionApiConfig && !fs.existsSync(options.ionApiConfig)) {
+      console.warn(`Warning: ION API configuration file '${options.ionApiConfig}' does not exist`);
+   }
+   config.environments = { ...config.environments, [name]: environment };
+   writeConfig(config);
+   console.log(`Added environment '${name}'. Run 'odin env use ${name}' to use it.`);
+}
+
+/**
+ * Make an environment active for all commands that do not have an --env option.
+ */
+export function useEnvironment(name: string) {
+   const config: IOdinConfiguration = readConfig();
+   if (name === DEFAULT_ENVIRONMENT) {
+      delete config.activeEnvironment;
+   } else {
+      getEnvironment(config, name);
+      config.activeEnvironment = name;
+   }
+   writeConfig(config);
+   console.log(`Using environment '${name}'`);
+}
+
+/**
+ * Get the ION API configuration path of the given or active environment, or at the root of odin.json.
+ */
+export function getIonApiConfigPath(environment?: string): string | undefined {
+   if (!fs.existsSync('odin.json')) {
+      return undefined;
+   }
+   return resolveEnvironment(readConfig(), environment).ionApiConfig;
+}
+
+function getProxyTarget(environment: IOdinEnvironment, apiPath: string): string | undefined {
+   const pathConfig = (environment.proxy as ProxyConfigMap | undefined)?.[apiPath];
+   return typeof pathConfig === 'object' && typeof pathConfig.target === 'string' ? pathConfig.target : undefined;
+}
@@ -0,0 +1,247 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { isAngularProject } from '../utils.js';
+import { readSwagger } from './codegen/swagger.js';
+import { findTransaction, IMICatalogEntry, IMICatalogField, isListTransaction, readCatalog } from './generate/catalog.js';
+import {
+   datagridComponentTemplate,
+   datagridHtmlTemplate,
+   datagridSpecTemplate,
+   detailComponentTemplate,
+   detailHtmlTemplate,
+   detailSpecTemplate,
+   ITemplateContext,
+   miServiceSpecTemplate,
+   miServiceTemplate,
+   pagingServiceSpecTemplate,
+   pagingServiceTemplate,
+} from './generate/templates.js';
+
+export const SCHEMATICS = ['mi-service', 'datagrid-page', 'detail-form'];
+
+export interface IGenerateOptions {
+   /**
+    * Program and transaction, e.g CRS610MI/LstByNumber
+    */
+   transaction: string;
+   /**
+    * Base name of the generated files and classes. Defaults to the program and transaction.
+    */
+   name?: string;
+   /**
+    * Path to the MI catalog. Defaults to mi-catalog.json in the project root.
+    */
+   catalog?: string;
+   /**
+    * m3api-rest Swagger files, or directories with a Swagger file per program such as MHS850MI.json. The fields of
+    * transactions that have no fields in the catalog are read from them.
+    */
+   swagger?: string[];
+   /**
+    * Output fields to use instead of those in the catalog
+    */
+   fields?: string[];
+   /**
+    * Key fields to use instead of the mandatory input fields in the catalog
+    */
+   keys?: string[];
+   /**
+    * Transaction used to save the record in a detail form, e.g ChgBasicData
+    */
+   update?: string;
+   /**
+    * Directory to generate into, relative to the project root. Defaults to src/app.
+    */
+   path?: string;
+   /**
+    * Overwrite existing files
+    */
+   force?: boolean;
+}
+
+interface IGeneratedFile {
+   name: string;
+   content: string;
+}
+
+/**
+ * Generate an Angular service, or a page with a component, for an MI transaction in the MI catalog.
+ *
+ * @returns The paths of the generated files
+ */
+export function generate(schematic: string, options: IGenerateOptions): string[] {
+   if (!SCHEMATICS.includes(schematic)) {
+      throw new Error(`Unknown schematic '${schematic}'. Valid schematics are: ${SCHEMATICS.join(', ')}`);
+   }
+   if (!isAngularProject()) {
+      throw new Error('Code can only be generated in Angular projects');
+   }
+   const catalog = readCatalog(options.catalog);
+   let entry = findTransaction(catalog, options.transaction);
+   if (options.swagger) {
+      entry = addSwaggerFields(entry, options.swagger);
+   }
+   if (options.update) {
+      findTransaction(catalog, `${entry.program.name}/${options.update}`);
+   }
+   const context = createContext(entry, options);
+
+   let files: IGeneratedFile[];
+   let directory = path.resolve(options.path || path.join('src', 'app'));
+   switch (schematic) {
+      case 'mi-service':
+         files = [
+            { name: `${context.fileName}.service.ts`, content: miServiceTemplate(context) },
+            { name: `${context.fileName}.service.spec.ts`, content: miServiceSpecTemplate(context) },
+         ];
+         break;
+      case 'datagrid-page':
+         if (!context.multiLine) {
+            console.warn(`Warning: ${context.program}/${context.transaction} is not a list transaction`);
+         }
+         requireFields(context);
+         directory = path.join(directory, context.fileName);
+         files = [
+            { name: `${context.fileName}-paging.service.ts`, content: pagingServiceTemplate(context) },
+            { name: `${context.fileName}-paging.service.spec.ts`, content: pagingServiceSpecTemplate(context) },
+            { name: `${context.fileName}.component.ts`, content: datagridComponentTemplate(context) },
+            { name: `${context.fileName}.component.html`, content: datagridHtmlTemplate(context) },
+            { name: `${context.fileName}.component.spec.ts`, content: datagridSpecTemplate(context) },
+         ];
+         break;
+      default:
+         requireFields(context);
+         directory = path.join(directory, context.fileName);
+         files = [
+            { name: `${context.fileName}.component.ts`, content: detailComponentTemplate(context) },
+            { name: `${context.fileName}.component.html`, content: detailHtmlTemplate(context) },
+            { name: `${context.fileName}.component.spec.ts`, content: detailSpecTemplate(context) },
+         ];
+   }
+
+   const paths = files.map(file => path.join(directory, file.name));
+   const existing = paths.filter(filePath => fs.existsSync(filePath));
+   if (existing.length > 0 && !options.force) {
+      throw new Error(`Files already exist, use --force to overwrite them:\n${existing.map(filePath => ` - ${filePath}`).join('\n')}`);
+   }
+   fs.ensureDirSync(directory);
+   files.forEach((file, index) => {
+      fs.writeFileSync(paths[index], file.content);
+      console.log(`Created ${path.relative(process.cwd(), paths[index])}`);
+   });
+   if (schematic !== 'mi-service') {
+      declareComponent(context, path.join(directory, `${context.fileName}.component`));
+   }
+   return paths;
+}
+
+function createContext(entry: IMICatalogEntry, options: IGenerateOptions): ITemplateContext {
+   const { program, transaction } = entry;
+   const inputs = transaction.inputs || [];
+   const catalogOutputs = transaction.outputs || [];
+   const outputs = options.fields ?
+      options.fields.map(name => catalogOutputs.find(field => field.name === name) || { name }) :
+      catalogOutputs;
+   const fileName = toKebabCase(options.name || `${program.name}-${transaction.name}`);
+   return {
+      program: program.name,
+      transaction: transaction.name,
+      description: transaction.description || `${program.name}/${transaction.name}`,
+      multiLine: transaction.multiLine ?? isListTransaction(transaction.name),
+      fileName,
+      className: toPascalCase(fileName),
+      inputs,
+      outputs,
+      keys: options.keys || getDefaultKeys(inputs, outputs),
+      update: options.update,
+   };
+}
+
+/**
+ * Add the fields from the Swagger file of the program, since the MI catalog in the SDK only has the transactions.
+ * Fields in the catalog are kept.
+ */
+function addSwaggerFields(entry: IMICatalogEntry, swaggerPaths: string[]): IMICatalogEntry {
+   const { program, transaction } = entry;
+   const isSameName = (name: string, other: string) => name.toUpperCase() === other.toUpperCase();
+   const swaggerFiles = swaggerPaths.flatMap(swaggerPath => {
+      if (fs.existsSync(swaggerPath) && fs.statSync(swaggerPath).isDirectory()) {
+         const programPath = path.join(swaggerPath, `${program.name}.json`);
+         return fs.existsSync(programPath) ? [programPath] : [];
+      }
+      return [swaggerPath];
+   });
+   const described = swaggerFiles.map(readSwagger).find(candidate => isSameName(candidate.name, program.name));
+   const swaggerTransaction = described?.transactions?.find(candidate => isSameName(candidate.name, transaction.name));
+   if (!swaggerTransaction) {
+      console.warn(`Warning: The Swagger files do not describe ${program.name}/${transaction.name}`);
+      return entry;
+   }
+   return {
+      program,
+      transaction: {
+         ...transaction,
+         inputs: transaction.inputs || swaggerTransaction.inputs,
+         outputs: transaction.outputs || swaggerTransaction.outputs,
+      },
+   };
+}
+
+/**
+ * The mandatory input fields are the keys, or the first input field for list transactions without mandatory fields.
+ */
+function getDefaultKeys(inputs: IMICatalogField[], outputs: IMICatalogField[]): string[] {
+   const mandatory = inputs.filter(field => field.mandatory);
+   const keys = mandatory.length > 0 ? mandatory : inputs.slice(0, 1);
+   return keys.length > 0 ? keys.map(field => field.name) : outputs.slice(0, 1).map(field => field.name);
+}
+
+function requireFields(context: ITemplateContext) {
+   const id = `${context.program}/${context.transaction}`;
+   const swaggerHint = `Use --swagger to read them from the Swagger file of ${context.program}`;
+   if (context.outputs.length === 0) {
+      throw new Error(`The MI catalog has no output fields for ${id}. ${swaggerHint}, or --fields to list the fields to show.`);
+   }
+   if (context.keys.length === 0) {
+      throw new Error(`The MI catalog has no input fields for ${id}. ${swaggerHint}, or --key to set the key fields.`);
+   }
+}
+
+/**
+ * Add a generated component to the declarations in app.module.ts, if the project has one.
+ */
+function declareComponent(context: ITemplateContext, componentPath: string) {
+   const className = `${context.className}Component`;
+   const modulePath = path.resolve('src', 'app', 'app.module.ts');
+   const content = fs.existsSync(modulePath) ? fs.readFileSync(modulePath, 'utf8') : '';
+   if (content.includes(className)) {
+      return;
+   }
+   const declarations = content.match(/declarations:\s*\[\s*/);
+   if (!declarations || declarations.index === undefined) {
+      console.log(`Add ${className} to the declarations of your module to use it`);
+      return;
+   }
+   const importPath = path.relative(path.dirname(modulePath), componentPath).split(path.sep).join('/');
+   const importLine = `import { ${className} } from '${importPath.startsWith('.') ? importPath : `./${importPath}`}';\n`;
+   const declarationEnd = declarations.index + declarations[0].length;
+   const indentation = declarations[0].match(/[ \t]*$/)?.[0] || '';
+   const separator = declarations[0].includes('\n') ? `,\n${indentation}` : ', ';
+   const updated = content.substring(0, declarationEnd) + className + separator + content.substring(declarationEnd);
+   const lastImport = Math.max(updated.lastIndexOf('\nimport '), 0);
+   const importEnd = updated.indexOf('\n', updated.indexOf(';', lastImport)) + 1;
+   fs.writeFileSync(modulePath, updated.substring(0, importEnd) + importLine + updated.substring(importEnd));
+   console.log(`Added ${className} to the declarations in ${path.relative(process.cwd(), modulePath)}`);
+}
+
+function toKebabCase(text: string): string {
+   return text
+      .replace(/([a-z])([A-Z])/g, '$1-$2')
+      .replace(/[^a-zA-Z0-9]+/g, '-')
+      .replace(/(^-|-$)/g, '')
+      .toLowerCase();
+}
+
+function toPascalCase(kebabCase: string): string {
+   return kebabCase.split('-').map(word => word.charAt(0).toUpperCase() + word.substring(1)).join('');
+}
@@ -0,0 +1,86 @@
+import fs from 'fs-extra';
+import path from 'path';
+
+/**
+ * A field of an MI transaction. Same information as the metadata of an m3api-rest response.
+ */
+export interface IMICatalogField {
+   name: string;
+   description?: string;
+   /**
+    * A (alphanumeric), N (numeric) or D (date)
+    */
+   type?: 'A' | 'N' | 'D';
+   length?: number;
+   mandatory?: boolean;
+}
+
+export interface IMICatalogTransaction {
+   name: string;
+   description?: string;
+   /**
+    * True for list transactions, that return more than one record. Defaults to true for transactions that start with
+    * Lst, Sel or Search.
+    */
+   multiLine?: boolean;
+   inputs?: IMICatalogField[];
+   outputs?: IMICatalogField[];
+}
+
+export interface IMICatalogProgram {
+   name: string;
+   description?: string;
+   transactions?: IMICatalogTransaction[];
+}
+
+export interface IMICatalogEntry {
+   program: IMICatalogProgram;
+   transaction: IMICatalogTransaction;
+}
+
+/**
+ * Catalog file that is used when no path is given, relative to the project root
+ */
+export const DEFAULT_CATALOG = 'mi-catalog.json';
+
+export function readCatalog(catalogPath = DEFAULT_CATALOG): IMICatalogProgram[] {
+   const resolvedPath = path.resolve(catalogPath);
+   if (!fs.existsSync(resolvedPath)) {
+      throw new Error(`MI catalog '${resolvedPath}' does not exist. Use --catalog to set the path to the catalog.`);
+   }
+   const catalog = fs.readJsonSync(resolvedPath);
+   if (!Array.isArray(catalog)) {
+      throw new Error(`MI catalog '${resolvedPath}' is invalid. It should contain an array of programs.`);
+   }
+   return catalog;
+}
+
+/**
+ * List transactions are named Lst, Sel or Search, like the read transactions in MIUtil.isReadTransaction without Get.
+ */
+export function isListTransaction(transactionName: string): boolean {
+   return /^(Lst|Sel|Search)/.test(transactionName);
+}
+
+/**
+ * Find a transaction in the catalog.
+ *
+ * @param id - Program and transaction, e.g CRS610MI/LstByNumber
+ */
+export function findTransaction(catalog: IMICatalogProgram[], id: string): IMICatalogEntry {
+   const [programName, transactionName] = id.split('/');
+   if (!programName || !transactionName) {
+      throw new Error(`'${id}' is not a transaction. It should look like: CRS610MI/LstByNumber`);
+   }
+   const program = catalog.find(candidate => candidate.name.toUpperCase() === programName.toUpperCase());
+   if (!program) {
+      throw new Error(`Program '${programName}' does not exist in the MI catalog`);
+   }
+   const transactions = program.transactions || [];
+   const transaction = transactions.find(candidate => candidate.name.toUpperCase() === transactionName.toUpperCase());
+   if (!transaction) {
+      const available = transactions.map(candidate => candidate.name).join(', ') || 'none';
+      throw new Error(`Transaction '${transactionName}' does not exist in ${program.name}. Available transactions: ${available}`);
+   }
+   return { program, transaction };
+}
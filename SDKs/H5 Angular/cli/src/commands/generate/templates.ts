@@ -0,0 +1,567 @@
+import { IMICatalogField } from './catalog.js';
+
+export interface ITemplateContext {
+   program: string;
+   transaction: string;
+   description: string;
+   multiLine: boolean;
+   /**
+    * Kebab case base name of the generated files, e.g crs610mi-lst-by-number
+    */
+   fileName: string;
+   /**
+    * Pascal case base name of the generated classes, e.g Crs610miLstByNumber
+    */
+   className: string;
+   inputs: IMICatalogField[];
+   outputs: IMICatalogField[];
+   /**
+    * Key fields. The first one is used for paging in datagrid pages.
+    */
+   keys: string[];
+   /**
+    * Transaction used to save the record in detail forms
+    */
+   update?: string;
+}
+
+export function miServiceTemplate(context: ITemplateContext): string {
+   const { program, transaction, className, inputs, outputs, multiLine } = context;
+   const hasMandatoryInput = inputs.some(field => field.mandatory);
+   const inputParameter = `input: I${className}Input${hasMandatoryInput ? '' : ' = {}'}`;
+   const outputType = `I${className}Output${multiLine ? '[]' : ''}`;
+   const requestLines = [
+      `program: '${program}',`,
+      `transaction: '${transaction}',`,
+      'record: input,',
+      ...(outputs.length > 0 ? [`outputFields: ${fieldList(outputs)},`] : []),
+      ...(multiLine ? ['maxReturnedRecords: maxReturnedRecords,'] : []),
+   ];
+   return `import { Injectable } from '@angular/core';
+import { IMIRequest, IMIResponse, MIRecord } from '@infor-up/m3-odin';
+import { MIService } from '@infor-up/m3-odin-angular';
+import { Observable } from 'rxjs';
+import { map } from 'rxjs/operators';
+
+/**
+ * Input fields of ${program}/${transaction}
+ */
+export interface I${className}Input {
+${fieldProperties(inputs, field => !field.mandatory)}
+}
+
+/**
+ * Output fields of ${program}/${transaction}
+ */
+export interface I${className}Output extends MIRecord {
+${fieldProperties(outputs, () => false)}
+}
+
+/**
+ * ${program}/${transaction}: ${context.description}
+ */
+@Injectable({
+   providedIn: 'root'
+})
+export class ${className}Service {
+   constructor(private miService: MIService) { }
+
+   ${lowerFirst(transaction)}(${inputParameter}${multiLine ? ', maxReturnedRecords = 100' : ''}): Observable<${outputType}> {
+      const request: IMIRequest = {
+${requestLines.map(line => `         ${line}`).join('\n')}
+      };
+      return this.miService.execute(request).pipe(
+         map((response: IMIResponse) => response.${multiLine ? 'items' : 'item'} as ${outputType})
+      );
+   }
+}
+`;
+}
+
+export function miServiceSpecTemplate(context: ITemplateContext): string {
+   const { program, transaction, className, inputs, multiLine } = context;
+   const input = `{ ${inputs.filter(field => field.mandatory).map(field => `${field.name}: ''`).join(', ')} }`.replace('{  }', '{}');
+   return `import { TestBed } from '@angular/core/testing';
+import { IMIResponse, MIRecord } from '@infor-up/m3-odin';
+import { MIService } from '@infor-up/m3-odin-angular';
+import { of } from 'rxjs';
+import { ${className}Service } from './${context.fileName}.service';
+
+describe('${className}Service', () => {
+   let service: ${className}Service;
+   let miService: jasmine.SpyObj<MIService>;
+
+   beforeEach(() => {
+      miService = jasmine.createSpyObj<MIService>('MIService', ['execute']);
+      TestBed.configureTestingModule({
+         providers: [{ provide: MIService, useValue: miService }]
+      });
+      service = TestBed.inject(${className}Service);
+   });
+
+   it('should execute ${program}/${transaction}', (done) => {
+      const response = { ${multiLine ? 'items: [new MIRecord()]' : 'item: new MIRecord()'}, hasError: () => false } as IMIResponse;
+      miService.execute.and.returnValue(of(response));
+      service.${lowerFirst(transaction)}(${input}).subscribe((result) => {
+         expect(result).toBe(response.${multiLine ? 'items' : 'item'});
+         expect(miService.execute).toHaveBeenCalledWith(jasmine.objectContaining({ program: '${program}', transaction: '${transaction}' }));
+         done();
+      });
+   });
+});
+`;
+}
+
+export function pagingServiceTemplate(context: ITemplateContext): string {
+   const { program, transaction, className, outputs } = context;
+   const key = context.keys[0];
+   return `import { Injectable, OnDestroy } from '@angular/core';
+import { ArrayUtil, CoreBase, IMIRequest, IMIResponse } from '@infor-up/m3-odin';
+import { MIService } from '@infor-up/m3-odin-angular';
+import { BehaviorSubject, Observable } from 'rxjs';
+import { finalize } from 'rxjs/operators';
+
+export interface I${className}PagingResult {
+   items: any[];
+   request?: SohoDataGridSourceRequest;
+}
+
+/**
+ * Lists ${program}/${transaction} one page at a time. Each page starts after the last ${key} of the previous page.
+ */
+@Injectable()
+export class ${className}PagingService extends CoreBase implements OnDestroy {
+   private dataSubject = new BehaviorSubject<I${className}PagingResult>({
+      items: [],
+      request: {
+         filterExpr: undefined, preserveSelected: false, hideDisabledPagers: true
+      }
+   });
+   private loadingSubject = new BehaviorSubject<boolean>(false);
+   private items: { [index: number]: any[] } = {};
+   private currentPage = 0;
+   private lastRecord: string;
+   private endOfRecords = false;
+   private readonly maxRecords = 50;
+
+   isLoading = this.loadingSubject.asObservable();
+
+   constructor(private miService: MIService) {
+      super('${className}PagingService');
+   }
+
+   ngOnDestroy() {
+      this.dataSubject.complete();
+      this.loadingSubject.complete();
+   }
+
+   getData(request: SohoDataGridSourceRequest): Observable<I${className}PagingResult> {
+      switch (request.type) {
+         case 'initial':
+            this.getPage(this.currentPage, request);
+            break;
+         case 'next':
+            this.getPage(this.currentPage + 1, request);
+            break;
+         case 'prev':
+            this.getPage(this.currentPage - 1, request);
+            break;
+         default:
+            this.logInfo('Unsupported request type: ' + request.type);
+      }
+
+      return this.dataSubject.asObservable();
+   }
+
+   private getPage(index: number, request?: SohoDataGridSourceRequest) {
+      const nextBatch = this.items[index];
+      const needMoreRecords = nextBatch === undefined;
+      this.currentPage = index;
+      if (needMoreRecords) {
+         this.loadData(request);
+      } else {
+         this.dataSubject.next({ items: nextBatch, request: request });
+      }
+   }
+
+   private loadData(request?: SohoDataGridSourceRequest) {
+      if (this.endOfRecords) {
+         this.logInfo('No more records to fetch.');
+         return;
+      }
+      this.loadingSubject.next(true);
+      const miRequest: IMIRequest = {
+         program: '${program}',
+         transaction: '${transaction}',
+         outputFields: ${fieldList(outputs)},
+         maxReturnedRecords: this.maxRecords,
+         record: { ${key}: this.lastRecord }
+      };
+
+      this.miService.execute(miRequest).pipe(
+         finalize(() => this.loadingSubject.next(false))
+      ).subscribe((response: IMIResponse) => {
+         let items: any[] = response.items || [];
+         this.endOfRecords = items.length < this.maxRecords;
+         if (this.lastRecord !== undefined && items.length > 0 && items[0].${key} === this.lastRecord) {
+            // The list starts with the last record of the previous page
+            items = items.slice(1);
+         }
+         if (items.length > 0) {
+            this.lastRecord = ArrayUtil.last(items).${key};
+         }
+         this.items[this.currentPage] = items;
+         request.lastPage = this.endOfRecords;
+         this.dataSubject.next({ items: items, request: request });
+      }, (error) => {
+         this.logError('Failed to list records', error);
+         request.lastPage = true;
+         this.dataSubject.next({ items: [], request: request });
+      });
+   }
+}
+`;
+}
+
+export function pagingServiceSpecTemplate(context: ITemplateContext): string {
+   const { program, transaction, className } = context;
+   const key = context.keys[0];
+   return `import { TestBed } from '@angular/core/testing';
+import { IMIResponse, MIRecord } from '@infor-up/m3-odin';
+import { MIService } from '@infor-up/m3-odin-angular';
+import { of } from 'rxjs';
+import { ${className}PagingService } from './${context.fileName}-paging.service';
+
+describe('${className}PagingService', () => {
+   let service: ${className}PagingService;
+   let miService: jasmine.SpyObj<MIService>;
+
+   beforeEach(() => {
+      miService = jasmine.createSpyObj<MIService>('MIService', ['execute']);
+      TestBed.configureTestingModule({
+         providers: [${className}PagingService, { provide: MIService, useValue: miService }]
+      });
+      service = TestBed.inject(${className}PagingService);
+   });
+
+   it('should list the first page with ${program}/${transaction}', (done) => {
+      const response = { items: [new MIRecord({ ${key}: '1' }), new MIRecord({ ${key}: '2' })], hasError: () => false } as IMIResponse;
+      miService.execute.and.returnValue(of(response));
+      service.getData({ type: 'initial' } as SohoDataGridSourceRequest).subscribe((result) => {
+         expect(result.items).toEqual(response.items);
+         expect(result.request.lastPage).toBeTrue();
+         expect(miService.execute).toHaveBeenCalledWith(jasmine.objectContaining({ program: '${program}', transaction: '${transaction}' }));
+         done();
+      });
+   });
+});
+`;
+}
+
+export function datagridComponentTemplate(context: ITemplateContext): string {
+   const { className, fileName, outputs } = context;
+   const columns = outputs.map(field => `            {
+               width: 'auto', id: '${columnId(field)}', field: '${field.name}', name: '${escapeString(label(field))}',
+               resizable: true, filterType: 'text', sortable: false
+            }`);
+   return `import { Component, ViewChild } from '@angular/core';
+import { CoreBase } from '@infor-up/m3-odin';
+import { SohoDataGridComponent } from 'ids-enterprise-ng';
+import { ${className}PagingService, I${className}PagingResult } from './${fileName}-paging.service';
+
+@Component({
+   selector: 'app-${fileName}',
+   templateUrl: './${fileName}.component.html',
+   providers: [${className}PagingService]
+})
+export class ${className}Component extends CoreBase {
+   @ViewChild('datagrid') datagrid: SohoDataGridComponent;
+
+   datagridOptions: SohoDataGridOptions;
+
+   constructor(public pagingService: ${className}PagingService) {
+      super('${className}Component');
+      this.initGrid();
+   }
+
+   private initGrid() {
+      const options: SohoDataGridOptions = {
+         disableRowDeactivation: true,
+         alternateRowShading: true,
+         cellNavigation: false,
+         idProperty: '${columnId(outputs[0])}',
+         rowHeight: 'short',
+         paging: true,
+         pagesize: 50,
+         showPageSizeSelector: false,
+         indeterminate: true,
+         columns: [
+${columns.join(',\n')}
+         ],
+         dataset: [],
+         emptyMessage: {
+            title: 'No records available',
+            icon: 'icon-empty-no-data'
+         },
+         source: (request: SohoDataGridSourceRequest, response: SohoDataGridResponseFunction) => {
+            this.pagingService.getData(request).subscribe((result: I${className}PagingResult) => response(result.items, result.request));
+         }
+      };
+      this.datagridOptions = options;
+   }
+}
+`;
+}
+
+export function datagridHtmlTemplate(context: ITemplateContext): string {
+   return `<div class="full-width full-height scrollable-flex">
+   <div>
+      <h1>${context.description}</h1>
+      <hr class="fieldset-hr" />
+   </div>
+
+   <div #datagrid id="grid-${context.fileName}" class="scrollable-area" soho-datagrid [gridOptions]="datagridOptions"
+      soho-busyindicator [activated]="pagingService.isLoading | async" [blockUI]="true" [displayDelay]="0"></div>
+</div>
+`;
+}
+
+export function datagridSpecTemplate(context: ITemplateContext): string {
+   const { className } = context;
+   return `import { ComponentFixture, fakeAsync, TestBed } from '@angular/core/testing';
+import { MIService } from '@infor-up/m3-odin-angular';
+import { SohoComponentsModule } from 'ids-enterprise-ng';
+import { ${className}Component } from './${context.fileName}.component';
+
+describe('${className}Component', () => {
+   let component: ${className}Component;
+   let fixture: ComponentFixture<${className}Component>;
+
+   beforeEach(fakeAsync(() => {
+      TestBed.configureTestingModule({
+         declarations: [${className}Component],
+         imports: [SohoComponentsModule],
+         providers: [MIService]
+      })
+         .compileComponents();
+   }));
+
+   beforeEach(() => {
+      fixture = TestBed.createComponent(${className}Component);
+      component = fixture.componentInstance;
+   });
+
+   it('should create', () => {
+      expect(component).toBeTruthy();
+   });
+
+   it('should have a column for each output field', () => {
+      expect(component.datagridOptions.columns.map(column => column.field)).toEqual(${fieldList(context.outputs)});
+   });
+});
+`;
+}
+
+export function detailComponentTemplate(context: ITemplateContext): string {
+   const { program, transaction, className, fileName, outputs, update } = context;
+   const save = update ? `
+
+   save() {
+      if (this.isBusy || !this.detailItem) { return; }
+      const request: IMIRequest = {
+         program: '${program}',
+         transaction: '${update}',
+         record: { ...this.detailItem, ...this.keys }
+      };
+      this.isBusy = true;
+      this.miService.execute(request).subscribe((response: IMIResponse) => {
+         this.isBusy = false;
+         if (!response.hasError()) {
+            this.load();
+         } else {
+            this.handleError('Failed to save');
+         }
+      }, (error) => {
+         this.isBusy = false;
+         this.handleError('Failed to save', error);
+      });
+   }` : '';
+   return `import { Component, Input } from '@angular/core';
+import { CoreBase, IMIRequest, IMIResponse } from '@infor-up/m3-odin';
+import { MIService } from '@infor-up/m3-odin-angular';
+import { SohoMessageService } from 'ids-enterprise-ng';
+
+/**
+ * Shows the record from ${program}/${transaction}${update ? ` and saves it with ${update}` : ''}
+ */
+@Component({
+   selector: 'app-${fileName}',
+   templateUrl: './${fileName}.component.html'
+})
+export class ${className}Component extends CoreBase {
+   /**
+    * Key fields of the record: ${context.keys.join(', ')}
+    */
+   @Input() keys: { [name: string]: string } = {};
+
+   detailItem: any;
+   isBusy = false;
+
+   constructor(private miService: MIService, private messageService: SohoMessageService) {
+      super('${className}Component');
+   }
+
+   load() {
+      if (this.isBusy) { return; }
+      const request: IMIRequest = {
+         program: '${program}',
+         transaction: '${transaction}',
+         record: this.keys,
+         outputFields: ${fieldList(outputs)}
+      };
+      this.isBusy = true;
+      this.miService.execute(request).subscribe((response: IMIResponse) => {
+         this.isBusy = false;
+         if (!response.hasError()) {
+            this.detailItem = response.item;
+         } else {
+            this.detailItem = undefined;
+            this.handleError('Failed to get details');
+         }
+      }, (error) => {
+         this.isBusy = false;
+         this.detailItem = undefined;
+         this.handleError('Failed to get details', error);
+      });
+   }${save}
+
+   private handleError(message: string, error?: any) {
+      this.logError(message, error ? '- Error: ' + JSON.stringify(error) : '');
+      const buttons = [{ text: 'Ok', click: (e, modal) => { modal.close(); } }];
+      this.messageService.error()
+         .title('An error occured')
+         .message(message + '. More details might be available in the browser console.')
+         .buttons(buttons)
+         .open();
+   }
+}
+`;
+}
+
+export function detailHtmlTemplate(context: ITemplateContext): string {
+   const { fileName, keys, outputs, update } = context;
+   const keyFields = keys.map(key => `      <div class="field">
+         <label for="${fileName}-key-${key.toLowerCase()}">${label(findField(context, key))}</label>
+         <input id="${fileName}-key-${key.toLowerCase()}" [(ngModel)]="keys.${key}" />
+      </div>`);
+   const rows: string[] = [];
+   for (let index = 0; index < outputs.length; index += 2) {
+      const columns = outputs.slice(index, index + 2).map(field => {
+         const id = `${fileName}-${field.name.toLowerCase()}`;
+         const readonly = !update || keys.includes(field.name) ? ' readonly' : '';
+         return `            <div class="six columns">
+               <div class="field">
+                  <label for="${id}">${label(field)}</label>
+                  <input id="${id}" [(ngModel)]="detailItem.${field.name}"${readonly} />
+               </div>
+            </div>`;
+      });
+      rows.push(`         <div class="form-responsive row">
+${columns.join('\n')}
+         </div>`);
+   }
+   const saveButton = update ? `
+         <div class="row">
+            <button soho-button="primary" (click)="save()" [disabled]="isBusy">Save</button>
+         </div>` : '';
+   return `<div class="full-width full-height scrollable-flex">
+   <div>
+      <h1>${context.description}</h1>
+      <hr class="fieldset-hr" />
+   </div>
+
+   <div class="row">
+${keyFields.join('\n')}
+      <button soho-button="secondary" (click)="load()" [disabled]="isBusy">Load</button>
+   </div>
+
+   <div soho-busyindicator [activated]="isBusy" [blockUI]="true" [displayDelay]="0">
+      <div *ngIf="detailItem" class="row card">
+${rows.join('\n\n')}${saveButton}
+      </div>
+   </div>
+</div>
+`;
+}
+
+export function detailSpecTemplate(context: ITemplateContext): string {
+   const { className } = context;
+   return `import { ComponentFixture, fakeAsync, TestBed } from '@angular/core/testing';
+import { FormsModule } from '@angular/forms';
+import { MIService } from '@infor-up/m3-odin-angular';
+import { SohoComponentsModule } from 'ids-enterprise-ng';
+import { ${className}Component } from './${context.fileName}.component';
+
+describe('${className}Component', () => {
+   let component: ${className}Component;
+   let fixture: ComponentFixture<${className}Component>;
+
+   beforeEach(fakeAsync(() => {
+      TestBed.configureTestingModule({
+         declarations: [${className}Component],
+         imports: [FormsModule, SohoComponentsModule],
+         providers: [MIService]
+      })
+         .compileComponents();
+   }));
+
+   beforeEach(() => {
+      fixture = TestBed.createComponent(${className}Component);
+      component = fixture.componentInstance;
+      fixture.detectChanges();
+   });
+
+   it('should create', () => {
+      expect(component).toBeTruthy();
+   });
+});
+`;
+}
+
+function fieldProperties(fields: IMICatalogField[], isOptional: (field: IMICatalogField) => boolean): string {
+   if (fields.length === 0) {
+      return '   [name: string]: any;';
+   }
+   return fields.map(field => {
+      const details = [field.type && field.length ? `${field.type}${field.length}` : field.type, field.mandatory ? 'mandatory' : '']
+         .filter(detail => !!detail)
+         .join(', ');
+      const comment = [field.description, details ? `(${details})` : ''].filter(text => !!text).join(' ');
+      const doc = comment ? `   /**\n    * ${comment}\n    */\n` : '';
+      return `${doc}   ${field.name}${isOptional(field) ? '?' : ''}: string;`;
+   }).join('\n');
+}
+
+function fieldList(fields: IMICatalogField[]): string {
+   return `[${fields.map(field => `'${field.name}'`).join(', ')}]`;
+}
+
+function findField(context: ITemplateContext, name: string): IMICatalogField {
+   return context.inputs.find(field => field.name === name) || context.outputs.find(field => field.name === name) || { name };
+}
+
+function label(field: IMICatalogField): string {
+   return field.description || field.name;
+}
+
+function escapeString(text: string): string {
+   return text.replace(/\\/g, '\\\\').replace(/'/g, '\\\'');
+}
+
+function columnId(field: IMICatalogField): string {
+   return `col-${field.name.toLowerCase()}`;
+}
+
+function lowerFirst(text: string): string {
+   return text.charAt(0).toLowerCase() + text.substring(1);
+}
@@ -1,6 +1,16 @@
 export { buildProject } from './build.js';
+export { codegenMI, ICodegenOptions } from './codegen.js';
+export { deployProject, IDeployOptions } from './deploy.js';
+export { doctor, DoctorStatus, IDoctorOptions, IDoctorResult, runDoctor } from './doctor.js';
+export { addEnvironment, getIonApiConfigPath, IEnvironmentOptions, listEnvironments, useEnvironment } from './env.js';
+export { generate, IGenerateOptions, SCHEMATICS } from './generate.js';
 export { login } from './login.js';
+export { loginBackendService } from './login/login-backend-service.js';
 export { loginCloud } from './login/login-cloud.js';
+export { loginStatus, logout } from './login/session.js';
+export { IMockOptions, startMockServer } from './mock.js';
 export { INewProjectOptions, newProject } from './new.js';
 export { IServeOptions, serveProject } from './serve.js';
 export { setConfiguration } from './set.js';
+export { extractTranslations, ITranslationExtractOptions } from './translations.js';
+export { applyUpgrade, IUpgradeChange, IUpgradePlan, planUpgrade, printUpgradePlan } from './upgrade.js';
@@ -1,9 +1,8 @@
 import fs from 'fs-extra';
-import os from 'os';
-import path from 'path';
 import puppeteer from 'puppeteer';
 import { ProxyConfigMap } from 'webpack-dev-server';
-import { readConfig, writeConfig } from '../utils.js';
+import { readConfig, selectEnvironment, writeConfig } from '../utils.js';
+import { saveCookies, saveToken } from './login/utils.js';
 
 /**
  * NOTE: This used to be puppeteer.Cookie
@@ -14,6 +13,10 @@ export interface LoginOptions {
    ionApiConfig: string;
    m3Url?: string;
    updateConfig?: boolean;
+   /**
+    * Environment in odin.json to store the credentials for. Defaults to the active environment.
+    */
+   env?: string;
 }
 
 interface RawIonApiConfig {
@@ -104,18 +107,18 @@ export async function login(options: LoginOptions) {
    const [page] = await browser.pages();
    console.log('Waiting for ION API Token');
    const token = await waitForAccessToken(page, config);
-   writeTokenToFile(token);
+   saveToken(config.getTenant(), token, options.env);
    console.log('Got ION API token');
    if (options.m3Url) {
       console.log(`Visiting '${options.m3Url}/mne' to get session cookie`);
       await page.goto(`${options.m3Url}/mne`);
       const cookies = await waitForMneCookies(page);
-      writeCookiesToFile(cookies);
+      saveCookies(config.getTenant(), cookies, options.env);
       console.log('Got M3 session cookie');
    }
    if (options.updateConfig) {
       console.log('Updating odin.json');
-      updateOdinConfig(config, options.m3Url);
+      updateOdinConfig(config, options.m3Url, options.env);
       console.log('odin.json has been updated');
    }
    await browser.close();
@@ -127,8 +130,9 @@ export async function login(options: LoginOptions) {
    }
 }
 
-function updateOdinConfig(ionApiConfig: IonApiConfig, m3Url?: string) {
+function updateOdinConfig(ionApiConfig: IonApiConfig, m3Url?: string, environmentName?: string) {
    const odinConfig = readConfig();
+   const environment = selectEnvironment(odinConfig, environmentName);
    const ionTarget = setTarget('/ODIN_DEV_TENANT', ionApiConfig.getIonApiUrl());
    ionTarget.pathRewrite = { '^/ODIN_DEV_TENANT': '' };
    if (m3Url) {
@@ -148,8 +152,8 @@ function updateOdinConfig(ionApiConfig: IonApiConfig, m3Url?: string) {
    }
 
    function getPathConfig(proxyPath: string) {
-      if (odinConfig.proxy && !Array.isArray(odinConfig.proxy)) {
-         const pathConfig = (odinConfig.proxy as ProxyConfigMap)[proxyPath];
+      if (environment.proxy && !Array.isArray(environment.proxy)) {
+         const pathConfig = (environment.proxy as ProxyConfigMap)[proxyPath];
          if (typeof pathConfig !== 'string') {
             return pathConfig;
          }
@@ -170,23 +174,6 @@ async function waitForAccessToken(page: puppeteer.Page, config: IonApiConfig): P
    return redirectParams as unknown as Token;
 }
 
-function writeTokenToFile(token: Token) {
-   // File paths & content should match mtauth.ts
-   const filePath = path.resolve(os.tmpdir(), 'authorizationheader.json');
-   const content = {
-      authorizationHeader: `${token.token_type} ${token.access_token}`,
-      // expirationTimestamp: token.expires_in,
-   };
-   fs.writeJsonSync(filePath, content);
-}
-
-function writeCookiesToFile(cookies: Cookie[]) {
-   // File paths & content should match mtauth.ts
-   const filePath = path.resolve(os.tmpdir(), 'cookieheader.json');
-   const content = cookies.map(({ name, value }) => `${name}=${value};`).join(' ');
-   fs.writeFileSync(filePath, content);
-}
-
 function readIonApiConfig(configPath: string): IonApiConfig {
    const data: RawIonApiConfig = fs.readJSONSync(configPath);
    return new IonApiConfig(data);
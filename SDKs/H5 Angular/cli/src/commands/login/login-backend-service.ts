@@ -0,0 +1,56 @@
+import fs from 'fs-extra';
+import { requestToken, TokenRequest, toTokenCredentials } from '../../credentials.cjs';
+import { BackendServiceLoginOptions, IonApiConfig } from './models.js';
+import { openCredentialStore, readIonApiConfig, removeLegacyCredentialFiles, updateOdinConfig } from './utils.js';
+
+const SAML2_BEARER_GRANT = 'urn:ietf:params:oauth:grant-type:saml2-bearer';
+
+/**
+ * Log in without a browser, using the client credentials of an ION API backend service configuration.
+ *
+ * The token is renewed by 'odin serve --multi-tenant' and 'odin deploy' when it expires, with the refresh token if
+ * one was issued, or else by repeating the token request.
+ */
+export async function loginBackendService(options: BackendServiceLoginOptions) {
+   const config = readIonApiConfig(options.ionApiConfig);
+   if (!config.clientId || !config.clientSecret) {
+      throw new Error(`The ION API configuration '${options.ionApiConfig}' has no client secret. ` +
+         'Download the configuration of a backend service.');
+   }
+   const tokenRequest = createTokenRequest(config, options.samlAssertion);
+   console.log(`Requesting ION API token (${tokenRequest.params.grant_type}) from ${tokenRequest.url}`);
+   const token = await requestToken(tokenRequest);
+   openCredentialStore(options.env).update(config.tenant, toTokenCredentials(token, tokenRequest));
+   removeLegacyCredentialFiles();
+   console.log('Got ION API token');
+   if (options.updateConfig) {
+      console.log('Updating odin.json');
+      updateOdinConfig(config, undefined, options.env);
+      console.log('odin.json has been updated');
+   }
+   console.log('Login successful! You can now run "odin serve --multi-tenant --ion-api"');
+}
+
+/**
+ * Service account keys in the configuration select the resource owner grant used by ION API backend services. Without
+ * them, the client credentials grant is used.
+ */
+function createTokenRequest(config: IonApiConfig, samlAssertionPath?: string): TokenRequest {
+   const params: Record<string, string> = {
+      client_id: config.clientId,
+      client_secret: config.clientSecret,
+   };
+   if (samlAssertionPath) {
+      const assertion = fs.readFileSync(samlAssertionPath, 'utf8').trim();
+      params.grant_type = SAML2_BEARER_GRANT;
+      // The assertion must be base64url encoded, but may be stored as XML
+      params.assertion = assertion.startsWith('<') ? Buffer.from(assertion).toString('base64url') : assertion;
+   } else if (config.serviceAccountAccessKey && config.serviceAccountSecretKey) {
+      params.grant_type = 'password';
+      params.username = config.serviceAccountAccessKey;
+      params.password = config.serviceAccountSecretKey;
+   } else {
+      params.grant_type = 'client_credentials';
+   }
+   return { url: config.tokenUrl, params };
+}
@@ -1,15 +1,15 @@
 
 import puppeteer from 'puppeteer';
 import { LoginOptions } from './models.js';
-import { readIonApiConfig, waitForMneCookies, writeCookiesToFile } from './utils.js';
-import { readConfig } from '../../utils.js';
+import { readIonApiConfig, saveCookies, waitForMneCookies } from './utils.js';
+import { readConfig, resolveEnvironment } from '../../utils.js';
 
 const WINDOW_WIDTH = 500;
 const WINDOW_HEIGHT = 600;
 
 export async function loginCloud({ ionApiConfig }: LoginOptions) {
    const { tenant } = readIonApiConfig(ionApiConfig);
-   const odinConfig = readConfig();
+   const odinConfig = resolveEnvironment(readConfig());
 
    const browser = await puppeteer.launch({
       headless: false,
@@ -27,7 +27,7 @@ export async function loginCloud({ ionApiConfig }: LoginOptions) {
 
    await page.goto(`${odinConfig.m3Url}/mne`);
    const cookies = await waitForMneCookies(page);
-   writeCookiesToFile(cookies);
+   saveCookies(tenant, cookies);
    console.log("Got M3 session cookie");
 
    // if (options.updateConfig) {
@@ -31,6 +31,9 @@ export interface RawIonApiConfig {
    * Authorization path
    */
   oa: string;
+  /**
+   * Token path
+   */
   ot: string;
   or: string;
   /**
@@ -39,6 +42,14 @@ export interface RawIonApiConfig {
   ru: string;
   ev: string;
   v: string;
+  /**
+   * Service account access key, only in backend service configurations
+   */
+  saak?: string;
+  /**
+   * Service account secret key, only in backend service configurations
+   */
+  sask?: string;
 }
 
 export class IonApiConfig {
@@ -52,6 +63,18 @@ export class IonApiConfig {
     return this.data.ci;
   }
 
+  get clientSecret() {
+    return this.data.cs;
+  }
+
+  get serviceAccountAccessKey() {
+    return this.data.saak;
+  }
+
+  get serviceAccountSecretKey() {
+    return this.data.sask;
+  }
+
   get redirectUri() {
     return this.data.ru;
   }
@@ -67,6 +90,10 @@ export class IonApiConfig {
     url.searchParams.set('response_type', 'token');
     return url.toString();
   }
+
+  get tokenUrl() {
+    return urlJoin(this.data.pu, this.data.ot);
+  }
 }
 
 export interface LoginOptions {
@@ -75,6 +102,19 @@ export interface LoginOptions {
   updateConfig?: boolean;
 }
 
+export interface BackendServiceLoginOptions {
+  ionApiConfig: string;
+  /**
+   * Path to a file with a SAML assertion, exchanged for a token with the SAML 2.0 bearer grant
+   */
+  samlAssertion?: string;
+  updateConfig?: boolean;
+  /**
+   * Environment in odin.json to store the credentials for. Defaults to the active environment.
+   */
+  env?: string;
+}
+
 
 export interface Token {
   access_token: string;
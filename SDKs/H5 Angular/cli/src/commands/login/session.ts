@@ -0,0 +1,62 @@
+import { isExpired } from '../../credentials.cjs';
+import { openCredentialStore, removeLegacyCredentialFiles } from './utils.js';
+
+/**
+ * Print the stored credentials of the current project, without revealing any secrets.
+ *
+ * @param environment - Environment in odin.json. Defaults to the active environment.
+ */
+export function loginStatus(environment?: string) {
+  const store = openCredentialStore(environment);
+  const tenants = store.listTenants();
+  if (tenants.length === 0) {
+    console.log('Not logged in. Run "odin login <ionApiConfigPath>" to log in.');
+    return;
+  }
+  const activeTenant = store.getActiveTenant();
+  console.log(`Credentials are stored in ${store.getDirectory()}`);
+  for (const tenant of tenants) {
+    let credentials;
+    try {
+      credentials = store.read(tenant);
+    } catch {
+      console.log(`${tenant}: The credentials could not be decrypted. Run "odin login" again.`);
+      continue;
+    }
+    if (!credentials) {
+      continue;
+    }
+    console.log(`${tenant}${tenant === activeTenant ? ' (active)' : ''}`);
+    const renewal = credentials.tokenRequest ? ', renewed automatically' : '';
+    console.log(`  ION API token: ${describe(credentials.authorizationHeader, credentials.tokenExpiresAt)}${renewal}`);
+    console.log(`  M3 session cookie: ${describe(credentials.cookieHeader, credentials.cookieExpiresAt)}`);
+  }
+}
+
+/**
+ * Remove the stored credentials of the current project, for one tenant or all of them.
+ *
+ * @param environment - Environment in odin.json. Defaults to the active environment.
+ */
+export function logout(tenant?: string, environment?: string) {
+  const store = openCredentialStore(environment);
+  if (tenant && !store.listTenants().includes(tenant)) {
+    console.log(`There are no credentials for tenant '${tenant}'`);
+    return;
+  }
+  store.remove(tenant);
+  removeLegacyCredentialFiles();
+  console.log(tenant ? `Logged out of tenant '${tenant}'` : 'Logged out');
+}
+
+function describe(value?: string, expiresAt?: number): string {
+  if (!value) {
+    return 'missing';
+  } else if (expiresAt === undefined) {
+    return 'valid for the session';
+  } else if (isExpired(expiresAt)) {
+    return `expired ${new Date(expiresAt).toLocaleString()}`;
+  } else {
+    return `valid until ${new Date(expiresAt).toLocaleString()}`;
+  }
+}
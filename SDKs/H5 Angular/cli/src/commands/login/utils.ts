@@ -3,8 +3,9 @@ import os from 'os';
 import path from 'path';
 import puppeteer from 'puppeteer';
 import { ProxyConfigMap } from 'webpack-dev-server';
+import { CredentialStore, CredentialStoreOptions, Credentials, isExpired, renewToken } from '../../credentials.cjs';
 import { Cookie, IonApiConfig, RawIonApiConfig, Token } from './models.js';
-import { readConfig, writeConfig } from '../../utils.js';
+import { getEnvironment, readConfig, selectEnvironment, writeConfig } from '../../utils.js';
 
 export function urlJoin(...segments: string[]): string {
   return segments.map(segment => segment.replace(/(^\/|\/$)/g, '')).join('/');
@@ -15,8 +16,12 @@ export function readIonApiConfig(configPath: string): IonApiConfig {
   return new IonApiConfig(data);
 }
 
-export function updateOdinConfig(ionApiConfig: IonApiConfig, m3Url?: string) {
+/**
+ * Update the proxy targets of the given or active environment, or at the root of odin.json if no environment is used.
+ */
+export function updateOdinConfig(ionApiConfig: IonApiConfig, m3Url?: string, environmentName?: string) {
   const odinConfig = readConfig();
+  const environment = selectEnvironment(odinConfig, environmentName);
   const ionTarget = setTarget('/ODIN_DEV_TENANT', ionApiConfig.ionApiUrl);
   ionTarget.pathRewrite = { '^/ODIN_DEV_TENANT': '' };
   if (m3Url) {
@@ -36,8 +41,8 @@ export function updateOdinConfig(ionApiConfig: IonApiConfig, m3Url?: string) {
   }
 
   function getPathConfig(proxyPath: string) {
-    if (odinConfig.proxy && !Array.isArray(odinConfig.proxy)) {
-      const pathConfig = (odinConfig.proxy as ProxyConfigMap)[proxyPath];
+    if (environment.proxy && !Array.isArray(environment.proxy)) {
+      const pathConfig = (environment.proxy as ProxyConfigMap)[proxyPath];
       if (typeof pathConfig !== 'string') {
         return pathConfig;
       }
@@ -46,23 +51,93 @@ export function updateOdinConfig(ionApiConfig: IonApiConfig, m3Url?: string) {
   }
 }
 
-export function writeTokenToFile(token: Token) {
-  // File paths & content should match mtauth.ts
-  const filePath = path.resolve(os.tmpdir(), 'authorizationheader.json');
-  const content = {
+/**
+ * Get the options that identify the credential store of the project in the current working directory.
+ *
+ * @param environment - Environment in odin.json. Defaults to the active environment.
+ */
+export function getCredentialStoreOptions(environment?: string): CredentialStoreOptions {
+  const projectRoot = process.cwd();
+  const odinConfig = fs.existsSync(path.join(projectRoot, 'odin.json')) ? readConfig(projectRoot) : undefined;
+  if (environment && odinConfig) {
+    // Throws if the environment does not exist, so that credentials are not stored for a misspelled name
+    getEnvironment(odinConfig, environment);
+  }
+  return {
+    projectRoot,
+    projectName: odinConfig?.projectName || path.basename(projectRoot),
+    environment: environment || odinConfig?.activeEnvironment,
+  };
+}
+
+/**
+ * Open the credential store of the project in the current working directory.
+ *
+ * @param environment - Environment in odin.json. Defaults to the active environment.
+ */
+export function openCredentialStore(environment?: string): CredentialStore {
+  return new CredentialStore(getCredentialStoreOptions(environment));
+}
+
+export function saveToken(tenant: string, token: Token, environment?: string) {
+  const expiresIn = parseInt(token.expires_in, 10);
+  openCredentialStore(environment).update(tenant, {
     authorizationHeader: `${token.token_type} ${token.access_token}`,
-    // expirationTimestamp: token.expires_in,
+    tokenExpiresAt: expiresIn > 0 ? Date.now() + expiresIn * 1000 : undefined,
+    // Interactive logins cannot be renewed
+    refreshToken: undefined,
+    tokenRequest: undefined,
+  });
+  removeLegacyCredentialFiles();
+}
+
+export function saveCookies(tenant: string, cookies: Cookie[], environment?: string) {
+  // Session cookies have expires -1
+  const expirations = cookies.map(cookie => cookie.expires).filter(expires => expires > 0);
+  openCredentialStore(environment).update(tenant, {
+    cookieHeader: cookies.map(({ name, value }) => `${name}=${value};`).join(' '),
+    cookieExpiresAt: expirations.length > 0 ? Math.min(...expirations) * 1000 : undefined,
+  });
+  removeLegacyCredentialFiles();
+}
+
+/**
+ * Read the credentials of the active tenant. Expired values are left out.
+ */
+export function readCredentials(): Credentials | undefined {
+  const credentials = openCredentialStore().read();
+  if (!credentials) {
+    return undefined;
+  }
+  return {
+    ...credentials,
+    authorizationHeader: isExpired(credentials.tokenExpiresAt) ? undefined : credentials.authorizationHeader,
+    cookieHeader: isExpired(credentials.cookieExpiresAt) ? undefined : credentials.cookieHeader,
   };
-  fs.writeJsonSync(filePath, content);
 }
 
-export function writeCookiesToFile(cookies: Cookie[]) {
-  // File paths & content should match mtauth.ts
-  const filePath = path.resolve(os.tmpdir(), 'cookieheader.json');
-  const content = cookies.map(({ name, value }) => `${name}=${value};`).join(' ');
-  fs.writeFileSync(filePath, content);
+/**
+ * Read the credentials of the active tenant, like readCredentials, but renew the token first if it has expired and
+ * was issued by a non-interactive login.
+ */
+export async function readRenewedCredentials(): Promise<Credentials | undefined> {
+  const store = openCredentialStore();
+  const credentials = store.read();
+  if (credentials?.tokenRequest && isExpired(credentials.tokenExpiresAt)) {
+    console.log('The ION API token has expired, renewing it');
+    await renewToken(store, credentials.tenant);
+  }
+  return readCredentials();
 }
 
+/**
+ * Remove the shared, plaintext files in the temp directory that were used by earlier versions.
+ */
+export function removeLegacyCredentialFiles() {
+  for (const fileName of ['authorizationheader.json', 'cookieheader.json']) {
+    fs.removeSync(path.resolve(os.tmpdir(), fileName));
+  }
+}
 
 export async function waitForMneCookies(page: puppeteer.Page): Promise<Cookie[]> {
   return new Promise<Cookie[]>((resolvePromise, rejectPromise) => {
@@ -0,0 +1,332 @@
+import fs from 'fs-extra';
+import http, { IncomingMessage, ServerResponse } from 'http';
+import { AddressInfo } from 'net';
+import path from 'path';
+import { ProxyConfigMap } from 'webpack-dev-server';
+
+export interface IMockOptions {
+   /**
+    * Port to listen on. Use 0 to let the OS pick a free port.
+    */
+   port: number;
+   /**
+    * Directory containing the fixture files, relative to the project root.
+    */
+   fixtures: string;
+   /**
+    * Stops the server when aborted
+    */
+   signal?: AbortSignal;
+}
+
+/**
+ * Proxy paths that are answered by the mock server
+ */
+export const MOCK_PROXY_PATHS = ['/m3api-rest', '/mne', '/ca'];
+
+const MOCK_CSRF_TOKEN = 'odin-mock-csrf-token';
+const MOCK_TOKEN_LIFETIME = 7200;
+
+interface IMatrixParameters {
+   metadata: boolean;
+   maxrecs: number;
+   excludempty: boolean;
+   cono?: string;
+   divi?: string;
+   returncols?: string[];
+}
+
+/**
+ * State of the stand-ins of one mock server
+ */
+interface IMockState {
+   /**
+    * Version counter per application uploaded to the /mne/apps stand-in
+    */
+   deployedVersions: Map<string, number>;
+   /**
+    * Applications whose upload has not been reported as deployed yet
+    */
+   processingApps: Set<string>;
+   /**
+    * Counter for the tokens issued by the OAuth stand-in
+    */
+   issuedTokens: number;
+}
+
+interface IExecuteRequest {
+   program: string;
+   transaction: string;
+   parameters: IMatrixParameters;
+   record: Record<string, string>;
+}
+
+/**
+ * Start a local stand-in for M3 that answers /m3api-rest, /mne and /ca requests from fixture files.
+ *
+ * Fixture layout (relative to the fixture directory):
+ * - m3api-rest/<PROGRAM>/<TRANSACTION>.json: An array of records, or a raw m3api-rest response
+ * - mne/<CMDTP>_<CMDVAL>.xml or mne/<CMDTP>.xml: An MvxMCSvt XML response
+ * - ca/<path>: Any file, served as-is
+ *
+ * Uploads to /mne/apps are accepted with 202 Accepted. The status of an upload, GET /mne/apps/<name>, is reported as
+ * in progress once and then as deployed, with an increasing version number.
+ *
+ * Token requests to <any path>/token.oauth2 are answered with a new token, so that 'odin login --backend-service' can
+ * use the server as the auth provider ('pu') in an ION API configuration.
+ *
+ * @returns The URL that the server is listening on
+ */
+export async function startMockServer(options: IMockOptions): Promise<string> {
+   const fixtureDir = path.resolve(options.fixtures);
+   if (!fs.existsSync(fixtureDir)) {
+      console.warn(`Fixture directory '${fixtureDir}' does not exist. All requests will be answered with errors.`);
+   }
+   const state: IMockState = { deployedVersions: new Map(), processingApps: new Set(), issuedTokens: 0 };
+   const server = http.createServer((request, response) => {
+      handleRequest(fixtureDir, state, request, response).catch(error => {
+         console.error('Mock server failed to handle request', request.url, error);
+         sendText(response, 500, 'text/plain', String(error));
+      });
+   });
+   await new Promise<void>((resolvePromise, rejectPromise) => {
+      server.once('error', rejectPromise);
+      server.listen({ port: options.port, host: 'localhost', signal: options.signal }, () => resolvePromise());
+   });
+   const { port } = server.address() as AddressInfo;
+   const url = `http://localhost:${port}`;
+   console.log(`Mock server is serving fixtures from '${fixtureDir}' at ${url}`);
+   return url;
+}
+
+/**
+ * Point the M3 proxy entries at the mock server instead of a live M3.
+ */
+export function useMockProxyTargets(proxyConfig: ProxyConfigMap, mockUrl: string) {
+   for (const apiPath of MOCK_PROXY_PATHS) {
+      const pathConfig = proxyConfig[apiPath];
+      if (typeof pathConfig === 'object') {
+         pathConfig.target = mockUrl;
+         delete pathConfig.pathRewrite;
+      } else {
+         proxyConfig[apiPath] = { target: mockUrl, secure: false, changeOrigin: true };
+      }
+   }
+}
+
+async function handleRequest(fixtureDir: string, state: IMockState, request: IncomingMessage, response: ServerResponse) {
+   const url = new URL(request.url || '/', 'http://localhost');
+   console.log(`[mock] ${request.method} ${url.pathname}`);
+   if (url.pathname.startsWith('/m3api-rest/csrf')) {
+      sendText(response, 200, 'text/plain', MOCK_CSRF_TOKEN);
+   } else if (url.pathname.startsWith('/m3api-rest/execute/')) {
+      handleExecute(fixtureDir, url, response);
+   } else if (url.pathname.startsWith('/mne/servlet/MvxMCSvt')) {
+      const body = await readBody(request);
+      const params = new URLSearchParams(body);
+      url.searchParams.forEach((value, key) => params.set(key, value));
+      handleMvxMCSvt(fixtureDir, params, response);
+   } else if (url.pathname.startsWith('/mne/apps') && request.method === 'POST') {
+      handleDeploy(state, await readBody(request), response);
+   } else if (url.pathname.startsWith('/mne/apps/') && request.method === 'GET') {
+      handleDeployStatus(state, decodeURIComponent(url.pathname.substring('/mne/apps/'.length)), response);
+   } else if (url.pathname.endsWith('/token.oauth2') && request.method === 'POST') {
+      handleToken(state, new URLSearchParams(await readBody(request)), response);
+   } else if (url.pathname.startsWith('/ca/')) {
+      handleStatic(path.join(fixtureDir, 'ca'), url.pathname.replace(/^\/ca\//, ''), response);
+   } else {
+      sendText(response, 404, 'text/plain', `No mock available for ${url.pathname}`);
+   }
+}
+
+function handleExecute(fixtureDir: string, url: URL, response: ServerResponse) {
+   const request = parseExecuteUrl(url);
+   if (!request) {
+      sendJson(response, 400, createNokResponse('Invalid m3api-rest URL ' + url.pathname));
+      return;
+   }
+   const { program, transaction } = request;
+   const fixturePath = path.join(fixtureDir, 'm3api-rest', program, `${transaction}.json`);
+   if (!fs.existsSync(fixturePath)) {
+      console.warn(`[mock] Fixture not found: ${fixturePath}`);
+      sendJson(response, 200, createNokResponse(`No mock fixture for ${program}/${transaction}`));
+      return;
+   }
+   const fixture = fs.readJsonSync(fixturePath);
+   if (!Array.isArray(fixture)) {
+      // Raw m3api-rest response, e.g. an error or a response with metadata
+      sendJson(response, 200, fixture);
+      return;
+   }
+
+   let records: Record<string, string>[] = fixture.filter(record => matchesCompany(record, request.parameters));
+   if (transaction.startsWith('Get')) {
+      records = records.filter(record => matchesInput(record, request.record)).slice(0, 1);
+      if (records.length === 0) {
+         sendJson(response, 200, createNokResponse('Record does not exist'));
+         return;
+      }
+   }
+   if (request.parameters.maxrecs > 0) {
+      records = records.slice(0, request.parameters.maxrecs);
+   }
+   sendJson(response, 200, {
+      Program: program,
+      Transaction: transaction,
+      MIRecord: records.map((record, index) => ({
+         RowIndex: `${index}`,
+         NameValue: toNameValues(record, request.parameters),
+      })),
+   });
+}
+
+/**
+ * Parse an URL created by MIServiceCore.createUrl, e.g:
+ * /m3api-rest/execute/MNS150MI/GetUserData;metadata=true;maxrecs=100;excludempty=false;cono=100?USID=X&_rid=123
+ */
+function parseExecuteUrl(url: URL): IExecuteRequest | null {
+   const [resourcePath, ...matrix] = url.pathname.split(';');
+   const match = resourcePath.match(/^\/m3api-rest\/execute\/([^/]+)\/([^/]+)$/);
+   if (match === null) {
+      return null;
+   }
+   const matrixParams: Record<string, string> = matrix.reduce((params, keyvalueString) => {
+      const [key, value] = keyvalueString.split('=');
+      return { ...params, [key]: decodeURIComponent(value ?? '') };
+   }, {});
+   const parameters: IMatrixParameters = {
+      metadata: matrixParams.metadata === 'true',
+      maxrecs: matrixParams.maxrecs !== undefined ? parseInt(matrixParams.maxrecs, 10) : 100,
+      excludempty: matrixParams.excludempty === 'true',
+      cono: matrixParams.cono,
+      divi: matrixParams.divi,
+      returncols: matrixParams.returncols ? matrixParams.returncols.split(',') : undefined,
+   };
+   const record: Record<string, string> = {};
+   url.searchParams.forEach((value, key) => {
+      if (!key.startsWith('_')) {
+         record[key] = value;
+      }
+   });
+   return { program: match[1], transaction: match[2], parameters, record };
+}
+
+function matchesCompany(record: Record<string, string>, parameters: IMatrixParameters): boolean {
+   if (parameters.cono && record.CONO !== undefined && `${record.CONO}` !== parameters.cono) {
+      return false;
+   }
+   if (parameters.divi && record.DIVI !== undefined && `${record.DIVI}` !== parameters.divi) {
+      return false;
+   }
+   return true;
+}
+
+function matchesInput(record: Record<string, string>, input: Record<string, string>): boolean {
+   return Object.keys(input)
+      .filter(name => record[name] !== undefined)
+      .every(name => `${record[name]}`.trim() === input[name].trim());
+}
+
+function toNameValues(record: Record<string, string>, parameters: IMatrixParameters) {
+   return Object.keys(record)
+      .filter(name => !parameters.returncols || parameters.returncols.includes(name))
+      .map(name => ({ Name: name, Value: `${record[name] ?? ''}` }))
+      .filter(nameValue => !parameters.excludempty || nameValue.Value.trim() !== '');
+}
+
+function createNokResponse(message: string) {
+   return { '@type': 'ServerReturnedNOK', Message: message };
+}
+
+function handleMvxMCSvt(fixtureDir: string, params: URLSearchParams, response: ServerResponse) {
+   const commandType = params.get('CMDTP') || '';
+   const commandValue = params.get('CMDVAL') || '';
+   const candidates = [
+      path.join(fixtureDir, 'mne', `${commandType}_${commandValue}.xml`),
+      path.join(fixtureDir, 'mne', `${commandType}.xml`),
+   ];
+   const fixturePath = candidates.find(candidate => fs.existsSync(candidate));
+   if (fixturePath) {
+      sendText(response, 200, 'text/xml', fs.readFileSync(fixturePath, 'utf8'));
+   } else {
+      console.warn(`[mock] Fixture not found: ${candidates[0]}`);
+      const message = `No mock fixture for CMDTP=${commandType} CMDVAL=${commandValue}`;
+      const xml = `<?xml version="1.0" encoding="UTF-8"?><Root><Result>1</Result><Message>${message}</Message></Root>`;
+      sendText(response, 200, 'text/xml', xml);
+   }
+}
+
+function handleDeploy(state: IMockState, body: string, response: ServerResponse) {
+   // Multipart body, the application name is sent in the 'name' field
+   const match = body.match(/name="name"\r\n\r\n([^\r]*)/);
+   if (!match) {
+      sendJson(response, 400, { message: 'The name field is missing' });
+      return;
+   }
+   const name = match[1];
+   const version = (state.deployedVersions.get(name) || 0) + 1;
+   state.deployedVersions.set(name, version);
+   state.processingApps.add(name);
+   sendJson(response, 202, { name, status: 'processing' });
+}
+
+function handleDeployStatus(state: IMockState, name: string, response: ServerResponse) {
+   const version = state.deployedVersions.get(name);
+   if (version === undefined) {
+      sendJson(response, 404, { message: `Application '${name}' does not exist` });
+   } else if (state.processingApps.delete(name)) {
+      sendJson(response, 202, { name, status: 'processing' });
+   } else {
+      sendJson(response, 200, { name, version: `${version}` });
+   }
+}
+
+function handleToken(state: IMockState, params: URLSearchParams, response: ServerResponse) {
+   const grantType = params.get('grant_type');
+   const grantTypes = ['client_credentials', 'password', 'refresh_token', 'urn:ietf:params:oauth:grant-type:saml2-bearer'];
+   if (!grantType || !grantTypes.includes(grantType)) {
+      sendJson(response, 400, { error: 'unsupported_grant_type' });
+      return;
+   }
+   if (!params.get('client_id') || !params.get('client_secret')) {
+      sendJson(response, 401, { error: 'invalid_client' });
+      return;
+   }
+   state.issuedTokens++;
+   sendJson(response, 200, {
+      access_token: `odin-mock-access-token-${state.issuedTokens}`,
+      token_type: 'Bearer',
+      expires_in: MOCK_TOKEN_LIFETIME,
+      // Refresh tokens are not issued for the client credentials grant
+      ...(grantType !== 'client_credentials' && { refresh_token: `odin-mock-refresh-token-${state.issuedTokens}` }),
+   });
+}
+
+function handleStatic(baseDir: string, relativePath: string, response: ServerResponse) {
+   const filePath = path.resolve(baseDir, decodeURIComponent(relativePath));
+   if (!filePath.startsWith(baseDir + path.sep) || !fs.existsSync(filePath) || !fs.statSync(filePath).isFile()) {
+      sendText(response, 404, 'text/plain', `No mock fixture for /ca/${relativePath}`);
+      return;
+   }
+   const contentType = filePath.endsWith('.json') ? 'application/json' :
+      filePath.endsWith('.xml') ? 'text/xml' : 'application/octet-stream';
+   sendText(response, 200, contentType, fs.readFileSync(filePath));
+}
+
+function readBody(request: IncomingMessage): Promise<string> {
+   return new Promise<string>((resolvePromise, rejectPromise) => {
+      const chunks: Buffer[] = [];
+      request.on('data', (chunk: Buffer) => chunks.push(chunk));
+      request.on('end', () => resolvePromise(Buffer.concat(chunks).toString('utf8')));
+      request.on('error', rejectPromise);
+   });
+}
+
+function sendJson(response: ServerResponse, status: number, content: object) {
+   sendText(response, status, 'application/json', JSON.stringify(content));
+}
+
+function sendText(response: ServerResponse, status: number, contentType: string, content: string | Buffer) {
+   response.writeHead(status, { 'Content-Type': contentType });
+   response.end(content);
+}
@@ -3,7 +3,7 @@ import fs from 'fs-extra';
 import os from 'os';
 import path from 'path';
 import url from 'url';
-import { executeAngularCli, readConfig, writeConfig } from '../utils.js';
+import { ANGULAR_BUILDER, executeAngularCli, getCliVersion, readConfig, writeConfig } from '../utils.js';
 import { configureName, configureProxy } from './set.js';
 
 const __dirname = url.fileURLToPath(new URL('.', import.meta.url));
@@ -31,7 +31,7 @@ const makeTemporaryDirectory = (name: string): string => {
    return temporaryProjectDirectory;
 };
 
-const getBoilerplateDir = (style: NewProjectStyleOption, angular?: boolean) => {
+export const getBoilerplateDir = (style: NewProjectStyleOption, angular?: boolean) => {
    switch (style) {
       case 'soho':
          if (angular) {
@@ -99,7 +99,7 @@ const modAngularJson = (projectRoot: string, projectName: string, style: NewProj
 
    // In Angular 17 default is now build-angular:application, which has different proxy mechanism, so we need to use the old builder for now
    const build = angularJson.projects[projectName].architect.build;
-   build.builder = "@angular-devkit/build-angular:browser";
+   build.builder = ANGULAR_BUILDER;
 
    // Old builder expect "main" not "browser"
    if (buildOptions.browser) {
@@ -136,6 +136,7 @@ const addOdinConfig = (projectRoot: string, options: INewProjectOptions) => {
    }
 
    configureName(options.name, config);
+   config.odinVersion = getCliVersion();
    writeConfig(config, projectRoot);
 };
 
@@ -0,0 +1,71 @@
+import fs from 'fs-extra';
+import http from 'http';
+import { AddressInfo } from 'net';
+import path from 'path';
+import { Recording, readRecordings, recordingKey } from '../recorder.cjs';
+
+/**
+ * Proxy paths that are saved when recording
+ */
+export const RECORD_PROXY_PATHS = ['/m3api-rest', '/mne'];
+
+export interface IReplayOptions {
+   /**
+    * Port to listen on. Use 0 to let the OS pick a free port.
+    */
+   port: number;
+   /**
+    * Directory containing recordings made with 'odin serve --record'
+    */
+   recordings: string;
+}
+
+/**
+ * Start a server that answers requests with the responses saved by 'odin serve --record'.
+ *
+ * Identical requests are answered in the order they were recorded. When all recordings for a request have been used,
+ * the last one is repeated.
+ *
+ * @returns The URL that the server is listening on
+ */
+export async function startReplayServer(options: IReplayOptions): Promise<string> {
+   const directory = path.resolve(options.recordings);
+   if (!fs.existsSync(directory)) {
+      throw new Error(`Recording directory '${directory}' does not exist.`);
+   }
+   const recordings = new Map<string, Recording[]>();
+   for (const recording of readRecordings(directory)) {
+      const { method, url, body } = recording.request;
+      const key = recordingKey(method, url, body);
+      recordings.set(key, [...(recordings.get(key) || []), recording]);
+   }
+
+   const server = http.createServer((request, response) => {
+      const chunks: Buffer[] = [];
+      request.on('data', (chunk: Buffer) => chunks.push(chunk));
+      request.on('end', () => {
+         const body = Buffer.concat(chunks).toString('utf8');
+         const key = recordingKey(request.method || 'GET', request.url || '/', body);
+         const queue = recordings.get(key);
+         if (!queue) {
+            console.warn(`[replay] No recording for ${request.method} ${request.url}`);
+            response.writeHead(404, { 'Content-Type': 'text/plain' });
+            response.end(`No recording for ${request.method} ${request.url}`);
+            return;
+         }
+         const recording = queue.length > 1 ? queue.shift() as Recording : queue[0];
+         console.log(`[replay] ${request.method} ${request.url}`);
+         const headers = recording.response.contentType ? { 'Content-Type': recording.response.contentType } : {};
+         response.writeHead(recording.response.status, headers);
+         response.end(Buffer.from(recording.response.body, recording.response.encoding));
+      });
+   });
+   await new Promise<void>((resolvePromise, rejectPromise) => {
+      server.once('error', rejectPromise);
+      server.listen(options.port, 'localhost', () => resolvePromise());
+   });
+   const { port } = server.address() as AddressInfo;
+   const url = `http://localhost:${port}`;
+   console.log(`Replay server is serving ${recordings.size} recorded requests from '${directory}' at ${url}`);
+   return url;
+}
@@ -4,7 +4,11 @@ import os from 'os';
 import path from 'path';
 import webpack from 'webpack';
 import WebpackDevServer from 'webpack-dev-server';
-import { executeAngularCli, isAngularProject, readConfig } from '../utils.js';
+import { createRecorder } from '../recorder.cjs';
+import { executeAngularCli, isAngularProject, readConfig, resolveEnvironment } from '../utils.js';
+import { getCredentialStoreOptions } from './login/utils.js';
+import { startMockServer, useMockProxyTargets } from './mock.js';
+import { RECORD_PROXY_PATHS, startReplayServer } from './replay.js';
 import { baseConfig } from './webpack.config.js';
 
 const require = createRequire(import.meta.url);
@@ -14,14 +18,45 @@ export interface IServeOptions {
    port: number;
    multiTenant: boolean;
    ionApi: boolean;
+   /**
+    * Answer M3 requests from fixture files instead of proxying to M3
+    */
+   mock?: boolean;
+   /**
+    * Fixture directory used when mock is enabled
+    */
+   fixtures?: string;
+   /**
+    * Directory to save proxied M3 requests and responses to
+    */
+   record?: string;
+   /**
+    * Directory with recordings to answer M3 requests from, instead of proxying to M3
+    */
+   replay?: string;
+   /**
+    * Environment in odin.json to serve with. Defaults to the active environment.
+    */
+   env?: string;
 }
 
 async function serveBasicProject(options: IServeOptions) {
    const configWithDevServerEntry = addWebpackClientEntry(baseConfig, options.port);
    const webpackCompiler = webpack(configWithDevServerEntry);
-   const odinConfig = readConfig();
-   delete odinConfig.projectName; // TODO: webpack-dev-server does not allow additional properties. Find another place to store projectName.
+   const odinConfig = resolveEnvironment(readConfig(), options.env);
+   // TODO: webpack-dev-server does not allow additional properties. Find another place to store projectName.
+   delete odinConfig.projectName;
+   delete odinConfig.ionApiConfig;
+   delete odinConfig.environments;
+   delete odinConfig.activeEnvironment;
+   delete odinConfig.odinVersion;
    const devServerConfig: WebpackDevServer.Configuration = odinConfig;
+   if (isProxyConfig(devServerConfig.proxy)) {
+      await prepareLocalProxy(devServerConfig.proxy, options);
+      if (options.record) {
+         addRecorderHooks(devServerConfig.proxy, options.record);
+      }
+   }
    const server = new WebpackDevServer(webpackCompiler, {
       ...devServerConfig,
    });
@@ -39,10 +74,11 @@ async function serveBasicProject(options: IServeOptions) {
 }
 
 async function serveAngularProject(options: IServeOptions) {
-   const proxyConfig = readConfig().proxy;
+   const proxyConfig = resolveEnvironment(readConfig(), options.env).proxy;
    if (!isProxyConfig(proxyConfig)) {
       throw new Error('Proxy config is invalid.');
    }
+   await prepareLocalProxy(proxyConfig, options);
    const proxyFile = prepareProxyFile(proxyConfig, options);
    const proxyTmpPath = path.resolve(os.tmpdir(), proxyFile.name);
    const fileContent = proxyFile.content;
@@ -63,13 +99,52 @@ export async function serveProject(options: IServeOptions) {
    }
 }
 
+/**
+ * Start a local mock or replay server and point the proxy at it, if any of those options are used.
+ */
+async function prepareLocalProxy(proxyConfig: ProxyConfig, options: IServeOptions) {
+   if (!options.mock && !options.replay) {
+      return;
+   }
+   if (options.multiTenant) {
+      console.warn('Multi-Tenant proxy is not used when serving with mock or recorded data.');
+      options.multiTenant = false;
+   }
+   if (options.record) {
+      console.warn('Requests are not recorded when serving with mock or recorded data.');
+      delete options.record;
+   }
+   const localUrl = options.replay ?
+      await startReplayServer({ port: 0, recordings: options.replay }) :
+      await startMockServer({ port: 0, fixtures: options.fixtures || 'mock' });
+   useMockProxyTargets(proxyConfig, localUrl);
+}
+
+/**
+ * Add recording hooks to the proxy config of a basic project, where the webpack dev server runs in this process.
+ */
+function addRecorderHooks(proxyConfig: ProxyConfig, directory: string) {
+   const recorder = createRecorder(path.resolve(directory));
+   for (const apiPath of RECORD_PROXY_PATHS) {
+      const pathConfig = proxyConfig[apiPath];
+      if (typeof pathConfig === 'object') {
+         Object.assign(pathConfig, {
+            onProxyReq: recorder.onProxyReq.bind(recorder),
+            onProxyRes: recorder.onProxyRes.bind(recorder),
+         });
+      }
+   }
+}
+
 function prepareProxyFile(proxyConfig: ProxyConfig, options: IServeOptions) {
    setHeaders('/mne');
    setHeaders('/m3api-rest');
    setHeaders('/ca');
    setHeaders('/ODIN_DEV_TENANT');
    if (options.multiTenant) {
-      return multiTenantProxyFile(proxyConfig, options.ionApi);
+      return multiTenantProxyFile(proxyConfig, options.ionApi, options.record, options.env);
+   } else if (options.record) {
+      return recordingProxyFile(proxyConfig, options.record);
    } else {
       return standardProxyFile(proxyConfig);
    }
@@ -93,7 +168,7 @@ function prepareProxyFile(proxyConfig: ProxyConfig, options: IServeOptions) {
    }
 }
 
-function multiTenantProxyFile(proxyConfig: ProxyConfig, useIonApi?: boolean) {
+function multiTenantProxyFile(proxyConfig: ProxyConfig, useIonApi?: boolean, recordDirectory?: string, environment?: string) {
    addMneProxyPlaceholders('/mne');
    if (useIonApi) {
       addIonProxyPlaceholders('/m3api-rest');
@@ -105,14 +180,18 @@ function multiTenantProxyFile(proxyConfig: ProxyConfig, useIonApi?: boolean) {
       addMneProxyPlaceholders('/m3api-rest');
       addMneProxyPlaceholders('/ca');
    }
+   if (recordDirectory) {
+      addRecorderPlaceholders(proxyConfig);
+   }
 
    const mtToolContent = fs.readFileSync(require.resolve('../mtauth.cjs')).toString();
-   const configContent = JSON.stringify(proxyConfig)
-      .replace(/\"ODIN_MT_SET_MNE_COOKIES\"/g, 'function (...args) { authenticator.setMNECookies(...args) }')
-      .replace(/\"ODIN_MT_SET_ION_API_TOKEN\"/g, 'function (...args) { authenticator.setIONAPIToken(...args) }')
-      .replace(/\"ODIN_MT_CHECK_ION_API_AUTHENTICATION\"/g, 'function (...args) { authenticator.checkIONAPIAuthentication(...args) }')
-      .replace(/\"ODIN_MT_ON_ERROR\"/g, 'function (...args) { authenticator.onError(...args) }');
-   const fileContent = mtToolContent.replace(/CONFIG_PLACEHOLDER/, configContent);
+   const configContent = replaceHookPlaceholders(JSON.stringify(proxyConfig));
+   const prelude = recordDirectory ? recorderPrelude(recordDirectory) : '';
+   const fileContent = mtToolContent
+      // The generated file is not placed next to the credential store module
+      .replace(/require\("\.\/credentials\.cjs"\)/, `require(${JSON.stringify(require.resolve('../credentials.cjs'))})`)
+      .replace(/CREDENTIAL_SOURCE_PLACEHOLDER/, JSON.stringify(getCredentialStoreOptions(environment)))
+      .replace(/module\.exports = CONFIG_PLACEHOLDER/, `${prelude}module.exports = ${configContent}`);
    return { content: fileContent, name: 'odin_proxy.js' };
 
    function rewritePath(originalPath: string, newPath: string) {
@@ -139,6 +218,61 @@ function multiTenantProxyFile(proxyConfig: ProxyConfig, useIonApi?: boolean) {
    }
 }
 
+function recordingProxyFile(proxyConfig: ProxyConfig, recordDirectory: string) {
+   addRecorderPlaceholders(proxyConfig);
+   const configContent = replaceHookPlaceholders(JSON.stringify(proxyConfig));
+   const fileContent = `${recorderPrelude(recordDirectory)}module.exports = ${configContent};\n`;
+   return { content: fileContent, name: 'odin_proxy.js' };
+}
+
+/**
+ * Functions that the hook placeholders in a proxy config are replaced with in a generated proxy file.
+ */
+const PROXY_HOOKS: Record<string, string> = {
+   ODIN_MT_SET_MNE_COOKIES: 'authenticator.setMNECookies',
+   ODIN_MT_SET_ION_API_TOKEN: 'authenticator.setIONAPIToken',
+   ODIN_MT_CHECK_ION_API_AUTHENTICATION: 'authenticator.checkIONAPIAuthentication',
+   ODIN_MT_ON_ERROR: 'authenticator.onError',
+   ODIN_RECORD_REQUEST: 'odinRecorder.onProxyReq',
+   ODIN_RECORD_RESPONSE: 'odinRecorder.onProxyRes',
+};
+
+/**
+ * Replace hook placeholders with functions. Several hooks can be chained with '|', e.g "ODIN_MT_SET_MNE_COOKIES|ODIN_RECORD_REQUEST"
+ */
+function replaceHookPlaceholders(configContent: string): string {
+   return configContent.replace(/"(ODIN_[A-Z_]+(?:\|ODIN_[A-Z_]+)*)"/g, (placeholder: string, names: string) => {
+      const hooks = names.split('|').map(name => PROXY_HOOKS[name]);
+      if (hooks.some(hook => !hook)) {
+         return placeholder;
+      }
+      return `function (...args) { ${hooks.map(hook => `${hook}(...args);`).join(' ')} }`;
+   });
+}
+
+function addRecorderPlaceholders(proxyConfig: ProxyConfig) {
+   for (const apiPath of RECORD_PROXY_PATHS) {
+      const pathConfig = proxyConfig[apiPath] as Record<string, unknown>;
+      if (typeof pathConfig === 'object') {
+         pathConfig.onProxyReq = chainPlaceholder(pathConfig.onProxyReq, 'ODIN_RECORD_REQUEST');
+         pathConfig.onProxyRes = chainPlaceholder(pathConfig.onProxyRes, 'ODIN_RECORD_RESPONSE');
+      }
+   }
+
+   function chainPlaceholder(existing: unknown, placeholder: string) {
+      return typeof existing === 'string' ? `${existing}|${placeholder}` : placeholder;
+   }
+}
+
+/**
+ * The recorder module is required from the CLI installation since it holds state for the whole dev server session
+ */
+function recorderPrelude(recordDirectory: string) {
+   const recorderPath = JSON.stringify(require.resolve('../recorder.cjs'));
+   const directory = JSON.stringify(path.resolve(recordDirectory));
+   return `const odinRecorder = require(${recorderPath}).createRecorder(${directory});\n`;
+}
+
 function standardProxyFile(proxyConfig: ProxyConfig) {
    return { content: JSON.stringify(proxyConfig), name: 'odin_proxy.json' };
 }
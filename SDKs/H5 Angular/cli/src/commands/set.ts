@@ -1,6 +1,6 @@
 import { Options as Config } from 'http-proxy-middleware';
 import { ProxyConfigMap } from 'webpack-dev-server';
-import { IOdinConfiguration, isValidProxyUrl, readConfig, removeSurroundingSlash, writeConfig } from '../utils.js';
+import { IOdinConfiguration, IOdinEnvironment, isValidProxyUrl, readConfig, removeSurroundingSlash, selectEnvironment, writeConfig } from '../utils.js';
 
 const isConfigurationObject = (obj?: string | Config): obj is Config => {
    return obj !== undefined && typeof obj !== 'string';
@@ -10,7 +10,7 @@ const isProxyConfigMap = (config?: object): config is ProxyConfigMap => {
    return config !== undefined && !Array.isArray(config);
 };
 
-const configureProxyEntry = (url: string, apiPath: string, config: IOdinConfiguration, rewritePath?: string) => {
+const configureProxyEntry = (url: string, apiPath: string, config: IOdinEnvironment, rewritePath?: string) => {
    const cleanUrl = removeSurroundingSlash(url);
    if (isProxyConfigMap(config.proxy)) {
       const proxyEntry = config.proxy[apiPath];
@@ -28,7 +28,7 @@ const configureProxyEntry = (url: string, apiPath: string, config: IOdinConfigur
    }
 };
 
-export const configureProxy = (url: string, config: IOdinConfiguration) => {
+export const configureProxy = (url: string, config: IOdinEnvironment) => {
    if (isValidProxyUrl(url)) {
       configureProxyEntry(url, '/m3api-rest', config);
       configureProxyEntry(url, '/mne', config);
@@ -38,7 +38,7 @@ export const configureProxy = (url: string, config: IOdinConfiguration) => {
    }
 };
 
-export const configureIonProxy = (fullUrl: string, config: IOdinConfiguration) => {
+export const configureIonProxy = (fullUrl: string, config: IOdinEnvironment) => {
    const match = fullUrl.match(/(^https?:\/\/[^\/]+)\/([^\/]+)$/);
    if (match !== null) {
       const [_, url, tenant] = match;
@@ -52,17 +52,20 @@ export const configureName = (name: string, config: IOdinConfiguration) => {
    config.projectName = name;
 };
 
-export const setConfiguration = (key: string, value: string) => {
+/**
+ * Set a configuration value. Proxy targets are set in the given or active environment, if any.
+ */
+export const setConfiguration = (key: string, value: string, environmentName?: string) => {
    const config = readConfig();
    switch (key) {
       case 'name':
          configureName(value, config);
          break;
       case 'm3-proxy':
-         configureProxy(value, config);
+         configureProxy(value, selectEnvironment(config, environmentName));
          break;
       case 'ion-proxy':
-         configureIonProxy(value, config);
+         configureIonProxy(value, selectEnvironment(config, environmentName));
          break;
       default:
          throw new Error(`Unknown configuration key '${key}'. Valid keys are: name, m3-proxy, ion-proxy`);
@@ -0,0 +1,94 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { isAngularProject } from '../utils.js';
+
+const DEFAULT_FILE = 'MVXCON';
+const SKIPPED_DIRECTORIES = ['node_modules', 'dist', '.angular', '.git'];
+
+export interface ITranslationExtractOptions {
+   /**
+    * Directory with the source code, relative to the project root. Defaults to src.
+    */
+   src?: string;
+   /**
+    * File to write the bundle to, relative to the project root. Defaults to src/assets/m3-translations.json in Angular
+    * projects and m3-translations.json in other projects.
+    */
+   out?: string;
+}
+
+export interface ITranslationBundleItem {
+   key: string;
+   file?: string;
+}
+
+/**
+ * Find the M3 constants that the source code translates, in the same format as ITranslationBundle in m3-odin, so that
+ * the application can translate all of them with one request when it starts (see TranslationCache.preload).
+ *
+ * Constants are found in `new TranslationItem('KEY', 'FILE')` calls, and in `{ key: 'KEY', file: 'FILE' }` object
+ * literals in files that call translate. Spec files are skipped.
+ *
+ * @returns The path of the bundle file
+ */
+export function extractTranslations(options: ITranslationExtractOptions): string {
+   const sourceDirectory = path.resolve(options.src || 'src');
+   if (!fs.existsSync(sourceDirectory)) {
+      throw new Error(`Could not find the source directory ${sourceDirectory}`);
+   }
+
+   const items = new Map<string, ITranslationBundleItem>();
+   for (const filePath of findSourceFiles(sourceDirectory)) {
+      for (const item of findTranslationItems(fs.readFileSync(filePath, 'utf8'))) {
+         items.set(`${item.file || DEFAULT_FILE}:${item.key}`, item);
+      }
+   }
+
+   const sorted = Array.from(items.keys()).sort().map(key => items.get(key) as ITranslationBundleItem);
+   const defaultPath = isAngularProject() ? path.join('src', 'assets', 'm3-translations.json') : 'm3-translations.json';
+   const outPath = path.resolve(options.out || defaultPath);
+   fs.ensureDirSync(path.dirname(outPath));
+   fs.writeJSONSync(outPath, { items: sorted }, { spaces: 3 });
+   console.log(`Found ${sorted.length} constants, wrote ${path.relative(process.cwd(), outPath)}`);
+   return outPath;
+}
+
+/**
+ * @returns The constants in the source code of one file
+ */
+export function findTranslationItems(source: string): ITranslationBundleItem[] {
+   const items: ITranslationBundleItem[] = [];
+   const add = (key: string, file?: string) => {
+      items.push(file && file !== DEFAULT_FILE ? { key, file } : { key });
+   };
+
+   const itemPattern = /new\s+TranslationItem\(\s*['"`](\w+)['"`]\s*(?:,\s*['"`](\w+)['"`]\s*)?\)/g;
+   for (const match of source.matchAll(itemPattern)) {
+      add(match[1], match[2]);
+   }
+
+   // Object literals are only read in files that translate, since key is a common property name
+   if (/\.translate\(|ITranslationItem|ITranslationRequest/.test(source)) {
+      const literalPattern = /\{[^{}]*\bkey\s*:\s*['"`](\w+)['"`][^{}]*\}/g;
+      for (const match of source.matchAll(literalPattern)) {
+         const file = /\bfile\s*:\s*['"`](\w+)['"`]/.exec(match[0]);
+         add(match[1], file ? file[1] : undefined);
+      }
+   }
+   return items;
+}
+
+function findSourceFiles(directory: string): string[] {
+   const files: string[] = [];
+   for (const entry of fs.readdirSync(directory, { withFileTypes: true })) {
+      const entryPath = path.join(directory, entry.name);
+      if (entry.isDirectory()) {
+         if (!SKIPPED_DIRECTORIES.includes(entry.name)) {
+            files.push(...findSourceFiles(entryPath));
+         }
+      } else if (/\.(ts|js)$/.test(entry.name) && !/\.spec\.(ts|js)$/.test(entry.name) && !entry.name.endsWith('.d.ts')) {
+         files.push(entryPath);
+      }
+   }
+   return files;
+}
@@ -0,0 +1,201 @@
+import fs from 'fs-extra';
+import { createRequire } from 'module';
+import path from 'path';
+import url from 'url';
+import { compareVersions, getCliVersion, readConfig } from '../utils.js';
+import { getBoilerplateDir } from './new.js';
+import { IMigrationContext, IProjectFiles, MIGRATIONS, syncWithBoilerplate } from './upgrade/migrations.js';
+
+const __dirname = url.fileURLToPath(new URL('.', import.meta.url));
+
+/**
+ * Lines of context around each change in the preview
+ */
+const DIFF_CONTEXT = 2;
+
+export interface IUpgradeChange {
+   /**
+    * Path relative to the project root
+    */
+   file: string;
+   /**
+    * Current content, undefined if the file is new
+    */
+   before?: string;
+   after: string;
+}
+
+export interface IUpgradePlan {
+   /**
+    * Version of the CLI that created or last upgraded the project. Undefined for projects created by versions that did
+    * not record it, which get all migrations.
+    */
+   fromVersion?: string;
+   toVersion: string;
+   /**
+    * Descriptions of the migrations that were applied
+    */
+   migrations: string[];
+   changes: IUpgradeChange[];
+   notes: string[];
+}
+
+/**
+ * Work out the changes that bring the project in the current working directory up to date with this version of the
+ * CLI, without writing anything.
+ */
+export function planUpgrade(): IUpgradePlan {
+   if (!fs.existsSync('odin.json')) {
+      throw new Error('Could not find an Odin configuration file.');
+   }
+   const original = readProjectFiles();
+   const project: IProjectFiles = JSON.parse(JSON.stringify(original));
+   const fromVersion = project.odinConfig.odinVersion;
+   const toVersion = getCliVersion();
+   if (fromVersion && compareVersions(fromVersion, toVersion) > 0) {
+      throw new Error(`The project was upgraded by odin ${fromVersion}, which is newer than this version (${toVersion})`);
+   }
+
+   const context = createContext(project);
+   const migrations = MIGRATIONS.filter(migration => !fromVersion || compareVersions(fromVersion, migration.version) < 0);
+   for (const migration of migrations) {
+      migration.migrate(project, context);
+   }
+   syncWithBoilerplate(project, context);
+   project.odinConfig.odinVersion = toVersion;
+
+   const changes: IUpgradeChange[] = [
+      jsonChange('odin.json', original.odinConfig, project.odinConfig),
+      jsonChange('package.json', original.packageJson, project.packageJson),
+      jsonChange('angular.json', original.angularJson, project.angularJson),
+      ...Object.keys(project.vscode).map(fileName => {
+         const file = path.join('.vscode', fileName);
+         const before = original.vscode[fileName];
+         return before === project.vscode[fileName] ? undefined : { file, before, after: project.vscode[fileName] };
+      }),
+   ].filter((change): change is IUpgradeChange => !!change);
+
+   return {
+      fromVersion,
+      toVersion,
+      migrations: migrations.map(migration => `${migration.version}: ${migration.description}`),
+      changes,
+      notes: [...new Set(context.notes)],
+   };
+}
+
+/**
+ * Print the migrations and a diff of each file that would change.
+ */
+export function printUpgradePlan(plan: IUpgradePlan) {
+   console.log(`Upgrading project from odin ${plan.fromVersion || 'an unknown version'} to ${plan.toVersion}`);
+   if (plan.migrations.length > 0) {
+      console.log('Migrations:');
+      plan.migrations.forEach(migration => console.log(`  ${migration}`));
+   }
+   if (plan.changes.length === 0) {
+      console.log('The project is up to date');
+      return;
+   }
+   for (const change of plan.changes) {
+      console.log(`\n${change.before === undefined ? 'Create' : 'Update'} ${change.file}`);
+      diffLines(change.before || '', change.after).forEach(line => console.log(line));
+   }
+   if (plan.notes.length > 0) {
+      console.log('\nAfter the upgrade:');
+      plan.notes.forEach(note => console.log(`  - ${note}`));
+   }
+}
+
+/**
+ * Write the changes of an upgrade plan.
+ */
+export function applyUpgrade(plan: IUpgradePlan) {
+   for (const change of plan.changes) {
+      fs.ensureDirSync(path.dirname(path.resolve(change.file)));
+      fs.writeFileSync(path.resolve(change.file), change.after);
+      console.log(`${change.before === undefined ? 'Created' : 'Updated'} ${change.file}`);
+   }
+}
+
+function readProjectFiles(): IProjectFiles {
+   const vscode: Record<string, string> = {};
+   if (fs.existsSync('.vscode')) {
+      for (const fileName of fs.readdirSync('.vscode')) {
+         if (fileName.endsWith('.json')) {
+            vscode[fileName] = fs.readFileSync(path.join('.vscode', fileName), 'utf8');
+         }
+      }
+   }
+   return {
+      odinConfig: readConfig(),
+      packageJson: fs.existsSync('package.json') ? fs.readJsonSync('package.json') : undefined,
+      angularJson: fs.existsSync('angular.json') ? fs.readJsonSync('angular.json') : undefined,
+      vscode,
+   };
+}
+
+function createContext(project: IProjectFiles): IMigrationContext {
+   const dependencies = { ...project.packageJson?.dependencies, ...project.packageJson?.devDependencies };
+   const style = dependencies['ids-enterprise-ng'] ? 'soho' : 'none';
+   return {
+      boilerplateDir: getBoilerplateDir(style, !!project.angularJson),
+      vscodeBoilerplateDir: path.resolve(__dirname, '../../boilerplate/vscode'),
+      odinConfigTemplate: readConfig(getBoilerplateDir('none')),
+      angularVersion: fs.readJsonSync(createRequire(import.meta.url).resolve('@angular/cli/package.json')).version,
+      notes: [],
+   };
+}
+
+/**
+ * A change to a JSON file, written with the indentation the file already has.
+ */
+function jsonChange(file: string, before: unknown, after: unknown): IUpgradeChange | undefined {
+   if (after === undefined || JSON.stringify(before) === JSON.stringify(after)) {
+      return undefined;
+   }
+   const content = fs.readFileSync(file, 'utf8');
+   const indentation = content.match(/^{\r?\n([ \t]+)"/)?.[1] || '   ';
+   return { file, before: content, after: `${JSON.stringify(after, null, indentation)}\n` };
+}
+
+/**
+ * A line based diff, with the removed lines prefixed with - and the added lines with +.
+ */
+function diffLines(before: string, after: string): string[] {
+   const oldLines = before ? before.replace(/\n$/, '').split('\n') : [];
+   const newLines = after.replace(/\n$/, '').split('\n');
+   // Longest common subsequence of the lines from each position to the end
+   const lengths: number[][] = Array.from({ length: oldLines.length + 1 }, () => new Array(newLines.length + 1).fill(0));
+   for (let i = oldLines.length - 1; i >= 0; i--) {
+      for (let j = newLines.length - 1; j >= 0; j--) {
+         lengths[i][j] = oldLines[i] === newLines[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+      }
+   }
+   const lines: { prefix: string, text: string }[] = [];
+   let i = 0;
+   let j = 0;
+   while (i < oldLines.length || j < newLines.length) {
+      if (i < oldLines.length && j < newLines.length && oldLines[i] === newLines[j]) {
+         lines.push({ prefix: ' ', text: oldLines[i++] });
+         j++;
+      } else if (i < oldLines.length && (j === newLines.length || lengths[i + 1][j] >= lengths[i][j + 1])) {
+         lines.push({ prefix: '-', text: oldLines[i++] });
+      } else {
+         lines.push({ prefix: '+', text: newLines[j++] });
+      }
+   }
+   // Only show the unchanged lines close to a change
+   const isShown = (index: number) => lines
+      .slice(Math.max(0, index - DIFF_CONTEXT), index + DIFF_CONTEXT + 1)
+      .some(line => line.prefix !== ' ');
+   const output: string[] = [];
+   lines.forEach((line, index) => {
+      if (isShown(index)) {
+         output.push(`${line.prefix} ${line.text}`);
+      } else if (output.length > 0 && output[output.length - 1] !== '  ...') {
+         output.push('  ...');
+      }
+   });
+   return output[output.length - 1] === '  ...' ? output.slice(0, -1) : output;
+}
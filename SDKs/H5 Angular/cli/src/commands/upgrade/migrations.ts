@@ -0,0 +1,228 @@
+import fs from 'fs-extra';
+import path from 'path';
+import { Options as ProxyOptions } from 'http-proxy-middleware';
+import { ProxyConfigMap } from 'webpack-dev-server';
+import { ANGULAR_BUILDER, compareVersions, IAngularBuildTarget, IAngularJson, IOdinConfiguration, IOdinEnvironment, IPackageJson, isValidProxyUrl, isVersionRange } from '../../utils.js';
+
+/**
+ * The files of a project that can be upgraded. JSON files are parsed, the VS Code files are kept as text since they
+ * may have comments.
+ */
+export interface IProjectFiles {
+   odinConfig: IOdinConfiguration;
+   packageJson?: IPackageJson;
+   angularJson?: IAngularJson;
+   /**
+    * Content of the files in .vscode, by file name
+    */
+   vscode: Record<string, string>;
+}
+
+export interface IMigrationContext {
+   /**
+    * Boilerplate directory of the project type, e.g boilerplate/angular-soho
+    */
+   boilerplateDir: string;
+   vscodeBoilerplateDir: string;
+   /**
+    * The odin.json that new projects start out with
+    */
+   odinConfigTemplate: IOdinConfiguration;
+   /**
+    * Version of the Angular CLI that odin serves and builds with
+    */
+   angularVersion: string;
+   /**
+    * Manual steps to show after the upgrade
+    */
+   notes: string[];
+}
+
+export interface IMigration {
+   /**
+    * CLI version that the migration was introduced in. It is applied to projects created or upgraded by older versions.
+    */
+   version: string;
+   description: string;
+   migrate(project: IProjectFiles, context: IMigrationContext): void;
+}
+
+const M3_PROXY_PATHS = ['/m3api-rest', '/mne', '/ca'];
+const DEPENDENCY_SECTIONS = ['dependencies', 'devDependencies'] as const;
+
+export const MIGRATIONS: IMigration[] = [
+   {
+      version: '7.0.0',
+      description: 'Update Angular dependencies to the version used by the Angular CLI of odin',
+      migrate: (project, context) => {
+         const major = context.angularVersion.split('.')[0];
+         let updated = false;
+         for (const section of DEPENDENCY_SECTIONS) {
+            const dependencies = project.packageJson?.[section] || {};
+            for (const name of Object.keys(dependencies)) {
+               const isAngularPackage = name.startsWith('@angular/') || name.startsWith('@angular-devkit/');
+               if (isAngularPackage && isVersionRange(dependencies[name]) && compareVersions(dependencies[name], major) < 0) {
+                  dependencies[name] = `^${context.angularVersion}`;
+                  updated = true;
+               }
+            }
+         }
+         if (updated) {
+            context.notes.push('Remove node_modules and package-lock.json, and run npm install to install the new Angular version');
+         }
+      },
+   },
+   {
+      version: '7.0.0',
+      description: `Build Angular projects with ${ANGULAR_BUILDER}, which 'odin serve' proxies through`,
+      migrate: project => {
+         for (const build of getBuildTargets(project.angularJson)) {
+            build.builder = ANGULAR_BUILDER;
+            // The browser builder expects "main", not "browser"
+            if (build.options?.browser) {
+               build.options = Object.fromEntries(Object.entries<unknown>(build.options)
+                  .filter(([key]) => key !== 'main')
+                  .map(([key, value]) => key === 'browser' ? ['main', build.options?.main || value] : [key, value]));
+            }
+         }
+      },
+   },
+   {
+      version: '7.2.0',
+      description: `Add m3Url to odin.json, used by 'odin login-cloud'`,
+      migrate: (project, context) => {
+         const config = project.odinConfig;
+         const target = M3_PROXY_PATHS.map(apiPath => getProxyTarget(config, apiPath)).find(candidate => !!candidate);
+         if (!config.m3Url && target && isValidProxyUrl(target)) {
+            config.m3Url = target;
+         }
+         if (!config.portalUrl) {
+            context.notes.push(`Set portalUrl in odin.json to the URL of the Infor OS portal to use 'odin login-cloud'`);
+         }
+      },
+   },
+   {
+      version: '7.2.0',
+      description: 'Add the /m3api-rest, /mne and /ca proxy entries that are missing from odin.json',
+      migrate: (project, context) => {
+         const templateProxy = context.odinConfigTemplate.proxy as ProxyConfigMap;
+         const environments: IOdinEnvironment[] = [project.odinConfig, ...Object.values(project.odinConfig.environments || {})];
+         for (const environment of environments) {
+            const proxy = environment.proxy as ProxyConfigMap | undefined;
+            if (!proxy || Array.isArray(proxy)) {
+               continue;
+            }
+            const target = M3_PROXY_PATHS.map(apiPath => getProxyTarget(environment, apiPath)).find(candidate => !!candidate);
+            if (!target) {
+               context.notes.push(`Run 'odin set m3-proxy <url>' to configure the M3 proxy`);
+               continue;
+            }
+            for (const apiPath of M3_PROXY_PATHS.filter(candidate => !proxy[candidate])) {
+               proxy[apiPath] = { ...(templateProxy[apiPath] as ProxyOptions), target };
+            }
+         }
+      },
+   },
+   {
+      version: '7.2.0',
+      description: 'Add the dependencies of the boilerplate that are missing from package.json',
+      migrate: (project, context) => {
+         const packageJson = project.packageJson;
+         if (!packageJson) {
+            return;
+         }
+         const boilerplatePackageJson: IPackageJson = fs.readJsonSync(path.join(context.boilerplateDir, 'package.json'));
+         for (const section of DEPENDENCY_SECTIONS) {
+            for (const [name, version] of Object.entries(boilerplatePackageJson[section] || {})) {
+               if (!DEPENDENCY_SECTIONS.some(candidate => packageJson[candidate]?.[name])) {
+                  packageJson[section] = { ...packageJson[section], [name]: version };
+               }
+            }
+         }
+      },
+   },
+   {
+      version: '7.2.0',
+      description: 'Add the assets, styles and scripts of the boilerplate that are missing from the Angular build options',
+      migrate: (project, context) => {
+         const angularBoilerplatePath = path.join(context.boilerplateDir, 'angular.json');
+         if (!project.angularJson || !fs.existsSync(angularBoilerplatePath)) {
+            return;
+         }
+         const boilerplateOptions = fs.readJsonSync(angularBoilerplatePath).projects.projectName.architect.build.options;
+         for (const build of getBuildTargets(project.angularJson)) {
+            const options = build.options = build.options || {};
+            for (const key of ['assets', 'styles', 'scripts']) {
+               const entries = (options[key] || []) as unknown[];
+               const missing = (boilerplateOptions[key] || []).filter((entry: unknown) =>
+                  !entries.some(existing => JSON.stringify(existing) === JSON.stringify(entry)));
+               options[key] = [...entries, ...missing];
+            }
+         }
+      },
+   },
+   {
+      version: '7.2.0',
+      description: 'Add the VS Code configuration files and settings of the boilerplate that are missing from .vscode',
+      migrate: (project, context) => {
+         for (const fileName of fs.readdirSync(context.vscodeBoilerplateDir)) {
+            const boilerplateContent = fs.readFileSync(path.join(context.vscodeBoilerplateDir, fileName), 'utf8');
+            const content = project.vscode[fileName];
+            if (content === undefined) {
+               project.vscode[fileName] = boilerplateContent;
+            } else if (fileName === 'settings.json') {
+               project.vscode[fileName] = mergeSettings(content, boilerplateContent);
+            }
+         }
+      },
+   },
+];
+
+/**
+ * Update the dependencies that the project has to the versions in the boilerplate of the current version. Unlike the
+ * migrations, this is done on every upgrade, so dependencies that the project does not have are not added.
+ */
+export function syncWithBoilerplate(project: IProjectFiles, context: IMigrationContext) {
+   const packageJson = project.packageJson;
+   if (!packageJson) {
+      return;
+   }
+   const boilerplatePackageJson: IPackageJson = fs.readJsonSync(path.join(context.boilerplateDir, 'package.json'));
+   for (const key of DEPENDENCY_SECTIONS) {
+      for (const [name, version] of Object.entries(boilerplatePackageJson[key] || {})) {
+         // Keep the dependency in the section where the project has it
+         const dependencies = DEPENDENCY_SECTIONS.map(section => packageJson[section]).find(candidate => !!candidate?.[name]);
+         // Tags, paths and URLs are chosen on purpose, and cannot be compared
+         if (dependencies && isVersionRange(dependencies[name]) && compareVersions(dependencies[name], version) < 0) {
+            dependencies[name] = version;
+         }
+      }
+   }
+}
+
+/**
+ * Add the settings that are missing from the project. Settings files with comments are left as they are.
+ */
+function mergeSettings(content: string, boilerplateContent: string): string {
+   try {
+      const settings = JSON.parse(content);
+      const missing = Object.entries(JSON.parse(boilerplateContent)).filter(([key]) => !(key in settings));
+      return missing.length === 0 ? content : `${JSON.stringify({ ...settings, ...Object.fromEntries(missing) }, null, 3)}\n`;
+   } catch {
+      return content;
+   }
+}
+
+/**
+ * The build targets of the applications in angular.json
+ */
+function getBuildTargets(angularJson?: IAngularJson): IAngularBuildTarget[] {
+   return Object.values(angularJson?.projects || {})
+      .filter(project => project.projectType !== 'library')
+      .flatMap(project => project.architect?.build ? [project.architect.build] : []);
+}
+
+function getProxyTarget(environment: IOdinEnvironment, apiPath: string): string | undefined {
+   const pathConfig = (environment.proxy as ProxyConfigMap | undefined)?.[apiPath];
+   return typeof pathConfig === 'object' && typeof pathConfig.target === 'string' ? pathConfig.target : undefined;
+}
@@ -0,0 +1,289 @@
+/**
+ * Credential store for tokens and cookies saved by 'odin login'. It is used by the multi-tenant proxy as well, so it must be
+ * a stand-alone module, with no 3rd party dependencies.
+ *
+ * Credentials are stored per project and tenant in the user's home directory, encrypted with a key that is only readable
+ * by the user.
+ */
+
+import * as crypto from 'crypto';
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+
+export interface Credentials {
+   tenant: string;
+   /**
+    * Value of the Authorization header for ION API requests, e.g 'Bearer abc'
+    */
+   authorizationHeader?: string;
+   /**
+    * Expiration of the authorization header (ms since epoch)
+    */
+   tokenExpiresAt?: number;
+   /**
+    * Refresh token for the authorization header, if the token endpoint issued one
+    */
+   refreshToken?: string;
+   /**
+    * The request that issued the token, used to renew it when there is no refresh token.
+    * Only set for non-interactive logins.
+    */
+   tokenRequest?: TokenRequest;
+   /**
+    * Value of the Cookie header for M3 (/mne) requests
+    */
+   cookieHeader?: string;
+   /**
+    * Expiration of the cookies (ms since epoch). Undefined for session cookies.
+    */
+   cookieExpiresAt?: number;
+   /**
+    * Time of the last update (ms since epoch)
+    */
+   updatedAt: number;
+}
+
+export interface CredentialStoreOptions {
+   projectRoot: string;
+   projectName: string;
+   /**
+    * Environment in odin.json. Each environment has its own credentials.
+    */
+   environment?: string;
+   /**
+    * Defaults to ~/.odin/credentials
+    */
+   storeRoot?: string;
+}
+
+/**
+ * An OAuth 2.0 token request, e.g a client credentials grant
+ */
+export interface TokenRequest {
+   url: string;
+   params: Record<string, string>;
+}
+
+export interface TokenResponse {
+   access_token: string;
+   token_type?: string;
+   expires_in?: number | string;
+   refresh_token?: string;
+}
+
+interface EncryptedFile {
+   version: 1;
+   iv: string;
+   tag: string;
+   data: string;
+}
+
+const ALGORITHM = 'aes-256-gcm';
+const ACTIVE_TENANT_FILE = 'active';
+
+export function isExpired(expiresAt?: number, now = Date.now()): boolean {
+   return expiresAt !== undefined && expiresAt <= now;
+}
+
+export class CredentialStore {
+   private readonly storeRoot: string;
+   private readonly directory: string;
+
+   constructor(options: CredentialStoreOptions) {
+      this.storeRoot = options.storeRoot || path.join(os.homedir(), '.odin', 'credentials');
+      const projectHash = crypto.createHash('sha256').update(path.resolve(options.projectRoot)).digest('hex').substring(0, 12);
+      const projectName = options.projectName.replace(/[^a-zA-Z0-9_-]/g, '_');
+      const environment = options.environment ? `-${options.environment.replace(/[^a-zA-Z0-9_-]/g, '_')}` : '';
+      this.directory = path.join(this.storeRoot, `${projectName}-${projectHash}${environment}`);
+   }
+
+   getDirectory(): string {
+      return this.directory;
+   }
+
+   getFile(tenant: string): string {
+      return path.join(this.directory, `${tenant.replace(/[^a-zA-Z0-9_-]/g, '_')}.json`);
+   }
+
+   /**
+    * The tenant that was most recently logged in to, or undefined if there are no credentials for the project
+    */
+   getActiveTenant(): string | undefined {
+      try {
+         return fs.readFileSync(path.join(this.directory, ACTIVE_TENANT_FILE)).toString().trim() || undefined;
+      } catch {
+         return undefined;
+      }
+   }
+
+   /**
+    * Time when the credentials for the tenant were last written, or 0 if there are none
+    */
+   getModifiedTime(tenant: string): number {
+      try {
+         return fs.statSync(this.getFile(tenant)).mtimeMs;
+      } catch {
+         return 0;
+      }
+   }
+
+   read(tenant = this.getActiveTenant()): Credentials | undefined {
+      if (!tenant) {
+         return undefined;
+      }
+      const filePath = this.getFile(tenant);
+      if (!fs.existsSync(filePath)) {
+         return undefined;
+      }
+      return this.readFile(filePath);
+   }
+
+   /**
+    * Merge the given values into the stored credentials for a tenant and, by default, make it the active tenant.
+    * Credentials that cannot be decrypted are replaced.
+    */
+   update(tenant: string, values: Partial<Credentials>, activate = true): Credentials {
+      let current: Credentials | undefined;
+      try {
+         current = this.read(tenant);
+      } catch {
+         // Not readable with the current key, or corrupted. The file is overwritten with the new values only.
+         current = undefined;
+      }
+      const credentials: Credentials = {
+         ...current,
+         ...values,
+         tenant: tenant,
+         updatedAt: Date.now(),
+      };
+      const iv = crypto.randomBytes(12);
+      const cipher = crypto.createCipheriv(ALGORITHM, this.getKey(), iv);
+      const data = Buffer.concat([cipher.update(JSON.stringify(credentials), 'utf8'), cipher.final()]);
+      const encrypted: EncryptedFile = {
+         version: 1,
+         iv: iv.toString('base64'),
+         tag: cipher.getAuthTag().toString('base64'),
+         data: data.toString('base64'),
+      };
+      fs.mkdirSync(this.directory, { recursive: true, mode: 0o700 });
+      fs.writeFileSync(this.getFile(tenant), JSON.stringify(encrypted), { mode: 0o600 });
+      if (activate) {
+         fs.writeFileSync(path.join(this.directory, ACTIVE_TENANT_FILE), tenant, { mode: 0o600 });
+      }
+      return credentials;
+   }
+
+   /**
+    * @returns The tenants that have stored credentials, as they were named when logging in
+    */
+   listTenants(): string[] {
+      if (!fs.existsSync(this.directory)) {
+         return [];
+      }
+      return fs.readdirSync(this.directory)
+         .filter(fileName => fileName.endsWith('.json'))
+         .map(fileName => {
+            try {
+               return this.readFile(path.join(this.directory, fileName)).tenant;
+            } catch {
+               // Not readable with the current key, the file name is the best we have
+               return fileName.replace(/\.json$/, '');
+            }
+         });
+   }
+
+   /**
+    * Remove the credentials for one tenant, or for all tenants of the project.
+    */
+   remove(tenant?: string) {
+      if (tenant) {
+         fs.rmSync(this.getFile(tenant), { force: true });
+         if (this.getActiveTenant() === tenant) {
+            fs.rmSync(path.join(this.directory, ACTIVE_TENANT_FILE), { force: true });
+         }
+      } else {
+         fs.rmSync(this.directory, { recursive: true, force: true });
+      }
+   }
+
+   private readFile(filePath: string): Credentials {
+      const encrypted: EncryptedFile = JSON.parse(fs.readFileSync(filePath).toString());
+      const decipher = crypto.createDecipheriv(ALGORITHM, this.getKey(), Buffer.from(encrypted.iv, 'base64'));
+      decipher.setAuthTag(Buffer.from(encrypted.tag, 'base64'));
+      const data = Buffer.concat([decipher.update(Buffer.from(encrypted.data, 'base64')), decipher.final()]);
+      return JSON.parse(data.toString('utf8'));
+   }
+
+   private getKey(): Buffer {
+      const keyPath = path.join(this.storeRoot, 'key');
+      if (!fs.existsSync(keyPath)) {
+         fs.mkdirSync(this.storeRoot, { recursive: true, mode: 0o700 });
+         fs.writeFileSync(keyPath, crypto.randomBytes(32).toString('base64'), { mode: 0o600, flag: 'wx' });
+      }
+      return Buffer.from(fs.readFileSync(keyPath).toString(), 'base64');
+   }
+}
+
+export async function requestToken(request: TokenRequest): Promise<TokenResponse> {
+   const response = await fetch(request.url, {
+      method: 'POST',
+      headers: {
+         'Content-Type': 'application/x-www-form-urlencoded',
+         'Accept': 'application/json',
+      },
+      body: new URLSearchParams(request.params).toString(),
+   });
+   const content = await response.text();
+   if (!response.ok) {
+      throw new Error(`Token request failed with status ${response.status}: ${content}`);
+   }
+   return JSON.parse(content);
+}
+
+/**
+ * Convert a token response to the credential values that should be stored.
+ */
+export function toTokenCredentials(token: TokenResponse, tokenRequest?: TokenRequest): Partial<Credentials> {
+   const expiresIn = Number(token.expires_in);
+   const values: Partial<Credentials> = {
+      authorizationHeader: `${token.token_type || 'Bearer'} ${token.access_token}`,
+      tokenExpiresAt: expiresIn > 0 ? Date.now() + expiresIn * 1000 : undefined,
+      tokenRequest: tokenRequest,
+   };
+   if (token.refresh_token) {
+      values.refreshToken = token.refresh_token;
+   }
+   return values;
+}
+
+/**
+ * Renew the token of a tenant with its refresh token, or by repeating the request that issued it.
+ */
+export async function renewToken(store: CredentialStore, tenant: string): Promise<Credentials> {
+   const credentials = store.read(tenant);
+   const tokenRequest = credentials?.tokenRequest;
+   if (!credentials || !tokenRequest) {
+      throw new Error(`The token for tenant '${tenant}' cannot be renewed. Run 'odin login' again.`);
+   }
+   let token: TokenResponse | undefined;
+   if (credentials.refreshToken) {
+      try {
+         token = await requestToken({
+            url: tokenRequest.url,
+            params: {
+               grant_type: 'refresh_token',
+               refresh_token: credentials.refreshToken,
+               client_id: tokenRequest.params.client_id,
+               client_secret: tokenRequest.params.client_secret,
+            },
+         });
+      } catch (error) {
+         console.log('Failed to use the refresh token, requesting a new token. ' + error);
+      }
+   }
+   if (!token) {
+      token = await requestToken(tokenRequest);
+   }
+   return store.update(tenant, toTokenCredentials(token, tokenRequest), false);
+}
@@ -1,13 +1,33 @@
 /**
  * This module is only to be used when serving projects together with the Multi-Tenant
  * proxy tool. It must be a stand-alone module, with no 3rd party dependencies (there will be no node_modules).
- * It contains some code that will be replaced at runtime.
+ * It contains some code that will be replaced at runtime, including the path to the credential store module.
  */
 
-import * as fs from 'fs';
 import { ClientRequest, IncomingMessage, ServerResponse } from 'http';
-import * as os from 'os';
-import * as path from 'path';
+import { CredentialStore, CredentialStoreOptions, Credentials, isExpired, renewToken } from './credentials.cjs';
+
+/**
+ * The credential store of the served project and the tenant to use.
+ */
+interface CredentialSource extends CredentialStoreOptions {
+   tenant?: string;
+}
+
+/**
+ * Renewable tokens are renewed this long before they expire
+ */
+const TOKEN_RENEWAL_MARGIN = 60000;
+
+/**
+ * Minimum time between attempts to renew a token, so that a failing token endpoint is not called for every request
+ */
+const TOKEN_RENEWAL_RETRY_DELAY = 30000;
+
+/**
+ * Replaced with the credential store options of the served project when the proxy configuration is generated
+ */
+declare const CREDENTIAL_SOURCE_PLACEHOLDER: CredentialSource;
 
 /**
  * Methods of this interface will be called by untyped JS. Be very careful when changing this interface, as TypeScript may not be aware of
@@ -41,16 +61,28 @@ class MultiTenantAuthenticator implements Authenticator {
    mneCookies = '';
    validCookies = false;
 
-   private projectRoot = os.tmpdir();
+   private store: CredentialStore;
+   private tenant?: string;
+   private cookiesModifiedTime = 0;
+   private tokenModifiedTime = 0;
+   private renewingToken = false;
+   private tokenRenewalAttemptedAt = 0;
+
+   constructor(source: CredentialSource) {
+      this.store = new CredentialStore(source);
+      this.tenant = source.tenant;
+   }
 
    setMNECookies(clientRequest: ClientRequest, incomingMessage: IncomingMessage, serverResponse: ServerResponse) {
-      if (!this.validCookies) {
-         console.log('Cookie header file must be read.');
-         const cookieString = this.readCookieHeaderFile();
-         console.log('Cookie = ' + cookieString);
-         if (cookieString) {
-            this.mneCookies = cookieString;
+      if (!this.validCookies || this.getCredentialsModifiedTime() !== this.cookiesModifiedTime) {
+         console.log('Cookie header must be read from the credential store.');
+         this.cookiesModifiedTime = this.getCredentialsModifiedTime();
+         const credentials = this.readCredentials();
+         if (credentials?.cookieHeader && !isExpired(credentials.cookieExpiresAt)) {
+            this.mneCookies = credentials.cookieHeader;
             this.validCookies = true;
+         } else {
+            console.log('The M3 session cookie is missing or has expired. Run "odin login" again.');
          }
       }
 
@@ -77,20 +109,23 @@ class MultiTenantAuthenticator implements Authenticator {
          clientRequest.removeHeader('fnd-csrf-token');
       }
       // END CSRF WORKAROUND
-      if (new Date() >= this.tokenExpirationTimestamp) {
-         console.log('Authorization header file must be read.');
-         const json = this.readAuthHeaderFile();
-         if (json) {
-            try {
-               this.tokenIONAPI = json.authorizationHeader;
-               this.tokenExpirationTimestamp = new Date(json.expirationTimestamp);
-               console.log('Header = ' + this.tokenIONAPI);
-               console.log('Expires = ' + this.tokenExpirationTimestamp);
-            } catch (error) {
-               console.log('Failed to access the ION API Token . ' + error);
-            }
-         } else {
-            console.log('The ION API Token is missing.');
+      if (new Date() >= this.tokenExpirationTimestamp || this.getCredentialsModifiedTime() !== this.tokenModifiedTime) {
+         console.log('Authorization header must be read from the credential store.');
+         this.tokenModifiedTime = this.getCredentialsModifiedTime();
+         const credentials = this.readCredentials();
+         const renewable = !!credentials?.tokenRequest;
+         if (credentials?.authorizationHeader && !isExpired(credentials.tokenExpiresAt)) {
+            this.tokenIONAPI = credentials.authorizationHeader;
+            // Tokens without expiration are read again after a minute, or when authentication fails.
+            // Renewable tokens are read again a bit before they expire, to renew them in time.
+            const expiresAt = credentials.tokenExpiresAt ?? Date.now() + 60000;
+            this.tokenExpirationTimestamp = new Date(renewable ? expiresAt - TOKEN_RENEWAL_MARGIN : expiresAt);
+            console.log('Expires = ' + new Date(expiresAt));
+         } else if (!renewable) {
+            console.log('The ION API Token is missing or has expired. Run "odin login" again.');
+         }
+         if (renewable && isExpired(credentials?.tokenExpiresAt, Date.now() + TOKEN_RENEWAL_MARGIN)) {
+            this.renewIONAPIToken();
          }
       }
       try {
@@ -104,7 +139,7 @@ class MultiTenantAuthenticator implements Authenticator {
       const authResponse = proxyResponse.headers['www-authenticate'];
       if (authResponse && authResponse.includes('error')) {
          console.log('ION API authentication failed ' + authResponse);
-         // Force update of reading tokenfile
+         // Force the token to be read from the credential store again
          this.tokenExpirationTimestamp = new Date();
          return false;
       }
@@ -116,42 +151,51 @@ class MultiTenantAuthenticator implements Authenticator {
       console.log(err);
    }
 
-   private readCookieHeaderFile() {
-      const filePath = path.resolve(this.projectRoot, 'cookieheader.json');
-      console.log('readCookieHeader: filepath: ' + filePath);
-      try {
-         return fs.readFileSync(filePath).toString();
-      } catch (error) {
-         console.log('The ION API Token file not found. ' + error);
-         return undefined;
+   /**
+    * Renew the token in the background. The credential store is updated when done, which makes the next request read it again.
+    */
+   private renewIONAPIToken() {
+      const tenant = this.tenant || this.store.getActiveTenant();
+      if (!tenant || this.renewingToken || Date.now() - this.tokenRenewalAttemptedAt < TOKEN_RENEWAL_RETRY_DELAY) {
+         return;
       }
+      console.log('Renewing the ION API Token');
+      this.renewingToken = true;
+      this.tokenRenewalAttemptedAt = Date.now();
+      renewToken(this.store, tenant)
+         .then(() => console.log('The ION API Token was renewed'))
+         .catch(error => console.log('Failed to renew the ION API Token. ' + error))
+         .finally(() => this.renewingToken = false);
+   }
+
+   /**
+    * Used to detect updated credentials, e.g when 'odin login' is run while the dev server is running
+    */
+   private getCredentialsModifiedTime(): number {
+      const tenant = this.tenant || this.store.getActiveTenant();
+      return tenant ? this.store.getModifiedTime(tenant) : 0;
    }
 
-   private readAuthHeaderFile() {
-      const filePath = path.resolve(this.projectRoot, 'authorizationheader.json');
+   private readCredentials(): Credentials | undefined {
+      const tenant = this.tenant || this.store.getActiveTenant();
+      if (!tenant) {
+         console.log('No credentials found for the project. Run "odin login" first.');
+         return undefined;
+      }
       try {
-         return this.readJsonFile(filePath);
+         return this.store.read(tenant);
       } catch (error) {
-         console.log('The ION API Token file not found. ' + error);
+         console.log('Failed to read credentials. ' + error);
          return undefined;
       }
    }
-
-   private readJsonFile(filePath: string) {
-      return JSON.parse(stripBom(fs.readFileSync(filePath)));
-
-      function stripBom(content: Buffer | string) {
-         if (Buffer.isBuffer(content)) {
-            content = content.toString('utf8');
-         }
-         content = content.replace(/^\uFEFF/, '');
-         return content;
-      }
-   }
 }
 
 // NOTE: This object is used by untyped generated code. Careful when modifying.
-const authenticator = new MultiTenantAuthenticator();
+const authenticator = new MultiTenantAuthenticator(CREDENTIAL_SOURCE_PLACEHOLDER);
+
+// The generated proxy hooks refer to the local name, the export only makes the usage visible
+export { authenticator };
 
 // @ts-ignore
 module.exports = CONFIG_PLACEHOLDER;
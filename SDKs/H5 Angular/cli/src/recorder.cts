@@ -0,0 +1,150 @@
+/**
+ * This module is only to be used when serving projects with the --record option. It is required by the generated
+ * proxy configuration, so it must be a stand-alone module, with no 3rd party dependencies.
+ */
+
+import * as fs from 'fs';
+import { ClientRequest, IncomingMessage } from 'http';
+import * as path from 'path';
+import * as zlib from 'zlib';
+
+/**
+ * A recorded request and response, stored as one JSON file per exchange.
+ */
+export interface Recording {
+   request: {
+      method: string;
+      url: string;
+      body?: string;
+   };
+   response: {
+      status: number;
+      contentType?: string;
+      body: string;
+      encoding: 'utf8' | 'base64';
+   };
+}
+
+/**
+ * Request parameters that change on every request and are ignored when matching recordings.
+ */
+const VOLATILE_PARAMETERS = ['_rid', 'RID'];
+
+/**
+ * Create a key that identifies a request, ignoring parameters that change on every request.
+ */
+export function recordingKey(method: string, url: string, body?: string): string {
+   const parsedUrl = new URL(url, 'http://localhost');
+   VOLATILE_PARAMETERS.forEach(name => parsedUrl.searchParams.delete(name));
+   let normalizedBody = body || '';
+   if (normalizedBody && !normalizedBody.trim().startsWith('{') && !normalizedBody.trim().startsWith('<')) {
+      const params = new URLSearchParams(normalizedBody);
+      VOLATILE_PARAMETERS.forEach(name => params.delete(name));
+      normalizedBody = params.toString();
+   }
+   return `${method.toUpperCase()} ${parsedUrl.pathname}${parsedUrl.search}\n${normalizedBody}`;
+}
+
+/**
+ * Read all recordings in a directory, in the order they were recorded.
+ */
+export function readRecordings(directory: string): Recording[] {
+   return fs.readdirSync(directory)
+      .filter(isRecordingFile)
+      .sort()
+      .map(fileName => JSON.parse(fs.readFileSync(path.join(directory, fileName)).toString()));
+}
+
+function isRecordingFile(fileName: string): boolean {
+   return /^\d+-.*\.json$/.test(fileName);
+}
+
+/**
+ * Methods of this class will be called by untyped JS. Be very careful when changing them, as TypeScript may not be aware of
+ * the usage.
+ */
+export class ProxyRecorder {
+   private counter: number;
+   private requestBodies = new WeakMap<IncomingMessage, Buffer[]>();
+
+   constructor(private directory: string) {
+      fs.mkdirSync(directory, { recursive: true });
+      this.counter = fs.readdirSync(directory).filter(isRecordingFile).length;
+      console.log('Recording proxied requests to ' + directory);
+   }
+
+   /**
+    * placeholder: ODIN_RECORD_REQUEST
+    */
+   onProxyReq(clientRequest: ClientRequest, incomingMessage: IncomingMessage) {
+      const chunks: Buffer[] = [];
+      this.requestBodies.set(incomingMessage, chunks);
+      incomingMessage.on('data', (chunk: Buffer) => chunks.push(chunk));
+   }
+
+   /**
+    * placeholder: ODIN_RECORD_RESPONSE
+    */
+   onProxyRes(proxyResponse: IncomingMessage, incomingMessage: IncomingMessage) {
+      const chunks: Buffer[] = [];
+      proxyResponse.on('data', (chunk: Buffer) => chunks.push(chunk));
+      proxyResponse.on('end', () => {
+         try {
+            this.save(incomingMessage, proxyResponse, Buffer.concat(chunks));
+         } catch (error) {
+            console.log('Failed to save recording. ' + error);
+         }
+      });
+   }
+
+   private save(incomingMessage: IncomingMessage, proxyResponse: IncomingMessage, content: Buffer) {
+      // originalUrl is set by express and is not affected by pathRewrite
+      const url: string = (incomingMessage as IncomingMessage & { originalUrl?: string }).originalUrl || incomingMessage.url || '/';
+      const requestChunks = this.requestBodies.get(incomingMessage) || [];
+      const requestBody = Buffer.concat(requestChunks).toString('utf8');
+      const contentType = proxyResponse.headers['content-type'];
+      const body = decode(content, proxyResponse.headers['content-encoding']);
+      const isText = !contentType || /json|xml|text|javascript/.test(contentType);
+      const recording: Recording = {
+         request: {
+            method: incomingMessage.method || 'GET',
+            url: url,
+            body: requestBody || undefined,
+         },
+         response: {
+            status: proxyResponse.statusCode || 200,
+            contentType: contentType,
+            body: body.toString(isText ? 'utf8' : 'base64'),
+            encoding: isText ? 'utf8' : 'base64',
+         },
+      };
+      const fileName = `${String(++this.counter).padStart(5, '0')}-${getLabel(url)}.json`;
+      fs.writeFileSync(path.join(this.directory, fileName), JSON.stringify(recording, null, 3));
+      console.log('Recorded ' + recording.request.method + ' ' + url + ' -> ' + fileName);
+   }
+}
+
+/**
+ * Create a short, file system safe label for an URL, e.g. 'MNS150MI_GetUserData'
+ */
+function getLabel(url: string): string {
+   const pathname = url.split('?')[0].split(';')[0];
+   return pathname.split('/').filter(Boolean).slice(-2).join('_').replace(/[^a-zA-Z0-9_-]/g, '_').substring(0, 60);
+}
+
+function decode(content: Buffer, contentEncoding?: string): Buffer {
+   switch (contentEncoding) {
+      case 'gzip':
+         return zlib.gunzipSync(content);
+      case 'deflate':
+         return zlib.inflateSync(content);
+      case 'br':
+         return zlib.brotliDecompressSync(content);
+      default:
+         return content;
+   }
+}
+
+export function createRecorder(directory: string): ProxyRecorder {
+   return new ProxyRecorder(directory);
+}
@@ -9,10 +9,72 @@ const __dirname = url.fileURLToPath(new URL('.', import.meta.url));
 
 type ISupportedAngularCommand = 'new' | 'serve' | 'build';
 
+/**
+ * Build builder of Angular projects. The application builder, default since Angular 17, has a different proxy
+ * mechanism that 'odin serve' does not support.
+ */
+export const ANGULAR_BUILDER = '@angular-devkit/build-angular:browser';
+
+/**
+ * Settings for one M3 environment, e.g a TST or PRD tenant. They replace the settings at the root of odin.json when the
+ * environment is used.
+ */
+export interface IOdinEnvironment {
+   m3Url?: string;
+   portalUrl?: string;
+   /**
+    * Path to the ION API configuration file used by 'odin login'
+    */
+   ionApiConfig?: string;
+   proxy?: Configuration['proxy'];
+}
+
 export interface IOdinConfiguration extends Configuration {
    projectName?: string;
    m3Url?: string;
    portalUrl?: string;
+   ionApiConfig?: string;
+   environments?: Record<string, IOdinEnvironment>;
+   /**
+    * Name of the environment in use. The settings at the root are used if not set.
+    */
+   activeEnvironment?: string;
+   /**
+    * Version of the CLI that created or last upgraded the project
+    */
+   odinVersion?: string;
+}
+
+/**
+ * The parts of package.json that are read by odin
+ */
+export interface IPackageJson {
+   version?: string;
+   dependencies?: Record<string, string>;
+   devDependencies?: Record<string, string>;
+}
+
+/**
+ * The parts of angular.json that are read by odin
+ */
+export interface IAngularJson {
+   projects?: Record<string, IAngularProject>;
+}
+
+export interface IAngularProject {
+   projectType?: string;
+   architect?: {
+      build?: IAngularBuildTarget;
+   };
+}
+
+export interface IAngularBuildTarget {
+   builder?: string;
+   options?: {
+      main?: string;
+      browser?: string;
+      [option: string]: unknown;
+   };
 }
 
 export const removeSurroundingSlash = (text: string): string => {
@@ -49,6 +111,39 @@ export const executeAngularCli = async (command: ISupportedAngularCommand, ...op
    });
 };
 
+export const getCliVersion = (): string => {
+   return fs.readJsonSync(path.resolve(__dirname, '../package.json')).version;
+};
+
+/**
+ * Compare two version numbers such as 7.2.0. Any range prefix like ^ or ~ is ignored.
+ *
+ * @returns A negative number if version is older than other, 0 if they are equal, else a positive number
+ */
+export const compareVersions = (version: string, other: string): number => {
+   const parts = version.replace(/^[^\d]*/, '').split('.').map(part => parseInt(part, 10) || 0);
+   const otherParts = other.replace(/^[^\d]*/, '').split('.').map(part => parseInt(part, 10) || 0);
+   for (let i = 0; i < Math.max(parts.length, otherParts.length); i++) {
+      const difference = (parts[i] || 0) - (otherParts[i] || 0);
+      if (difference !== 0) {
+         return difference;
+      }
+   }
+   return 0;
+};
+
+/**
+ * Check that a dependency is given as a version or version range, such as 7.2.0, ^7.2.0 or >=7 <8, which
+ * compareVersions can compare. Tags, paths and URLs, such as latest, file:, workspace: or git URLs, are not.
+ */
+export const isVersionRange = (spec: string): boolean => {
+   const comparator = /^(\^|~|[<>]=?|=)?v?\d+(\.(\d+|x|\*)){0,2}(-[0-9A-Za-z.-]+)?(\+[0-9A-Za-z.-]+)?$/;
+   return spec.split('||').every(range => {
+      const comparators = range.trim().split(/\s+/);
+      return comparators.every(part => comparator.test(part));
+   });
+};
+
 export const isAngularProject = (absolutePath?: string): boolean => {
    absolutePath = absolutePath || process.cwd();
    const parentPath = path.join(absolutePath, '../');
@@ -81,6 +176,37 @@ export const readConfig = (cwd?: string): IOdinConfiguration => {
    return fs.readJsonSync(configPath);
 };
 
+/**
+ * Get an environment from the configuration. Throws if it does not exist.
+ */
+export const getEnvironment = (config: IOdinConfiguration, name: string): IOdinEnvironment => {
+   const environment = config.environments?.[name];
+   if (!environment) {
+      throw new Error(`Environment '${name}' does not exist in odin.json. Run 'odin env list' to see the available environments.`);
+   }
+   return environment;
+};
+
+/**
+ * Get the configuration with the settings of an environment applied.
+ *
+ * @param name - Name of the environment. Defaults to the active environment.
+ */
+export const resolveEnvironment = (config: IOdinConfiguration, name = config.activeEnvironment): IOdinConfiguration => {
+   if (!name) {
+      return config;
+   }
+   return { ...config, ...getEnvironment(config, name), activeEnvironment: name };
+};
+
+/**
+ * Get the settings that changes should be written to: those of the given or active environment, or the root of the
+ * configuration if no environment is used.
+ */
+export const selectEnvironment = (config: IOdinConfiguration, name = config.activeEnvironment): IOdinEnvironment => {
+   return name ? getEnvironment(config, name) : config;
+};
+
 /**
 * Find, read and parse the Odin configuration file.
 * It should look for the file in the current working directory.
@@ -116,3 +242,39 @@ export const zip = async (sourceDir: string, destDir: string, name: string) => {
       archive.finalize();
    });
 };
+
+/**
+ * Lists the names of all entries in a zip archive by reading its central directory.
+ *
+ * @param zipPath - Path to the .zip file
+ */
+export const listZipEntries = (zipPath: string): string[] => {
+   const buffer = fs.readFileSync(zipPath);
+   const endOfCentralDirectorySize = 22;
+   let endOffset = -1;
+   // The end of central directory record is followed by a comment of at most 0xFFFF bytes
+   const minOffset = Math.max(0, buffer.length - endOfCentralDirectorySize - 0xFFFF);
+   for (let offset = buffer.length - endOfCentralDirectorySize; offset >= minOffset; offset--) {
+      if (buffer.readUInt32LE(offset) === 0x06054b50) {
+         endOffset = offset;
+         break;
+      }
+   }
+   if (endOffset < 0) {
+      throw new Error(`'${zipPath}' is not a valid zip file`);
+   }
+   const entryCount = buffer.readUInt16LE(endOffset + 10);
+   let offset = buffer.readUInt32LE(endOffset + 16);
+   const entries: string[] = [];
+   for (let i = 0; i < entryCount; i++) {
+      if (buffer.readUInt32LE(offset) !== 0x02014b50) {
+         throw new Error(`'${zipPath}' has a corrupt central directory`);
+      }
+      const nameLength = buffer.readUInt16LE(offset + 28);
+      const extraLength = buffer.readUInt16LE(offset + 30);
+      const commentLength = buffer.readUInt16LE(offset + 32);
+      entries.push(buffer.toString('utf8', offset + 46, offset + 46 + nameLength));
+      offset += 46 + nameLength + extraLength + commentLength;
+   }
+   return entries;
+};
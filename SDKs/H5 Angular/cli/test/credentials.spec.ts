@@ -0,0 +1,73 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { after, before, beforeEach, describe, it } from 'node:test';
+import { CredentialStore } from '../src/credentials.cjs';
+import { loginStatus } from '../src/commands/login/session.js';
+import { openCredentialStore } from '../src/commands/login/utils.js';
+
+describe('credential store', () => {
+   const tenant = 'TEST_TNT';
+   const log = console.log;
+   let projectRoot: string;
+   let store: CredentialStore;
+
+   const rotateKey = () => {
+      fs.rmSync(path.join(projectRoot, '.odin', 'credentials', 'key'));
+   };
+
+   before(() => {
+      projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'odin-credentials-'));
+      // Keep the credential store out of the real home directory
+      process.env.HOME = process.env.USERPROFILE = projectRoot;
+      process.chdir(projectRoot);
+      fs.writeFileSync('odin.json', JSON.stringify({ projectName: 'credentials-test' }));
+   });
+
+   beforeEach(() => {
+      store = openCredentialStore();
+      store.remove();
+   });
+
+   after(() => {
+      console.log = log;
+      process.chdir(os.tmpdir());
+      fs.rmSync(projectRoot, { recursive: true, force: true });
+   });
+
+   it('should merge updates into the stored credentials', () => {
+      store.update(tenant, { cookieHeader: 'JSESSIONID=1;' });
+      store.update(tenant, { authorizationHeader: 'Bearer 1' });
+
+      const credentials = store.read(tenant);
+      assert.equal(credentials?.cookieHeader, 'JSESSIONID=1;');
+      assert.equal(credentials?.authorizationHeader, 'Bearer 1');
+   });
+
+   it('should replace credentials that cannot be decrypted after the key has changed', () => {
+      store.update(tenant, { cookieHeader: 'JSESSIONID=1;' });
+      rotateKey();
+
+      assert.throws(() => store.read(tenant));
+      store.update(tenant, { authorizationHeader: 'Bearer 2' });
+
+      const credentials = store.read(tenant);
+      assert.equal(credentials?.cookieHeader, undefined);
+      assert.equal(credentials?.authorizationHeader, 'Bearer 2');
+   });
+
+   it('should report credentials that cannot be decrypted in the login status', () => {
+      store.update(tenant, { cookieHeader: 'JSESSIONID=1;' });
+      rotateKey();
+      const messages: string[] = [];
+      console.log = (message: string) => messages.push(message);
+      try {
+         loginStatus();
+      } finally {
+         console.log = log;
+      }
+
+      assert.ok(messages.includes(`${tenant}: The credentials could not be decrypted. Run "odin login" again.`));
+   });
+});
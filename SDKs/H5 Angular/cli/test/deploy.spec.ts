@@ -0,0 +1,85 @@
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { after, before, describe, it } from 'node:test';
+import url from 'node:url';
+import { deployProject } from '../src/commands/deploy.js';
+import { openCredentialStore } from '../src/commands/login/utils.js';
+import { startMockServer } from '../src/commands/mock.js';
+import { zip } from '../src/utils.js';
+
+const cliPath = url.fileURLToPath(new URL('../../../dist/cli.js', import.meta.url));
+
+describe('odin deploy', () => {
+   const abortController = new AbortController();
+   const projectName = 'deploy-test';
+   let projectRoot: string;
+   let mockUrl: string;
+
+   before(async () => {
+      projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'odin-deploy-'));
+      // Keep the credential store out of the real home directory
+      process.env.HOME = process.env.USERPROFILE = projectRoot;
+      process.chdir(projectRoot);
+
+      mockUrl = await startMockServer({ port: 0, fixtures: 'mock', signal: abortController.signal });
+      fs.writeFileSync('odin.json', JSON.stringify({ projectName: projectName, m3Url: mockUrl }));
+      fs.writeFileSync('package.json', JSON.stringify({ name: projectName, version: '1.0.0' }));
+      fs.mkdirSync(path.join('build', projectName), { recursive: true });
+      fs.writeFileSync(path.join('build', projectName, 'index.html'), '<html></html>');
+      await zip(path.join('build', projectName), 'dist', `${projectName}.zip`);
+   });
+
+   after(() => {
+      abortController.abort();
+      process.chdir(os.tmpdir());
+      fs.rmSync(projectRoot, { recursive: true, force: true });
+   });
+
+   it('should fail without an M3 session', async () => {
+      await assert.rejects(deployProject({ pollInterval: 0 }), /No valid M3 session cookie/);
+   });
+
+   it('should upload the package and wait until it is deployed', async () => {
+      openCredentialStore().update('TEST_TNT', { cookieHeader: 'JSESSIONID=mock;' });
+      const requests: string[] = [];
+      const messages: string[] = [];
+      const fetch = globalThis.fetch;
+      const log = console.log;
+      globalThis.fetch = (input, init) => {
+         requests.push(`${init?.method || 'GET'} ${input}`);
+         return fetch(input, init);
+      };
+      console.log = (message: string) => messages.push(message);
+      try {
+         await deployProject({ pollInterval: 0 });
+         await deployProject({ pollInterval: 0 });
+      } finally {
+         globalThis.fetch = fetch;
+         console.log = log;
+      }
+
+      assert.deepEqual(requests.slice(0, 3), [
+         `POST ${mockUrl}/mne/apps`,
+         `GET ${mockUrl}/mne/apps/${projectName}`,
+         `GET ${mockUrl}/mne/apps/${projectName}`,
+      ]);
+      assert.ok(messages.includes('Waiting for the package to be deployed'));
+      assert.ok(messages.includes(`Deployed '${projectName}' version 1`));
+      assert.ok(messages.includes(`Deployed '${projectName}' version 2`));
+   });
+
+   it('should exit with an error code if the package is invalid', async () => {
+      const result = await new Promise<{ exitCode: number, stderr: string }>(resolvePromise => {
+         execFile(process.execPath, [cliPath, 'deploy', '--file', 'missing.zip'], { cwd: projectRoot }, (error, _stdout, stderr) => {
+            resolvePromise({ exitCode: error ? error.code as number : 0, stderr: stderr });
+         });
+      });
+
+      assert.equal(result.exitCode, 1);
+      assert.match(result.stderr, /does not exist/);
+      assert.match(result.stderr, /Deploy failed/);
+   });
+});
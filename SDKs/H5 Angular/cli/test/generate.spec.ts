@@ -0,0 +1,87 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { after, before, describe, it } from 'node:test';
+import { generate } from '../src/commands/generate.js';
+
+describe('odin generate', () => {
+   const log = console.log;
+   let projectRoot: string;
+
+   const record = (properties: object) => ({
+      schema: { properties: { results: { items: { properties: { records: { items: { properties: properties } } } } } } },
+   });
+
+   before(() => {
+      projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'odin-generate-'));
+      process.chdir(projectRoot);
+      fs.writeFileSync('angular.json', '{}');
+      // Same shape as m3_mi_catalog.json in the SDK: programs and transactions, without fields
+      fs.writeFileSync('mi-catalog.json', JSON.stringify([{
+         name: 'MHS850MI',
+         description: 'Order initiated stock transaction interface',
+         transactions: [
+            { name: 'GetWhsHead', description: 'Get Warehouse Integration Header' },
+            { name: 'LstWhsLine', description: 'List Warehouse Integration Line' },
+         ],
+      }]));
+      fs.mkdirSync('apis');
+      fs.writeFileSync(path.join('apis', 'MHS850MI.json'), JSON.stringify({
+         swagger: '2.0',
+         basePath: '/TENANT/M3/m3api-rest/v2/execute/MHS850MI',
+         paths: {
+            '/GetWhsHead': {
+               get: {
+                  parameters: [{ required: true, in: 'query', type: 'string', name: 'MSGN', description: 'Message number(15)' }],
+                  responses: { '200': record({ WHLO: { type: 'string', description: 'Warehouse(3)' } }) },
+               },
+            },
+            '/LstWhsLine': {
+               get: {
+                  parameters: [
+                     { required: false, in: 'query', type: 'number', name: 'maxrecs', description: 'Max records' },
+                     { required: true, in: 'query', type: 'string', name: 'MSGN', description: 'Message number(15)' },
+                  ],
+                  responses: {
+                     '200': record({
+                        ITNO: { type: 'string', description: 'Item number(15)' },
+                        QTYP: { type: 'string', format: 'numeric', description: 'Quantity Picked(17)' },
+                     }),
+                  },
+               },
+            },
+         },
+      }));
+      console.log = () => undefined;
+   });
+
+   after(() => {
+      console.log = log;
+      process.chdir(os.tmpdir());
+      fs.rmSync(projectRoot, { recursive: true, force: true });
+   });
+
+   it('should read the fields from the Swagger file of the program', () => {
+      generate('mi-service', { transaction: 'MHS850MI/LstWhsLine', swagger: ['apis'] });
+
+      const service = fs.readFileSync(path.join('src', 'app', 'mhs850mi-lst-whs-line.service.ts'), 'utf8');
+      assert.match(service, /^ {3}MSGN: string;$/m);
+      assert.match(service, /^ {3}QTYP: string;$/m);
+      assert.match(service, /Observable<IMhs850miLstWhsLineOutput\[\]>/);
+      assert.match(service, /outputFields: \['ITNO', 'QTYP'\],/);
+      assert.doesNotMatch(service, /\[name: string\]: any/);
+   });
+
+   it('should generate a datagrid page for a list transaction with the fields from the Swagger file', () => {
+      const paths = generate('datagrid-page', { transaction: 'MHS850MI/LstWhsLine', swagger: [path.join('apis', 'MHS850MI.json')] });
+
+      assert.equal(paths.length, 5);
+      const component = fs.readFileSync(path.join('src', 'app', 'mhs850mi-lst-whs-line', 'mhs850mi-lst-whs-line.component.ts'), 'utf8');
+      assert.match(component, /field: 'QTYP', name: 'Quantity Picked'/);
+   });
+
+   it('should not generate a page for a transaction without fields', () => {
+      assert.throws(() => generate('detail-form', { transaction: 'MHS850MI/GetWhsHead' }), /Use --swagger/);
+   });
+});
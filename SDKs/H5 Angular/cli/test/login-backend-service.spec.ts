@@ -0,0 +1,142 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { after, before, beforeEach, describe, it } from 'node:test';
+import { loginBackendService } from '../src/commands/login/login-backend-service.js';
+import { openCredentialStore, readRenewedCredentials } from '../src/commands/login/utils.js';
+import { startMockServer } from '../src/commands/mock.js';
+
+describe('odin login --backend-service', () => {
+   const abortController = new AbortController();
+   const tenant = 'TEST_TNT';
+   const log = console.log;
+   let projectRoot: string;
+   let mockUrl: string;
+
+   const writeIonApiConfig = (values: object = {}) => {
+      const config = {
+         ti: tenant,
+         cn: 'odin-test',
+         ci: 'odin-test-client',
+         cs: 'odin-test-secret',
+         iu: 'https://mingle-ionapi.example.com',
+         pu: `${mockUrl}/${tenant}/as/`,
+         oa: 'authorization.oauth2',
+         ot: 'token.oauth2',
+         ...values,
+      };
+      fs.writeFileSync('ionapi.json', JSON.stringify(config));
+      return 'ionapi.json';
+   };
+
+   before(async () => {
+      projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'odin-login-'));
+      // Keep the credential store out of the real home directory
+      process.env.HOME = process.env.USERPROFILE = projectRoot;
+      process.chdir(projectRoot);
+      fs.writeFileSync('odin.json', JSON.stringify({ projectName: 'login-test' }));
+      console.log = () => undefined;
+      mockUrl = await startMockServer({ port: 0, fixtures: '.', signal: abortController.signal });
+   });
+
+   beforeEach(() => {
+      openCredentialStore().remove();
+   });
+
+   after(() => {
+      console.log = log;
+      abortController.abort();
+      process.chdir(os.tmpdir());
+      fs.rmSync(projectRoot, { recursive: true, force: true });
+   });
+
+   it('should get a token with the client credentials grant', async () => {
+      await loginBackendService({ ionApiConfig: writeIonApiConfig() });
+
+      const credentials = openCredentialStore().read(tenant);
+      assert.match(credentials?.authorizationHeader || '', /^Bearer odin-mock-access-token-\d+$/);
+      assert.ok((credentials?.tokenExpiresAt || 0) > Date.now());
+      assert.equal(credentials?.refreshToken, undefined);
+      assert.equal(credentials?.tokenRequest?.url, `${mockUrl}/${tenant}/as/token.oauth2`);
+      assert.equal(credentials?.tokenRequest?.params.grant_type, 'client_credentials');
+   });
+
+   it('should get a token with the service account keys', async () => {
+      await loginBackendService({ ionApiConfig: writeIonApiConfig({ saak: 'access-key', sask: 'secret-key' }) });
+
+      const credentials = openCredentialStore().read(tenant);
+      assert.match(credentials?.authorizationHeader || '', /^Bearer odin-mock-access-token-\d+$/);
+      assert.match(credentials?.refreshToken || '', /^odin-mock-refresh-token-\d+$/);
+      assert.deepEqual(credentials?.tokenRequest?.params, {
+         client_id: 'odin-test-client',
+         client_secret: 'odin-test-secret',
+         grant_type: 'password',
+         username: 'access-key',
+         password: 'secret-key',
+      });
+   });
+
+   it('should exchange a SAML assertion for a token', async () => {
+      const assertion = '<saml2:Assertion>odin</saml2:Assertion>';
+      fs.writeFileSync('assertion.xml', assertion);
+
+      await loginBackendService({ ionApiConfig: writeIonApiConfig(), samlAssertion: 'assertion.xml' });
+
+      const credentials = openCredentialStore().read(tenant);
+      assert.match(credentials?.authorizationHeader || '', /^Bearer odin-mock-access-token-\d+$/);
+      assert.equal(credentials?.tokenRequest?.params.grant_type, 'urn:ietf:params:oauth:grant-type:saml2-bearer');
+      assert.equal(credentials?.tokenRequest?.params.assertion, Buffer.from(assertion).toString('base64url'));
+   });
+
+   it('should fail without a client secret', async () => {
+      await assert.rejects(loginBackendService({ ionApiConfig: writeIonApiConfig({ cs: '' }) }), /has no client secret/);
+      assert.equal(openCredentialStore().read(tenant), undefined);
+   });
+
+   it('should renew an expired token with the refresh token', async () => {
+      await loginBackendService({ ionApiConfig: writeIonApiConfig({ saak: 'access-key', sask: 'secret-key' }) });
+      const expired = openCredentialStore().update(tenant, { tokenExpiresAt: Date.now() - 1000 });
+      const grantTypes: (string | null)[] = [];
+      const fetch = globalThis.fetch;
+      globalThis.fetch = (input, init) => {
+         grantTypes.push(new URLSearchParams(init?.body as string).get('grant_type'));
+         return fetch(input, init);
+      };
+
+      let renewed;
+      try {
+         renewed = await readRenewedCredentials();
+      } finally {
+         globalThis.fetch = fetch;
+      }
+
+      assert.deepEqual(grantTypes, ['refresh_token']);
+      assert.ok(renewed?.authorizationHeader);
+      assert.notEqual(renewed.authorizationHeader, expired.authorizationHeader);
+      assert.notEqual(renewed.refreshToken, expired.refreshToken);
+      assert.ok((renewed.tokenExpiresAt || 0) > Date.now());
+      assert.deepEqual(renewed.tokenRequest, expired.tokenRequest);
+   });
+
+   it('should renew an expired token by repeating the token request', async () => {
+      await loginBackendService({ ionApiConfig: writeIonApiConfig() });
+      const expired = openCredentialStore().update(tenant, { tokenExpiresAt: Date.now() - 1000 });
+
+      const renewed = await readRenewedCredentials();
+
+      assert.ok(renewed?.authorizationHeader);
+      assert.notEqual(renewed.authorizationHeader, expired.authorizationHeader);
+      assert.equal(renewed.refreshToken, undefined);
+      assert.ok((renewed.tokenExpiresAt || 0) > Date.now());
+   });
+
+   it('should not renew a token that has not expired', async () => {
+      await loginBackendService({ ionApiConfig: writeIonApiConfig() });
+      const credentials = openCredentialStore().read(tenant);
+
+      const current = await readRenewedCredentials();
+
+      assert.equal(current?.authorizationHeader, credentials?.authorizationHeader);
+   });
+});
@@ -0,0 +1,81 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { after, before, describe, it } from 'node:test';
+import { startMockServer } from '../src/commands/mock.js';
+
+describe('odin mock', () => {
+   const abortController = new AbortController();
+   const log = console.log;
+   let fixtureRoot: string;
+   let mockUrl: string;
+
+   before(async () => {
+      fixtureRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'odin-mock-'));
+      fs.mkdirSync(path.join(fixtureRoot, 'ca'));
+      fs.mkdirSync(path.join(fixtureRoot, 'ca-other'));
+      fs.writeFileSync(path.join(fixtureRoot, 'ca', 'file.json'), '{}');
+      fs.writeFileSync(path.join(fixtureRoot, 'ca-other', 'secret.json'), '{}');
+      console.log = () => undefined;
+      mockUrl = await startMockServer({ port: 0, fixtures: fixtureRoot, signal: abortController.signal });
+   });
+
+   after(() => {
+      console.log = log;
+      abortController.abort();
+      fs.rmSync(fixtureRoot, { recursive: true, force: true });
+   });
+
+   it('should serve files from the ca fixture directory', async () => {
+      const response = await fetch(`${mockUrl}/ca/file.json`);
+
+      assert.equal(response.status, 200);
+      assert.equal(response.headers.get('content-type'), 'application/json');
+   });
+
+   it('should not serve files outside the ca fixture directory', async () => {
+      for (const filePath of ['..%2Fca-other/secret.json', '..%2F..%2Fca-other/secret.json']) {
+         const response = await fetch(`${mockUrl}/ca/${filePath}`);
+
+         assert.equal(response.status, 404, filePath);
+      }
+   });
+
+   it('should keep the deployed versions of each server apart', async () => {
+      const otherAbortController = new AbortController();
+      const otherMockUrl = await startMockServer({ port: 0, fixtures: fixtureRoot, signal: otherAbortController.signal });
+      const deploy = async (url: string) => {
+         const body = new FormData();
+         body.append('name', 'mock-test');
+         await fetch(`${url}/mne/apps`, { method: 'POST', body: body });
+         // The first status request reports the upload as in progress
+         await fetch(`${url}/mne/apps/mock-test`);
+         return (await fetch(`${url}/mne/apps/mock-test`)).json();
+      };
+      try {
+         assert.deepEqual(await deploy(mockUrl), { name: 'mock-test', version: '1' });
+         assert.deepEqual(await deploy(mockUrl), { name: 'mock-test', version: '2' });
+         assert.deepEqual(await deploy(otherMockUrl), { name: 'mock-test', version: '1' });
+      } finally {
+         otherAbortController.abort();
+      }
+   });
+
+   it('should count the issued tokens of each server apart', async () => {
+      const otherAbortController = new AbortController();
+      const otherMockUrl = await startMockServer({ port: 0, fixtures: fixtureRoot, signal: otherAbortController.signal });
+      const requestToken = async (url: string) => {
+         const body = new URLSearchParams({ grant_type: 'client_credentials', client_id: 'id', client_secret: 'secret' });
+         const response = await fetch(`${url}/TEST_TNT/as/token.oauth2`, { method: 'POST', body: body });
+         return (await response.json()).access_token;
+      };
+      try {
+         assert.equal(await requestToken(mockUrl), 'odin-mock-access-token-1');
+         assert.equal(await requestToken(mockUrl), 'odin-mock-access-token-2');
+         assert.equal(await requestToken(otherMockUrl), 'odin-mock-access-token-1');
+      } finally {
+         otherAbortController.abort();
+      }
+   });
+});
@@ -0,0 +1,63 @@
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { after, before, describe, it } from 'node:test';
+import url from 'node:url';
+
+const cliPath = url.fileURLToPath(new URL('../../../dist/cli.js', import.meta.url));
+
+describe('odin upgrade', () => {
+   let projectRoot: string;
+
+   const writeProject = (odinVersion: string) => {
+      const proxy = { target: 'https://m3.example.com', secure: false, changeOrigin: true };
+      fs.writeFileSync('odin.json', JSON.stringify({
+         projectName: 'upgrade-test',
+         m3Url: 'https://m3.example.com',
+         portalUrl: 'https://portal.example.com',
+         proxy: { '/m3api-rest': proxy, '/mne': proxy, '/ca': proxy },
+         odinVersion: odinVersion,
+      }, null, 3));
+      // The project has removed rxjs and the CLI, which the boilerplate has
+      fs.writeFileSync('package.json', JSON.stringify({
+         name: 'upgrade-test',
+         devDependencies: { '@infor-up/m3-odin': '7.0.0', 'typescript': '~5.2.2' },
+      }, null, 3));
+   };
+
+   const planUpgrade = () => new Promise<string[]>((resolvePromise, rejectPromise) => {
+      execFile(process.execPath, [cliPath, 'upgrade', '--dry-run'], { cwd: projectRoot }, (error, stdout) => {
+         return error ? rejectPromise(error) : resolvePromise(stdout.split(/\r?\n/));
+      });
+   });
+
+   before(() => {
+      projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'odin-upgrade-'));
+      process.chdir(projectRoot);
+   });
+
+   after(() => {
+      process.chdir(os.tmpdir());
+      fs.rmSync(projectRoot, { recursive: true, force: true });
+   });
+
+   it('should update the dependencies of a project without adding the ones it has removed', async () => {
+      writeProject('7.2.0');
+
+      const lines = await planUpgrade();
+      assert.deepEqual(lines.filter(line => /^(Create|Update) /.test(line)), ['Update package.json']);
+      assert.ok(lines.includes('-       "@infor-up/m3-odin": "7.0.0",'));
+      assert.ok(lines.includes('+       "@infor-up/m3-odin": "7.2.0",'));
+      assert.ok(!lines.some(line => line.includes('rxjs')));
+   });
+
+   it('should add the boilerplate dependencies and VS Code files to a project from an earlier version', async () => {
+      writeProject('7.1.0');
+
+      const lines = await planUpgrade();
+      assert.ok(lines.includes(`Create ${path.join('.vscode', 'settings.json')}`));
+      assert.ok(lines.some(line => /^\+ +"rxjs": /.test(line)));
+   });
+});
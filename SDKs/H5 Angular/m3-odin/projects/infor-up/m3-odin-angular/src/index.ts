@@ -1,4 +1,5 @@
 
+export { IPanelKeyEvent, IPanelOptionEvent, IPanelValueChange, PanelComponent } from './lib/panel';
 export { DatePipe } from './lib/pipes';
-export { ApplicationService, FormService, IIonApiConfig, IonApiConfig, IonApiService, MIService, UserService } from './lib/service';
+export { ApplicationService, FormService, HttpInterceptors, IIonApiConfig, IonApiConfig, IonApiService, MIInterceptors, MIService, UserService } from './lib/service';
 export { M3OdinModule } from './lib/service.module';
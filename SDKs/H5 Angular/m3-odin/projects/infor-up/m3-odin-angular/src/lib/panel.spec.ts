@@ -0,0 +1,280 @@
+import { CommonModule } from '@angular/common';
+import { SimpleChange } from '@angular/core';
+import { TestBed } from '@angular/core/testing';
+import {
+   Button, CheckBox, ControlType, FormControl, FormSession, GroupBox, IFormSessionError, IFormSessionResult, Label, List, ListRow, Log,
+   Option, Panel, Position, TextBox
+} from '@infor-up/m3-odin';
+import { of, throwError } from 'rxjs';
+import { IPanelKeyEvent, IPanelOptionEvent, PanelComponent } from './panel';
+
+describe('PanelComponent', () => {
+   let component: PanelComponent;
+
+   const setPosition = <T extends FormControl>(control: T, top: number, left: number, width: number): T => {
+      control.position = Object.assign(new Position(), { top: top, left: left, width: width, height: 1 });
+      control.isVisible = true;
+      control.isEnabled = true;
+      return control;
+   };
+
+   const createLabel = (name: string, value: string, top: number, left: number, width: number): Label => {
+      const label = setPosition(new Label(), top, left, width);
+      label.name = name;
+      label.value = value;
+      return label;
+   };
+
+   const createTextBox = (name: string, value: string, top: number, left: number, width: number): TextBox => {
+      const textBox = setPosition(new TextBox(), top, left, width);
+      textBox.id = 'id-' + name;
+      textBox.name = name;
+      textBox.value = value;
+      return textBox;
+   };
+
+   const createPanel = (controls: FormControl[]): Panel => {
+      const panel = new Panel();
+      panel.header = 'Item. Open';
+      for (const control of controls) {
+         panel.controlList.push(control);
+         panel.controls[control.name] = control;
+      }
+      return panel;
+   };
+
+   const createItemPanel = (): Panel => {
+      const description = createTextBox('WWITDS', 'Bolt', 2, 16, 30);
+      description.isEnabled = false;
+      return createPanel([
+         createLabel('L1', 'Item number', 1, 1, 14),
+         createTextBox('W1ITNO', '', 1, 16, 15),
+         createLabel('L2', 'Description', 2, 1, 14),
+         description,
+         createLabel('L3', 'Status', 2, 48, 10),
+         createTextBox('W1STAT', '20', 2, 60, 2)
+      ]);
+   };
+
+   const createSession = (result: IFormSessionResult): FormSession => {
+      const session = {} as FormSession;
+      session.setValue = jasmine.createSpy('setValue').and.returnValue(session);
+      session.pressKey = jasmine.createSpy('pressKey').and.returnValue(of(result));
+      session.listOption = jasmine.createSpy('listOption').and.returnValue(of(result));
+      return session;
+   };
+
+   const setPanel = (panel: Panel) => {
+      component.panel = panel;
+      component.ngOnChanges({ panel: new SimpleChange(null, panel, true) });
+   };
+
+   beforeEach(() => {
+      component = new PanelComponent();
+      spyOn(Log, 'error');
+   });
+
+   it('should lay out controls on the grid', () => {
+      setPanel(createItemPanel());
+
+      expect(component.rows.length).toBe(2);
+      expect(component.rows[0].cells.map(cell => cell.columns)).toEqual(['five columns']);
+      expect(component.rows[0].cells[0].control.name).toBe('W1ITNO');
+      expect(component.rows[0].cells[0].label.value).toBe('Item number');
+      expect(component.rows[1].cells.map(cell => cell.columns)).toEqual(['seven columns', 'two columns']);
+      expect(component.rows[1].cells.map(cell => cell.control.name)).toEqual(['WWITDS', 'W1STAT']);
+   });
+
+   it('should keep the columns of the panel aligned', () => {
+      setPanel(createPanel([
+         createLabel('L1', 'Warehouse', 3, 48, 10),
+         createTextBox('W1WHLO', '100', 3, 60, 3)
+      ]));
+
+      expect(component.rows[0].cells.map(cell => cell.columns)).toEqual(['seven columns', 'two columns']);
+      expect(component.rows[0].cells[0].control).toBeUndefined();
+   });
+
+   it('should place labels, buttons and group boxes', () => {
+      const groupBox = setPosition(new GroupBox(), 1, 1, 78);
+      groupBox.name = 'GRP';
+      groupBox.value = 'Basic';
+      const button = setPosition(new Button(), 2, 1, 10);
+      button.name = 'BTN';
+      setPanel(createPanel([groupBox, createLabel('L1', 'Text', 2, 20, 10), button]));
+
+      expect(component.rows.length).toBe(2);
+      expect(component.rows[0].cells.map(cell => cell.columns)).toEqual(['twelve columns']);
+      expect(component.rows[1].cells.map(cell => cell.control.type)).toEqual([ControlType.button, ControlType.label]);
+   });
+
+   it('should not place hidden and special controls', () => {
+      const hidden = createTextBox('W1HIDE', '', 1, 1, 10);
+      hidden.isVisible = false;
+      const special = createTextBox('W1SPEC', '', 1, 20, 10);
+      special.isSpecial = true;
+      setPanel(createPanel([hidden, special]));
+
+      expect(component.rows).toEqual([]);
+   });
+
+   it('should set values', () => {
+      const panel = createItemPanel();
+      setPanel(panel);
+      const valuesChange = spyOn(component.valuesChange, 'emit');
+      const valueChange = spyOn(component.valueChange, 'emit');
+
+      component.setValue(panel.getControl('W1ITNO'), 'A100');
+
+      expect(panel.getValue('W1ITNO')).toBe('A100');
+      expect(component.values).toEqual({ W1ITNO: 'A100' });
+      expect(valueChange).toHaveBeenCalledWith({ name: 'W1ITNO', value: 'A100' });
+      expect(valuesChange).toHaveBeenCalledWith({ W1ITNO: 'A100' });
+   });
+
+   it('should write bound values to the panel', () => {
+      const panel = createItemPanel();
+      component.values = { W1ITNO: 'B200', XXXX: '1' };
+      setPanel(panel);
+
+      expect(panel.getValue('W1ITNO')).toBe('B200');
+   });
+
+   it('should set check box values', () => {
+      const checkBox = setPosition(new CheckBox(), 1, 1, 1);
+      checkBox.name = 'W1CHCK';
+      setPanel(createPanel([checkBox]));
+
+      component.setValue(checkBox, '1');
+
+      expect(checkBox.isChecked).toBe(true);
+   });
+
+   it('should make fields read-only', () => {
+      const panel = createItemPanel();
+      setPanel(panel);
+
+      expect(component.isReadOnly(panel.getControl('W1ITNO'))).toBe(false);
+      expect(component.isReadOnly(panel.getControl('WWITDS'))).toBe(true);
+
+      component.readOnly = true;
+      expect(component.isReadOnly(panel.getControl('W1ITNO'))).toBe(true);
+   });
+
+   it('should not press ENTER if a mandatory field is empty', () => {
+      const panel = createItemPanel();
+      const session = createSession({ panel: panel, message: null, isClosed: false, response: null });
+      component.session = session;
+      component.mandatoryFields = ['W1ITNO'];
+      setPanel(panel);
+
+      component.pressKey('ENTER');
+      expect(session.pressKey).not.toHaveBeenCalled();
+      expect(component.getMissingFields()).toEqual(['W1ITNO']);
+      expect(component.isMissing(panel.getControl('W1ITNO'))).toBe(true);
+
+      component.pressKey('F3');
+      expect(session.pressKey).toHaveBeenCalledWith('F3');
+   });
+
+   it('should press keys in the session', () => {
+      const panel = createItemPanel();
+      const nextPanel = createItemPanel();
+      const session = createSession({ panel: nextPanel, message: null, isClosed: false, response: null });
+      component.session = session;
+      setPanel(panel);
+      const keys: IPanelKeyEvent[] = [];
+      component.functionKey.subscribe((event: IPanelKeyEvent) => keys.push(event));
+      const panelChange = spyOn(component.panelChange, 'emit');
+      let result: IFormSessionResult;
+      component.result.subscribe((value: IFormSessionResult) => result = value);
+
+      component.setValue(panel.getControl('W1ITNO'), 'A100');
+      component.pressKey('ENTER');
+
+      expect(keys).toEqual([{ key: 'ENTER', values: { W1ITNO: 'A100' } }]);
+      expect(session.setValue).toHaveBeenCalledWith('W1ITNO', 'A100');
+      expect(session.pressKey).toHaveBeenCalledWith('ENTER');
+      expect(component.panel).toBe(nextPanel);
+      expect(component.values).toEqual({});
+      expect(panelChange).toHaveBeenCalledWith(nextPanel);
+      expect(result.panel).toBe(nextPanel);
+   });
+
+   it('should press the key of a button', () => {
+      const button = setPosition(new Button(), 1, 1, 10);
+      button.name = 'BTN';
+      button.command = 'KEY';
+      button.commandValue = 'F4';
+      setPanel(createPanel([button]));
+      spyOn(component, 'pressKey');
+
+      component.onButton(button);
+
+      expect(component.pressKey).toHaveBeenCalledWith('F4');
+   });
+
+   it('should run options for the selected row', () => {
+      const panel = createItemPanel();
+      panel.list = new List();
+      const row = new ListRow();
+      row.name = 'R2';
+      panel.list.items = [new ListRow(), row];
+      panel.basicOptions = [Object.assign(new Option(), { value: '5', text: 'Display' })];
+      panel.relatedOptions = [Object.assign(new Option(), { value: '11', text: 'Lines' })];
+      const session = createSession({ panel: panel, message: null, isClosed: false, response: null });
+      component.session = session;
+      setPanel(panel);
+      const options: IPanelOptionEvent[] = [];
+      component.option.subscribe((event: IPanelOptionEvent) => options.push(event));
+
+      expect(component.options.map(option => option.value)).toEqual(['5', '11']);
+
+      component.runOption('5');
+      expect(session.listOption).not.toHaveBeenCalled();
+
+      component.selectedRow = row;
+      component.runOption('5');
+      expect(options).toEqual([{ option: '5', row: row, values: {} }]);
+      expect(session.listOption).toHaveBeenCalledWith(row, '5');
+   });
+
+   it('should emit errors from the session', () => {
+      const panel = createItemPanel();
+      const sessionError: IFormSessionError = { errorType: 'RequestFailed', message: 'Failed' };
+      const session = createSession(null);
+      (session.pressKey as jasmine.Spy).and.returnValue(throwError(() => sessionError));
+      component.session = session;
+      setPanel(panel);
+      let error: IFormSessionError;
+      component.error.subscribe((value: IFormSessionError) => error = value);
+
+      component.pressKey('F5');
+
+      expect(error).toBe(sessionError);
+      expect(Log.error).toHaveBeenCalledWith('[PanelComponent] Failed to execute F5', sessionError);
+      expect(component.isBusy).toBe(false);
+      expect(component.panel).toBe(panel);
+   });
+
+   it('should render the panel', () => {
+      TestBed.configureTestingModule({
+         imports: [CommonModule],
+         declarations: [PanelComponent]
+      });
+      const fixture = TestBed.createComponent(PanelComponent);
+      fixture.componentInstance.panel = createItemPanel();
+      fixture.componentInstance.mandatoryFields = ['W1ITNO'];
+      fixture.componentInstance.ngOnChanges({ panel: new SimpleChange(null, fixture.componentInstance.panel, true) });
+      fixture.detectChanges();
+
+      const element: HTMLElement = fixture.nativeElement;
+      const inputs = element.querySelectorAll('input');
+      expect(element.querySelectorAll('.row').length).toBe(2);
+      expect(inputs.length).toBe(3);
+      expect(inputs[1].readOnly).toBe(true);
+      expect(inputs[1].value).toBe('Bolt');
+      expect(element.querySelector('label.required').textContent).toBe('Item number');
+      expect(element.querySelectorAll('.buttonset button').length).toBe(4);
+   });
+});
@@ -0,0 +1,521 @@
+import { Component, EventEmitter, Input, OnChanges, Output, SimpleChanges } from '@angular/core';
+import { Observable } from 'rxjs';
+import {
+   Button, CheckBox, ComboBox, ComboBoxItem, ControlType, CoreBase, DatePicker, FormControl, FormSession, FunctionKey, IFormSessionError,
+   IFormSessionResult, Label, ListRow, Option, Panel, TextBox
+} from '@infor-up/m3-odin';
+
+/**
+ * Represents a change of a field value in a {@link PanelComponent}.
+ *
+ * @since 7.3.0
+ */
+export interface IPanelValueChange {
+   /**
+    * Gets the name of the field, for example W1ITNO.
+    */
+   name: string;
+
+   /**
+    * Gets the new value.
+    */
+   value: string;
+}
+
+/**
+ * Represents a function key that has been pressed in a {@link PanelComponent}.
+ *
+ * @since 7.3.0
+ */
+export interface IPanelKeyEvent {
+   /**
+    * Gets the key, for example ENTER, F3 or F12.
+    */
+   key: string;
+
+   /**
+    * Gets the field values that have been changed on the panel.
+    */
+   values: { [name: string]: string };
+}
+
+/**
+ * Represents a list option that has been selected in a {@link PanelComponent}.
+ *
+ * @since 7.3.0
+ */
+export interface IPanelOptionEvent {
+   /**
+    * Gets the option, for example 5.
+    */
+   option: string;
+
+   /**
+    * Gets the selected list row.
+    */
+   row: ListRow;
+
+   /**
+    * Gets the field values that have been changed on the panel.
+    */
+   values: { [name: string]: string };
+}
+
+interface IPanelCell {
+   columns: string;
+   control?: FormControl;
+   label?: Label;
+   additionalInfo?: Label;
+}
+
+interface IPanelRow {
+   cells: IPanelCell[];
+}
+
+interface IPanelItem extends IPanelCell {
+   top: number;
+   left: number;
+   right: number;
+}
+
+function createFunctionKey(key: string, text: string): FunctionKey {
+   const functionKey = new FunctionKey();
+   functionKey.key = key;
+   functionKey.text = text;
+   return functionKey;
+}
+
+/**
+ * Renders an M3 panel as a SoHo form.
+ *
+ * ```typescript
+ * import { PanelComponent } from '@infor-up/m3-odin-angular';
+ * ```
+ *
+ * The controls are laid out on the SoHo grid from their positions on the panel. Each line on the panel is a row, and the
+ * 12 columns of the row are mapped to the width of the panel. Fields that are not enabled are read-only, and fields in
+ * {@link mandatoryFields} must have a value before ENTER is pressed or an option is selected.
+ *
+ * Field values are written to the controls on the panel when they are changed. The changed values are available with
+ * two-way binding to {@link values}, and are sent with the next function key or list option.
+ *
+ * When a {@link session} is set, function keys and list options are executed in the session with the form service, and
+ * the component shows the next panel. Without a session, the events can be handled by the application, for instance by
+ * calling {@link IFormService.executeCommand}.
+ *
+ * **Example**
+ * ```html
+ * <m3-panel [session]="session" [(panel)]="panel" [(values)]="values" [mandatoryFields]="['W1ITNO']"
+ *    (result)="onResult($event)" (error)="onError($event)"></m3-panel>
+ * ```
+ *
+ * @since 7.3.0
+ */
+@Component({
+   selector: 'm3-panel',
+   template: `
+      <ng-container *ngIf="panel">
+         <h2 class="fieldset-title" *ngIf="panel.header">{{panel.header}}</h2>
+         <div class="row" *ngFor="let row of rows">
+            <div *ngFor="let cell of row.cells" [ngClass]="cell.columns">
+               <ng-container *ngIf="cell.control" [ngSwitch]="cell.control.type">
+                  <h3 class="fieldset-title" *ngSwitchCase="types.groupBox">{{cell.control.value}}</h3>
+                  <div class="field" *ngSwitchCase="types.label"><span class="data">{{cell.control.value}}</span></div>
+                  <div class="field" *ngSwitchCase="types.button">
+                     <button type="button" class="btn-secondary" [disabled]="isReadOnly(cell.control)"
+                        (click)="onButton(cell.control)">{{cell.control.value}}</button>
+                  </div>
+                  <div class="field" *ngSwitchCase="types.checkBox">
+                     <input type="checkbox" class="checkbox" [id]="cell.control.id" [checked]="cell.control.value === '1'"
+                        [disabled]="isReadOnly(cell.control)" (change)="setValue(cell.control, $any($event.target).checked ? '1' : '0')">
+                     <label class="checkbox-label" [attr.for]="cell.control.id">{{cell.label?.value}}</label>
+                  </div>
+                  <div class="field" *ngSwitchCase="types.comboBox">
+                     <label [attr.for]="cell.control.id" [class.required]="isMandatory(cell.control)">{{cell.label?.value}}</label>
+                     <select [id]="cell.control.id" [disabled]="isReadOnly(cell.control)" [class.error]="isMissing(cell.control)"
+                        (change)="setValue(cell.control, $any($event.target).value)">
+                        <option *ngFor="let item of getItems(cell.control)" [value]="item.value"
+                           [selected]="item.value === cell.control.value">{{item.text}}</option>
+                     </select>
+                     <span class="data" *ngIf="cell.additionalInfo">{{cell.additionalInfo.value}}</span>
+                  </div>
+                  <div class="field" *ngSwitchDefault>
+                     <label [attr.for]="cell.control.id" [class.required]="isMandatory(cell.control)">{{cell.label?.value}}</label>
+                     <input type="text" [id]="cell.control.id" [value]="cell.control.value || ''" [readonly]="isReadOnly(cell.control)"
+                        [attr.maxlength]="getMaxLength(cell.control)" [attr.placeholder]="getPlaceholder(cell.control)"
+                        [attr.aria-required]="isMandatory(cell.control)" [class.error]="isMissing(cell.control)"
+                        [style.text-align]="isRightAligned(cell.control) ? 'right' : null"
+                        (input)="onInput(cell.control, $event)" (keydown.enter)="pressKey('ENTER')">
+                     <span class="data" *ngIf="cell.additionalInfo">{{cell.additionalInfo.value}}</span>
+                  </div>
+               </ng-container>
+            </div>
+         </div>
+         <div class="row" *ngIf="panel.list">
+            <div class="twelve columns">
+               <div class="field" *ngIf="options.length">
+                  <label [attr.for]="optionsId">Option</label>
+                  <select [id]="optionsId" [disabled]="!selectedRow || readOnly" (change)="onOption($any($event.target))">
+                     <option value=""></option>
+                     <option *ngFor="let option of options" [value]="option.value">{{option.text}}</option>
+                  </select>
+               </div>
+               <table class="m3-panel-list">
+                  <thead>
+                     <tr><th *ngFor="let column of panel.list.columns">{{column.header}}</th></tr>
+                  </thead>
+                  <tbody>
+                     <tr *ngFor="let row of panel.list.items" [class.is-selected]="row === selectedRow" (click)="selectedRow = row">
+                        <td *ngFor="let cell of row.items; let i = index"
+                           [style.text-align]="panel.list.columns[i]?.isRight ? 'right' : null">{{cell.text}}</td>
+                     </tr>
+                  </tbody>
+               </table>
+            </div>
+         </div>
+         <div class="buttonset" *ngIf="!panel.hideCommandBar">
+            <button type="button" class="btn-secondary" *ngFor="let functionKey of functionKeys" [disabled]="isBusy"
+               (click)="pressKey(functionKey.key)">{{functionKey.text}}</button>
+         </div>
+      </ng-container>
+   `,
+   styles: [`
+      .m3-panel-list { width: 100%; border-collapse: collapse; }
+      .m3-panel-list th, .m3-panel-list td { padding: 4px 8px; text-align: left; white-space: nowrap; }
+      .m3-panel-list tbody tr { cursor: pointer; }
+      .m3-panel-list tr.is-selected { background-color: rgba(0, 114, 237, 0.1); }
+   `]
+})
+export class PanelComponent extends CoreBase implements OnChanges {
+   /**
+    * Gets the default function keys.
+    */
+   public static defaultFunctionKeys: FunctionKey[] = [
+      createFunctionKey('ENTER', 'Next'),
+      createFunctionKey('F5', 'Refresh'),
+      createFunctionKey('F12', 'Cancel'),
+      createFunctionKey('F3', 'Close')
+   ];
+
+   private static columnNames = ['one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten', 'eleven', 'twelve'];
+   private static gridColumns = 12;
+   private static panelWidth = 80;
+   private static idCounter = 0;
+
+   /**
+    * Sets the panel to render.
+    */
+   @Input() panel: Panel;
+
+   /**
+    * Sets the session that executes function keys and list options. The panel is replaced with the next panel in the session.
+    */
+   @Input() session: FormSession;
+
+   /**
+    * Sets the values of the fields that have been changed. The values are written to the controls on the panel.
+    */
+   @Input() values: { [name: string]: string } = {};
+
+   /**
+    * Sets the names of the fields that must have a value.
+    */
+   @Input() mandatoryFields: string[] = [];
+
+   /**
+    * Sets the function keys shown below the panel. The function keys are not included in the panel so the default keys
+    * are ENTER, F5, F12 and F3.
+    */
+   @Input() functionKeys: FunctionKey[] = PanelComponent.defaultFunctionKeys;
+
+   /**
+    * Sets a value that indicates if all fields are read-only.
+    */
+   @Input() readOnly = false;
+
+   /**
+    * Emitted when the panel is replaced with the next panel in the session.
+    */
+   @Output() panelChange = new EventEmitter<Panel>();
+
+   /**
+    * Emitted when the changed values are changed.
+    */
+   @Output() valuesChange = new EventEmitter<{ [name: string]: string }>();
+
+   /**
+    * Emitted when a field value is changed.
+    */
+   @Output() valueChange = new EventEmitter<IPanelValueChange>();
+
+   /**
+    * Emitted when a function key is pressed, before the key is executed in the session.
+    */
+   @Output() functionKey = new EventEmitter<IPanelKeyEvent>();
+
+   /**
+    * Emitted when a list option is selected, before the option is executed in the session.
+    */
+   @Output() option = new EventEmitter<IPanelOptionEvent>();
+
+   /**
+    * Emitted with the result of a function key or list option in the session.
+    */
+   @Output() result = new EventEmitter<IFormSessionResult>();
+
+   /**
+    * Emitted when a function key or list option fails in the session.
+    */
+   @Output() error = new EventEmitter<IFormSessionError>();
+
+   rows: IPanelRow[] = [];
+   options: Option[] = [];
+   selectedRow: ListRow = null;
+   isBusy = false;
+   types = ControlType;
+   optionsId = 'm3-panel-options-' + ++PanelComponent.idCounter;
+
+   private isValidated = false;
+
+   constructor() {
+      super('PanelComponent');
+   }
+
+   ngOnChanges(changes: SimpleChanges): void {
+      if (changes['panel']) {
+         this.updatePanel();
+      }
+      if ((changes['panel'] || changes['values']) && this.panel && this.values) {
+         for (const name of Object.keys(this.values)) {
+            const control = this.panel.getControl(name);
+            if (control) {
+               control.value = this.values[name];
+            }
+         }
+      }
+   }
+
+   /**
+    * Sets the value of a field on the panel.
+    * @param control The control.
+    * @param value The value.
+    */
+   setValue(control: FormControl, value: string): void {
+      control.value = value;
+      if (control instanceof CheckBox) {
+         control.isChecked = value === '1';
+      }
+      this.values = { ...this.values, [control.name]: value };
+      this.valueChange.emit({ name: control.name, value: value });
+      this.valuesChange.emit(this.values);
+   }
+
+   /**
+    * Presses a function key. ENTER is not pressed if a mandatory field is empty.
+    * @param key The key, for example ENTER, F3 or F12.
+    */
+   pressKey(key: string): void {
+      if (this.isBusy || (key === 'ENTER' && !this.validate())) {
+         return;
+      }
+
+      this.functionKey.emit({ key: key, values: this.values });
+      if (this.session) {
+         this.execute(this.setSessionValues().pressKey(key), key);
+      }
+   }
+
+   /**
+    * Runs an option for the selected list row.
+    * @param option The option, for example 5.
+    */
+   runOption(option: string): void {
+      const row = this.selectedRow;
+      if (this.isBusy || !row || !this.validate()) {
+         return;
+      }
+
+      this.option.emit({ option: option, row: row, values: this.values });
+      if (this.session) {
+         this.execute(this.setSessionValues().listOption(row, option), 'option ' + option);
+      }
+   }
+
+   /**
+    * Gets the mandatory fields that are empty.
+    * @returns The names of the mandatory fields that are empty.
+    */
+   getMissingFields(): string[] {
+      return (this.mandatoryFields || []).filter(name => {
+         const control = this.panel && this.panel.getControl(name);
+         return control && control.isVisible !== false && !(control.value || '').trim();
+      });
+   }
+
+   isReadOnly(control: FormControl): boolean {
+      return this.readOnly || this.isBusy || !control.isEnabled;
+   }
+
+   isMandatory(control: FormControl): boolean {
+      return (this.mandatoryFields || []).indexOf(control.name) >= 0;
+   }
+
+   isMissing(control: FormControl): boolean {
+      return this.isValidated && this.isMandatory(control) && !(control.value || '').trim();
+   }
+
+   isRightAligned(control: FormControl): boolean {
+      return (control as TextBox).isRightAligned || !!(control.constraint && control.constraint.isNumeric);
+   }
+
+   getMaxLength(control: FormControl): number {
+      return control.constraint && control.constraint.maxLength > 0 ? control.constraint.maxLength : null;
+   }
+
+   getPlaceholder(control: FormControl): string {
+      return control instanceof DatePicker && !control.hideDateFormat ? control.dateFormat : null;
+   }
+
+   getItems(control: FormControl): ComboBoxItem[] {
+      return (control as ComboBox).items || [];
+   }
+
+   onInput(control: FormControl, event: Event): void {
+      const input = event.target as HTMLInputElement;
+      if (control.constraint && control.constraint.isUpper && input.value !== input.value.toUpperCase()) {
+         input.value = input.value.toUpperCase();
+      }
+      this.setValue(control, input.value);
+   }
+
+   onButton(control: FormControl): void {
+      const button = control as Button;
+      if (button.command === 'KEY' && button.commandValue) {
+         this.pressKey(button.commandValue);
+      } else {
+         this.logWarning('onButton: The command ' + button.command + ' is not supported for ' + button.name);
+      }
+   }
+
+   onOption(select: HTMLSelectElement): void {
+      const option = select.value;
+      select.value = '';
+      if (option) {
+         this.runOption(option);
+      }
+   }
+
+   private validate(): boolean {
+      this.isValidated = true;
+      const missing = this.getMissingFields();
+      if (missing.length) {
+         this.logDebug('validate: Mandatory fields are empty: ' + missing.join(', '));
+      }
+      return !missing.length;
+   }
+
+   private setSessionValues(): FormSession {
+      const values = this.values || {};
+      for (const name of Object.keys(values)) {
+         this.session.setValue(name, values[name]);
+      }
+      return this.session;
+   }
+
+   private execute(action: Observable<IFormSessionResult>, name: string): void {
+      this.isBusy = true;
+      action.subscribe((result: IFormSessionResult) => {
+         this.isBusy = false;
+         if (result.panel !== this.panel) {
+            this.panel = result.panel;
+            this.values = {};
+            this.updatePanel();
+            this.panelChange.emit(this.panel);
+            this.valuesChange.emit(this.values);
+         }
+         this.result.emit(result);
+      }, (error: IFormSessionError) => {
+         this.isBusy = false;
+         this.logError('Failed to execute ' + name, error);
+         this.error.emit(error);
+      });
+   }
+
+   private updatePanel(): void {
+      const panel = this.panel;
+      this.selectedRow = null;
+      this.isValidated = false;
+      this.rows = panel ? this.createRows(panel) : [];
+      this.options = panel ? [...(panel.basicOptions || []), ...(panel.relatedOptions || [])] : [];
+   }
+
+   private createRows(panel: Panel): IPanelRow[] {
+      const controls = panel.controlList.filter(control => control.isVisible !== false && !control.isSpecial && control.position);
+      const usedLabels: FormControl[] = [];
+      const items: IPanelItem[] = [];
+
+      // Fields are placed with their labels and additional info, so those labels are not placed on their own
+      for (const control of controls) {
+         if (control.type === ControlType.textBox || control.type === ControlType.datePicker || control.type === ControlType.checkBox ||
+            control.type === ControlType.comboBox) {
+            const info = panel.getControlInfo(control.name);
+            const label = info && info.label;
+            const additionalInfo = info && info.additionalInfo;
+            usedLabels.push(label, additionalInfo);
+
+            const left = label && label.getTop() === control.getTop() ? label.getLeft() : control.getLeft();
+            const right = additionalInfo ? additionalInfo.getLeft() + additionalInfo.getWidth() : control.getLeft() + control.getWidth();
+            items.push({
+               columns: null, control: control, label: label, additionalInfo: additionalInfo,
+               top: control.getTop(), left: left, right: right
+            });
+         }
+      }
+
+      for (const control of controls) {
+         if ((control.type === ControlType.label && usedLabels.indexOf(control) < 0) || control.type === ControlType.button ||
+            control.type === ControlType.groupBox) {
+            // Group boxes are placed as headings across the row
+            const right = control.type === ControlType.groupBox ? Number.MAX_VALUE : control.getLeft() + control.getWidth();
+            items.push({ columns: null, control: control, top: control.getTop(), left: control.getLeft(), right: right });
+         }
+      }
+
+      const widths = items.filter(item => item.right !== Number.MAX_VALUE).map(item => item.right - 1);
+      const panelWidth = Math.max(PanelComponent.panelWidth, ...widths);
+      items.sort((a, b) => a.top - b.top || a.left - b.left);
+
+      const rows: IPanelRow[] = [];
+      let top = -1;
+      let column = 0;
+      for (const item of items) {
+         if (item.top !== top || item.control.type === ControlType.groupBox) {
+            rows.push({ cells: [] });
+            top = item.top;
+            column = 0;
+         }
+
+         const cells = rows[rows.length - 1].cells;
+         const start = Math.min(Math.floor((item.left - 1) * PanelComponent.gridColumns / panelWidth), PanelComponent.gridColumns - 1);
+         if (start > column) {
+            // Keep the columns of the panel aligned
+            cells.push({ columns: this.getColumns(start - column) });
+            column = start;
+         }
+
+         const width = Math.round((Math.min(item.right, panelWidth + 1) - item.left) * PanelComponent.gridColumns / panelWidth);
+         const span = Math.max(1, Math.min(width, PanelComponent.gridColumns - column));
+         item.columns = this.getColumns(span);
+         cells.push({ columns: item.columns, control: item.control, label: item.label, additionalInfo: item.additionalInfo });
+         column += span;
+         if (item.control.type === ControlType.groupBox) {
+            top = -1;
+         }
+      }
+      return rows;
+   }
+
+   private getColumns(span: number): string {
+      return PanelComponent.columnNames[span - 1] + ' columns';
+   }
+}
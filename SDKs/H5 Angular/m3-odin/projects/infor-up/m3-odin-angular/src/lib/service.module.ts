@@ -1,5 +1,6 @@
 import { CommonModule } from '@angular/common';
 import { NgModule } from '@angular/core';
+import { PanelComponent } from './panel';
 import { DatePipe } from './pipes';
 import { ApplicationService, FormService, IonApiService, MIService, UserService } from './service';
 
@@ -11,7 +12,7 @@ import { ApplicationService, FormService, IonApiService, MIService, UserService
  * ```
  *
  * Import the M3OdinModule in your application to use the M3 Odin Angular services and
- * other Angular functionality.
+ * other Angular functionality, such as the m3-panel component that renders M3 panels.
  *
  * ** Example **
  *
@@ -37,10 +38,12 @@ import { ApplicationService, FormService, IonApiService, MIService, UserService
       CommonModule
    ],
    declarations: [
-      DatePipe
+      DatePipe,
+      PanelComponent
    ],
    exports: [
-      DatePipe
+      DatePipe,
+      PanelComponent
    ],
    providers: [ApplicationService, IonApiService, MIService, UserService, FormService]
 })
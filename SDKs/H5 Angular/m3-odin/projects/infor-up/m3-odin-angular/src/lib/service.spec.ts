@@ -1,16 +1,16 @@
 import { TestBed } from '@angular/core/testing';
-import { IMIResponse } from '@infor-up/m3-odin';
-import { MIService } from './service';
+import { IHttpInterceptor, IMIInterceptor, IMIResponse } from '@infor-up/m3-odin';
+import { of } from 'rxjs';
+import { FormService, HttpInterceptors, MIInterceptors, MIService, UserService } from './service';
 
 describe('MIService', () => {
    let service: MIService;
 
+   let fetchStub: FetchStub;
+
    beforeEach(() => {
-      jasmine.Ajax.install();
-      jasmine.Ajax.stubRequest(/.*m3api-rest\/csrf/).andReturn({
-         status: 200,
-         responseJSON: 'FAKE-CSRF-TOKEN',
-      });
+      fetchStub = new FetchStub();
+      fetchStub.stubRequest(/.*m3api-rest\/csrf/, 200, 'FAKE-CSRF-TOKEN');
 
       TestBed.configureTestingModule({
          providers: [MIService],
@@ -18,10 +18,6 @@ describe('MIService', () => {
       service = TestBed.inject(MIService);
    });
 
-   afterEach(() => {
-      jasmine.Ajax.uninstall();
-   });
-
    it('should create', () => {
       expect(service).toBeDefined();
    });
@@ -81,10 +77,7 @@ describe('MIService', () => {
    });
 
    function executeFakeRequest(fakeStatus: number, fakeResponse?: unknown): Promise<IMIResponse> {
-      jasmine.Ajax.stubRequest(/TST001MI\/Lst10Out/).andReturn({
-         status: fakeStatus,
-         responseJSON: fakeResponse,
-      });
+      fetchStub.stubRequest(/TST001MI\/Lst10Out/, fakeStatus, fakeResponse);
       return service.execute({
          program: 'TST001MI',
          transaction: 'Lst10Out',
@@ -97,6 +90,89 @@ describe('MIService', () => {
    }
 });
 
+describe('MIService with interceptors', () => {
+   let service: MIService;
+   const miInterceptor: IMIInterceptor = {
+      intercept: (request, next) => {
+         if (request.transaction === 'GetFake') {
+            return of({ program: request.program, transaction: request.transaction, hasError: () => false } as IMIResponse);
+         }
+         return next(request);
+      }
+   };
+   const httpInterceptor: IHttpInterceptor = {
+      intercept: (request, next) => next({ ...request, headers: { ...request.headers, 'X-Trace-Id': 'TRACE' } })
+   };
+
+   let fetchStub: FetchStub;
+
+   beforeEach(() => {
+      fetchStub = new FetchStub();
+      fetchStub.stubRequest(/.*m3api-rest\/csrf/, 200, 'FAKE-CSRF-TOKEN');
+
+      TestBed.configureTestingModule({
+         providers: [
+            MIService,
+            UserService,
+            FormService,
+            { provide: MIInterceptors, useValue: miInterceptor, multi: true },
+            { provide: HttpInterceptors, useValue: httpInterceptor, multi: true }
+         ],
+      });
+      service = TestBed.inject(MIService);
+   });
+
+   it('#execute should return response from MI interceptor', async () => {
+      const response = await service.execute({ program: 'TST001MI', transaction: 'GetFake' }).toPromise();
+      expect(response.transaction).toBe('GetFake');
+      expect(fetchStub.requests.length).toBe(0);
+   });
+
+   it('#execute should use HTTP interceptor', async () => {
+      fetchStub.stubRequest(/TST001MI\/Lst10Out/, 200, RESPONSES.OK);
+      await service.execute({ program: 'TST001MI', transaction: 'Lst10Out', company: 'test' }).toPromise();
+      const request = fetchStub.requests[fetchStub.requests.length - 1];
+      expect(request.url).toContain('TST001MI/Lst10Out');
+      expect(request.headers.get('X-Trace-Id')).toBe('TRACE');
+   });
+
+   it('FormService#translate should use HTTP interceptor', async () => {
+      const formService = TestBed.inject(FormService);
+      await formService.translate({ language: 'GB', items: [{ file: 'MVXCON', key: 'ODIN001' }] }).toPromise().catch(() => null);
+      const request = fetchStub.requests[fetchStub.requests.length - 1];
+      expect(request.url).toContain('/mne/servlet/MvxMCSvt');
+      expect(request.headers.get('X-Trace-Id')).toBe('TRACE');
+   });
+});
+
+/**
+ * Stubs fetch with JSON responses for the URLs that match a pattern. Other URLs get status 404.
+ */
+class FetchStub {
+   private stubs: { pattern: RegExp; status: number; json: unknown }[] = [];
+   private spy: jasmine.Spy;
+
+   constructor() {
+      this.spy = spyOn(window, 'fetch').and.callFake((request: Request) => {
+         const stub = this.stubs.find(item => item.pattern.test(request.url));
+         if (!stub) {
+            return Promise.resolve(new Response('', { status: 404 }));
+         }
+         const body = stub.json === undefined ? '' : JSON.stringify(stub.json);
+         return Promise.resolve(new Response(body, { status: stub.status, headers: { 'Content-Type': 'application/json' } }));
+      });
+   }
+
+   get requests(): Request[] {
+      return this.spy.calls.allArgs().map(args => args[0]);
+   }
+
+   stubRequest(pattern: RegExp, status: number, json?: unknown): void {
+      // The most recent stub is used first, like jasmine.Ajax.stubRequest
+      this.stubs.unshift({ pattern, status, json });
+   }
+}
+
 /**
  * Test responses from KB 2159861
  */
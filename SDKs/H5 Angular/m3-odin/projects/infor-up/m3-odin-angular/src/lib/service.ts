@@ -1,8 +1,43 @@
-import { HttpClient } from '@angular/common/http';
+import { HttpClient, HttpEvent, HttpEventType, HttpHeaders, HttpResponse } from '@angular/common/http';
 import { Inject, Injectable, InjectionToken, Optional } from '@angular/core';
-import { ApplicationServiceCore, CoreBase, FormServiceCore, IApplicationService, IBookmark, IEnvironmentContext, IFormRequest, IFormResponse, IFormService, IHttpRequest, IHttpResponse, IHttpService, IIonApiContext, IIonApiOptions, IIonApiRequest, IIonApiResponse, IIonApiService, IMIRequest, IMIResponse, IMIService, IonApiServiceCore, ISearchRequest, ITranslationRequest, ITranslationResponse, IUserContext, IUserService, MIServiceCore, UserServiceCore } from '@infor-up/m3-odin';
-import { Observable } from 'rxjs';
+import { ApplicationServiceCore, CoreBase, FormServiceCore, IApplicationService, IBookmark, IEnvironmentContext, IFormRequest, IFormResponse, IFormService, IHttpInterceptor, IHttpRequest, IHttpResponse, IHttpService, IIonApiContext, IIonApiOptions, IIonApiRequest, IIonApiResponse, IIonApiService, IMIInterceptor, IMIPagingOptions, IMIRequest, IMIResponse, IMIService, IMITransactionDefinition, IonApiServiceCore, ISearchRequest, ITranslationRequest, ITranslationResponse, IUserContext, IUserService, MIServiceCore, RetryUtil, UserServiceCore } from '@infor-up/m3-odin';
+import { Observable, throwError, TimeoutError } from 'rxjs';
+import { catchError, filter, map, timeout } from 'rxjs/operators';
 
+/**
+ * Injection token for MI interceptors, see {@link IMIInterceptor}.
+ *
+ * The interceptors are added to the {@link MIService} in the order they are provided.
+ *
+ * **Example**
+ * ```
+ * @NgModule({
+ *    providers: [
+ *       { provide: MIInterceptors, useClass: MyMIInterceptor, multi: true }
+ *    ]
+ * })
+ * ```
+ * @since 7.3.0
+ */
+export const MIInterceptors = new InjectionToken<IMIInterceptor[]>('MIInterceptors');
+
+/**
+ * Injection token for HTTP interceptors, see {@link IHttpInterceptor}.
+ *
+ * The interceptors are added to the {@link MIService}, the {@link FormService} and the {@link IonApiService} in the order
+ * they are provided. The requests of the {@link UserService} are executed by the {@link MIService}.
+ *
+ * **Example**
+ * ```
+ * @NgModule({
+ *    providers: [
+ *       { provide: HttpInterceptors, useValue: tracingInterceptor, multi: true }
+ *    ]
+ * })
+ * ```
+ * @since 7.3.0
+ */
+export const HttpInterceptors = new InjectionToken<IHttpInterceptor[]>('HttpInterceptors');
 
 /**
  * Angular implementation of {@link IMIService}
@@ -30,12 +65,20 @@ import { Observable } from 'rxjs';
 @Injectable()
 export class MIService extends CoreBase implements IMIService {
 
-   private instance: IMIService;
+   private instance: MIServiceCore;
 
    // TODO Inject Angular common HTTP once we have verified the Ajax HTTP implementation
-   constructor() {
+   constructor(@Inject(MIInterceptors) @Optional() interceptors?: IMIInterceptor[],
+      @Inject(HttpInterceptors) @Optional() httpInterceptors?: IHttpInterceptor[]) {
       super('MIService');
-      this.instance = new MIServiceCore();
+      const instance = new MIServiceCore();
+      for (const interceptor of interceptors || []) {
+         instance.addInterceptor(interceptor);
+      }
+      for (const interceptor of httpInterceptors || []) {
+         instance.addHttpInterceptor(interceptor);
+      }
+      this.instance = instance;
    }
 
    /**
@@ -44,6 +87,36 @@ export class MIService extends CoreBase implements IMIService {
    execute(request: IMIRequest): Observable<IMIResponse> {
       return this.instance.execute(request);
    }
+
+   /**
+    * See {@link IMIService.executeBulk}
+    */
+   executeBulk(requests: IMIRequest[]): Observable<IMIResponse[]> {
+      return this.instance.executeBulk(requests);
+   }
+
+   /**
+    * See {@link IMIService.executeAll}
+    */
+   executeAll(request: IMIRequest, options: IMIPagingOptions): Observable<IMIResponse> {
+      return this.instance.executeAll(request, options);
+   }
+
+   /**
+    * See {@link IMIService.clearCache}
+    */
+   clearCache(program?: string): void {
+      this.instance.clearCache(program);
+   }
+
+   /**
+    * See {@link MIServiceCore.addMetadata}
+    *
+    * @since 7.3.0
+    */
+   addMetadata(definitions: IMITransactionDefinition[]): void {
+      this.instance.addMetadata(definitions);
+   }
 }
 
 /**
@@ -177,9 +250,14 @@ export class FormService extends CoreBase implements IFormService {
    private instance: IFormService;
 
    // TODO Inject Angular common HTTP once we have verified the Ajax HTTP implementation
-   constructor(private userService: UserService) {
+   constructor(private userService: UserService,
+      @Inject(HttpInterceptors) @Optional() httpInterceptors?: IHttpInterceptor[]) {
       super('FormService');
-      this.instance = new FormServiceCore(null, userService.getUserService());
+      const instance = new FormServiceCore(null, userService.getUserService());
+      for (const interceptor of httpInterceptors || []) {
+         instance.addHttpInterceptor(interceptor);
+      }
+      this.instance = instance;
    }
 
    /**
@@ -292,9 +370,14 @@ export const IonApiConfig = new InjectionToken<IIonApiConfig>('IonApiConfig', {
 export class IonApiService extends CoreBase implements IIonApiService {
    private instance: IIonApiService;
 
-   constructor(http: HttpClient, formService: FormService, @Inject(IonApiConfig) @Optional() config?: IIonApiConfig) {
+   constructor(http: HttpClient, formService: FormService, @Inject(IonApiConfig) @Optional() config?: IIonApiConfig,
+      @Inject(HttpInterceptors) @Optional() httpInterceptors?: IHttpInterceptor[]) {
       super('IonApiService');
-      this.instance = new IonApiServiceCore(new HttpServiceWrapper(http, config), formService);
+      const instance = new IonApiServiceCore(new HttpServiceWrapper(http, config), formService);
+      for (const interceptor of httpInterceptors || []) {
+         instance.addHttpInterceptor(interceptor);
+      }
+      this.instance = instance;
    }
 
    getContext(options?: IIonApiOptions): Observable<IIonApiContext> {
@@ -315,13 +398,61 @@ class HttpServiceWrapper implements IHttpService {
    }
 
    execute(request: IHttpRequest): Observable<IHttpResponse> {
-      return this.http.request(request.method, request.url, {
+      if (!request.retryPolicy) {
+         return this.executeRequest(request, request.timeout);
+      }
+
+      const policy = RetryUtil.getPolicy(request.retryPolicy);
+      const timeoutMs = request.timeout != null ? request.timeout : policy.timeout;
+      return RetryUtil.retry(() => this.executeRequest(request, timeoutMs), policy,
+         (response: IHttpResponse) => RetryUtil.isTransientStatus(policy, response.status), request.method + ' ' + request.url);
+   }
+
+   private executeRequest(request: IHttpRequest, timeoutMs: number): Observable<IHttpResponse> {
+      const observable = this.http.request(request.method, request.url, {
          body: request.body,
          responseType: request.responseType,
          headers: request.headers,
-         reportProgress: false,
+         reportProgress: !!request.onProgress,
          withCredentials: this.config?.withCredentials,
-         observe: 'response'
-      });
+         observe: 'events'
+      }).pipe(
+         filter((event: HttpEvent<unknown>) => this.isResponse(request, event)),
+         map((response: HttpResponse<unknown>) => ({
+            status: response.status,
+            statusText: response.statusText,
+            ok: response.ok,
+            url: response.url,
+            body: response.body,
+            headers: this.getHeaders(response.headers)
+         } as IHttpResponse)));
+      if (!(timeoutMs > 0)) {
+         return observable;
+      }
+      // Fail with status 0 like AjaxHttpService
+      return observable.pipe(timeout(timeoutMs), catchError(error => throwError(() => error instanceof TimeoutError ?
+         { status: 0, statusText: 'Timeout', ok: false, url: request.url, body: null } as IHttpResponse : error)));
+   }
+
+   /**
+    * Reports progress events to the request and returns true for the response event.
+    */
+   private isResponse(request: IHttpRequest, event: HttpEvent<unknown>): boolean {
+      if (event.type === HttpEventType.UploadProgress || event.type === HttpEventType.DownloadProgress) {
+         request.onProgress({
+            type: event.type === HttpEventType.UploadProgress ? 'upload' : 'download',
+            loaded: event.loaded,
+            total: event.total != null ? event.total : null
+         });
+      }
+      return event.type === HttpEventType.Response;
+   }
+
+   private getHeaders(headers: HttpHeaders): { [name: string]: string } {
+      const values = {};
+      for (const name of headers.keys()) {
+         values[name.toLowerCase()] = headers.get(name);
+      }
+      return values;
    }
 }
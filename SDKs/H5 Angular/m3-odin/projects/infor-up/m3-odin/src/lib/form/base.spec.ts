@@ -1,4 +1,4 @@
-import { Bookmark, FormResponse, ITranslationItem, TranslationItem } from './base';
+import { Bookmark, BookmarkBuilder, FormResponse, ITranslationItem, TranslationItem } from './base';
 import { Constraint, IFormControlInfo, Label, Panel, Position, TextBox } from './elements';
 import { FormParser } from './parser';
 import { IBookmark } from './types';
@@ -219,6 +219,165 @@ describe('Bookmark', () => {
 
         expect(Bookmark['getSource'](bookmarkData)).toEqual(bookmarkData.source as string);
     });
+
+    it('should use the H5 names for requirepanel and suppressconfirm', () => {
+        const uri = Bookmark.toUri({ program: 'CRS610', requirePanel: true, suppressConfirm: false });
+
+        expect(uri).toContain('requirepanel=True');
+        expect(uri).toContain('suppressconfirm=False');
+    });
+
+    it('should parse a URI', () => {
+        const uri = 'bookmark?program=CRS610&tablename=OCUSMA&keys=OKCONO%2C100%2COKCUNO%2CA%252CB&option=5&panel=E' +
+            '&includestartpanel=True&stateless=True&source=Web&Foo=Bar';
+
+        expect(Bookmark.parse(uri)).toEqual({
+            program: 'CRS610',
+            table: 'OCUSMA',
+            keys: 'OKCONO,100,OKCUNO,A%2CB',
+            option: '5',
+            panel: 'E',
+            includeStartPanel: true,
+            isStateless: true,
+            source: 'Web',
+            params: { Foo: 'Bar' }
+        });
+    });
+
+    it('should parse long parameter names, mforms URIs, H5 links and drillback URLs', () => {
+        expect(Bookmark.parse('?BM_PROGRAM=MMS001&BM_START_PANEL_FIELDS=W1ITNO%2CA1&BM_REQUIRE_PANEL=false')).toEqual({
+            program: 'MMS001', fields: 'W1ITNO,A1', requirePanel: false
+        });
+        expect(Bookmark.parse('mforms://bookmark?program=MMS001&panelsequence=EFG#top'))
+            .toEqual({ program: 'MMS001', panelSequence: 'EFG' });
+        expect(Bookmark.parse('mforms://_bookmark?program=MMS001')).toEqual({ program: 'MMS001' });
+        expect(Bookmark.parse('mforms://mms001')).toEqual({ program: 'MMS001' });
+        expect(Bookmark.parse('https://h5.example.com/mne/?bookmark=program%3DMMS001%26view%3DSTD01-01'))
+            .toEqual({ program: 'MMS001', view: 'STD01-01' });
+        const drillbackUrl = encodeURIComponent('?LogicalId=lid://infor.m3.m3&program=QMS201&fieldNames=W1OBKV,A1,W2OBKV,B2');
+        expect(Bookmark.parse(drillbackUrl)).toEqual({
+            program: 'QMS201', fields: 'W1OBKV,A1,W2OBKV,B2', params: { LogicalId: 'lid://infor.m3.m3' }
+        });
+    });
+
+    it('should not parse invalid URIs', () => {
+        expect(() => Bookmark.parse('')).toThrowError('Invalid bookmark . The URI has no query');
+        expect(() => Bookmark.parse('CRS610')).toThrowError('Invalid bookmark CRS610. The URI has no query');
+        expect(() => Bookmark.parse('bookmark?panel=E')).toThrowError('Invalid bookmark bookmark?panel=E. The program is missing');
+        expect(() => Bookmark.parse('bookmark?program=CRS610&keys=OKCONO')).toThrowError(/keys value must contain pairs/);
+        expect(() => Bookmark.parse('bookmark?program=CRS610&stateless=Yes')).toThrowError(/stateless value must be True or False/);
+        expect(() => Bookmark.parse('bookmark?program=CRS610&keys=%E0%A4%A')).toThrowError(/is not URL encoded correctly/);
+    });
+
+    it('should parse values', () => {
+        expect(Bookmark.parseValues('OKCONO,100,OKCUNO,A%2CB,OKSTAT,%20')).toEqual({ OKCONO: '100', OKCUNO: 'A,B', OKSTAT: '' });
+        expect(Bookmark.parseValues(undefined)).toEqual({});
+    });
+
+    describe('round-trip', () => {
+        const bookmarks: { [name: string]: IBookmark } = {
+            'program': { program: 'MMS001' },
+            'keys': {
+                program: 'CRS610', table: 'OCUSMA', keyNames: 'OKCONO,OKCUNO', values: { OKCONO: '100', OKCUNO: 'A&B, C=D' },
+                option: '5', panel: 'E'
+            },
+            'fields': {
+                program: 'OIS300', fieldNames: 'W1OBKV', values: { W1OBKV: '100 %' }, startPanel: 'B', includeStartPanel: true,
+                sortingOrder: '1'
+            },
+            'parameters': { program: 'PPS200', parameterNames: 'XXOPT', values: { XXOPT: '2' }, panelSequence: 'EF', view: 'STD01-01' },
+            'stateless': {
+                program: 'MMS002', isStateless: true, requirePanel: true, suppressConfirm: true, focusFieldName: 'MBSTAT', source: 'Test'
+            },
+            'automation': {
+                program: 'MMS001', automation: '<sequence><step command="AUTOSET"/></sequence>', automationTemplate: 'MyTemplate'
+            },
+            'params': { program: 'MMS001', params: { Foo: 'Bar & Baz' } }
+        };
+
+        for (const name of Object.keys(bookmarks)) {
+            it('should parse a URI created from a bookmark with ' + name, () => {
+                const uri = Bookmark.toUri({ ...bookmarks[name], params: { ...bookmarks[name].params } });
+                const bookmark = Bookmark.parse(uri);
+
+                expect(bookmark.program).toBe(bookmarks[name].program);
+                expect(Bookmark.toUri(bookmark)).toBe(uri);
+            });
+        }
+
+        it('should decode key values', () => {
+            const bookmark = Bookmark.parse(Bookmark.toUri({ ...bookmarks['keys'] }));
+
+            expect(Bookmark.parseValues(bookmark.keys)).toEqual(bookmarks['keys'].values);
+        });
+    });
+});
+
+describe('BookmarkBuilder', () => {
+    it('should build a bookmark', () => {
+        const bookmark = Bookmark.builder('crs610')
+            .table('ocusma')
+            .key('OKCONO', 100)
+            .key('OKCUNO', 'A,B')
+            .field('WWFACI', '')
+            .parameter('XXOPT', null)
+            .option(5)
+            .panel('e')
+            .startPanel('b')
+            .panelSequence('efg')
+            .sortingOrder(1)
+            .view('STD01-01')
+            .focus('WRCUNM')
+            .source('Test')
+            .includeStartPanel()
+            .stateless()
+            .requirePanel(false)
+            .suppressConfirm()
+            .build();
+
+        expect(bookmark).toEqual({
+            program: 'CRS610',
+            table: 'OCUSMA',
+            keys: 'OKCONO,100,OKCUNO,A%2CB',
+            fields: 'WWFACI,%20',
+            parameters: 'XXOPT,%20',
+            option: '5',
+            panel: 'E',
+            startPanel: 'B',
+            panelSequence: 'EFG',
+            sortingOrder: '1',
+            view: 'STD01-01',
+            focusFieldName: 'WRCUNM',
+            source: 'Test',
+            includeStartPanel: true,
+            isStateless: true,
+            requirePanel: false,
+            suppressConfirm: true
+        });
+    });
+
+    it('should create a URI that can be parsed', () => {
+        const builder = new BookmarkBuilder('MMS001').table('MITMAS').key('MMCONO', '100').key('MMITNO', 'A,B').option('5');
+        const bookmark = Bookmark.parse(builder.toUri());
+
+        expect(bookmark.keys).toBe(builder.build().keys);
+        expect(Bookmark.parseValues(bookmark.keys)).toEqual({ MMCONO: '100', MMITNO: 'A,B' });
+    });
+
+    it('should return a new bookmark from build', () => {
+        const builder = new BookmarkBuilder('MMS001');
+
+        expect(builder.build()).not.toBe(builder.build());
+    });
+
+    it('should not build invalid bookmarks', () => {
+        expect(() => new BookmarkBuilder('')).toThrowError('Invalid bookmark program: ');
+        expect(() => new BookmarkBuilder('MMS001&x=1')).toThrowError('Invalid bookmark program: MMS001&x=1');
+        expect(() => new BookmarkBuilder('MMS001').key('MM,ITNO', 'A')).toThrowError('Invalid bookmark field name: MM,ITNO');
+        expect(() => new BookmarkBuilder('MMS001').view('STD 01')).toThrowError('Invalid bookmark view: STD 01');
+        expect(() => new BookmarkBuilder('MMS001').key('MMITNO', 'A').build())
+            .toThrowError('Invalid bookmark for MMS001. The table is required for key values');
+    });
 });
 
 describe('TranslationItem', () => {
@@ -318,10 +318,39 @@ export class Bookmark {
       BM_PARAMETERS: 'parameters',
       BM_AUTOMATION: 'automation',
       BM_AUTOMATION_TEMPLATE: 'automationtemplate',
-      BM_SUPPRESS_CONFIRM: 'requirepanel',
-      BM_REQUIRE_PANEL: 'suppressconfirm'
+      BM_SUPPRESS_CONFIRM: 'suppressconfirm',
+      BM_REQUIRE_PANEL: 'requirepanel'
    };
 
+   /**
+    * Maps bookmark parameters to IBookmark properties.
+    */
+   private static propertyMap = {
+      BM_PROGRAM: 'program',
+      BM_TABLE_NAME: 'table',
+      BM_PANEL: 'panel',
+      BM_KEY_FIELDS: 'keys',
+      BM_OPTION: 'option',
+      BM_START_PANEL: 'startPanel',
+      BM_FOCUS_FIELD_NAME: 'focusFieldName',
+      BM_PANEL_SEQUENCE: 'panelSequence',
+      BM_INCLUDE_START_PANEL: 'includeStartPanel',
+      BM_INQUIRY_TYPE: 'sortingOrder',
+      BM_VIEW: 'view',
+      BM_SOURCE: 'source',
+      BM_STATELESS: 'isStateless',
+      BM_START_PANEL_FIELDS: 'fields',
+      BM_PARAMETERS: 'parameters',
+      BM_AUTOMATION: 'automation',
+      BM_AUTOMATION_TEMPLATE: 'automationTemplate',
+      BM_SUPPRESS_CONFIRM: 'suppressConfirm',
+      BM_REQUIRE_PANEL: 'requirePanel'
+   };
+
+   private static boolNames = ['BM_INCLUDE_START_PANEL', 'BM_STATELESS', 'BM_SUPPRESS_CONFIRM', 'BM_REQUIRE_PANEL'];
+
+   private static valueNames = ['BM_KEY_FIELDS', 'BM_START_PANEL_FIELDS', 'BM_PARAMETERS'];
+
    private static getSource(bookmark: IBookmark) {
       return bookmark.source ? bookmark.source : 'Web';
    }
@@ -402,6 +431,148 @@ export class Bookmark {
       return str;
    }
 
+   private static createError(uri: string, message: string): Error {
+      return new Error('Invalid bookmark ' + uri + '. ' + message);
+   }
+
+   private static decode(uri: string, value: string): string {
+      try {
+         return decodeURIComponent(value.replace(/\+/g, ' '));
+      } catch {
+         throw Bookmark.createError(uri, 'The value ' + value + ' is not URL encoded correctly');
+      }
+   }
+
+   private static getParamName(name: string): string {
+      const upperName = name.toUpperCase();
+      if (Bookmark.propertyMap[upperName]) {
+         return upperName;
+      }
+      const lowerName = name.toLowerCase();
+      if (lowerName === 'fieldnames') {
+         // Drillback URLs use fieldNames for the start panel fields
+         return 'BM_START_PANEL_FIELDS';
+      }
+      const nameMap = Bookmark.nameMap;
+      return Object.keys(nameMap).find(key => nameMap[key] === lowerName) || null;
+   }
+
+   private static parseQuery(uri: string, value: string): { [name: string]: string } {
+      let query = value.trim();
+      if (query.indexOf('=') < 0 && /%3d/i.test(query)) {
+         // The whole URI is URL encoded, for instance in a drillback URL
+         query = Bookmark.decode(uri, query);
+      }
+
+      const index = query.indexOf('?');
+      if (index < 0) {
+         // An mforms URI can start a program without a bookmark, for example mforms://mms001
+         const match = /^mforms:\/\/([a-z0-9]+)\/?$/i.exec(query);
+         if (match && !/^_?bookmark$/i.test(match[1])) {
+            return { BM_PROGRAM: match[1].toUpperCase() };
+         }
+         throw Bookmark.createError(uri, 'The URI has no query');
+      }
+
+      const params = {};
+      for (const part of query.substring(index + 1).split('#')[0].split('&')) {
+         if (part) {
+            const separator = part.indexOf('=');
+            const name = Bookmark.decode(uri, separator < 0 ? part : part.substring(0, separator));
+            params[name] = separator < 0 ? '' : Bookmark.decode(uri, part.substring(separator + 1));
+         }
+      }
+
+      // An H5 link has the bookmark in the bookmark parameter, for example ?bookmark=program%3DMMS001%26...
+      const bookmarkName = Object.keys(params).find(name => name.toLowerCase() === 'bookmark');
+      const hasProgram = Object.keys(params).some(name => Bookmark.getParamName(name) === 'BM_PROGRAM');
+      if (bookmarkName && !hasProgram) {
+         return Bookmark.parseQuery(uri, '?' + params[bookmarkName]);
+      }
+      return params;
+   }
+
+   /**
+    * Parses a bookmark URI, such as a URI created with {@link toUri}, an H5 bookmark link, a drillback URL or an mforms URI.
+    *
+    * The bookmark parameters can have the short names used by {@link toUri}, for example program and keys, or the long
+    * names used by {@link toParams}, for example BM_PROGRAM and BM_KEY_FIELDS. Other parameters are added to the params
+    * property of the bookmark. The keys, fields and parameters properties are not decoded, see {@link parseValues}.
+    *
+    * **Example**
+    * ```typescript
+    * const uri = 'mforms://bookmark?program=CRS610&tablename=OCUSMA&keys=OKCONO%2C100%2COKCUNO%2CC001&option=5&panel=E';
+    * const bookmark = Bookmark.parse(uri);
+    * const values = Bookmark.parseValues(bookmark.keys);
+    * ```
+    *
+    * @param uri The URI to parse.
+    * @returns The bookmark.
+    * @throws An Error if the URI is not a valid bookmark, for instance if the program is missing.
+    * @since 7.3.0
+    */
+   public static parse(uri: string): IBookmark {
+      const params = Bookmark.parseQuery(uri, uri || '');
+      const bookmark: IBookmark = {};
+      for (const name of Object.keys(params)) {
+         const value = params[name];
+         const paramName = Bookmark.getParamName(name);
+         if (!paramName) {
+            bookmark.params = bookmark.params || {};
+            bookmark.params[name] = value;
+         } else if (Bookmark.boolNames.indexOf(paramName) >= 0) {
+            if (!/^(true|false)$/i.test(value)) {
+               throw Bookmark.createError(uri, 'The ' + name + ' value must be True or False');
+            }
+            bookmark[Bookmark.propertyMap[paramName]] = value.toLowerCase() === 'true';
+         } else {
+            if (Bookmark.valueNames.indexOf(paramName) >= 0 && value.split(',').length % 2 !== 0) {
+               throw Bookmark.createError(uri, 'The ' + name + ' value must contain pairs of names and values');
+            }
+            bookmark[Bookmark.propertyMap[paramName]] = value;
+         }
+      }
+
+      if (!bookmark.program) {
+         throw Bookmark.createError(uri, 'The program is missing');
+      }
+      return bookmark;
+   }
+
+   /**
+    * Gets the names and decoded values of a string with comma separated names and values, such as the keys, fields or parameters
+    * property of a bookmark.
+    *
+    * **Example**
+    * ```typescript
+    * const values = Bookmark.parseValues('OKCONO,100,OKCUNO,A%2CB');
+    * // values = { OKCONO: '100', OKCUNO: 'A,B' }
+    * ```
+    *
+    * @param value The comma separated names and values, where each value is URL encoded.
+    * @returns An object with the values, where blank values are empty strings.
+    * @since 7.3.0
+    */
+   public static parseValues(value: string): { [name: string]: string } {
+      const values = {};
+      const parts = value ? value.split(',') : [];
+      for (let i = 0; i + 1 < parts.length; i += 2) {
+         values[parts[i]] = Bookmark.decode(value, parts[i + 1]).trim();
+      }
+      return values;
+   }
+
+   /**
+    * Creates a builder for a bookmark.
+    *
+    * @param program The name of the program, for example CRS610.
+    * @returns The builder.
+    * @since 7.3.0
+    */
+   public static builder(program: string): BookmarkBuilder {
+      return new BookmarkBuilder(program);
+   }
+
    public static toUri(bookmark: IBookmark, userContext?: IUserContext): string {
       const params = Bookmark.toParams(bookmark, userContext);
       let query = '';
@@ -472,6 +643,209 @@ export class Bookmark {
    }
 }
 
+/**
+ * Builds an {@link IBookmark} with values that are validated and encoded in the same way as in {@link Bookmark.toParams}.
+ *
+ * ```typescript
+ * import { BookmarkBuilder } from '@infor-up/m3-odin';
+ * ```
+ *
+ * Names must only contain letters and digits, views can also contain - and _. Values are URL encoded, so a value can
+ * contain commas. A method throws an Error if a name is not valid.
+ *
+ * **Example**
+ * ```typescript
+ * const bookmark = Bookmark.builder('CRS610')
+ *    .table('OCUSMA')
+ *    .key('OKCONO', userContext.currentCompany)
+ *    .key('OKCUNO', customerNumber)
+ *    .option('5')
+ *    .panel('E')
+ *    .stateless()
+ *    .build();
+ * ```
+ *
+ * @since 7.3.0
+ */
+export class BookmarkBuilder {
+   private bookmark: IBookmark;
+
+   /**
+    * Creates a builder.
+    * @param program The name of the program, for example CRS610.
+    */
+   constructor(program: string) {
+      this.bookmark = { program: BookmarkBuilder.validate('program', program).toUpperCase() };
+   }
+
+   private static validate(property: string, name: string, pattern: RegExp = /^[a-z0-9]+$/i): string {
+      if (!pattern.test(name || '')) {
+         throw new Error('Invalid bookmark ' + property + ': ' + name);
+      }
+      return name;
+   }
+
+   private static addValue(values: string, name: string, value: string | number): string {
+      // A blank is sent for empty values in the same way as in Bookmark.toParams
+      const text = value == null || value === '' ? ' ' : String(value);
+      return (values ? values + ',' : '') + BookmarkBuilder.validate('field name', name) + ',' + encodeURIComponent(text);
+   }
+
+   /**
+    * Sets the name of the database table. The table is required for key values.
+    * @param name The name of the table, for example OCUSMA.
+    */
+   public table(name: string): BookmarkBuilder {
+      this.bookmark.table = BookmarkBuilder.validate('table', name).toUpperCase();
+      return this;
+   }
+
+   /**
+    * Adds a key value.
+    * @param name The name of the key field, for example OKCUNO.
+    * @param value The value.
+    */
+   public key(name: string, value: string | number): BookmarkBuilder {
+      this.bookmark.keys = BookmarkBuilder.addValue(this.bookmark.keys, name, value);
+      return this;
+   }
+
+   /**
+    * Adds a value for a field on the start panel.
+    * @param name The name of the field, for example W1OBKV.
+    * @param value The value.
+    */
+   public field(name: string, value: string | number): BookmarkBuilder {
+      this.bookmark.fields = BookmarkBuilder.addValue(this.bookmark.fields, name, value);
+      return this;
+   }
+
+   /**
+    * Adds a parameter value.
+    * @param name The name of the parameter, for example XXOPT2.
+    * @param value The value.
+    */
+   public parameter(name: string, value: string | number): BookmarkBuilder {
+      this.bookmark.parameters = BookmarkBuilder.addValue(this.bookmark.parameters, name, value);
+      return this;
+   }
+
+   /**
+    * Sets the option, for example 2 to change or 5 to display.
+    */
+   public option(option: string | number): BookmarkBuilder {
+      this.bookmark.option = BookmarkBuilder.validate('option', String(option));
+      return this;
+   }
+
+   /**
+    * Sets the panel to start, for example E.
+    */
+   public panel(panel: string): BookmarkBuilder {
+      this.bookmark.panel = BookmarkBuilder.validate('panel', panel).toUpperCase();
+      return this;
+   }
+
+   /**
+    * Sets the start panel, for example B.
+    */
+   public startPanel(panel: string): BookmarkBuilder {
+      this.bookmark.startPanel = BookmarkBuilder.validate('start panel', panel).toUpperCase();
+      return this;
+   }
+
+   /**
+    * Sets the panel sequence, for example EFG.
+    */
+   public panelSequence(sequence: string): BookmarkBuilder {
+      this.bookmark.panelSequence = BookmarkBuilder.validate('panel sequence', sequence).toUpperCase();
+      return this;
+   }
+
+   /**
+    * Sets the sorting order.
+    */
+   public sortingOrder(sortingOrder: string | number): BookmarkBuilder {
+      this.bookmark.sortingOrder = BookmarkBuilder.validate('sorting order', String(sortingOrder));
+      return this;
+   }
+
+   /**
+    * Sets the view.
+    */
+   public view(view: string): BookmarkBuilder {
+      this.bookmark.view = BookmarkBuilder.validate('view', view, /^[\w-]+$/);
+      return this;
+   }
+
+   /**
+    * Sets the field that should get focus on a detail panel.
+    */
+   public focus(fieldName: string): BookmarkBuilder {
+      this.bookmark.focusFieldName = BookmarkBuilder.validate('focus field name', fieldName);
+      return this;
+   }
+
+   /**
+    * Sets the source application. The default value is Web.
+    */
+   public source(source: string): BookmarkBuilder {
+      this.bookmark.source = source;
+      return this;
+   }
+
+   /**
+    * Sets if the start panel (A or B) should be included.
+    */
+   public includeStartPanel(value: boolean = true): BookmarkBuilder {
+      this.bookmark.includeStartPanel = value;
+      return this;
+   }
+
+   /**
+    * Sets if the bookmark should be stateless, see {@link IBookmark.isStateless}.
+    */
+   public stateless(value: boolean = true): BookmarkBuilder {
+      this.bookmark.isStateless = value;
+      return this;
+   }
+
+   /**
+    * Sets if the bookmark must return an interactive panel, see {@link IBookmark.requirePanel}.
+    */
+   public requirePanel(value: boolean = true): BookmarkBuilder {
+      this.bookmark.requirePanel = value;
+      return this;
+   }
+
+   /**
+    * Sets if initial confirm dialogs should be suppressed, see {@link IBookmark.suppressConfirm}.
+    */
+   public suppressConfirm(value: boolean = true): BookmarkBuilder {
+      this.bookmark.suppressConfirm = value;
+      return this;
+   }
+
+   /**
+    * Creates the bookmark.
+    * @returns A new bookmark each time the method is called.
+    * @throws An Error if key values have been added without a table.
+    */
+   public build(): IBookmark {
+      if (this.bookmark.keys && !this.bookmark.table) {
+         throw new Error('Invalid bookmark for ' + this.bookmark.program + '. The table is required for key values');
+      }
+      return { ...this.bookmark };
+   }
+
+   /**
+    * Creates the bookmark and gets the URI for it, see {@link Bookmark.toUri}.
+    */
+   public toUri(userContext?: IUserContext): string {
+      return Bookmark.toUri(this.build(), userContext);
+   }
+}
+
 /**
  * Represents an item that is used for translating M3 BE constants and messages.
  *
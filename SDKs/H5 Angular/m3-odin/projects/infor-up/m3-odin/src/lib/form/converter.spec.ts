@@ -0,0 +1,203 @@
+import { of, throwError } from 'rxjs';
+import { Configuration } from '../m3/runtime';
+import { ListConverter } from './converter';
+import { List, ListCell, ListColumn, ListRow, Panel } from './elements';
+import { FormSession } from './session';
+import { IFormSessionError, IFormSessionResult, IListCollectResult } from './types';
+
+type Spyable = { [name: string]: jasmine.Func };
+
+describe('ListConverter', () => {
+    const createColumn = (name: string, header: string, values?: Partial<ListColumn>): ListColumn => {
+        const column = new ListColumn();
+        column.name = name;
+        column.fullName = 'MM' + name;
+        column.header = header;
+        return Object.assign(column, values);
+    };
+
+    const createList = (rows: string[][], isEnd = true): List => {
+        const list = new List();
+        list.columns = [
+            createColumn('ITNO', 'Item number'),
+            createColumn('APPR', 'Price', { columnType: 'S', maxDecimals: 2 }),
+            createColumn('LMDT', 'Changed', { category: 'DATE' }),
+            createColumn('ACTV', 'Active', { category: 'BOOL' })
+        ];
+        list.items = rows.map((texts, i) => {
+            const row = new ListRow();
+            row.name = 'R' + (i + 1);
+            row.index = i;
+            row.items = texts.map(text => {
+                const cell = new ListCell();
+                cell.text = text;
+                return cell;
+            });
+            return row;
+        });
+        list.isEnd = isEnd;
+        return list;
+    };
+
+    const createSession = (panel: Panel, pages: List[]): FormSession => {
+        const session = { getPanel: () => panel } as FormSession;
+        session.pressKey = jasmine.createSpy('pressKey').and.callFake(() => {
+            const page = new Panel();
+            page.list = pages.shift() || null;
+            return of({ panel: page, message: null, isClosed: false, response: null } as IFormSessionResult);
+        });
+        return session;
+    };
+
+    let firstActiveYear: number;
+
+    beforeEach(() => {
+        firstActiveYear = Configuration['firstActiveYear'];
+        Configuration['firstActiveYear'] = 2000;
+        spyOn(Configuration, 'getDateFormat').and.returnValue('yyMMdd');
+        spyOn(Configuration, 'getDecimalSeparator').and.returnValue(',');
+        spyOn(ListConverter.prototype as unknown as Spyable, 'logWarning').and.callFake(() => { });
+    });
+
+    afterEach(() => {
+        Configuration['firstActiveYear'] = firstActiveYear;
+    });
+
+    it('should convert rows to typed records', () => {
+        const list = createList([
+            ['A100', '1 234,50', '230115', '1'],
+            ['B200', '12,5-', '', '0'],
+            ['C300', '', '991231', '']
+        ]);
+
+        expect(new ListConverter().toRecords(list)).toEqual([
+            { ITNO: 'A100', APPR: 1234.5, LMDT: new Date(2023, 0, 15), ACTV: true },
+            { ITNO: 'B200', APPR: -12.5, LMDT: null, ACTV: false },
+            { ITNO: 'C300', APPR: null, LMDT: new Date(2099, 11, 31), ACTV: false }
+        ]);
+    });
+
+    it('should use options', () => {
+        const list = createList([['A100', '-1,234.5', '20230115', '1']]);
+        const converter = new ListConverter({ dateFormat: 'yyyyMMdd', decimalSeparator: '.', useFullNames: true });
+
+        expect(converter.toRecords(list)).toEqual([{ MMITNO: 'A100', MMAPPR: -1234.5, MMLMDT: new Date(2023, 0, 15), MMACTV: true }]);
+    });
+
+    it('should convert values that cannot be parsed to null', () => {
+        const converter = new ListConverter();
+        const list = createList([]);
+
+        expect(converter.getValue(list.columns[1], '1,2,3')).toBeNull();
+        expect(converter.getValue(list.columns[1], 'abc')).toBeNull();
+        expect(converter.getValue(list.columns[2], '2301')).toBeNull();
+        expect(converter.getValue(list.columns[2], '000000')).toBeNull();
+        expect(converter.getValue(list.columns[0], null)).toBe('');
+        expect(converter.getValue(list.columns[1], ',5')).toBe(0.5);
+    });
+
+    it('should export CSV', () => {
+        const list = createList([
+            ['A100', '10,5', '230115', '1'],
+            ['B, "200"', '', '', '0']
+        ]);
+
+        expect(new ListConverter().toCsv(list)).toBe(
+            'Item number,Price,Changed,Active\r\n' +
+            'A100,10.5,2023-01-15,true\r\n' +
+            '"B, ""200""",,,false');
+        expect(new ListConverter({ useHeaders: false }).toCsv(list, ';').split('\r\n')[0]).toBe('ITNO;APPR;LMDT;ACTV');
+    });
+
+    it('should export JSON', () => {
+        const list = createList([['A100', '10,5', '230115', '1']]);
+
+        expect(JSON.parse(new ListConverter().toJson(list))).toEqual([{ ITNO: 'A100', APPR: 10.5, LMDT: '2023-01-15', ACTV: true }]);
+    });
+
+    it('should export XLSX', () => {
+        const list = createList([['A&B', '10,5', '230115', '1']]);
+        const converter = new ListConverter();
+
+        const blob = converter.toXlsx(list, 'Items');
+        expect(blob.type).toBe(ListConverter.xlsxType);
+
+        const bytes: Uint8Array = converter['createXlsx'](list, 'Items');
+        expect(blob.size).toBe(bytes.length);
+        expect(Array.from(bytes.slice(0, 4))).toEqual([0x50, 0x4b, 0x03, 0x04]);
+        expect(Array.from(bytes.slice(bytes.length - 22, bytes.length - 18))).toEqual([0x50, 0x4b, 0x05, 0x06]);
+
+        const text = new TextDecoder().decode(bytes);
+        expect(text).toContain('<sheet name="Items" sheetId="1" r:id="rId1"/>');
+        expect(text).toContain('<row r="1"><c r="A1" t="inlineStr"><is><t xml:space="preserve">Item number</t></is></c>');
+        expect(text).toContain('<row r="2"><c r="A2" t="inlineStr"><is><t xml:space="preserve">A&amp;B</t></is></c>' +
+            '<c r="B2"><v>10.5</v></c><c r="C2" s="1"><v>44941</v></c><c r="D2" t="b"><v>1</v></c></row>');
+    });
+
+    it('should collect rows from all pages', () => {
+        const panel = new Panel();
+        panel.list = createList([['A100', '1', '', '0']], false);
+        const session = createSession(panel, [createList([['B200', '2', '', '0']], false), createList([['C300', '3', '', '0']], true)]);
+        let result: IListCollectResult;
+
+        new ListConverter().collect(session).subscribe(value => result = value);
+
+        expect(session.pressKey).toHaveBeenCalledTimes(2);
+        expect(session.pressKey).toHaveBeenCalledWith('PAGEDOWN');
+        expect(result.pages).toBe(3);
+        expect(result.isEnd).toBe(true);
+        expect(result.list.items.map(row => row.items[0].text)).toEqual(['A100', 'B200', 'C300']);
+        expect(panel.list.items.length).toBe(1);
+    });
+
+    it('should stop collecting at the maximum number of pages or when a page is empty', () => {
+        const panel = new Panel();
+        panel.list = createList([['A100', '1', '', '0']], false);
+        let result: IListCollectResult;
+
+        const session = createSession(panel, [createList([['B200', '2', '', '0']], false)]);
+        new ListConverter().collect(session, 2).subscribe(value => result = value);
+        expect(result.pages).toBe(2);
+        expect(result.isEnd).toBe(false);
+
+        new ListConverter().collect(createSession(panel, [createList([], false)])).subscribe(value => result = value);
+        expect(result.pages).toBe(1);
+        expect(result.isEnd).toBe(true);
+    });
+
+    it('should stop collecting when a page has no new rows', () => {
+        const panel = new Panel();
+        panel.list = createList([['A100', '1', '', '0'], ['B200', '2', '', '0']], false);
+        const rows = [['B200', '2', '', '0'], ['C300', '3', '', '0']];
+        const pages = [createList(rows, false), createList(rows, false)];
+        let result: IListCollectResult;
+
+        new ListConverter().collect(createSession(panel, pages)).subscribe(value => result = value);
+        expect(result.pages).toBe(2);
+        expect(result.isEnd).toBe(true);
+        expect(result.list.items.map(row => row.items[0].text)).toEqual(['A100', 'B200', 'C300']);
+    });
+
+    it('should fail to collect if there is no list', () => {
+        const session = createSession(new Panel(), []);
+        let error: IFormSessionError;
+
+        new ListConverter().collect(session).subscribe(() => fail(), value => error = value);
+
+        expect(error.errorType).toBe('NotOpen');
+        expect(session.pressKey).not.toHaveBeenCalled();
+    });
+
+    it('should fail to collect if a page fails', () => {
+        const panel = new Panel();
+        panel.list = createList([['A100', '1', '', '0']], false);
+        const session = createSession(panel, []);
+        const pageError: IFormSessionError = { errorType: 'RequestFailed', message: 'Failed' };
+        (session.pressKey as jasmine.Spy).and.returnValue(throwError(() => pageError));
+        let error: IFormSessionError;
+
+        new ListConverter().collect(session).subscribe(() => fail(), value => error = value);
+
+        expect(error).toBe(pageError);
+    });
+});
@@ -0,0 +1,390 @@
+import { AsyncSubject, Observable } from 'rxjs';
+import { CoreBase } from '../base';
+import { FormatUtil } from '../m3/runtime';
+import { ArrayUtil } from '../util';
+import { Protocol } from './constants';
+import { List, ListCell, ListColumn, ListRow } from './elements';
+import { FormSession } from './session';
+import { IFormSessionError, IFormSessionResult, IListCollectResult, IListConverterOptions } from './types';
+
+interface IZipEntry {
+   name: Uint8Array;
+   data: Uint8Array;
+   crc: number;
+   offset: number;
+}
+
+/**
+ * Creates a zip archive where the files are stored without compression, which is enough for small XLSX files.
+ */
+class ZipWriter {
+   private static crcTable: number[];
+   private entries: IZipEntry[] = [];
+   private size = 0;
+   private encoder = new TextEncoder();
+
+   public add(name: string, content: string): void {
+      const data = this.encoder.encode(content);
+      const entry = { name: this.encoder.encode(name), data: data, crc: ZipWriter.crc32(data), offset: this.size };
+      this.entries.push(entry);
+      this.size += 30 + entry.name.length + data.length;
+   }
+
+   public toArray(): Uint8Array {
+      const directorySize = this.entries.reduce((size, entry) => size + 46 + entry.name.length, 0);
+      const bytes = new Uint8Array(this.size + directorySize + 22);
+      const view = new DataView(bytes.buffer);
+      let position = 0;
+      const write = (values: number[], sizes: number[]) => {
+         values.forEach((value, i) => {
+            if (sizes[i] === 4) {
+               view.setUint32(position, value, true);
+            } else {
+               view.setUint16(position, value, true);
+            }
+            position += sizes[i];
+         });
+      };
+      const writeBytes = (data: Uint8Array) => {
+         bytes.set(data, position);
+         position += data.length;
+      };
+
+      // Flag 0x0800 means that the names are UTF-8 and the date 0x21 is 1980-01-01
+      for (const entry of this.entries) {
+         write([0x04034b50, 20, 0x0800, 0, 0, 0x21, entry.crc, entry.data.length, entry.data.length, entry.name.length, 0],
+            [4, 2, 2, 2, 2, 2, 4, 4, 4, 2, 2]);
+         writeBytes(entry.name);
+         writeBytes(entry.data);
+      }
+      for (const entry of this.entries) {
+         write([0x02014b50, 20, 20, 0x0800, 0, 0, 0x21, entry.crc, entry.data.length, entry.data.length, entry.name.length, 0, 0, 0, 0, 0,
+            entry.offset], [4, 2, 2, 2, 2, 2, 2, 4, 4, 4, 2, 2, 2, 2, 2, 4, 4]);
+         writeBytes(entry.name);
+      }
+      write([0x06054b50, 0, 0, this.entries.length, this.entries.length, directorySize, this.size, 0], [4, 2, 2, 2, 2, 4, 4, 2]);
+      return bytes;
+   }
+
+   private static crc32(data: Uint8Array): number {
+      let table = ZipWriter.crcTable;
+      if (!table) {
+         table = ZipWriter.crcTable = [];
+         for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+               c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            }
+            table.push(c >>> 0);
+         }
+      }
+      let crc = 0xffffffff;
+      for (let i = 0; i < data.length; i++) {
+         crc = table[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+      }
+      return (crc ^ 0xffffffff) >>> 0;
+   }
+}
+
+/**
+ * Converts the rows of an MForms list to typed records, and exports them as CSV, XLSX or JSON.
+ *
+ * ```typescript
+ * import { ListConverter } from '@infor-up/m3-odin';
+ * ```
+ *
+ * The records are keyed by the column name. Values in numeric columns are converted to numbers, values in date columns
+ * to dates and values in check box columns to booleans, using the date format and decimal separator of the user. Empty
+ * values, and values that cannot be parsed, are null in numeric and date columns. Values in other columns are strings.
+ *
+ * A list panel only contains the rows that fit on a page. Use {@link collect} to page down to the end of the list first.
+ *
+ * **Example**
+ * ```typescript
+ * const converter = new ListConverter();
+ * const session = new FormSession(this.formService);
+ * session.open('MMS001');
+ * converter.collect(session).subscribe((result: IListCollectResult) => {
+ *    this.items = converter.toRecords(result.list);
+ *    this.download(converter.toXlsx(result.list, 'Items'), 'items.xlsx');
+ *    session.close();
+ * });
+ * ```
+ *
+ * @since 7.3.0
+ */
+export class ListConverter extends CoreBase {
+   /**
+    * Gets the MIME type of XLSX files.
+    */
+   public static readonly xlsxType = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+   private options: IListConverterOptions;
+
+   /**
+    * Creates a converter.
+    * @param options Optional options that override the formats from the user context.
+    */
+   constructor(options?: IListConverterOptions) {
+      super('ListConverter');
+      this.options = options || {};
+   }
+
+   /**
+    * Converts the rows of a list to records.
+    * @param list The list.
+    * @returns One record for each row, with a property for each column.
+    */
+   public toRecords(list: List): { [name: string]: number | Date | boolean | string }[] {
+      return list.items.map(row => {
+         const record = {};
+         list.columns.forEach((column, i) => record[this.getName(column)] = this.getValue(column, row.items[i]));
+         return record;
+      });
+   }
+
+   /**
+    * Gets the value of a list cell, converted to the type of the column.
+    * @param column The column.
+    * @param cell The cell, or the text of the cell.
+    * @returns A number, date, boolean or string, or null if a numeric or date value is empty or cannot be parsed.
+    */
+   public getValue(column: ListColumn, cell: ListCell | string): number | Date | boolean | string {
+      const text = (typeof cell === 'string' ? cell : cell && cell.text) || '';
+      if (column.isBool()) {
+         return text === Protocol.valueTrue;
+      }
+      if (column.isNumeric()) {
+         return FormatUtil.parseNumber(text, { separator: this.options.decimalSeparator });
+      }
+      if (column.isDate()) {
+         return this.parseDate(text);
+      }
+      return text;
+   }
+
+   /**
+    * Exports the rows of a list as CSV (RFC 4180).
+    *
+    * The first line contains the column headers. Numbers are written with a period as decimal separator, and dates as yyyy-MM-dd.
+    *
+    * @param list The list.
+    * @param separator The field separator. The default value is a comma.
+    * @returns The CSV text.
+    */
+   public toCsv(list: List, separator: string = ','): string {
+      const escape = (value: string) => {
+         return value.indexOf(separator) >= 0 || /["\r\n]/.test(value) ? '"' + value.replace(/"/g, '""') + '"' : value;
+      };
+      const names = list.columns.map(column => this.getName(column));
+      const lines = [this.getHeaders(list).map(escape).join(separator)];
+      for (const record of this.toRecords(list)) {
+         lines.push(names.map(name => escape(this.toText(record[name]))).join(separator));
+      }
+      return lines.join('\r\n');
+   }
+
+   /**
+    * Exports the rows of a list as a JSON array of records, see {@link toRecords}. Dates are written as yyyy-MM-dd.
+    * @param list The list.
+    * @param space Optional indentation, see JSON.stringify.
+    * @returns The JSON text.
+    */
+   public toJson(list: List, space?: string | number): string {
+      const records = this.toRecords(list).map(record => {
+         for (const name of Object.keys(record)) {
+            if (record[name] instanceof Date) {
+               record[name] = this.toText(record[name]);
+            }
+         }
+         return record;
+      });
+      return JSON.stringify(records, null, space);
+   }
+
+   /**
+    * Exports the rows of a list as an Excel workbook with one worksheet. The first row contains the column headers.
+    *
+    * The file is created in the browser, so it can be downloaded without a server.
+    *
+    * @param list The list.
+    * @param sheetName The name of the worksheet. The default value is Sheet1.
+    * @returns The XLSX file.
+    */
+   public toXlsx(list: List, sheetName: string = 'Sheet1'): Blob {
+      return new Blob([this.createXlsx(list, sheetName)], { type: ListConverter.xlsxType });
+   }
+
+   /**
+    * Presses PageDown on the current panel of a session until the end of the list is reached, and collects the rows from all pages.
+    *
+    * The rows on the current panel are included. Collecting stops at the end of the list, when a page has no new rows or when
+    * the maximum number of pages has been read.
+    *
+    * @param session A session with a list panel.
+    * @param maxPages The maximum number of pages to read, including the current page. The default value is 100.
+    * @returns An Observable that completes with the collected rows, or fails with an {@link IFormSessionError} if a page fails.
+    */
+   public collect(session: FormSession, maxPages: number = 100): Observable<IListCollectResult> {
+      const subject = new AsyncSubject<IListCollectResult>();
+      const panel = session.getPanel();
+      if (!panel || !panel.list) {
+         const error: IFormSessionError = { errorType: 'NotOpen', message: 'The current panel has no list' };
+         subject.error(error);
+         return subject.asObservable();
+      }
+
+      const list = Object.assign(new List(), panel.list, { items: panel.list.items.slice() });
+      const getKey = (row: ListRow) => row.items.map(cell => cell.text).join('\t');
+      let previousKeys = list.items.map(getKey);
+      let pages = 1;
+      const done = (isEnd: boolean) => {
+         this.logDebug('collect: Read ' + list.items.length + ' rows from ' + pages + ' pages');
+         list.isEnd = isEnd;
+         subject.next({ list: list, pages: pages, isEnd: isEnd });
+         subject.complete();
+      };
+      const next = (isEnd: boolean) => {
+         if (isEnd || pages >= maxPages) {
+            done(isEnd);
+            return;
+         }
+         session.pressKey('PAGEDOWN').subscribe((result: IFormSessionResult) => {
+            const page = result.panel && result.panel.list;
+            if (!page || page.items.length === 0) {
+               done(true);
+               return;
+            }
+            // The last page can be returned again, or filled up with rows from the previous page
+            const keys = page.items.map(getKey);
+            const rows = page.items.filter((row, i) => !ArrayUtil.contains(previousKeys, keys[i]));
+            if (rows.length === 0) {
+               done(true);
+               return;
+            }
+            pages++;
+            previousKeys = keys;
+            list.items.push(...rows);
+            next(page.isEnd);
+         }, error => subject.error(error));
+      };
+
+      next(panel.list.isEnd);
+      return subject.asObservable();
+   }
+
+   private getName(column: ListColumn): string {
+      return (this.options.useFullNames ? column.fullName : column.name) || column.fullName || column.name;
+   }
+
+   private getHeaders(list: List): string[] {
+      const useHeaders = this.options.useHeaders !== false;
+      return list.columns.map(column => useHeaders && column.header ? column.header : this.getName(column));
+   }
+
+   private parseDate(text: string): Date {
+      const value = text.replace(/\D/g, '');
+      if (!value || /^0+$/.test(value)) {
+         return null;
+      }
+      try {
+         return FormatUtil.parseDate(value, { dateFormat: this.options.dateFormat });
+      } catch {
+         this.logWarning('parseDate: Invalid date ' + text);
+         return null;
+      }
+   }
+
+   private toText(value: unknown): string {
+      if (value == null) {
+         return '';
+      }
+      if (value instanceof Date) {
+         const text = FormatUtil.formatDate(value, { dateFormat: 'yyyyMMdd' });
+         return text.substring(0, 4) + '-' + text.substring(4, 6) + '-' + text.substring(6);
+      }
+      return String(value);
+   }
+
+   private createXlsx(list: List, sheetName: string): Uint8Array {
+      // Control characters other than tab, line feed and carriage return are not allowed in XML
+      const encode = (value: string) => value
+         .replace(/[^\t\n\r\u0020-\uffff]/g, '')
+         .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+      const getColumn = (index: number) => {
+         let name = '';
+         for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+            name = String.fromCharCode(65 + (n - 1) % 26) + name;
+         }
+         return name;
+      };
+      const createCell = (reference: string, value: unknown) => {
+         if (value == null) {
+            return '';
+         }
+         if (typeof value === 'number') {
+            return '<c r="' + reference + '"><v>' + value + '</v></c>';
+         }
+         if (typeof value === 'boolean') {
+            return '<c r="' + reference + '" t="b"><v>' + (value ? 1 : 0) + '</v></c>';
+         }
+         if (value instanceof Date) {
+            // Excel dates are the number of days since 1899-12-30, style 1 is the short date format
+            const days = (Date.UTC(value.getFullYear(), value.getMonth(), value.getDate()) - Date.UTC(1899, 11, 30)) / 86400000;
+            return '<c r="' + reference + '" s="1"><v>' + days + '</v></c>';
+         }
+         return '<c r="' + reference + '" t="inlineStr"><is><t xml:space="preserve">' + encode(String(value)) + '</t></is></c>';
+      };
+      const createRow = (index: number, values: unknown[]) => {
+         const cells = values.map((value, i) => createCell(getColumn(i) + (index + 1), value)).join('');
+         return '<row r="' + (index + 1) + '">' + cells + '</row>';
+      };
+
+      const names = list.columns.map(column => this.getName(column));
+      const rows = [createRow(0, this.getHeaders(list))];
+      this.toRecords(list).forEach((record, i) => rows.push(createRow(i + 1, names.map(name => record[name]))));
+
+      // Sheet names can have at most 31 characters and cannot contain []:*?/\
+      const name = (sheetName || 'Sheet1').replace(/[[\]:*?/\\]/g, ' ').substring(0, 31);
+      const header = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+      const main = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+      const relationships = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+      const packageRelationships = 'http://schemas.openxmlformats.org/package/2006/relationships';
+      const contentType = 'application/vnd.openxmlformats-officedocument.spreadsheetml.';
+
+      const zip = new ZipWriter();
+      zip.add('[Content_Types].xml', header +
+         '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+         '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+         '<Default Extension="xml" ContentType="application/xml"/>' +
+         '<Override PartName="/xl/workbook.xml" ContentType="' + contentType + 'sheet.main+xml"/>' +
+         '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="' + contentType + 'worksheet+xml"/>' +
+         '<Override PartName="/xl/styles.xml" ContentType="' + contentType + 'styles+xml"/>' +
+         '</Types>');
+      zip.add('_rels/.rels', header +
+         '<Relationships xmlns="' + packageRelationships + '">' +
+         '<Relationship Id="rId1" Type="' + relationships + '/officeDocument" Target="xl/workbook.xml"/>' +
+         '</Relationships>');
+      zip.add('xl/workbook.xml', header +
+         '<workbook xmlns="' + main + '" xmlns:r="' + relationships + '">' +
+         '<sheets><sheet name="' + encode(name) + '" sheetId="1" r:id="rId1"/></sheets>' +
+         '</workbook>');
+      zip.add('xl/_rels/workbook.xml.rels', header +
+         '<Relationships xmlns="' + packageRelationships + '">' +
+         '<Relationship Id="rId1" Type="' + relationships + '/worksheet" Target="worksheets/sheet1.xml"/>' +
+         '<Relationship Id="rId2" Type="' + relationships + '/styles" Target="styles.xml"/>' +
+         '</Relationships>');
+      zip.add('xl/styles.xml', header +
+         '<styleSheet xmlns="' + main + '">' +
+         '<fonts count="1"><font><sz val="11"/><name val="Calibri"/></font></fonts>' +
+         '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+         '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+         '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+         '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+         '<xf numFmtId="14" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/></cellXfs>' +
+         '</styleSheet>');
+      zip.add('xl/worksheets/sheet1.xml', header +
+         '<worksheet xmlns="' + main + '"><sheetData>' + rows.join('') + '</sheetData></worksheet>');
+      return zip.toArray();
+   }
+}
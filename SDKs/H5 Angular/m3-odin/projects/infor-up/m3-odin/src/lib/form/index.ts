@@ -2,6 +2,7 @@ export * from './types';
 export * from './elements';
 export {
    Bookmark,
+   BookmarkBuilder,
    IFormRequest,
    IFormResponse,
    ITranslationItem,
@@ -9,4 +10,7 @@ export {
    ITranslationRequest,
    ITranslationResponse
 } from './base';
+export { ListConverter } from './converter';
 export { FormServiceCore } from './service';
+export { FormSession } from './session';
+export { TranslationCache, TranslationIndexedDbStore, TranslationLocalStorageStore } from './translation';
@@ -13,6 +13,15 @@ describe('FormParser', () => {
         const formResponse = FormParser.parse(aps450Content);
         expect(formResponse.counter).toBe(1);
     });
+
+    it('should parse options', () => {
+        const panel = FormParser.parse(aps450Content).panel;
+        expect(panel.basicOptions.map(option => option.value)).toEqual(['-1', '1', '2', '3', '4', '5']);
+        expect(panel.basicOptions[0].text).toBe('Create');
+        expect(panel.relatedOptions.length).toBe(13);
+        expect(panel.relatedOptions[0].value).toBe('6');
+        expect(panel.relatedOptions[0].text).toBe('Print');
+    });
 });
 
 const aps450Content = `<?xml version="1.0" encoding="UTF-8" ?>
@@ -1,7 +1,7 @@
 import { NumUtil, StringUtil } from '../util';
 import { FormResponse, IFormResponse } from './base';
 import { FormConstants, Protocol, XmlNames } from './constants';
-import { Button, CheckBox, ComboBox, ComboBoxItem, Constraint, DatePicker, FormControl, GroupBox, Label, List, ListCell, ListColumn, ListRow, Panel, Position, TextBox } from './elements';
+import { Button, CheckBox, ComboBox, ComboBoxItem, Constraint, DatePicker, FormControl, GroupBox, Label, List, ListCell, ListColumn, ListRow, Option, Panel, Position, TextBox } from './elements';
 
 /**
  * The Node.localName property has been removed from the TypeScript typings (lib.dom.d.ts). Probably because
@@ -759,7 +759,7 @@ export class FormParser {
    private parseBasicOptions(node: Node, element: Panel) {
       element.basicOptions = this.parseOptions(node, XmlNames.elementBasicOption);
       const last = element.basicOptions.pop();
-      if (last['val'] !== 0) {
+      if (last && last.value !== '0') {
          element.basicOptions.push(last); // Push it back if its not related options
       }
    }
@@ -768,15 +768,18 @@ export class FormParser {
       element.relatedOptions = this.parseOptions(node, XmlNames.elementRelatedOption);
    }
 
-   private parseOptions(node: Node, optionNodeName: string): any[] {
-      const options = [];
+   private parseOptions(node: Node, optionNodeName: string): Option[] {
+      const options: Option[] = [];
 
       const nodes: Node[] = XmlUtil.selectNodes(node, optionNodeName);
       if (nodes == null) { return options; }
 
       // TODO Typings for Node
-      nodes.forEach((optionNode: any, index: number) => {
-         options.push({ option: optionNode.textContent, val: optionNode.attributes['val'].nodeValue });
+      nodes.forEach((optionNode: Node) => {
+         const option = new Option();
+         option.value = XmlUtil.getAttribute(optionNode, XmlNames.attributeValue);
+         option.text = optionNode.textContent;
+         options.push(option);
       });
 
       return options;
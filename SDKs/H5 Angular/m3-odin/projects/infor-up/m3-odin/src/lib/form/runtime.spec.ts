@@ -1,5 +1,6 @@
 import { ITranslationJob, ITranslationRequest } from './base';
 import { Translator } from './runtime';
+import { TranslationCache } from './translation';
 
 describe('Translator', () => {
     let translator: Translator;
@@ -70,4 +71,13 @@ describe('Translator', () => {
         jobBefore.items[0].text = 'Tax Asset Group. Update';
         expect(jobAfter).toEqual(jobBefore);
     });
-});
\ No newline at end of file
+
+    it('should use the translation cache', () => {
+        TranslationCache.getTexts('SE')['MVXCON:WCU0101'] = 'Kund';
+        const job = translator.translate({ language: 'SE', items: [{ key: 'WCU0101' }, { key: 'WIT0101' }] });
+
+        expect(job.constants).toBe('MVXCON:WIT0101,');
+        expect(job.items[0].text).toBe('Kund');
+        TranslationCache.clear();
+    });
+});
@@ -1,5 +1,6 @@
 import { ITranslationItem, ITranslationJob, ITranslationRequest } from './base';
 import { FormParser, XmlUtil } from './parser';
+import { TranslationCache } from './translation';
 
 /**
  * @hidden
@@ -11,8 +12,6 @@ export class Translator {
     */
    public static defaultFile = 'MVXCON';
 
-   private static languages = {};
-
    public translate(request: ITranslationRequest): ITranslationJob {
       const language = request.language;
       const cache = this.getLanguage(language);
@@ -74,6 +73,9 @@ export class Translator {
          const text = node.textContent;
          this.updateItem(job.items, job.language, file, key, text);
       }
+      if (nodes.length > 0) {
+         TranslationCache.save(job.language);
+      }
    }
 
    private getKey(item: ITranslationItem): string {
@@ -89,12 +91,7 @@ export class Translator {
    }
 
    private getLanguage(name: string): any {
-      let language = Translator.languages[name];
-      if (!language) {
-         language = {};
-         Translator.languages[name] = language;
-      }
-      return language;
+      return TranslationCache.getTexts(name);
    }
 
    private updateItem(items: ITranslationItem[], language: string, file: string, key: string, text: string) {
@@ -3,8 +3,10 @@ import { FormServiceCore, IBookmark, IEnvironmentContext, IFormRequest, ISearchR
 import { Bookmark, FormResponse, IFormResponse, ITranslationItem, ITranslationJob, ITranslationRequest, ITranslationResponse } from "./base";
 import { Translator } from "./runtime";
 import { IUserContext, IUserService } from "../m3";
-import { IHttpRequest, IHttpResponse, IHttpService } from "../types";
+import { IHttpInterceptor, IHttpRequest, IHttpResponse, IHttpService } from "../types";
 import { FormParser } from "./parser";
+import { TranslationCache } from "./translation";
+import { ITranslationStore } from "./types";
 
 class HttpServiceMock implements IHttpService {
     execute(request: IHttpRequest): Observable<IHttpResponse> {
@@ -171,6 +173,43 @@ describe('FormServiceCore', () => {
         });
     });
 
+    it('should pass HTTP requests to HTTP interceptors', () => {
+        const spyExecute = spyOn(httpServiceMock, 'execute').and.callFake(() => of({ body: '' } as IHttpResponse));
+        const interceptor: IHttpInterceptor = {
+            intercept: (request, next) => next({ ...request, headers: { ...request.headers, 'X-Trace-Id': 'foo' } })
+        };
+        formService['translator'] = {
+            translate: (): ITranslationJob => ({} as ITranslationJob),
+            parseResponse: (): ITranslationResponse => ({})
+        } as unknown as Translator;
+
+        formService.addHttpInterceptor(interceptor);
+        formService.translate({}).subscribe();
+        expect(spyExecute.calls.mostRecent().args[0].headers).toEqual({
+            'Content-Type': 'application/x-www-form-urlencoded',
+            'X-Trace-Id': 'foo'
+        });
+
+        formService.removeHttpInterceptor(interceptor);
+        formService.translate({}).subscribe();
+        expect(spyExecute.calls.mostRecent().args[0].headers).toEqual({ 'Content-Type': 'application/x-www-form-urlencoded' });
+    });
+
+    it('should translate with stored texts before sending a request', () => {
+        const stored = { language: 'GB', version: '1.0', time: 1, texts: { 'MVXCON:WCU0101': 'Customer' } };
+        const store = { get: () => of(stored) } as unknown as ITranslationStore;
+        const spyExecute = spyOn(httpServiceMock, 'execute');
+        let response: ITranslationResponse;
+
+        TranslationCache.configure(store, '1.0');
+        formService.translate({ language: 'GB', items: [{ key: 'WCU0101' }] }).subscribe(value => response = value);
+        TranslationCache.configure(null, null);
+        TranslationCache.clear();
+
+        expect(spyExecute).not.toHaveBeenCalled();
+        expect(response.items[0].text).toBe('Customer');
+    });
+
     it('should return translation response from onTranslate', () => {
         const translationItems: ITranslationItem[] = [];
         const job: ITranslationJob = { items: translationItems, language: 'GB', params: 'foo' };
@@ -1,12 +1,14 @@
 import { AsyncSubject, Observable } from 'rxjs';
 import { CoreBase } from '../base';
 import { AjaxHttpService } from '../http';
+import { InterceptorChain } from '../interceptor';
 import { IUserContext, IUserService } from '../m3/types';
-import { IHttpRequest, IHttpResponse, IHttpService } from '../types';
+import { IHttpInterceptor, IHttpRequest, IHttpResponse, IHttpService } from '../types';
 import { CoreUtil, HttpUtil, StringUtil } from '../util';
 import { Bookmark, FormResponse, IFormRequest, IFormResponse, ITranslationJob, ITranslationRequest, ITranslationResponse } from './base';
 import { FormParser, XmlUtil } from './parser';
 import { Translator } from './runtime';
+import { TranslationCache } from './translation';
 import { IBookmark, IEnvironmentContext, IFormService, ISearchRequest } from './types';
 
 interface IPendingRequest {
@@ -26,6 +28,7 @@ export class FormServiceCore extends CoreBase implements IFormService {
    private sessionId: string;
    private pending: IPendingRequest[] = [];
    private translator: Translator;
+   private httpInterceptors = new InterceptorChain<IHttpRequest, IHttpResponse>();
 
    constructor(private httpService?: IHttpService, private userService?: IUserService) {
       super('FormServiceCore');
@@ -35,6 +38,26 @@ export class FormServiceCore extends CoreBase implements IFormService {
       }
    }
 
+   /**
+    * Adds an interceptor for the HTTP requests of the service, see {@link IHttpInterceptor}.
+    *
+    * @param interceptor An interceptor. Interceptors are called in the order they were added.
+    * @since 7.3.0
+    */
+   addHttpInterceptor(interceptor: IHttpInterceptor): void {
+      this.httpInterceptors.add(interceptor);
+   }
+
+   /**
+    * Removes an existing interceptor for HTTP requests.
+    *
+    * @param interceptor An existing interceptor to remove.
+    * @since 7.3.0
+    */
+   removeHttpInterceptor(interceptor: IHttpInterceptor): void {
+      this.httpInterceptors.remove(interceptor);
+   }
+
    executeCommand(commandType: string, commandValue?: string, params?: any): Observable<IFormResponse> {
       const request: IFormRequest = {
          commandType: commandType,
@@ -123,22 +146,25 @@ export class FormServiceCore extends CoreBase implements IFormService {
          this.translator = new Translator();
       }
 
-      const job = this.translator.translate(request);
-      if (job) {
-         job.sessionId = this.sessionId;
+      // Read the stored texts for the language first, so that only texts that are not cached are translated
+      TranslationCache.load(request.language).subscribe(() => {
+         const job = this.translator.translate(request);
+         if (job) {
+            job.sessionId = this.sessionId;
 
-         const options = this.createHttpRequest(job);
-         this.httpService.execute(options).subscribe(httpResponse => {
-            subject.next(this.onTranslate(job, httpResponse.body));
+            const options = this.createHttpRequest(job);
+            this.executeHttp(options).subscribe(httpResponse => {
+               subject.next(this.onTranslate(job, httpResponse.body));
+               subject.complete();
+            }, httpResponse => {
+               subject.error(this.createError(httpResponse));
+            });
+         } else {
+            // Resolve directly using the request as the response
+            subject.next(request as ITranslationResponse);
             subject.complete();
-         }, httpResponse => {
-            subject.error(this.createError(httpResponse));
-         });
-      } else {
-         // Resolve directly using the request as the response
-         subject.next(request as ITranslationResponse);
-         subject.complete();
-      }
+         }
+      });
       return subject.asObservable();
    }
 
@@ -377,7 +403,7 @@ export class FormServiceCore extends CoreBase implements IFormService {
       }
 
       const httpRequest = this.createHttpRequest(request);
-      this.httpService.execute(httpRequest).subscribe((httpResponse: IHttpResponse) => {
+      this.executeHttp(httpRequest).subscribe((httpResponse: IHttpResponse) => {
          const response = this.parseResponse(request, httpResponse.body);
          subject.next(response);
          subject.complete();
@@ -390,6 +416,10 @@ export class FormServiceCore extends CoreBase implements IFormService {
       return subject.asObservable();
    }
 
+   private executeHttp(request: IHttpRequest): Observable<IHttpResponse> {
+      return this.httpInterceptors.execute(request, httpRequest => this.httpService.execute(httpRequest));
+   }
+
    private createHttpRequest(request: IFormRequest): IHttpRequest {
       const params = this.createParams(request);
       const body = this.createBody(params);
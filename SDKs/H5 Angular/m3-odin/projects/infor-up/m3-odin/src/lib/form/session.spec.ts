@@ -0,0 +1,166 @@
+import { of, Subject, throwError } from 'rxjs';
+import { FormResponse, IFormRequest, IFormResponse } from './base';
+import { ListRow, Panel } from './elements';
+import { FormSession } from './session';
+import { IFormService, IFormSessionError, IFormSessionResult } from './types';
+
+type Spyable = { [name: string]: jasmine.Func };
+
+describe('FormSession', () => {
+    let formService: IFormService;
+    let spyExecuteRequest: jasmine.Spy;
+
+    const createResponse = (panelName: string, values?: Partial<IFormResponse>): FormResponse => {
+        const response = new FormResponse();
+        response.instanceId = 'MMS001_1';
+        if (panelName) {
+            response.panel = new Panel();
+            response.panel.name = panelName;
+            response.panels = [response.panel];
+        }
+        return Object.assign(response, values);
+    };
+
+    const request = (index: number): IFormRequest => spyExecuteRequest.calls.argsFor(index)[0];
+
+    beforeEach(() => {
+        spyExecuteRequest = jasmine.createSpy('executeRequest').and.callFake(() => of(createResponse('MMA001BC')));
+        formService = { executeRequest: spyExecuteRequest } as unknown as IFormService;
+        spyOn(FormSession.prototype as unknown as Spyable, 'logWarning').and.callFake(() => { });
+    });
+
+    it('should open program', () => {
+        const session = new FormSession(formService);
+        let result: IFormSessionResult;
+
+        expect(session.isOpen).toBe(false);
+        expect(session.getPanel()).toBeNull();
+        session.open('MMS001').subscribe(value => result = value);
+        expect(request(0)).toEqual({ commandType: 'RUN', commandValue: 'MMS001', instanceId: null });
+        expect(session.isOpen).toBe(true);
+        expect(result.panel.name).toBe('MMA001BC');
+        expect(result.message).toBeNull();
+        expect(result.isClosed).toBe(false);
+        expect(session.getPanel()).toBe(result.panel);
+    });
+
+    it('should send values with key', () => {
+        const session = new FormSession(formService);
+
+        session.open('MMS001');
+        session.setValue('W1ITNO', 'A1').setValue('W1OBKV', null).pressKey('ENTER');
+        session.pressKey('f3');
+        expect(request(1)).toEqual({
+            commandType: 'KEY', commandValue: 'ENTER', params: { W1ITNO: 'A1', W1OBKV: '' }, instanceId: 'MMS001_1'
+        });
+        expect(request(2)).toEqual({ commandType: 'KEY', commandValue: 'F03', params: {}, instanceId: 'MMS001_1' });
+        session.pressKey('F12');
+        expect(request(3).commandValue).toBe('F12');
+    });
+
+    it('should run list option', () => {
+        const session = new FormSession(formService);
+        const row = new ListRow();
+        row.name = 'R7';
+
+        session.open('MMS001');
+        session.setValue('W1ITNO', 'A1').listOption(0, 5);
+        session.listOption(row, '2');
+        expect(request(1)).toEqual({
+            commandType: 'LSTOPT', commandValue: '5', params: { W1ITNO: 'A1', SELROWS: 'R1' }, instanceId: 'MMS001_1'
+        });
+        expect(request(2).params).toEqual({ SELROWS: 'R7' });
+        expect(request(2).commandValue).toBe('2');
+    });
+
+    it('should return message', () => {
+        const session = new FormSession(formService);
+        let result: IFormSessionResult;
+        spyExecuteRequest.and.returnValues(of(createResponse('MMA001BC')),
+            of(createResponse('MMA001BC', { message: 'Item number A1 does not exist', messageId: 'WIT0103', messageLevel: '2' })));
+
+        session.open('MMS001');
+        session.pressKey('ENTER').subscribe(value => result = value);
+        expect(result.message).toEqual({ id: 'WIT0103', text: 'Item number A1 does not exist', level: '2' });
+        expect(result.isClosed).toBe(false);
+    });
+
+    it('should execute actions in order', () => {
+        const session = new FormSession(formService);
+        const responses = [new Subject<IFormResponse>(), new Subject<IFormResponse>()];
+        spyExecuteRequest.and.returnValues(...responses);
+        const results: string[] = [];
+
+        session.open('MMS001').subscribe(() => results.push('open'));
+        session.setValue('W1ITNO', 'A1').pressKey('ENTER').subscribe(() => results.push('enter'));
+        expect(spyExecuteRequest).toHaveBeenCalledTimes(1);
+
+        responses[0].next(createResponse('MMA001BC'));
+        responses[0].complete();
+        expect(spyExecuteRequest).toHaveBeenCalledTimes(2);
+        expect(request(1).params).toEqual({ W1ITNO: 'A1' });
+        responses[1].next(createResponse('MMA001E0'));
+        responses[1].complete();
+        expect(results).toEqual(['open', 'enter']);
+        expect(session.getPanel().name).toBe('MMA001E0');
+    });
+
+    it('should fail when program is not open', () => {
+        const session = new FormSession(formService);
+        let error: IFormSessionError;
+
+        session.pressKey('ENTER').subscribe({ error: err => error = err });
+        expect(error).toEqual({ errorType: 'NotOpen', message: 'No program is open' });
+        expect(spyExecuteRequest).not.toHaveBeenCalled();
+
+        session.open('MMS001');
+        session.open('CRS610').subscribe({ error: err => error = err });
+        expect(error.errorType).toBe('AlreadyOpen');
+        expect(spyExecuteRequest).toHaveBeenCalledTimes(1);
+    });
+
+    it('should fail when request fails', () => {
+        const session = new FormSession(formService);
+        const response = createResponse(null, { result: -1 });
+        let error: IFormSessionError;
+
+        spyExecuteRequest.and.returnValue(throwError(() => response));
+        session.open('MMS001').subscribe({ error: err => error = err });
+        expect(error).toEqual({ errorType: 'RequestFailed', message: 'Failed to execute RUN MMS001', response: response });
+
+        spyExecuteRequest.and.returnValue(of(createResponse(null, { result: 1, message: 'Not authorized' })));
+        session.open('MMS001').subscribe({ error: err => error = err });
+        expect(error.errorType).toBe('ProgramFailed');
+        expect(error.message).toBe('Failed to execute RUN MMS001. Not authorized');
+        expect(session.isOpen).toBe(false);
+    });
+
+    it('should close program', () => {
+        const session = new FormSession(formService);
+        let result: IFormSessionResult;
+
+        session.open('MMS001');
+        session.setValue('W1ITNO', 'A1');
+        session.close().subscribe(value => result = value);
+        expect(request(1)).toEqual({ commandType: 'CLOSE', instanceId: 'MMS001_1' });
+        expect(result.isClosed).toBe(true);
+        expect(result.panel).toBeNull();
+        expect(session.isOpen).toBe(false);
+        expect(session.getPanel()).toBeNull();
+
+        session.close().subscribe(value => result = value);
+        expect(spyExecuteRequest).toHaveBeenCalledTimes(2);
+        expect(result).toEqual({ panel: null, message: null, isClosed: true, response: null });
+    });
+
+    it('should close when program ends', () => {
+        const session = new FormSession(formService);
+        let result: IFormSessionResult;
+
+        session.open('MMS001');
+        spyExecuteRequest.and.returnValue(of(createResponse(null)));
+        session.pressKey('F3').subscribe(value => result = value);
+        expect(result.isClosed).toBe(true);
+        expect(session.isOpen).toBe(false);
+    });
+});
@@ -0,0 +1,213 @@
+import { AsyncSubject, Observable } from 'rxjs';
+import { CoreBase } from '../base';
+import { IFormRequest, IFormResponse } from './base';
+import { ListRow, Panel } from './elements';
+import { IFormService, IFormSessionError, IFormSessionResult } from './types';
+
+/**
+ * Drives an interactive M3 program, one panel at a time, in the same way as a user would in H5.
+ *
+ * ```typescript
+ * import { FormSession } from '@infor-up/m3-odin';
+ * ```
+ *
+ * Field values that are set with {@link setValue} are sent with the next key or list option. The actions are queued
+ * and executed one at a time in the order they were called, so an action can be called before the previous action has
+ * completed. An action fails with an {@link IFormSessionError} if the request fails. A message shown by the program,
+ * for instance when a field value is not valid, is not an error and is returned in the result.
+ *
+ * A session runs one program at a time. Call {@link close} to end the program.
+ *
+ * **Example**
+ * ```typescript
+ * const session = new FormSession(this.formService);
+ * session.open('MMS001');
+ * session.setValue('W1ITNO', itemNumber).pressKey('ENTER');
+ * session.listOption(0, 5).subscribe((result: IFormSessionResult) => {
+ *    if (result.message) {
+ *       this.showMessage(result.message.text);
+ *    } else {
+ *       this.description = result.panel.getValue('MMITDS');
+ *    }
+ *    session.close();
+ * }, (error: IFormSessionError) => {
+ *    // Handle the error...
+ * });
+ * ```
+ *
+ * @since 7.3.0
+ */
+export class FormSession extends CoreBase {
+   private instanceId: string = null;
+   private panel: Panel = null;
+   private values: { [name: string]: string } = {};
+   private pending: (() => void)[] = [];
+   private isBusy = false;
+
+   /**
+    * Creates a session.
+    * @param formService The form service that executes the requests.
+    */
+   constructor(private formService: IFormService) {
+      super('FormSession');
+   }
+
+   /**
+    * Gets a value that indicates if a program is open.
+    */
+   public get isOpen(): boolean {
+      return !!this.instanceId;
+   }
+
+   /**
+    * Starts a program.
+    * @param program The name of the program, for example MMS001.
+    * @returns An Observable that completes with the first panel of the program.
+    */
+   public open(program: string): Observable<IFormSessionResult> {
+      return this.enqueue(false, () => ({ commandType: 'RUN', commandValue: program }));
+   }
+
+   /**
+    * Sets the value of a field on the current panel. The value is sent with the next key or list option.
+    * @param field The name of the field, for example W1ITNO.
+    * @param value The value.
+    * @returns The session, so that calls can be chained.
+    */
+   public setValue(field: string, value: string): FormSession {
+      this.values[field] = value == null ? '' : value;
+      return this;
+   }
+
+   /**
+    * Presses a key on the current panel.
+    * @param key The key, for example ENTER, F3, F5, F12, PAGEDOWN or PAGEUP.
+    * @returns An Observable that completes with the panel that is shown after the key.
+    */
+   public pressKey(key: string): Observable<IFormSessionResult> {
+      const params = this.takeValues();
+      return this.enqueue(true, () => ({ commandType: 'KEY', commandValue: this.getKey(key), params: params }));
+   }
+
+   /**
+    * Selects a row in the list on the current panel and runs an option, for instance 5 to display the record.
+    * @param row The row or the zero-based index of the row.
+    * @param option The option.
+    * @returns An Observable that completes with the panel that is shown after the option.
+    */
+   public listOption(row: number | ListRow, option: string | number): Observable<IFormSessionResult> {
+      const params = this.takeValues();
+      params['SELROWS'] = typeof row === 'number' ? 'R' + (row + 1) : row.name;
+      return this.enqueue(true, () => ({ commandType: 'LSTOPT', commandValue: String(option), params: params }));
+   }
+
+   /**
+    * Gets the current panel.
+    * @returns The panel, or null if no program is open.
+    */
+   public getPanel(): Panel {
+      return this.panel;
+   }
+
+   /**
+    * Ends the program. Nothing is sent if no program is open.
+    * @returns An Observable that completes when the program has ended.
+    */
+   public close(): Observable<IFormSessionResult> {
+      return this.enqueue(null, () => this.isOpen ? { commandType: 'CLOSE' } : null);
+   }
+
+   private getKey(key: string): string {
+      // Function keys are sent with two digits, for example F03
+      const name = key.toUpperCase();
+      return /^F\d$/.test(name) ? 'F0' + name.substring(1) : name;
+   }
+
+   private takeValues(): { [name: string]: string } {
+      const values = this.values;
+      this.values = {};
+      return values;
+   }
+
+   /**
+    * Queues an action.
+    * @param isOpen True if the program must be open, false if it must not be open and null if it does not matter.
+    * @param createRequest Creates the request when the action is executed. Nothing is sent if the request is null.
+    */
+   private enqueue(isOpen: boolean, createRequest: () => IFormRequest): Observable<IFormSessionResult> {
+      const subject = new AsyncSubject<IFormSessionResult>();
+      this.pending.push(() => this.execute(isOpen, createRequest, subject));
+      if (!this.isBusy) {
+         this.processPending();
+      }
+      return subject.asObservable();
+   }
+
+   private processPending(): void {
+      const next = this.pending.shift();
+      this.isBusy = !!next;
+      if (next) {
+         next();
+      }
+   }
+
+   private execute(isOpen: boolean, createRequest: () => IFormRequest, subject: AsyncSubject<IFormSessionResult>): void {
+      if (isOpen != null && isOpen !== this.isOpen) {
+         if (isOpen) {
+            this.onError(subject, 'NotOpen', 'No program is open');
+         } else {
+            this.onError(subject, 'AlreadyOpen', 'A program is already open');
+         }
+         return;
+      }
+
+      const request = createRequest();
+      if (!request) {
+         this.onResult(subject, { panel: null, message: null, isClosed: true, response: null });
+         return;
+      }
+
+      const name = request.commandType + (request.commandValue ? ' ' + request.commandValue : '');
+      request.instanceId = this.instanceId;
+      this.logDebug('execute: ' + name);
+      this.formService.executeRequest(request).subscribe((response: IFormResponse) => {
+         if (response.result) {
+            const message = 'Failed to execute ' + name + (response.message ? '. ' + response.message : '');
+            this.onError(subject, 'ProgramFailed', message, response);
+            return;
+         }
+
+         if (response.instanceId) {
+            this.instanceId = response.instanceId;
+         }
+         const panel = request.commandType === 'CLOSE' ? null : response.panel || null;
+         if (!panel) {
+            this.instanceId = null;
+            this.values = {};
+         }
+         this.panel = panel;
+
+         const message = response.message ? { id: response.messageId, text: response.message, level: response.messageLevel } : null;
+         this.onResult(subject, { panel: panel, message: message, isClosed: !panel, response: response });
+      }, (response: IFormResponse) => {
+         this.onError(subject, 'RequestFailed', 'Failed to execute ' + name, response);
+      });
+   }
+
+   private onResult(subject: AsyncSubject<IFormSessionResult>, result: IFormSessionResult): void {
+      subject.next(result);
+      subject.complete();
+      this.processPending();
+   }
+
+   private onError(subject: AsyncSubject<IFormSessionResult>, errorType: IFormSessionError['errorType'], message: string,
+      response?: IFormResponse): void {
+      this.logWarning('execute: ' + message);
+      const error: IFormSessionError = { errorType: errorType, message: message };
+      if (response) {
+         error.response = response;
+      }
+      subject.error(error);
+      this.processPending();
+   }
+}
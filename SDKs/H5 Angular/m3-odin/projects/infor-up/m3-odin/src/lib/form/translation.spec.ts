@@ -0,0 +1,151 @@
+import { of, throwError } from 'rxjs';
+import { Log } from '../log';
+import { TranslationItem } from './base';
+import { Translator } from './runtime';
+import { TranslationCache, TranslationLocalStorageStore } from './translation';
+import { IFormService, ITranslationCacheEntry, ITranslationStore } from './types';
+
+describe('TranslationCache', () => {
+    let store: ITranslationStore;
+    let spyGet: jasmine.Spy;
+    let spyPut: jasmine.Spy;
+
+    const entry = (version: string, texts: { [key: string]: string }): ITranslationCacheEntry => {
+        return { language: 'GB', version: version, time: 1, texts: texts };
+    };
+
+    beforeEach(() => {
+        spyGet = jasmine.createSpy('get').and.returnValue(of(entry('1.0', { 'MVXCON:WCU0101': 'Customer' })));
+        spyPut = jasmine.createSpy('put').and.returnValue(of(undefined));
+        store = { get: spyGet, put: spyPut, clear: jasmine.createSpy('clear').and.returnValue(of(undefined)) };
+        spyOn(Log, 'warning');
+        TranslationCache.clear();
+    });
+
+    afterEach(() => {
+        TranslationCache.configure(null, null);
+        TranslationCache.clear();
+    });
+
+    it('should cache texts in memory without a store', () => {
+        TranslationCache.getTexts('GB')['MVXCON:WCU0101'] = 'Customer';
+        let isLoaded = false;
+
+        TranslationCache.load('GB').subscribe(() => isLoaded = true);
+        TranslationCache.save('GB').subscribe();
+
+        expect(isLoaded).toBe(true);
+        expect(TranslationCache.getTexts('GB')).toEqual({ 'MVXCON:WCU0101': 'Customer' });
+        expect(TranslationCache.getTexts('SE')).toEqual({});
+    });
+
+    it('should load stored texts once', () => {
+        TranslationCache.configure(store, '1.0');
+        TranslationCache.getTexts('GB')['MVXCON:WIT0101'] = 'Item';
+
+        TranslationCache.load('GB').subscribe();
+        TranslationCache.load('GB').subscribe();
+
+        expect(spyGet).toHaveBeenCalledTimes(1);
+        expect(spyGet).toHaveBeenCalledWith('GB');
+        expect(TranslationCache.getTexts('GB')).toEqual({ 'MVXCON:WCU0101': 'Customer', 'MVXCON:WIT0101': 'Item' });
+    });
+
+    it('should not use stored texts with another version', () => {
+        TranslationCache.configure(store, '2.0');
+
+        TranslationCache.load('GB').subscribe();
+
+        expect(TranslationCache.getTexts('GB')).toEqual({});
+    });
+
+    it('should not load texts without a language', () => {
+        TranslationCache.configure(store, '1.0');
+
+        TranslationCache.load(undefined).subscribe();
+        TranslationCache.save(undefined).subscribe();
+
+        expect(spyGet).not.toHaveBeenCalled();
+        expect(spyPut).not.toHaveBeenCalled();
+    });
+
+    it('should complete if the store fails', () => {
+        TranslationCache.configure(store, '1.0');
+        spyGet.and.returnValue(throwError(() => new Error('Failed')));
+        spyPut.and.returnValue(throwError(() => new Error('Failed')));
+        let count = 0;
+
+        TranslationCache.load('GB').subscribe(() => count++);
+        TranslationCache.save('GB').subscribe(() => count++);
+
+        expect(count).toBe(2);
+        expect(Log.warning).toHaveBeenCalledTimes(2);
+    });
+
+    it('should save texts with the version', () => {
+        TranslationCache.configure(store, '1.0');
+        TranslationCache.getTexts('GB')['MVXCON:WCU0101'] = 'Customer';
+
+        TranslationCache.save('GB').subscribe();
+
+        const saved: ITranslationCacheEntry = spyPut.calls.argsFor(0)[0];
+        expect(saved.language).toBe('GB');
+        expect(saved.version).toBe('1.0');
+        expect(saved.texts).toEqual({ 'MVXCON:WCU0101': 'Customer' });
+    });
+
+    it('should save texts when a translation response has been parsed', () => {
+        TranslationCache.configure(store, '1.0');
+        const translator = new Translator();
+        const job = translator.translate({ language: 'GB', items: [{ key: 'FA31001' }] });
+        const response = '<?xml version="1.0" encoding="UTF-8" ?><Root mcv="1.0"><Result>0</Result><Texts language="GB">' +
+            '<Text file="MVXCON" key="FA31001">Tax Asset Group. Update</Text></Texts></Root>';
+
+        translator.parseResponse(job, response);
+
+        expect(spyPut).toHaveBeenCalledTimes(1);
+        expect(spyPut.calls.argsFor(0)[0].texts).toEqual({ 'MVXCON:FA31001': 'Tax Asset Group. Update' });
+        expect(translator.translate({ language: 'GB', items: [{ key: 'FA31001' }] })).toBeNull();
+    });
+
+    it('should preload a bundle', () => {
+        const spyTranslate = jasmine.createSpy('translate').and.returnValue(of({}));
+        const formService = { translate: spyTranslate } as unknown as IFormService;
+
+        TranslationCache.preload(formService, { items: [{ key: 'WCU0101' }, { key: 'XYZ', file: 'MVXMSG' }] }, 'GB').subscribe();
+
+        const items = [new TranslationItem('WCU0101'), new TranslationItem('XYZ', 'MVXMSG')];
+        expect(spyTranslate).toHaveBeenCalledWith({ language: 'GB', items: items });
+    });
+
+    it('should clear texts', () => {
+        TranslationCache.configure(store, '1.0');
+        TranslationCache.getTexts('GB')['MVXCON:WCU0101'] = 'Customer';
+
+        TranslationCache.clear().subscribe();
+
+        expect(store.clear).toHaveBeenCalled();
+        expect(TranslationCache.getTexts('GB')).toEqual({});
+    });
+});
+
+describe('TranslationLocalStorageStore', () => {
+    const store = new TranslationLocalStorageStore('test-translations');
+
+    afterEach(() => {
+        store.clear().subscribe();
+    });
+
+    it('should store entries', () => {
+        const entry: ITranslationCacheEntry = { language: 'GB', version: '1.0', time: 1, texts: { 'MVXCON:WCU0101': 'Customer' } };
+        let stored: ITranslationCacheEntry;
+
+        store.put(entry).subscribe();
+        store.get('GB').subscribe(value => stored = value);
+        expect(stored).toEqual(entry);
+
+        store.clear().subscribe();
+        store.get('GB').subscribe(value => stored = value);
+        expect(stored).toBeNull();
+    });
+});
@@ -0,0 +1,236 @@
+import { AsyncSubject, Observable, of } from 'rxjs';
+import { map } from 'rxjs/operators';
+import { IndexedDbObjectStore } from '../indexed-db';
+import { Log } from '../log';
+import { ITranslationResponse, TranslationItem } from './base';
+import { IFormService, ITranslationBundle, ITranslationCacheEntry, ITranslationStore } from './types';
+
+/**
+ * Stores translated texts in the local storage of the browser, with one item for each language.
+ *
+ * ```typescript
+ * import { TranslationLocalStorageStore } from '@infor-up/m3-odin';
+ * ```
+ *
+ * @since 7.3.0
+ */
+export class TranslationLocalStorageStore implements ITranslationStore {
+   /**
+    * Creates a store.
+    * @param prefix The prefix of the local storage keys. Use different prefixes for applications on the same origin.
+    */
+   constructor(private prefix = 'm3-odin-translations') {
+   }
+
+   get(language: string): Observable<ITranslationCacheEntry> {
+      return this.execute(() => {
+         const value = localStorage.getItem(this.getKey(language));
+         return value ? JSON.parse(value) : null;
+      });
+   }
+
+   put(entry: ITranslationCacheEntry): Observable<void> {
+      return this.execute(() => localStorage.setItem(this.getKey(entry.language), JSON.stringify(entry)));
+   }
+
+   clear(): Observable<void> {
+      return this.execute(() => {
+         const prefix = this.getKey('');
+         const keys: string[] = [];
+         for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            if (key && key.indexOf(prefix) === 0) {
+               keys.push(key);
+            }
+         }
+         keys.forEach(key => localStorage.removeItem(key));
+      });
+   }
+
+   private getKey(language: string): string {
+      return this.prefix + ':' + language;
+   }
+
+   private execute<T>(action: () => T): Observable<T> {
+      // The local storage throws if it is full or disabled
+      return new Observable<T>(subscriber => {
+         subscriber.next(action());
+         subscriber.complete();
+      });
+   }
+}
+
+/**
+ * Stores translated texts in an IndexedDB database in the browser, with one entry for each language.
+ *
+ * ```typescript
+ * import { TranslationIndexedDbStore } from '@infor-up/m3-odin';
+ * ```
+ *
+ * @since 7.3.0
+ */
+export class TranslationIndexedDbStore implements ITranslationStore {
+   private objectStore: IndexedDbObjectStore;
+
+   /**
+    * Creates a store.
+    * @param databaseName The name of the database. Use different names for applications on the same origin.
+    */
+   constructor(databaseName = 'm3-odin-translations') {
+      this.objectStore = new IndexedDbObjectStore(databaseName, 'languages', 'language');
+   }
+
+   get(language: string): Observable<ITranslationCacheEntry> {
+      return this.objectStore.execute<ITranslationCacheEntry>('readonly', store => store.get(language)).pipe(map(entry => entry || null));
+   }
+
+   put(entry: ITranslationCacheEntry): Observable<void> {
+      return this.objectStore.execute('readwrite', store => store.put(entry)).pipe(map(() => undefined));
+   }
+
+   clear(): Observable<void> {
+      return this.objectStore.execute('readwrite', store => store.clear()).pipe(map(() => undefined));
+   }
+}
+
+/**
+ * Caches the texts for M3 constants and messages that have been translated with {@link IFormService.translate}.
+ *
+ * ```typescript
+ * import { TranslationCache } from '@infor-up/m3-odin';
+ * ```
+ *
+ * The texts are cached in memory by default, so they are lost when the application is reloaded. Configure a store to keep
+ * the texts between reloads. The texts for a language are read from the store the first time the language is translated,
+ * and written to the store when new texts have been translated. Texts that were stored with another version are not used,
+ * so change the version when the texts should be translated again, for instance when the application or M3 is upgraded.
+ *
+ * Texts are only stored for translation requests that have a language, for example the language of the user context.
+ *
+ * Use {@link preload} when the application starts to translate all constants that the application uses with one request.
+ *
+ * **Example**
+ * ```typescript
+ * TranslationCache.configure(new TranslationIndexedDbStore('my-app-translations'), '1.2.0');
+ *
+ * this.http.get<ITranslationBundle>('assets/m3-translations.json').subscribe(bundle => {
+ *    TranslationCache.preload(this.formService, bundle, userContext.language).subscribe();
+ * });
+ * ```
+ *
+ * @since 7.3.0
+ */
+export class TranslationCache {
+   private static languages: { [language: string]: { [key: string]: string } } = {};
+   private static loaded: { [language: string]: Observable<void> } = {};
+   private static store: ITranslationStore = null;
+   private static version: string = null;
+
+   /**
+    * Sets the store for the texts. Texts that are already cached in memory are kept.
+    * @param store The store, or null to only cache the texts in memory.
+    * @param version The version of the texts. Stored texts with another version are not used.
+    */
+   public static configure(store: ITranslationStore, version: string): void {
+      TranslationCache.store = store;
+      TranslationCache.version = version;
+      TranslationCache.loaded = {};
+   }
+
+   /**
+    * Reads the stored texts for a language into memory. This is done automatically the first time a language is translated.
+    * @param language The language.
+    * @returns An Observable that completes when the texts have been read. The Observable does not fail if the store fails.
+    */
+   public static load(language: string): Observable<void> {
+      const store = TranslationCache.store;
+      if (!store || !language) {
+         return of(undefined);
+      }
+
+      let loaded = TranslationCache.loaded[language];
+      if (!loaded) {
+         loaded = TranslationCache.loaded[language] = TranslationCache.execute(store.get(language), 'load', language, entry => {
+            if (entry && entry.version === TranslationCache.version && entry.texts) {
+               // Texts that have been translated after the store was configured replace the stored texts
+               const texts = TranslationCache.getTexts(language);
+               TranslationCache.languages[language] = { ...entry.texts, ...texts };
+               Log.debug('TranslationCache: Loaded ' + Object.keys(entry.texts).length + ' texts for language ' + language);
+            }
+         });
+      }
+      return loaded;
+   }
+
+   /**
+    * Writes the texts for a language to the store.
+    * @param language The language.
+    * @returns An Observable that completes when the texts have been written. The Observable does not fail if the store fails.
+    */
+   public static save(language: string): Observable<void> {
+      const store = TranslationCache.store;
+      if (!store || !language) {
+         return of(undefined);
+      }
+
+      const entry: ITranslationCacheEntry = {
+         language: language,
+         version: TranslationCache.version,
+         time: Date.now(),
+         texts: TranslationCache.getTexts(language)
+      };
+      return TranslationCache.execute(store.put(entry), 'save', language);
+   }
+
+   /**
+    * Gets the cached texts for a language.
+    * @param language The language.
+    * @returns The texts, where the keys have the format FILE:KEY, for example MVXCON:WCU0101.
+    */
+   public static getTexts(language: string): { [key: string]: string } {
+      let texts = TranslationCache.languages[language];
+      if (!texts) {
+         texts = TranslationCache.languages[language] = {};
+      }
+      return texts;
+   }
+
+   /**
+    * Translates all constants in a bundle that are not cached, with one translation request.
+    * @param formService The form service that executes the translation request.
+    * @param bundle The constants to translate.
+    * @param language The language, for example the language of the user context.
+    * @returns An Observable that completes with the translated items.
+    */
+   public static preload(formService: IFormService, bundle: ITranslationBundle, language: string): Observable<ITranslationResponse> {
+      const items = (bundle && bundle.items || []).map(item => new TranslationItem(item.key, item.file || null));
+      return formService.translate({ language: language, items: items });
+   }
+
+   /**
+    * Removes the cached texts from memory and from the store.
+    * @returns An Observable that completes when the texts have been removed. The Observable does not fail if the store fails.
+    */
+   public static clear(): Observable<void> {
+      TranslationCache.languages = {};
+      TranslationCache.loaded = {};
+      return TranslationCache.store ? TranslationCache.execute(TranslationCache.store.clear(), 'clear', 'all languages') : of(undefined);
+   }
+
+   private static execute<T>(action: Observable<T>, name: string, language: string, onNext?: (value: T) => void): Observable<void> {
+      const subject = new AsyncSubject<void>();
+      const done = () => {
+         subject.next(undefined);
+         subject.complete();
+      };
+      action.subscribe(value => {
+         if (onNext) {
+            onNext(value);
+         }
+      }, error => {
+         Log.warning('TranslationCache: Failed to ' + name + ' texts for ' + language, error);
+         done();
+      }, done);
+      return subject.asObservable();
+   }
+}
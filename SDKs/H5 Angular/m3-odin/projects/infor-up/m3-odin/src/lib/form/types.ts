@@ -1,5 +1,6 @@
 import { Observable } from 'rxjs';
-import { IFormRequest, IFormResponse, ITranslationRequest, ITranslationResponse } from './base';
+import { IFormRequest, IFormResponse, ITranslationItem, ITranslationRequest, ITranslationResponse } from './base';
+import { List, Panel } from './elements';
 
 /**
  * Represents an M3 bookmark.
@@ -323,3 +324,232 @@ export interface IFormService {
     */
    executeCommand(commandType: string, commandValue?: string, params?: any): Observable<IFormResponse>;
 }
+
+/**
+ * Represents a message shown by an M3 program, for instance when a field value is not valid.
+ *
+ * ```typescript
+ * import { IFormMessage } from '@infor-up/m3-odin';
+ * ```
+ *
+ * @since 7.3.0
+ */
+export interface IFormMessage {
+   /**
+    * Gets the message id, for example WIT0103.
+    */
+   id: string;
+
+   /**
+    * Gets the message text.
+    */
+   text: string;
+
+   /**
+    * Gets the message level from the server.
+    */
+   level: string;
+}
+
+/**
+ * Represents the result of an action in a {@link FormSession}.
+ *
+ * ```typescript
+ * import { IFormSessionResult } from '@infor-up/m3-odin';
+ * ```
+ *
+ * @since 7.3.0
+ */
+export interface IFormSessionResult {
+   /**
+    * Gets the current panel, or null if the program has ended.
+    */
+   panel: Panel;
+
+   /**
+    * Gets the message shown by the program, or null if there is no message.
+    */
+   message: IFormMessage;
+
+   /**
+    * Gets a value that indicates if the program has ended, for instance after F3 on the first panel.
+    */
+   isClosed: boolean;
+
+   /**
+    * Gets the form response.
+    */
+   response: IFormResponse;
+}
+
+/**
+ * Represents an error from an action in a {@link FormSession}.
+ *
+ * ```typescript
+ * import { IFormSessionError } from '@infor-up/m3-odin';
+ * ```
+ *
+ * @since 7.3.0
+ */
+export interface IFormSessionError {
+   /**
+    * Gets the type of error.
+    *
+    * NotOpen if no program is open, AlreadyOpen if a program is already open, RequestFailed if the request failed,
+    * and ProgramFailed if the server returned an error result.
+    */
+   errorType: 'NotOpen' | 'AlreadyOpen' | 'RequestFailed' | 'ProgramFailed';
+
+   /**
+    * Gets a message that describes the error.
+    */
+   message: string;
+
+   /**
+    * Gets the form response, if any.
+    */
+   response?: IFormResponse;
+}
+
+/**
+ * Represents options for a {@link ListConverter}.
+ *
+ * ```typescript
+ * import { IListConverterOptions } from '@infor-up/m3-odin';
+ * ```
+ *
+ * @since 7.3.0
+ */
+export interface IListConverterOptions {
+   /**
+    * Gets or sets the date format of date columns, for example yyMMdd.
+    * The default value is the date format from the user context.
+    */
+   dateFormat?: string;
+
+   /**
+    * Gets or sets the decimal separator of numeric columns.
+    * The default value is the decimal separator from the user context.
+    */
+   decimalSeparator?: string;
+
+   /**
+    * Gets or sets a value that indicates if the records are keyed by the full 6 character column name, for example MMITNO,
+    * instead of the 4 character column name, for example ITNO. The default value is false.
+    */
+   useFullNames?: boolean;
+
+   /**
+    * Gets or sets a value that indicates if the column headers should be used as names in the first row of CSV and XLSX
+    * exports. The column names are used if this is false or if a column has no header. The default value is true.
+    */
+   useHeaders?: boolean;
+}
+
+/**
+ * Represents the rows of a list that have been collected with {@link ListConverter.collect}.
+ *
+ * ```typescript
+ * import { IListCollectResult } from '@infor-up/m3-odin';
+ * ```
+ *
+ * @since 7.3.0
+ */
+export interface IListCollectResult {
+   /**
+    * Gets a list with the columns of the list and the rows from all pages.
+    */
+   list: List;
+
+   /**
+    * Gets the number of pages that were read.
+    */
+   pages: number;
+
+   /**
+    * Gets a value that indicates if the end of the list was reached. This is false if the maximum number of pages was read.
+    */
+   isEnd: boolean;
+}
+
+/**
+ * Represents the translated texts for one language in an {@link ITranslationStore}.
+ *
+ * ```typescript
+ * import { ITranslationCacheEntry } from '@infor-up/m3-odin';
+ * ```
+ *
+ * @since 7.3.0
+ */
+export interface ITranslationCacheEntry {
+   /**
+    * Gets the language, for example GB.
+    */
+   language: string;
+
+   /**
+    * Gets the version that the texts were stored with, see {@link TranslationCache.configure}.
+    */
+   version: string;
+
+   /**
+    * Gets the time when the texts were stored, in milliseconds since 1970-01-01 UTC.
+    */
+   time: number;
+
+   /**
+    * Gets the texts, where the keys have the format FILE:KEY, for example MVXCON:WCU0101.
+    */
+   texts: { [key: string]: string };
+}
+
+/**
+ * Represents a store for translated texts, so that they survive a reload of the application.
+ *
+ * ```typescript
+ * import { ITranslationStore } from '@infor-up/m3-odin';
+ * ```
+ *
+ * See {@link TranslationIndexedDbStore}, {@link TranslationLocalStorageStore} and {@link TranslationCache.configure}.
+ *
+ * @since 7.3.0
+ */
+export interface ITranslationStore {
+   /**
+    * Gets the texts for a language.
+    * @param language The language.
+    * @returns An Observable that emits the entry, or null if there are no texts for the language.
+    */
+   get(language: string): Observable<ITranslationCacheEntry>;
+
+   /**
+    * Adds or replaces the texts for a language.
+    * @param entry The entry.
+    * @returns An Observable that completes when the entry has been stored.
+    */
+   put(entry: ITranslationCacheEntry): Observable<void>;
+
+   /**
+    * Removes the texts for all languages.
+    * @returns An Observable that completes when the texts have been removed.
+    */
+   clear(): Observable<void>;
+}
+
+/**
+ * Represents the constants that an application translates, see {@link TranslationCache.preload}.
+ *
+ * ```typescript
+ * import { ITranslationBundle } from '@infor-up/m3-odin';
+ * ```
+ *
+ * The CLI command odin translations extract creates a bundle file with the constants used in the source code of a project.
+ *
+ * @since 7.3.0
+ */
+export interface ITranslationBundle {
+   /**
+    * Gets the constants. The file is MVXCON if it is not set.
+    */
+   items: ITranslationItem[];
+}
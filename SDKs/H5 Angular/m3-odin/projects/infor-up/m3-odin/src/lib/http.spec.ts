@@ -1,12 +1,22 @@
-import { AsyncSubject, of, Subject } from 'rxjs';
+import { of, throwError } from 'rxjs';
 import { AjaxHttpService } from './http';
-import { IHttpRequest, IHttpResponse } from './types';
+import { Log } from './log';
+import { IHttpProgressEvent, IHttpRequest, IHttpResponse } from './types';
+
+type Spyable = { [name: string]: jasmine.Func };
 
 describe('AjaxHttpService', () => {
+    const fetchRequest = (spyFetch: jasmine.Spy): Request => spyFetch.calls.mostRecent().args[0];
+
+    // Returns a response that never completes, but fails when the request is aborted like fetch
+    const fetchPending = (request: Request) => new Promise<Response>((resolve, reject) => {
+        request.signal.addEventListener('abort', () => reject(new Error('AbortError')));
+    });
+
     it('should execute request and fail', (done) => {
         const service = new AjaxHttpService();
         const request: IHttpRequest = { url: '', method: '' };
-        const response = { body: '', ok: false, status: 500, statusText: "Exception", url: '', };
+        const response = { body: '', ok: false, status: 500, statusText: "Exception", url: '', headers: {} };
 
         service.execute(request).subscribe({
             next: null!, error: (err) => {
@@ -17,94 +27,228 @@ describe('AjaxHttpService', () => {
     });
 
     it('should execute GET request', (done) => {
-        const open = spyOn(XMLHttpRequest.prototype as any, 'open').and.callFake(() => { });
-        const event = {} as Event;
-        const send = spyOn(XMLHttpRequest.prototype as any, 'send').and.callFake(() => {
-            XMLHttpRequest.prototype.readyState === 4;
-            XMLHttpRequest.prototype.onreadystatechange!(event);
-        });
-        const setRequestHeader = spyOn(XMLHttpRequest.prototype as any, 'setRequestHeader').and.callFake(() => { });
+        const fetchResponse = new Response('hello', { status: 200, statusText: 'welcome' });
+        const spyFetch = spyOn(globalThis, 'fetch').and.returnValue(Promise.resolve(fetchResponse));
         const service = new AjaxHttpService();
-        const request: IHttpRequest = { url: 'http://cloud.com', method: 'GET', headers: { foo: 'bar' }, body: 'BODY' };
-        const response: IHttpResponse = { status: 200, ok: true, body: 'hello', url: request.url, statusText: 'welcome' };
-       spyOn(service as any, 'onResponse').and.callFake((request, subject, x) => {
-            (<Subject<IHttpResponse>>subject).next(response);
-            (<Subject<IHttpResponse>>subject).complete();
-        });
+        const request: IHttpRequest = { url: 'http://cloud.com/', method: 'GET', headers: { foo: 'bar' }, body: 'BODY' };
 
         service.execute(request).subscribe((val) => {
-            expect(val).toBe(response);
+            expect(val).toEqual({
+                status: 200, ok: true, body: 'hello', url: request.url, statusText: 'welcome',
+                headers: { 'content-type': 'text/plain;charset=UTF-8' }
+            });
+            expect(fetchRequest(spyFetch).method).toBe('GET');
+            expect(fetchRequest(spyFetch).url).toBe(request.url);
+            expect(fetchRequest(spyFetch).headers.get('foo')).toBe('bar');
+            expect(fetchRequest(spyFetch).body).toBeNull();
             done();
         });
-        expect(open).toHaveBeenCalledWith(request.method, request.url, true);
-        expect(setRequestHeader).toHaveBeenCalledWith('foo', 'bar');
-        expect(send).toHaveBeenCalledWith();
     });
 
     it('should execute POST request', (done) => {
-        const open = spyOn(XMLHttpRequest.prototype as any, 'open').and.callFake(() => { });
-        const event = {} as Event;
-        const send = spyOn(XMLHttpRequest.prototype as any, 'send').and.callFake(() => {
-            XMLHttpRequest.prototype.readyState === 4;
-            XMLHttpRequest.prototype.onreadystatechange!(event);
+        const spyFetch = spyOn(globalThis, 'fetch').and.returnValue(Promise.resolve(new Response('hello')));
+        const service = new AjaxHttpService();
+        const request: IHttpRequest = { url: 'http://cloud.com/', method: 'POST', headers: { foo: 'bar' }, body: 'BODY' };
+
+        service.execute(request).subscribe((val) => {
+            expect(val.body).toBe('hello');
+            expect(fetchRequest(spyFetch).method).toBe('POST');
+            expect(fetchRequest(spyFetch).headers.get('foo')).toBe('bar');
+            fetchRequest(spyFetch).text().then(body => {
+                expect(body).toBe(request.body);
+                done();
+            });
         });
-        const setRequestHeader = spyOn(XMLHttpRequest.prototype as any, 'setRequestHeader').and.callFake(() => { });
+    });
+
+    it('should not execute request before subscribe', () => {
+        const spyFetch = spyOn(globalThis, 'fetch').and.returnValue(Promise.resolve(new Response('hello')));
+        const service = new AjaxHttpService();
+
+        const observable = service.execute({ url: 'http://cloud.com/', method: 'GET' });
+        expect(spyFetch).not.toHaveBeenCalled();
+        observable.subscribe();
+        expect(spyFetch).toHaveBeenCalledTimes(1);
+    });
+
+    it('should fail with error status', (done) => {
+        const fetchResponse = new Response('{"message": "error"}', { status: 404, statusText: 'Not Found' });
+        spyOn(globalThis, 'fetch').and.returnValue(Promise.resolve(fetchResponse));
         const service = new AjaxHttpService();
-        const request: IHttpRequest = { url: 'http://cloud.com', method: 'POST', headers: { foo: 'bar' }, body: 'BODY' };
-        const response: IHttpResponse = { status: 200, ok: true, body: 'hello', url: request.url, statusText: 'welcome' };
-       spyOn(service as any, 'onResponse').and.callFake((request, subject, x) => {
-            (<Subject<IHttpResponse>>subject).next(response);
-            (<Subject<IHttpResponse>>subject).complete();
+
+        service.execute({ url: 'http://cloud.com/', method: 'GET', responseType: 'blob' }).subscribe({
+            error: (err: IHttpResponse) => {
+                expect(err.status).toBe(404);
+                expect(err.statusText).toBe('Not Found');
+                expect(err.ok).toBe(false);
+                expect(err.body).toBe('{"message": "error"}');
+                done();
+            }
         });
+    });
 
-        service.execute(request).subscribe((val) => {
-            expect(val).toBe(response);
-            done();
+    it('should fail with status 0 on network error', (done) => {
+        spyOn(globalThis, 'fetch').and.returnValue(Promise.reject(new TypeError('Failed to fetch')));
+        const service = new AjaxHttpService();
+        const logWarning = spyOn(Log, 'warning').and.callFake(() => { });
+
+        service.execute({ url: 'http://cloud.com/', method: 'GET' }).subscribe({
+            error: (err: IHttpResponse) => {
+                expect(err.status).toBe(0);
+                expect(err.ok).toBe(false);
+                expect(logWarning).toHaveBeenCalledWith(
+                    '[AjaxHttpService] execute: Failed to fetch URL http://cloud.com/ TypeError: Failed to fetch');
+                done();
+            }
         });
-        expect(open).toHaveBeenCalledWith(request.method, request.url, true);
-        expect(setRequestHeader).toHaveBeenCalledWith('foo', 'bar');
-        expect(send).toHaveBeenCalledWith(request.body);
     });
 
-    it('should emit response from right json', (done) => {
+    it('should return response headers', (done) => {
+        const headers = { 'Content-Type': 'application/json', 'X-Request-Id': 'foo' };
+        spyOn(globalThis, 'fetch').and.returnValue(Promise.resolve(new Response('{"foo": "bar"}', { headers })));
         const service = new AjaxHttpService();
-        const httpRequest = { url: 'http://cloud.com' } as IHttpRequest;
-        const subject = new AsyncSubject<IHttpResponse>();
-        const xmlHttpRequest = { status: 200, responseText: '{"foo": "bar"}', getResponseHeader: (a) => 'application/json' } as XMLHttpRequest;
-        const response: IHttpResponse = { status: xmlHttpRequest.status, body: { foo: 'bar' }, statusText: undefined!, ok: true, url: httpRequest.url };
-        const logError = spyOn(service as any, 'logError').and.callFake(() => { });
-        service['onResponse'](httpRequest, subject, xmlHttpRequest);
-        subject.subscribe((val) => {
-            expect(val).toEqual(response);
+
+        service.execute({ url: 'http://cloud.com/', method: 'GET' }).subscribe((val) => {
+            expect(val.body).toEqual({ foo: 'bar' });
+            expect(val.headers).toEqual({ 'content-type': 'application/json', 'x-request-id': 'foo' });
             done();
         });
     });
 
-    it('should emit response from wrong json', (done) => {
+    it('should return body for response type', (done) => {
+        const spyFetch = spyOn(globalThis, 'fetch');
         const service = new AjaxHttpService();
-        const httpRequest = { url: 'http://cloud.com' } as IHttpRequest;
-        const subject = new AsyncSubject<IHttpResponse>();
-        const xmlHttpRequest = { status: 200, responseText: 'foo', getResponseHeader: (a) => 'application/json' } as XMLHttpRequest;
-        const response: IHttpResponse = { status: xmlHttpRequest.status, body: xmlHttpRequest.responseText, statusText: undefined!, ok: true, url: httpRequest.url };
-        const logError = spyOn(service as any, 'logError').and.callFake(() => { });
-        service['onResponse'](httpRequest, subject, xmlHttpRequest);
-        subject.subscribe((val) => {
-            expect(val).toEqual(response);
-            expect(logError).toHaveBeenCalledWith(`onResponse: Failed to parse JSON response for URL ${httpRequest.url}`, new SyntaxError('Unexpected token \'o\', "foo" is not valid JSON'));
+        const json = '{"foo": "bar"}';
+        spyFetch.and.callFake(() => Promise.resolve(new Response(json, { headers: { 'Content-Type': 'application/json' } })));
+
+        service.execute({ url: 'http://cloud.com/', method: 'GET', responseType: 'text' }).subscribe((text) => {
+            expect(text.body).toBe(json);
+            service.execute({ url: 'http://cloud.com/', method: 'GET', responseType: 'blob' }).subscribe((blob) => {
+                expect(blob.body instanceof Blob).toBe(true);
+                expect(blob.body.size).toBe(json.length);
+                service.execute({ url: 'http://cloud.com/', method: 'GET', responseType: 'arraybuffer' }).subscribe((buffer) => {
+                    expect(buffer.body instanceof ArrayBuffer).toBe(true);
+                    expect(buffer.body.byteLength).toBe(json.length);
+                    done();
+                });
+            });
+        });
+    });
+
+    it('should report progress', (done) => {
+        const body = 'hello world';
+        const fetchResponse = new Response(body, { headers: { 'Content-Length': '' + body.length } });
+        spyOn(globalThis, 'fetch').and.returnValue(Promise.resolve(fetchResponse));
+        const service = new AjaxHttpService();
+        const events: IHttpProgressEvent[] = [];
+        const request: IHttpRequest = { url: 'http://cloud.com/', method: 'POST', body: 'abc', onProgress: (event) => events.push(event) };
+
+        service.execute(request).subscribe((val) => {
+            expect(val.body).toBe(body);
+            expect(events[0]).toEqual({ type: 'upload', loaded: 3, total: 3 });
+            expect(events[events.length - 1]).toEqual({ type: 'download', loaded: body.length, total: body.length });
             done();
         });
     });
 
-    it('should emit response from xml', (done) => {
+    it('should abort request on unsubscribe', () => {
+        const spyFetch = spyOn(globalThis, 'fetch').and.callFake(fetchPending);
+        const service = new AjaxHttpService();
+
+        const subscription = service.execute({ url: 'http://cloud.com/', method: 'GET' }).subscribe();
+        expect(fetchRequest(spyFetch).signal.aborted).toBe(false);
+        subscription.unsubscribe();
+        expect(fetchRequest(spyFetch).signal.aborted).toBe(true);
+    });
+
+    it('should abort request with retry policy on unsubscribe', () => {
+        const spyFetch = spyOn(globalThis, 'fetch').and.callFake(fetchPending);
+        const service = new AjaxHttpService();
+
+        const subscription = service.execute({ url: 'http://cloud.com/', method: 'GET', retryPolicy: { timeout: 0 } }).subscribe();
+        subscription.unsubscribe();
+        expect(fetchRequest(spyFetch).signal.aborted).toBe(true);
+    });
+
+    it('should emit response from right json', () => {
+        const service = new AjaxHttpService();
+        const httpRequest = { url: 'http://cloud.com' } as IHttpRequest;
+        const headers = { 'content-type': 'application/json' };
+        const response: IHttpResponse = {
+            status: 200, body: { foo: 'bar' }, statusText: undefined!, ok: true, url: httpRequest.url, headers
+        };
+        spyOn(Log, 'error').and.callFake(() => { });
+
+        expect(service['createResponse'](httpRequest, 200, undefined, headers, '{"foo": "bar"}')).toEqual(response);
+    });
+
+    it('should emit response from wrong json', () => {
+        const service = new AjaxHttpService();
+        const httpRequest = { url: 'http://cloud.com' } as IHttpRequest;
+        const headers = { 'content-type': 'application/json' };
+        const response: IHttpResponse = { status: 200, body: 'foo', statusText: undefined!, ok: true, url: httpRequest.url, headers };
+        const logError = spyOn(Log, 'error').and.callFake(() => { });
+
+        expect(service['createResponse'](httpRequest, 200, undefined, headers, 'foo')).toEqual(response);
+        expect(logError).toHaveBeenCalledWith(
+            `[AjaxHttpService] onResponse: Failed to parse JSON response for URL ${httpRequest.url}`,
+            new SyntaxError('Unexpected token \'o\', "foo" is not valid JSON'));
+    });
+
+    it('should emit response from xml', () => {
         const service = new AjaxHttpService();
         const httpRequest = { url: 'http://cloud.com' } as IHttpRequest;
-        const subject = new AsyncSubject<IHttpResponse>();
-        const xmlHttpRequest = { status: 200, responseText: '<?xml version="1.0" encoding="UTF-8" ?><Root mcv="1.0"></Root> ', getResponseHeader: (a) => 'application/xml' } as XMLHttpRequest;
-        const response: IHttpResponse = { status: xmlHttpRequest.status, body: xmlHttpRequest.responseText, statusText: undefined!, ok: true, url: httpRequest.url };
-        service['onResponse'](httpRequest, subject, xmlHttpRequest);
-        subject.subscribe((val) => {
-            expect(val).toEqual(response);
+        const headers = { 'content-type': 'application/xml' };
+        const body = '<?xml version="1.0" encoding="UTF-8" ?><Root mcv="1.0"></Root> ';
+        const response: IHttpResponse = { status: 200, body: body, statusText: undefined!, ok: true, url: httpRequest.url, headers };
+
+        expect(service['createResponse'](httpRequest, 200, undefined, headers, body)).toEqual(response);
+    });
+
+    it('should fail with status 0 on timeout', (done) => {
+        spyOn(globalThis, 'fetch').and.callFake(fetchPending);
+        const service = new AjaxHttpService();
+        const logWarning = spyOn(Log, 'warning').and.callFake(() => { });
+
+        service.execute({ url: 'http://cloud.com/', method: 'GET', timeout: 10 }).subscribe({
+            error: (err: IHttpResponse) => {
+                expect(err.status).toBe(0);
+                expect(err.statusText).toBe('Timeout');
+                expect(logWarning).toHaveBeenCalledWith('[AjaxHttpService] execute: Timeout after 10 ms for URL http://cloud.com/');
+                done();
+            }
+        });
+    });
+
+    it('should retry request with transient status', (done) => {
+        const service = new AjaxHttpService();
+        const request: IHttpRequest = { url: 'http://cloud.com', method: 'GET', retryPolicy: { delay: 0, jitter: 0, timeout: 0 } };
+        const response = { status: 200, ok: true } as IHttpResponse;
+        const results = [throwError(() => ({ status: 503 })), throwError(() => ({ status: 500 }))];
+        const spyExecuteRequest = spyOn(service as unknown as Spyable, 'executeRequest')
+            .and.callFake(() => results.length > 1 ? results.shift() : of(response));
+        spyOn(Log, 'warning').and.callFake(() => { });
+
+        service.execute(request).subscribe((val) => {
+            expect(val).toBe(response);
+            expect(spyExecuteRequest).toHaveBeenCalledTimes(2);
+            expect(spyExecuteRequest).toHaveBeenCalledWith(request, 0);
             done();
         });
     });
-});
\ No newline at end of file
+
+    it('should not retry request without retry policy', (done) => {
+        const service = new AjaxHttpService();
+        const request: IHttpRequest = { url: 'http://cloud.com', method: 'GET' };
+        const spyExecuteRequest = spyOn(service as unknown as Spyable, 'executeRequest')
+            .and.callFake(() => throwError(() => ({ status: 503 })));
+
+        service.execute(request).subscribe({
+            error: (err) => {
+                expect(err).toEqual({ status: 503 });
+                expect(spyExecuteRequest).toHaveBeenCalledTimes(1);
+                done();
+            }
+        });
+    });
+});
@@ -1,5 +1,6 @@
-import { AsyncSubject, Observable } from 'rxjs';
+import { Observable, Subscriber } from 'rxjs';
 import { CoreBase } from './base';
+import { RetryUtil } from './retry';
 import { IHttpRequest, IHttpResponse, IHttpService } from './types';
 import { HttpUtil } from './util';
 
@@ -12,6 +13,13 @@ import { HttpUtil } from './util';
  *
  * This implementation can be used if there are no other framework used such as Angular.
  *
+ * Requests are executed with fetch when the Observable is subscribed to, and unsubscribing aborts the request.
+ * Since fetch is also available in Node, the service can be used in tests and scripts outside the browser,
+ * as long as the URLs are absolute.
+ *
+ * Fetch does not report the progress of the request body while it is sent, so a single upload progress event
+ * is reported when the request body has been sent.
+ *
  * @since 2.0.0
  */
 export class AjaxHttpService extends CoreBase implements IHttpService {
@@ -20,65 +28,145 @@ export class AjaxHttpService extends CoreBase implements IHttpService {
    }
 
    execute(request: IHttpRequest): Observable<IHttpResponse> {
-      const subject = new AsyncSubject<IHttpResponse>();
-      const url = request.url;
-      this.logDebug('execute: ' + url);
+      if (!request.retryPolicy) {
+         return this.executeRequest(request, request.timeout);
+      }
 
-      // TODO Decide if the response type should be set on the request or not...
+      const policy = RetryUtil.getPolicy(request.retryPolicy);
+      const timeout = request.timeout != null ? request.timeout : policy.timeout;
+      // Unsubscribing stops the retries and aborts the current attempt
+      return RetryUtil.retry(() => this.executeRequest(request, timeout), policy,
+         (response: IHttpResponse) => RetryUtil.isTransientStatus(policy, response.status), request.method + ' ' + request.url);
+   }
 
-      try {
+   private executeRequest(request: IHttpRequest, timeout: number): Observable<IHttpResponse> {
+      return new Observable<IHttpResponse>(subscriber => {
+         const url = request.url;
          const method = request.method;
-         const responseType = '';
-         const x = new XMLHttpRequest();
-         x.open(method, url, true);
-         x.responseType = responseType as XMLHttpRequestResponseType;
-         const headers = request.headers;
-         if (headers) {
-            for (const name of Object.keys(headers)) {
-               x.setRequestHeader(name, headers[name]);
-            }
+         const controller = new AbortController();
+         let isTimeout = false;
+         let timer: ReturnType<typeof setTimeout>;
+         this.logDebug('execute: ' + url);
+
+         let fetchRequest: Request;
+         try {
+            fetchRequest = new Request(url, {
+               method: method,
+               headers: request.headers,
+               body: method === 'GET' ? undefined : request.body,
+               signal: controller.signal
+            });
+         } catch {
+            this.onResponse(subscriber, this.createResponse(request, 500, 'Exception', {}, ''));
+            return;
          }
-         const self = this;
-         x.onreadystatechange = function () {
-            if (x.readyState === 4) {
-               self.onResponse(request, subject, x);
+
+         if (timeout > 0) {
+            // The request fails with status 0 when it times out
+            timer = setTimeout(() => {
+               isTimeout = true;
+               controller.abort();
+            }, timeout);
+         }
+
+         fetch(fetchRequest).then(response => {
+            if (request.onProgress && request.body != null && method !== 'GET') {
+               const size = this.getBodySize(request.body);
+               request.onProgress({ type: 'upload', loaded: size || 0, total: size });
             }
+            return this.readBody(request, response).then(body => {
+               return this.createResponse(request, response.status, response.statusText, this.getHeaders(response.headers), body);
+            });
+         }).then(response => {
+            this.onResponse(subscriber, response);
+         }, error => {
+            if (isTimeout) {
+               this.logWarning('execute: Timeout after ' + timeout + ' ms for URL ' + url);
+               this.onResponse(subscriber, this.createResponse(request, 0, 'Timeout', {}, null));
+            } else if (!controller.signal.aborted) {
+               this.logWarning('execute: Failed to fetch URL ' + url + ' ' + error);
+               this.onResponse(subscriber, this.createResponse(request, 0, null, {}, null));
+            }
+         }).then(() => {
+            clearTimeout(timer);
+         });
+
+         return () => {
+            clearTimeout(timer);
+            controller.abort();
          };
-         if (method === 'GET') {
-            x.send();
-         } else {
-            x.send(request.body);
-         }
-      } catch (e) {
-         this.onResponse(request, subject, null);
+      });
+   }
+
+   private readBody(request: IHttpRequest, response: Response): Promise<string | Blob | ArrayBuffer> {
+      const responseType = response.ok ? request.responseType : 'text';
+      if (request.onProgress && response.body) {
+         return this.readBlob(request, response).then<string | Blob | ArrayBuffer>(blob => {
+            if (responseType === 'blob') {
+               return blob;
+            }
+            return responseType === 'arraybuffer' ? blob.arrayBuffer() : blob.text();
+         });
+      }
+      if (responseType === 'blob') {
+         return response.blob();
       }
+      return responseType === 'arraybuffer' ? response.arrayBuffer() : response.text();
+   }
+
+   /**
+    * Reads the response body in chunks and reports the download progress for each chunk.
+    */
+   private readBlob(request: IHttpRequest, response: Response): Promise<Blob> {
+      const reader = response.body.getReader();
+      const length = response.headers.get('Content-Length');
+      const total = length ? Number(length) : null;
+      const chunks: Uint8Array[] = [];
+      let loaded = 0;
 
-      return subject.asObservable();
+      const read = (): Promise<Blob> => reader.read().then(result => {
+         if (result.done) {
+            return new Blob(chunks, { type: response.headers.get('Content-Type') || '' });
+         }
+         chunks.push(result.value);
+         loaded += result.value.byteLength;
+         request.onProgress({ type: 'download', loaded: loaded, total: total });
+         return read();
+      });
+      return read();
    }
 
-   private onResponse(request: IHttpRequest, subject: AsyncSubject<IHttpResponse>, x: XMLHttpRequest): void {
-      const url = request.url;
-      let status;
-      let statusText;
-      let contentType;
-      let body;
-
-      if (x) {
-         status = x.status;
-         contentType = x.getResponseHeader('Content-Type');
-         body = x.responseText;
-      } else {
-         status = 500;
-         body = '';
-         statusText = 'Exception';
-         contentType = '';
+   private getBodySize(body: unknown): number | null {
+      if (typeof body === 'string') {
+         return new Blob([body]).size;
       }
+      if (body instanceof Blob) {
+         return body.size;
+      }
+      if (body instanceof ArrayBuffer || ArrayBuffer.isView(body)) {
+         return body.byteLength;
+      }
+      return null;
+   }
 
-      this.logDebug('onResponse: Status ' + status + ' URL ' + request.url);
+   private getHeaders(headers: Headers): { [name: string]: string } {
+      const values = {};
+      headers.forEach((value, name) => {
+         values[name.toLowerCase()] = value;
+      });
+      return values;
+   }
+
+   private createResponse(request: IHttpRequest, status: number, statusText: string, headers: { [name: string]: string },
+      body: unknown): IHttpResponse {
+      const url = request.url;
+      this.logDebug('onResponse: Status ' + status + ' URL ' + url);
 
       const isSuccess = HttpUtil.isSuccess(status);
-      if (isSuccess) {
-         const bodyText = body;
+      const responseType = request.responseType;
+      if (isSuccess && (!responseType || responseType === 'json')) {
+         const bodyText = body as string;
+         const contentType = headers['content-type'];
          const isJson = (contentType && contentType.indexOf('application/json') >= 0) || (bodyText && HttpUtil.isJsonLike(bodyText));
          if (isJson) {
             try {
@@ -89,19 +177,22 @@ export class AjaxHttpService extends CoreBase implements IHttpService {
          }
       }
 
-      const response: IHttpResponse = {
+      return {
          url: url,
          status: status,
          statusText: statusText,
          ok: isSuccess,
-         body: body
+         body: body,
+         headers: headers
       };
+   }
 
-      if (isSuccess) {
-         subject.next(response);
-         subject.complete();
+   private onResponse(subscriber: Subscriber<IHttpResponse>, response: IHttpResponse): void {
+      if (response.ok) {
+         subscriber.next(response);
+         subscriber.complete();
       } else {
-         subject.error(response);
+         subscriber.error(response);
       }
    }
 }
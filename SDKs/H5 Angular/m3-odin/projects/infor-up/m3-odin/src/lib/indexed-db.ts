@@ -0,0 +1,63 @@
+import { AsyncSubject, Observable } from 'rxjs';
+import { switchMap } from 'rxjs/operators';
+
+/**
+ * Executes requests against an object store in an IndexedDB database in the browser. Used by the stores of the
+ * library that keep data in IndexedDB.
+ *
+ * The database is opened on the first request, and the object store is created when the database is created.
+ * @hidden
+ *
+ * @since 7.3.0
+ */
+export class IndexedDbObjectStore {
+   private database: Observable<IDBDatabase>;
+
+   /**
+    * Creates an object store.
+    * @param databaseName The name of the database.
+    * @param storeName The name of the object store in the database.
+    * @param keyPath The key path of the object store.
+    */
+   constructor(private databaseName: string, private storeName: string, private keyPath: string) {
+   }
+
+   /**
+    * Executes a request in a transaction.
+    * @param mode The mode of the transaction.
+    * @param action Creates the request for the object store.
+    * @returns An Observable with the result of the request, emitted when the transaction is complete.
+    */
+   public execute<T>(mode: IDBTransactionMode, action: (store: IDBObjectStore) => IDBRequest): Observable<T> {
+      return this.open().pipe(switchMap(database => new Observable<T>(subscriber => {
+         const transaction = database.transaction(this.storeName, mode);
+         const request = action(transaction.objectStore(this.storeName));
+         transaction.oncomplete = () => {
+            subscriber.next(request.result);
+            subscriber.complete();
+         };
+         transaction.onerror = transaction.onabort = () => subscriber.error(transaction.error || request.error);
+      })));
+   }
+
+   private open(): Observable<IDBDatabase> {
+      if (!this.database) {
+         const subject = new AsyncSubject<IDBDatabase>();
+         const request = indexedDB.open(this.databaseName, 1);
+         request.onupgradeneeded = () => {
+            request.result.createObjectStore(this.storeName, { keyPath: this.keyPath });
+         };
+         request.onsuccess = () => {
+            subject.next(request.result);
+            subject.complete();
+         };
+         request.onerror = () => {
+            // Try to open the database again the next time
+            this.database = null;
+            subject.error(request.error);
+         };
+         this.database = subject.asObservable();
+      }
+      return this.database;
+   }
+}
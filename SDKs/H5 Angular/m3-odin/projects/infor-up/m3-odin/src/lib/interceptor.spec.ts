@@ -0,0 +1,76 @@
+import { of } from 'rxjs';
+import { InterceptorChain } from './interceptor';
+import { IInterceptor } from './types';
+
+describe('InterceptorChain', () => {
+    const createInterceptor = (name: string, log: string[]): IInterceptor<string, string> => ({
+        intercept: (request, next) => {
+            log.push(name + ' ' + request);
+            return next(request + name);
+        }
+    });
+
+    it('should execute request without interceptors', (done) => {
+        const chain = new InterceptorChain<string, string>();
+        const execute = jasmine.createSpy('execute').and.returnValue(of('bar'));
+
+        chain.execute('foo', execute).subscribe(value => {
+            expect(value).toBe('bar');
+            expect(execute).toHaveBeenCalledWith('foo');
+            expect(chain.length).toBe(0);
+            done();
+        });
+    });
+
+    it('should call interceptors in the order they were added', (done) => {
+        const chain = new InterceptorChain<string, string>();
+        const log: string[] = [];
+        const execute = jasmine.createSpy('execute').and.callFake((request: string) => of(request.toUpperCase()));
+
+        chain.add(createInterceptor('A', log));
+        chain.add(createInterceptor('B', log));
+        chain.execute('foo', execute).subscribe(value => {
+            expect(value).toBe('FOOAB');
+            expect(log).toEqual(['A foo', 'B fooA']);
+            done();
+        });
+    });
+
+    it('should remove interceptor', () => {
+        const chain = new InterceptorChain<string, string>();
+        const log: string[] = [];
+        const interceptor = createInterceptor('A', log);
+
+        chain.add(interceptor);
+        chain.add(createInterceptor('B', log));
+        chain.remove(interceptor);
+        chain.execute('foo', request => of(request));
+        expect(chain.length).toBe(1);
+        expect(log).toEqual(['B foo']);
+    });
+
+    it('should return synthetic response without executing request', (done) => {
+        const chain = new InterceptorChain<string, string>();
+        const execute = jasmine.createSpy('execute');
+
+        chain.add({ intercept: () => of('fake') });
+        chain.execute('foo', execute).subscribe(value => {
+            expect(value).toBe('fake');
+            expect(execute).not.toHaveBeenCalled();
+            done();
+        });
+    });
+
+    it('should fail if interceptor throws', (done) => {
+        const chain = new InterceptorChain<string, string>();
+        const error = new Error('foo');
+
+        chain.add({ intercept: () => { throw error; } });
+        chain.execute('foo', request => of(request)).subscribe({
+            error: (err) => {
+                expect(err).toBe(error);
+                done();
+            }
+        });
+    });
+});
@@ -0,0 +1,67 @@
+import { Observable, throwError } from 'rxjs';
+import { IInterceptor } from './types';
+import { ArrayUtil } from './util';
+
+/**
+ * Represents an ordered list of interceptors for a service. See {@link IInterceptor}.
+ *
+ * ```typescript
+ * import { InterceptorChain } from '@infor-up/m3-odin';
+ * ```
+ *
+ * The interceptors are called in the order they were added, so the first interceptor gets the request first and
+ * the response last.
+ *
+ * @since 7.3.0
+ */
+export class InterceptorChain<TRequest, TResponse> {
+   private interceptors: IInterceptor<TRequest, TResponse>[] = [];
+
+   /**
+    * Gets the number of interceptors.
+    */
+   public get length(): number {
+      return this.interceptors.length;
+   }
+
+   /**
+    * Adds an interceptor last in the chain.
+    * @param interceptor An interceptor.
+    */
+   public add(interceptor: IInterceptor<TRequest, TResponse>): void {
+      this.interceptors.push(interceptor);
+   }
+
+   /**
+    * Removes an existing interceptor.
+    * @param interceptor An existing interceptor to remove.
+    */
+   public remove(interceptor: IInterceptor<TRequest, TResponse>): void {
+      ArrayUtil.remove(this.interceptors, interceptor);
+   }
+
+   /**
+    * Executes a request through the interceptors.
+    *
+    * Interceptors that are added or removed while a request is executed do not affect that request.
+    * An error thrown by an interceptor fails the returned Observable.
+    *
+    * @param request The request.
+    * @param execute A function that executes the request after the last interceptor.
+    * @returns An Observable that will be completed with the response.
+    */
+   public execute(request: TRequest, execute: (request: TRequest) => Observable<TResponse>): Observable<TResponse> {
+      const interceptors = this.interceptors.slice();
+      const next = (index: number, nextRequest: TRequest): Observable<TResponse> => {
+         if (index >= interceptors.length) {
+            return execute(nextRequest);
+         }
+         try {
+            return interceptors[index].intercept(nextRequest, (r: TRequest) => next(index + 1, r));
+         } catch (error) {
+            return throwError(() => error);
+         }
+      };
+      return next(0, request);
+   }
+}
@@ -2,7 +2,7 @@ import { AsyncSubject, Observable, of, throwError } from 'rxjs';
 import { IFormResponse, ITranslationRequest, ITranslationResponse, IFormRequest } from './form/base';
 import { IBookmark, IEnvironmentContext, IFormService, ISearchRequest } from './form/types';
 import { IonApiServiceCore } from './ion';
-import { IHttpRequest, IHttpResponse, IHttpService, IIonApiContext, IIonApiRequest, IIonApiResponse } from './types';
+import { IHttpInterceptor, IHttpRequest, IHttpResponse, IHttpService, IIonApiContext, IIonApiRequest, IIonApiResponse } from './types';
 import { CoreUtil, HttpUtil } from './util';
 
 class MockIHttpService implements IHttpService {
@@ -334,4 +334,32 @@ describe('IonApiServiceCore', () => {
 
         expect(subscribeCount).toBe(3);
     });
-});
\ No newline at end of file
+
+    it('should pass HTTP requests to HTTP interceptors', () => {
+        const service = new IonApiServiceCore(mockIHttpService, mockIFormService);
+        const execute = spyOn(service['httpService'], 'execute').and.returnValue(of({ body: 'bar' } as IHttpResponse));
+        const interceptor: IHttpInterceptor = {
+            intercept: (request, next) => next({ ...request, headers: { ...request.headers, 'X-Trace-Id': 'foo' } })
+        };
+        service['pending'] = [];
+        spyOn(CoreUtil, 'random').and.returnValue('Bar');
+
+        service.setUrl('foo');
+        service.addHttpInterceptor(interceptor);
+        service['loadToken'](false);
+        expect(execute).toHaveBeenCalledWith({
+            method: 'GET',
+            url: '/grid/rest/security/sessions/oauth?rid=Bar',
+            responseType: 'text',
+            headers: { 'X-Trace-Id': 'foo' }
+        });
+
+        service.removeHttpInterceptor(interceptor);
+        service['loadToken'](false);
+        expect(execute).toHaveBeenCalledWith({
+            method: 'GET',
+            url: '/grid/rest/security/sessions/oauth?rid=Bar',
+            responseType: 'text'
+        });
+    });
+});
@@ -1,7 +1,8 @@
 import { AsyncSubject, Observable } from 'rxjs';
 import { CoreBase } from './base';
+import { InterceptorChain } from './interceptor';
 import { IFormService } from './form/types';
-import { IHttpRequest, IHttpResponse, IHttpService, IIonApiContext, IIonApiOptions, IIonApiRequest, IIonApiResponse, IIonApiService } from './types';
+import { IHttpInterceptor, IHttpRequest, IHttpResponse, IHttpService, IIonApiContext, IIonApiOptions, IIonApiRequest, IIonApiResponse, IIonApiService } from './types';
 import { CoreUtil, HttpUtil, StringUtil } from './util';
 
 /**
@@ -77,11 +78,32 @@ export class IonApiServiceCore extends CoreBase implements IIonApiService {
    private token: string;
    private pending: AsyncSubject<IIonApiContext>[];
    private isDev = false;
+   private httpInterceptors = new InterceptorChain<IHttpRequest, IHttpResponse>();
 
    constructor(private httpService: IHttpService, private formService: IFormService) {
       super('IonApiServiceCore');
    }
 
+   /**
+    * Adds an interceptor for the HTTP requests of the service, see {@link IHttpInterceptor}.
+    *
+    * @param interceptor An interceptor. Interceptors are called in the order they were added.
+    * @since 7.3.0
+    */
+   addHttpInterceptor(interceptor: IHttpInterceptor): void {
+      this.httpInterceptors.add(interceptor);
+   }
+
+   /**
+    * Removes an existing interceptor for HTTP requests.
+    *
+    * @param interceptor An existing interceptor to remove.
+    * @since 7.3.0
+    */
+   removeHttpInterceptor(interceptor: IHttpInterceptor): void {
+      this.httpInterceptors.remove(interceptor);
+   }
+
    setUrl(url: string): void {
       this.url = url;
    }
@@ -163,7 +185,7 @@ export class IonApiServiceCore extends CoreBase implements IIonApiService {
          this.logDebug('executeApi: Executing ' + logSuffix);
       }
 
-      this.httpService.execute(options).subscribe((httpResponse: IHttpResponse) => {
+      this.executeHttp(options).subscribe((httpResponse: IHttpResponse) => {
          if (isDebug) {
             this.logDebug('executeApi: Executed ' + logSuffix);
          }
@@ -188,6 +210,10 @@ export class IonApiServiceCore extends CoreBase implements IIonApiService {
       });
    }
 
+   private executeHttp(request: IHttpRequest): Observable<IHttpResponse> {
+      return this.httpInterceptors.execute(request, httpRequest => this.httpService.execute(httpRequest));
+   }
+
    private loadToken(isForceRefresh: boolean): void {
       this.token = null; // Clear the pre-loaded token that is no longer valid
       const pending = this.pending;
@@ -201,7 +227,7 @@ export class IonApiServiceCore extends CoreBase implements IIonApiService {
          responseType: 'text'
       };
 
-      this.httpService.execute(request).subscribe((response: IHttpResponse) => {
+      this.executeHttp(request).subscribe((response: IHttpResponse) => {
          const token = response.body as string;
          if (context) {
             // Update the token in the existing context
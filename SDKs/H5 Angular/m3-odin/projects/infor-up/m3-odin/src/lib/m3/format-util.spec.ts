@@ -41,4 +41,17 @@ describe('FormatUtil', () => {
 
         expect(() => { FormatUtil.parseDate('22220101T00:00:00Z') }).toThrowError('Invalid format and/or value, format=yyMMdd value=22220101T00:00:00Z');
     });
+
+    it('should parse number', () => {
+        spyOn(Configuration, 'getDecimalSeparator').and.returnValue(',');
+
+        expect(FormatUtil.parseNumber('1 234,50')).toBe(1234.5);
+        expect(FormatUtil.parseNumber('12,5-')).toBe(-12.5);
+        expect(FormatUtil.parseNumber('-1,234.5', { separator: '.' })).toBe(-1234.5);
+        expect(FormatUtil.parseNumber(',5')).toBe(0.5);
+        expect(FormatUtil.parseNumber('')).toBeNull();
+        expect(FormatUtil.parseNumber(null)).toBeNull();
+        expect(FormatUtil.parseNumber('1,2,3')).toBeNull();
+        expect(FormatUtil.parseNumber('abc')).toBeNull();
+    });
 });
\ No newline at end of file
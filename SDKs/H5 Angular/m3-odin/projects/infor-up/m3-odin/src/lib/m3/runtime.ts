@@ -3,6 +3,7 @@ import { CoreBase, ErrorState } from '../base';
 import { Log } from '../log';
 import { IMIResponse, IMIService } from '../mi/base';
 import { IMIRequest } from '../mi/types';
+import { INumberFormatOptions } from '../types';
 import { HttpUtil } from '../util';
 import { IApplicationService, IDateOptions, IMessage, ITask, IUserContext, IUserResponse, IUserService } from './types';
 
@@ -163,6 +164,36 @@ export class FormatUtil {
 
       return new Date(year, month, day);
    }
+
+   /**
+    * Parses a number formatted by M3 to a JavaScript number.
+    *
+    * The value can contain thousand separators and spaces, and a leading or trailing minus sign since M3 can show
+    * negative numbers with a trailing minus sign.
+    *
+    * @param value A number string.
+    * @param options An optional options object that overrides the decimal separator from the user context.
+    * @returns The number, or null if the value is empty or cannot be parsed.
+    *
+    * @since 7.3.0
+    */
+   public static parseNumber(value: string, options?: INumberFormatOptions): number {
+      let text = (value || '').replace(/\s/g, '');
+      if (!text) {
+         return null;
+      }
+
+      const isNegative = /^-|-$/.test(text);
+      text = text.replace(/^-|-$/, '');
+
+      const separator = (options && options.separator) || Configuration.getDecimalSeparator();
+      const parts = text.split(separator).map(part => part.replace(/[.,']/g, ''));
+      if (parts.length > 2 || !/^(\d+(\.\d*)?|\.\d+)$/.test(parts.join('.'))) {
+         return null;
+      }
+      const number = parseFloat(parts.join('.'));
+      return isNegative ? -number : number;
+   }
 }
 
 /**
@@ -10,6 +10,18 @@ class MockMIService implements IMIService {
         throw new Error('Method not implemented.');
     }
 
+    executeBulk(): Observable<IMIResponse[]> {
+        throw new Error('Method not implemented.');
+    }
+
+    executeAll(): Observable<IMIResponse> {
+        throw new Error('Method not implemented.');
+    }
+
+    clearCache(): void {
+        throw new Error('Method not implemented.');
+    }
+
     instance = {
         updateUserContext: (company: string, division: string): void => {
             throw new Error('Method not implemented.');
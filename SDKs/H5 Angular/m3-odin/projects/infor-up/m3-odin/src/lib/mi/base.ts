@@ -1,5 +1,6 @@
 import { Observable } from 'rxjs';
-import { IMIRequest } from './types';
+import { IInterceptor } from '../types';
+import { IMIPagingOptions, IMIRequest, IMIValidationError } from './types';
 
 /**
  * Defines the possible data types for an MI value (String, Numeric or Date).
@@ -203,6 +204,21 @@ export interface IMIResponse {
     */
    tag?: any;
 
+   /**
+    * Gets the errors for the input record if the request failed validation, see {@link IMIOptions.validate}.
+    *
+    * @since 7.3.0
+    */
+   validationErrors?: IMIValidationError[];
+
+   /**
+    * Gets a value that indicates if the request was queued by an {@link MIOutbox} to be executed when the network is available.
+    * A queued response has no items.
+    *
+    * @since 7.3.0
+    */
+   queued?: boolean;
+
    /**
     * Gets a value that indicates if an error exists in the response.
     *
@@ -214,6 +230,36 @@ export interface IMIResponse {
    hasError(): boolean;
 }
 
+/**
+ * Represents an interceptor for MI requests.
+ *
+ * ```typescript
+ * import { IMIInterceptor } from '@infor-up/m3-odin';
+ * ```
+ *
+ * MI interceptors are registered with {@link MIServiceCore.addInterceptor}, or with the MIInterceptors token in Angular
+ * projects. They are called once for each call to {@link IMIService.execute}, before the cache and retries are used,
+ * and for each page of {@link IMIService.executeAll}. Requests executed with {@link IMIService.executeBulk} are only passed
+ * to the HTTP interceptors.
+ *
+ * **Example**
+ * ```typescript
+ * const fake: IMIInterceptor = {
+ *    intercept: (request, next) => {
+ *       if (request.program === 'CRS610MI' && request.transaction === 'GetBasicData') {
+ *          const item = { CUNO: request.record.CUNO, CUNM: 'Test customer' };
+ *          const response = { program: request.program, transaction: request.transaction, item: item, items: [item] };
+ *          return of({ ...response, hasError: () => false } as IMIResponse);
+ *       }
+ *       return next(request);
+ *    }
+ * };
+ * ```
+ *
+ * @since 7.3.0
+ */
+export type IMIInterceptor = IInterceptor<IMIRequest, IMIResponse>;
+
 /**
  * Represents a service for executing transactions in M3 MI programs.
  *
@@ -252,4 +298,80 @@ export interface IMIService {
     * @returns An Observable that will be completed with a response or an error response if the transaction failes.
     */
    execute(request: IMIRequest): Observable<IMIResponse>;
+
+   /**
+    * Executes several MI transactions with the bulk endpoint of m3api-rest v2, so that requests for the same program,
+    * company and division are sent in one HTTP request.
+    *
+    * Unlike {@link execute}, a transaction that fails does not fail the Observable. Each request gets its own response,
+    * and errors are reported per response (see {@link IMIResponse.hasError}). Transactions that were not run since an
+    * earlier transaction in the same bulk request failed get the error type 'NotProcessed'.
+    *
+    * If the HTTP request for a program fails, each of its requests gets a response with the error, and the responses for
+    * the other programs are kept.
+    *
+    * The bulk endpoint does not return metadata, so requests with includeMetadata or typedOutput are executed one by one.
+    * Requests with {@link IMIRequest.validate} are validated before they are grouped, and an invalid request gets a
+    * validation error response without being sent.
+    *
+    * **Example**
+    * ```typescript
+    * const requests = lines.map(line => ({
+    *    program: 'OIS100MI',
+    *    transaction: 'AddLineBatchEnt',
+    *    record: { ORNO: orderNumber, ITNO: line.itemNumber, ORQT: line.quantity }
+    * } as IMIRequest));
+    *
+    * this.miService.executeBulk(requests).subscribe((responses: IMIResponse[]) => {
+    *    const failed = responses.filter(response => response.hasError());
+    * }, (response: IMIResponse) => {
+    *    // Handle the error response if an HTTP request failed...
+    * });
+    * ```
+    *
+    * @param requests The requests to execute.
+    * @returns An Observable that will be completed with one response for each request, in the same order as the requests.
+    * @since 7.3.0
+    */
+   executeBulk(requests: IMIRequest[]): Observable<IMIResponse[]>;
+
+   /**
+    * Reads all records of a list transaction, one page at a time.
+    *
+    * Each page is requested with the key field values of the last record of the previous page as input. Records that
+    * were already returned are skipped, since a list transaction starts at the record with the given key.
+    *
+    * The Observable emits a response for each page and completes after the last page, or when
+    * {@link IMIPagingOptions.maxRecords} records have been read. Unsubscribe to stop reading more pages.
+    * The Observable fails with an error response if a page fails.
+    *
+    * **Example**
+    * ```typescript
+    * const request = {
+    *    program: 'CRS610MI',
+    *    transaction: 'LstByNumber',
+    *    outputFields: ['CUNO', 'CUNM', 'STAT']
+    * } as IMIRequest;
+    *
+    * this.subscription = this.miService.executeAll(request, { keyFields: ['CUNO'], pageSize: 500 }).subscribe((response: IMIResponse) => {
+    *    this.customers.push(...response.items);
+    * }, (response: IMIResponse) => {
+    *    // Handle the error response...
+    * });
+    * ```
+    *
+    * @param request The request for the first page.
+    * @param options The key fields of the transaction and the page size.
+    * @returns An Observable that emits a response for each page.
+    * @since 7.3.0
+    */
+   executeAll(request: IMIRequest, options: IMIPagingOptions): Observable<IMIResponse>;
+
+   /**
+    * Removes cached responses, see {@link IMIOptions.cache}.
+    *
+    * @param program The MI program to remove the responses for. All responses are removed if the program is not set.
+    * @since 7.3.0
+    */
+   clearCache(program?: string): void;
 }
@@ -0,0 +1,75 @@
+import { of } from 'rxjs';
+import { IMIResponse } from './base';
+import { MICache } from './cache';
+import { MIResponse } from './runtime';
+
+describe('MICache', () => {
+    const maxSize = MICache.maxSize;
+    const response = of(new MIResponse() as IMIResponse);
+
+    afterEach(() => {
+        MICache.maxSize = maxSize;
+    });
+
+    it('should get response', () => {
+        const cache = new MICache();
+
+        expect(cache.get('foo')).toBeNull();
+        cache.set('foo', 'MMS200MI', 1000, response);
+        expect(cache.get('foo')).toBe(response);
+        expect(cache.size).toBe(1);
+    });
+
+    it('should not get expired response', () => {
+        const cache = new MICache();
+        const now = Date.now();
+        const spyNow = spyOn(Date, 'now').and.returnValue(now);
+
+        cache.set('foo', 'MMS200MI', 1000, response);
+        spyNow.and.returnValue(now + 999);
+        expect(cache.get('foo')).toBe(response);
+        spyNow.and.returnValue(now + 1000);
+        expect(cache.get('foo')).toBeNull();
+        expect(cache.size).toBe(0);
+    });
+
+    it('should remove least recently used response when full', () => {
+        const cache = new MICache();
+        MICache.maxSize = 2;
+
+        cache.set('foo', 'MMS200MI', 1000, response);
+        cache.set('bar', 'MMS200MI', 1000, response);
+        cache.get('foo');
+        cache.set('baz', 'MMS200MI', 1000, response);
+        expect(cache.size).toBe(2);
+        expect(cache.get('bar')).toBeNull();
+        expect(cache.get('foo')).toBe(response);
+        expect(cache.get('baz')).toBe(response);
+    });
+
+    it('should remove response only if it has not been replaced', () => {
+        const cache = new MICache();
+        const other = of(new MIResponse() as IMIResponse);
+
+        cache.set('foo', 'MMS200MI', 1000, response);
+        cache.set('foo', 'MMS200MI', 1000, other);
+        cache.remove('foo', response);
+        expect(cache.get('foo')).toBe(other);
+        cache.remove('foo', other);
+        expect(cache.get('foo')).toBeNull();
+    });
+
+    it('should invalidate responses for program', () => {
+        const cache = new MICache();
+
+        cache.set('foo', 'MMS200MI', 1000, response);
+        cache.set('bar', 'CRS610MI', 1000, response);
+        cache.invalidate('MMS200MI');
+        expect(cache.get('foo')).toBeNull();
+        expect(cache.get('bar')).toBe(response);
+
+        cache.set('foo', 'MMS200MI', 1000, response);
+        cache.invalidate();
+        expect(cache.size).toBe(0);
+    });
+});
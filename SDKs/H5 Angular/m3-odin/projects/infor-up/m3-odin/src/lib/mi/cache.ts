@@ -0,0 +1,112 @@
+import { Observable } from 'rxjs';
+import { IMIResponse } from './base';
+
+interface IMICacheEntry {
+   program: string;
+   expires: number;
+   response: Observable<IMIResponse>;
+}
+
+/**
+ * Cache for the responses of read-only MI transactions. See {@link IMIOptions.cache}.
+ *
+ * ```typescript
+ * import { MICache } from '@infor-up/m3-odin';
+ * ```
+ *
+ * The cache is used by {@link MIServiceCore} for requests that have the cache option set. The default time to live
+ * and the maximum number of responses can be changed when the application starts.
+ *
+ * **Example**
+ * ```typescript
+ * MICache.defaultTtl = 60000;
+ * MICache.maxSize = 200;
+ * ```
+ *
+ * @since 7.3.0
+ */
+export class MICache {
+   /**
+    * Gets or sets the number of milliseconds that a response is cached, unless the request has its own time to live.
+    * The default value is 5 minutes.
+    */
+   public static defaultTtl = 300000;
+
+   /**
+    * Gets or sets the maximum number of cached responses. The response that was used least recently is removed
+    * when the cache is full.
+    */
+   public static maxSize = 1000;
+
+   // Entries are kept in the order they were used, the least recently used first
+   private entries = new Map<string, IMICacheEntry>();
+
+   /**
+    * Gets the number of cached responses, including responses that have expired but have not been removed yet.
+    */
+   public get size(): number {
+      return this.entries.size;
+   }
+
+   /**
+    * Gets a cached response.
+    * @param key The cache key of the request.
+    * @returns The response, or null if there is no response or if it has expired.
+    */
+   public get(key: string): Observable<IMIResponse> | null {
+      const entry = this.entries.get(key);
+      if (!entry) {
+         return null;
+      }
+      this.entries.delete(key);
+      if (entry.expires <= Date.now()) {
+         return null;
+      }
+      this.entries.set(key, entry);
+      return entry.response;
+   }
+
+   /**
+    * Adds a response. The response is added before it has completed, so that requests that are made in the
+    * meantime can use it.
+    * @param key The cache key of the request.
+    * @param program The MI program, used to invalidate the response.
+    * @param ttl The number of milliseconds to cache the response.
+    * @param response An Observable that replays the response to each subscriber.
+    */
+   public set(key: string, program: string, ttl: number, response: Observable<IMIResponse>): void {
+      this.entries.delete(key);
+      while (this.entries.size > 0 && this.entries.size >= MICache.maxSize) {
+         this.entries.delete(this.entries.keys().next().value);
+      }
+      this.entries.set(key, { program: program, expires: Date.now() + ttl, response: response });
+   }
+
+   /**
+    * Removes a response, if it has not been replaced by another response.
+    * @param key The cache key of the request.
+    * @param response The response to remove.
+    */
+   public remove(key: string, response: Observable<IMIResponse>): void {
+      const entry = this.entries.get(key);
+      if (entry && entry.response === response) {
+         this.entries.delete(key);
+      }
+   }
+
+   /**
+    * Removes the responses for a program, or all responses.
+    * @param program The MI program. All responses are removed if the program is not set.
+    */
+   public invalidate(program?: string): void {
+      if (!program) {
+         this.entries.clear();
+         return;
+      }
+      this.entries.forEach((entry, key) => {
+         if (entry.program === program) {
+            this.entries.delete(key);
+         }
+      });
+   }
+}
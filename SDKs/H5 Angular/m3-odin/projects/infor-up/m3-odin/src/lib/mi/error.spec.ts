@@ -0,0 +1,110 @@
+import { IMIResponse } from './base';
+import { MIError, MIErrorCategory } from './error';
+import { MIResponse } from './runtime';
+
+describe('MIError', () => {
+    const createResponse = (values: Partial<IMIResponse>): IMIResponse => {
+        return Object.assign(new MIResponse(), { program: 'MMS200MI', transaction: 'GetItmBasic' }, values);
+    };
+
+    it('should create error from response', () => {
+        const response = createResponse({
+            errorMessage: 'Item number A1 does not exist', errorCode: 'WIT0103', errorField: 'ITNO', errorType: 'ServerReturnedNOK'
+        });
+        const error = MIError.fromResponse(response);
+
+        expect(error instanceof Error).toBe(true);
+        expect(error instanceof MIError).toBe(true);
+        expect(error.name).toBe('MIError');
+        expect(error.message).toBe('Item number A1 does not exist');
+        expect(error.category).toBe(MIErrorCategory.RecordNotFound);
+        expect(error.program).toBe('MMS200MI');
+        expect(error.transaction).toBe('GetItmBasic');
+        expect(error.field).toBe('ITNO');
+        expect(error.code).toBe('WIT0103');
+        expect(error.type).toBe('ServerReturnedNOK');
+        expect(error.status).toBeNull();
+        expect(error.response).toBe(response);
+        expect(MIError.fromResponse(error)).toBe(error);
+    });
+
+    it('should classify errors', () => {
+        const classify = (values: Partial<IMIResponse>) => MIError.fromResponse(createResponse(values)).category;
+
+        expect(classify({ errorMessage: 'Record does not exist', errorCode: 'XRE0103' })).toBe(MIErrorCategory.RecordNotFound);
+        expect(classify({ errorCode: 'XRE0103' })).toBe(MIErrorCategory.RecordNotFound);
+        expect(classify({ errorMessage: 'Record is locked by user FOO' })).toBe(MIErrorCategory.RecordLocked);
+        expect(classify({ errorMessage: 'Record has been changed by another user' })).toBe(MIErrorCategory.RecordLocked);
+        expect(classify({ errorMessage: 'You are not authorized to program MMS001', errorField: 'ITNO' }))
+            .toBe(MIErrorCategory.Authorization);
+        expect(classify({ errorMessage: 'Failed to call MMS200MI.GetItmBasic 401', errorCode: '401' })).toBe(MIErrorCategory.Authorization);
+        expect(classify({ errorMessage: 'Failed to get CSRF token 500', errorType: 'TOKEN' })).toBe(MIErrorCategory.Authorization);
+        expect(classify({ errorMessage: 'Failed to call MMS200MI.GetItmBasic 0', errorCode: '0' })).toBe(MIErrorCategory.Server);
+        expect(classify({ errorMessage: 'Failed to call MMS200MI.GetItmBasic 503', errorCode: '503' })).toBe(MIErrorCategory.Server);
+        expect(classify({ error: new SyntaxError('Unexpected token') })).toBe(MIErrorCategory.Server);
+        expect(classify({ errorMessage: 'Unknown input field ITDS', errorType: 'ValidationError', errorField: 'ITDS' }))
+            .toBe(MIErrorCategory.Validation);
+        expect(classify({ errorMessage: 'Input field ITNO is too long', errorType: 'InputFieldTooLong' })).toBe(MIErrorCategory.Validation);
+        expect(classify({ errorMessage: 'Quantity must be entered', errorField: 'ORQT', errorType: 'ServerReturnedNOK' }))
+            .toBe(MIErrorCategory.Validation);
+        expect(classify({ errorMessage: 'Transaction was not processed', errorType: 'NotProcessed' })).toBe(MIErrorCategory.Unknown);
+    });
+
+    it('should classify with custom error codes', () => {
+        const recordLockedCodes = MIError.recordLockedCodes;
+        MIError.recordLockedCodes = ['XLO0001'];
+
+        expect(MIError.fromResponse(createResponse({ errorCode: 'XLO0001', errorMessage: 'Foo' })).isRecordLocked()).toBe(true);
+        MIError.recordLockedCodes = recordLockedCodes;
+    });
+
+    it('should get HTTP status', () => {
+        const error = MIError.fromResponse(createResponse({ errorMessage: 'Failed to call MMS200MI.GetItmBasic 503', errorCode: '503' }));
+
+        expect(error.status).toBe(503);
+        expect(error.isServer()).toBe(true);
+    });
+
+    it('should create error without message', () => {
+        expect(MIError.fromResponse(createResponse({ error: new Error('foo') })).message).toBe('foo');
+        expect(MIError.fromResponse(createResponse({ errorCode: 'XYZ0001' })).message).toBe('XYZ0001');
+        expect(MIError.fromResponse(null).message).toBe('Unknown MI error');
+        expect(MIError.fromResponse(null).category).toBe(MIErrorCategory.Unknown);
+    });
+
+    it('should have predicates for categories', () => {
+        const error = new MIError('foo', MIErrorCategory.Validation);
+
+        expect(error.isValidation()).toBe(true);
+        expect(error.isRecordNotFound()).toBe(false);
+        expect(error.isRecordLocked()).toBe(false);
+        expect(error.isAuthorization()).toBe(false);
+        expect(error.isServer()).toBe(false);
+        expect(error.response).toBeNull();
+    });
+
+    it('should get user message', () => {
+        const error = MIError.fromResponse(createResponse({ errorMessage: 'Quantity must be entered', errorField: 'ORQT' }));
+        MIError.addTexts('sv', {
+            RecordNotFound: 'Posten finns inte.',
+            RecordLocked: 'Posten används av en annan användare.',
+            Authorization: 'Du saknar behörighet.',
+            Validation: 'Värdet i fältet {field} är felaktigt ({program}/{transaction}).',
+            Server: 'Servern svarar inte.',
+            Unknown: 'Åtgärden kunde inte utföras.'
+        });
+
+        expect(error.getUserMessage()).toBe('The value of field ORQT is not valid.');
+        expect(error.getUserMessage('de-DE')).toBe('The value of field ORQT is not valid.');
+        expect(error.getUserMessage('sv')).toBe('Värdet i fältet ORQT är felaktigt (MMS200MI/GetItmBasic).');
+        expect(error.getUserMessage('SV-se')).toBe('Värdet i fältet ORQT är felaktigt (MMS200MI/GetItmBasic).');
+    });
+
+    it('should get technical details', () => {
+        const response = createResponse({ errorMessage: 'Item number A1 does not exist', errorCode: 'WIT0103', errorField: 'ITNO' });
+        const error = MIError.fromResponse(response);
+
+        expect(error.getTechnicalDetails()).toBe('API: MMS200MI/GetItmBasic\nError: WIT0103: Item number A1 does not exist\nField: ITNO');
+        expect(new MIError('foo', MIErrorCategory.Unknown).getTechnicalDetails()).toBe('Error: foo');
+    });
+});
@@ -0,0 +1,316 @@
+import { IMIResponse } from './base';
+
+/**
+ * Defines the categories of MI errors, see {@link MIError.category}.
+ *
+ * ```typescript
+ * import { MIErrorCategory } from '@infor-up/m3-odin';
+ * ```
+ *
+ * @since 7.3.0
+ */
+export enum MIErrorCategory {
+   /**
+    * The record, or a record that an input field refers to, does not exist.
+    */
+   RecordNotFound = 'RecordNotFound',
+   /**
+    * The record is locked or has been changed by another user.
+    */
+   RecordLocked = 'RecordLocked',
+   /**
+    * The user is not signed in or is not allowed to run the transaction.
+    */
+   Authorization = 'Authorization',
+   /**
+    * An input field is missing or has an invalid value.
+    */
+   Validation = 'Validation',
+   /**
+    * The server could not be reached, the HTTP request failed or the response could not be parsed.
+    */
+   Server = 'Server',
+   /**
+    * Any other error returned by the transaction.
+    */
+   Unknown = 'Unknown'
+}
+
+/**
+ * Represents the user-facing texts for the MI error categories in one language, see {@link MIError.addTexts}.
+ *
+ * The text for a category can contain the placeholders {program}, {transaction} and {field}.
+ *
+ * @since 7.3.0
+ */
+export type MIErrorTexts = { [category in MIErrorCategory]: string };
+
+/**
+ * Represents an error from an M3 MI transaction, classified by the cause of the error.
+ *
+ * ```typescript
+ * import { MIError } from '@infor-up/m3-odin';
+ * ```
+ *
+ * The MI service fails with an {@link IMIResponse}. Create an MIError from the error response to check the cause of the
+ * error without parsing the error message, and to get a text that can be shown to the user.
+ *
+ * **Example**
+ * ```typescript
+ * this.miService.execute(request).subscribe((response: IMIResponse) => {
+ *    // Handle the response...
+ * }, (response: IMIResponse) => {
+ *    const error = MIError.fromResponse(response);
+ *    if (error.isRecordNotFound()) {
+ *       this.createItem();
+ *    } else {
+ *       this.showError(error.getUserMessage(userContext.languageTag), error.getTechnicalDetails());
+ *    }
+ * });
+ * ```
+ *
+ * @since 7.3.0
+ */
+export class MIError extends Error {
+   /**
+    * Gets the M3 error codes that mean that a record does not exist. Codes can be added when the application starts.
+    */
+   public static recordNotFoundCodes = ['XRE0103'];
+
+   /**
+    * Gets the M3 error codes that mean that a record is locked. Codes can be added when the application starts.
+    */
+   public static recordLockedCodes: string[] = [];
+
+   /**
+    * Gets the error types for input fields that are not valid, set by m3api-rest or by {@link IMIOptions.validate}.
+    */
+   public static validationTypes = [
+      'ValidationError',
+      'UnknownInputField',
+      'MandatoryInputFieldNotFound',
+      'InputFieldTooLong',
+      'InvalidNumber',
+      'TooManyDecimals',
+      'InvalidDate'
+   ];
+
+   private static texts: { [language: string]: MIErrorTexts } = {
+      en: {
+         RecordNotFound: 'The record does not exist.',
+         RecordLocked: 'The record is in use by another user. Try again later.',
+         Authorization: 'You are not authorized to perform this action.',
+         Validation: 'The value of field {field} is not valid.',
+         Server: 'The server could not be reached. Try again later.',
+         Unknown: 'The action could not be completed.'
+      }
+   };
+
+   /**
+    * Gets the category of the error.
+    */
+   public category: MIErrorCategory;
+
+   /**
+    * Gets the MI program, if it is known.
+    */
+   public program: string;
+
+   /**
+    * Gets the transaction, if it is known.
+    */
+   public transaction: string;
+
+   /**
+    * Gets the input field that is the cause of the error, if any.
+    */
+   public field: string;
+
+   /**
+    * Gets the M3 error code, or the HTTP status if the HTTP request failed.
+    */
+   public code: string;
+
+   /**
+    * Gets the error type, for example ServerReturnedNOK.
+    */
+   public type: string;
+
+   /**
+    * Gets the HTTP status if the HTTP request failed.
+    */
+   public status: number;
+
+   /**
+    * Gets the error response that the error was created from.
+    */
+   public response: IMIResponse;
+
+   constructor(message: string, category: MIErrorCategory, response?: IMIResponse) {
+      super(message);
+      this.name = 'MIError';
+      this.category = category;
+      this.response = response || null;
+      if (response) {
+         this.program = response.program || null;
+         this.transaction = response.transaction || null;
+         this.field = response.errorField || null;
+         this.code = response.errorCode || null;
+         this.type = response.errorType || null;
+         this.status = MIError.isStatus(this.code) ? +this.code : null;
+      }
+   }
+
+   /**
+    * Creates an error from an MI error response and classifies it.
+    *
+    * @param response The error response from the MI service.
+    * @returns The error. If the response already is an MIError it is returned.
+    */
+   public static fromResponse(response: IMIResponse | MIError): MIError {
+      if (response instanceof MIError) {
+         return response;
+      }
+      const error = response || {} as IMIResponse;
+      const message = error.errorMessage || (error.error && error.error.message) || error.errorCode || 'Unknown MI error';
+      return new MIError(message, MIError.classify(error), response);
+   }
+
+   /**
+    * Gets the category of an MI error response.
+    *
+    * @param response The error response from the MI service.
+    * @returns The category of the error.
+    */
+   public static classify(response: IMIResponse): MIErrorCategory {
+      const code = response.errorCode || '';
+      const type = response.errorType || '';
+      const message = (response.errorMessage || '').toLowerCase();
+
+      if (MIError.isStatus(code)) {
+         // The HTTP request failed
+         return code === '401' || code === '403' ? MIErrorCategory.Authorization : MIErrorCategory.Server;
+      }
+      if (type === 'TOKEN') {
+         return MIErrorCategory.Authorization;
+      }
+      if (response.error) {
+         return MIErrorCategory.Server;
+      }
+      if (MIError.recordNotFoundCodes.indexOf(code) >= 0 || /does not exist|not found|no record/.test(message)) {
+         return MIErrorCategory.RecordNotFound;
+      }
+      if (MIError.recordLockedCodes.indexOf(code) >= 0 || /locked|in use by|changed by another/.test(message)) {
+         return MIErrorCategory.RecordLocked;
+      }
+      if (/not authori[sz]ed|no authority|not allowed|permission/.test(message)) {
+         return MIErrorCategory.Authorization;
+      }
+      if (MIError.validationTypes.indexOf(type) >= 0 || response.errorField) {
+         return MIErrorCategory.Validation;
+      }
+      return MIErrorCategory.Unknown;
+   }
+
+   /**
+    * Adds or replaces the user-facing texts for a language.
+    *
+    * **Example**
+    * ```typescript
+    * MIError.addTexts('sv', {
+    *    RecordNotFound: 'Posten finns inte.',
+    *    ...
+    * });
+    * ```
+    *
+    * @param language The language, for example sv or sv-SE.
+    * @param texts The texts for all categories.
+    */
+   public static addTexts(language: string, texts: MIErrorTexts): void {
+      MIError.texts[language.toLowerCase()] = texts;
+   }
+
+   /**
+    * Gets a value that indicates if the record does not exist.
+    */
+   public isRecordNotFound(): boolean {
+      return this.category === MIErrorCategory.RecordNotFound;
+   }
+
+   /**
+    * Gets a value that indicates if the record is locked or has been changed by another user.
+    */
+   public isRecordLocked(): boolean {
+      return this.category === MIErrorCategory.RecordLocked;
+   }
+
+   /**
+    * Gets a value that indicates if the user is not signed in or not allowed to run the transaction.
+    */
+   public isAuthorization(): boolean {
+      return this.category === MIErrorCategory.Authorization;
+   }
+
+   /**
+    * Gets a value that indicates if an input field is missing or not valid.
+    */
+   public isValidation(): boolean {
+      return this.category === MIErrorCategory.Validation;
+   }
+
+   /**
+    * Gets a value that indicates if the server could not be reached or failed.
+    */
+   public isServer(): boolean {
+      return this.category === MIErrorCategory.Server;
+   }
+
+   /**
+    * Gets a text for the category of the error that can be shown to the user.
+    *
+    * The texts for the language are used if they have been added with {@link addTexts}. Otherwise the texts for the
+    * language without region are used, and English if there are no texts for the language.
+    *
+    * @param language The language of the user, for example the languageTag of the user context.
+    * @returns The text.
+    */
+   public getUserMessage(language?: string): string {
+      const texts = MIError.getTexts(language);
+      return texts[this.category]
+         .replace('{program}', this.program || '')
+         .replace('{transaction}', this.transaction || '')
+         .replace('{field}', this.field || '');
+   }
+
+   /**
+    * Gets the error message, program, transaction, error code and field for troubleshooting.
+    *
+    * @returns One line for each value that is set.
+    */
+   public getTechnicalDetails(): string {
+      const lines: string[] = [];
+      if (this.program) {
+         lines.push('API: ' + this.program + (this.transaction ? '/' + this.transaction : ''));
+      }
+      lines.push('Error: ' + (this.code && this.code !== this.message ? this.code + ': ' : '') + this.message);
+      if (this.field) {
+         lines.push('Field: ' + this.field);
+      }
+      return lines.join('\n');
+   }
+
+   private static getTexts(language: string): MIErrorTexts {
+      if (language) {
+         const tag = language.toLowerCase();
+         const texts = MIError.texts[tag] || MIError.texts[tag.split('-')[0]];
+         if (texts) {
+            return texts;
+         }
+      }
+      return MIError.texts.en;
+   }
+
+   private static isStatus(code: string): boolean {
+      return /^\d+$/.test(code || '');
+   }
+}
@@ -1,18 +1,51 @@
 export {
+   IMICacheOptions,
+   IMIFieldDefinition,
    IMIOptions,
+   IMIOutboxEntry,
+   IMIOutboxError,
+   IMIOutboxResult,
+   IMIOutboxStatus,
+   IMIOutboxStore,
+   IMIPagingOptions,
    IMIRequest,
+   IMISagaAuditEntry,
+   IMISagaProgress,
+   IMISagaResult,
+   IMISagaStep,
+   IMITransactionDefinition,
+   IMIValidationError,
    INameValue
 } from './types';
 export {
    MIConstants,
    MIDataType,
+   IMIInterceptor,
    IMIMetadataInfo,
    IMIMetadataMap,
    IMIResponse,
    IMIService
 } from './base';
 export {
+   MICache
+} from './cache';
+export {
+   MIError,
+   MIErrorCategory,
+   MIErrorTexts
+} from './error';
+export {
+   MIOutbox,
+   MIOutboxIndexedDbStore,
+   MIOutboxMemoryStore
+} from './outbox';
+export {
+   MISaga
+} from './saga';
+export {
+   MIMetadataCatalog,
    MIRecord,
    MIServiceCore,
-   MIUtil
+   MIUtil,
+   MIValidator
 } from './runtime';
@@ -0,0 +1,98 @@
+import { MIDataType } from '../mi/base';
+import { MIMetadataCatalog } from '../mi/runtime';
+import { IMITransactionDefinition } from '../mi/types';
+
+describe('MI Metadata Catalog', () => {
+    const document = {
+        basePath: '/TENANT/M3/m3api-rest/v2/execute/MHS850MI',
+        swagger: '2.0',
+        paths: {
+            '/AddCOPick': {
+                get: {
+                    parameters: [
+                        {
+                            required: false, in: 'query', type: 'number', name: 'cono',
+                            description: 'The company context to use. Defaults to user default'
+                        },
+                        { required: true, in: 'query', type: 'string', name: 'WHLO', description: 'Warehouse(3)' },
+                        { required: false, in: 'query', type: 'number', name: 'QTYP', description: 'Quantity Picked(17)' },
+                        { required: false, in: 'query', type: 'string', name: 'RPDT', description: 'Reporting date(10)' }
+                    ]
+                }
+            },
+            '/GetWhsHead': {
+                get: {
+                    parameters: [
+                        { required: true, in: 'query', type: 'string', name: 'MSGN', description: 'Message number(15)' }
+                    ],
+                    responses: {
+                        '200': {
+                            schema: {
+                                properties: {
+                                    results: {
+                                        items: {
+                                            properties: {
+                                                records: {
+                                                    items: {
+                                                        properties: {
+                                                            RPDT: { type: 'string', format: 'mvxdate', description: 'Reporting date(10)' },
+                                                            QTYP: { type: 'string', format: 'numeric', description: 'Quantity Picked(17)' }
+                                                        }
+                                                    }
+                                                }
+                                            }
+                                        }
+                                    }
+                                }
+                            }
+                        }
+                    }
+                }
+            }
+        }
+    };
+
+    it('should parse Swagger document', () => {
+        expect(MIMetadataCatalog.parseDocument(document)).toEqual([
+            {
+                program: 'MHS850MI',
+                transaction: 'AddCOPick',
+                inputFields: [
+                    { name: 'WHLO', description: 'Warehouse', type: MIDataType.String, length: 3, mandatory: true },
+                    { name: 'QTYP', description: 'Quantity Picked', type: MIDataType.Numeric, length: 17, mandatory: false },
+                    { name: 'RPDT', description: 'Reporting date', type: MIDataType.Date, length: 10, mandatory: false }
+                ]
+            },
+            {
+                program: 'MHS850MI',
+                transaction: 'GetWhsHead',
+                inputFields: [
+                    { name: 'MSGN', description: 'Message number', type: MIDataType.String, length: 15, mandatory: true }
+                ]
+            }
+        ]);
+    });
+
+    it('should set decimals of numeric fields', () => {
+        const inputFields = MIMetadataCatalog.parseDocument(document, { QTYP: 6, WHLO: 2 })[0].inputFields;
+
+        expect(inputFields[0].decimals).toBeUndefined();
+        expect(inputFields[1]).toEqual({
+            name: 'QTYP', description: 'Quantity Picked', type: MIDataType.Numeric, length: 17, decimals: 6, mandatory: false
+        });
+    });
+
+    it('should add and get transactions', () => {
+        const catalog = new MIMetadataCatalog();
+        const definition: IMITransactionDefinition = { program: 'MMS200MI', transaction: 'GetItmBasic', inputFields: [] };
+
+        expect(catalog.hasProgram('MMS200MI')).toBe(false);
+        expect(catalog.get('MMS200MI', 'GetItmBasic')).toBeNull();
+
+        catalog.add([definition]);
+        expect(catalog.hasProgram('MMS200MI')).toBe(true);
+        expect(catalog.get('MMS200MI', 'GetItmBasic')).toBe(definition);
+        expect(catalog.get('MMS200MI', 'LstByNumber')).toBeNull();
+        expect(catalog.get('MMS200MI', 'constructor')).toBeNull();
+    });
+});
@@ -1,10 +1,15 @@
 import { AsyncSubject, of, throwError } from 'rxjs';
 import { AjaxHttpService } from '../http';
-import { IMIMetadataMap, IMIResponse } from './base';
+import { IMIInterceptor, IMIMetadataMap, IMIResponse, MIDataType } from './base';
+import { MICache } from './cache';
 import { MIMetadataInfo, MIRecord, MIResponse, MIServiceCore } from './runtime';
-import { IMIRequest } from './types';
-import { IHttpRequest, IHttpResponse, IHttpService } from '../types';
+import { IMIBulkBody, IMIRequest } from './types';
+import { IHttpInterceptor, IHttpRequest, IHttpResponse, IHttpService } from '../types';
 import { CoreUtil } from '../util';
+import { Log } from '../log';
+import { RetryUtil } from '../retry';
+
+type Spyable = { [name: string]: jasmine.Func };
 
 describe('MI Service Core', () => {
     it('should initialize', () => {
@@ -193,6 +198,84 @@ describe('MI Service Core', () => {
         });
     });
 
+    it('should retry request with transient error', (done) => {
+        const service = new MIServiceCore();
+        const retryPolicy = { delay: 0, jitter: 0, errorCodes: ['WPU0901'] };
+        const request = { program: 'MHS850MI', transaction: 'PrcWhsTran', retryPolicy } as IMIRequest;
+        const response = new MIResponse();
+        const createError = (code: string) => {
+            const errorResponse = new MIResponse();
+            errorResponse.errorCode = code;
+            return throwError(() => errorResponse);
+        };
+        const results = [createError('503'), createError('WPU0901'), of(response)];
+        const spyExecuteRequest = spyOn(service as unknown as Spyable, 'executeRequest').and.callFake(() => results.shift());
+        const spyWarning = spyOn(Log, 'warning').and.callFake(() => { });
+
+        service.execute(request).subscribe(resp => {
+            expect(resp).toBe(response);
+            expect(spyExecuteRequest).toHaveBeenCalledTimes(3);
+            expect(spyExecuteRequest).toHaveBeenCalledWith(request);
+            expect(spyWarning.calls.argsFor(0)).toEqual(['[RetryUtil] MHS850MI PrcWhsTran failed with 503, attempt 2 of 3 in 0 ms']);
+            expect(spyWarning.calls.argsFor(1)).toEqual(['[RetryUtil] MHS850MI PrcWhsTran failed with WPU0901, attempt 3 of 3 in 0 ms']);
+            done();
+        });
+    });
+
+    it('should not retry request with error that is not transient', (done) => {
+        const service = new MIServiceCore();
+        const request = { program: 'MHS850MI', transaction: 'PrcWhsTran' } as IMIRequest;
+        const errorResponse = new MIResponse();
+        errorResponse.errorCode = 'WPU0901';
+        errorResponse.errorMessage = 'Record is locked';
+        const spyExecuteRequest = spyOn(service as unknown as Spyable, 'executeRequest')
+            .and.callFake(() => throwError(() => errorResponse));
+
+        service.execute(request).subscribe({
+            error: (err) => {
+                expect(err).toBe(errorResponse);
+                expect(spyExecuteRequest).toHaveBeenCalledTimes(1);
+                done();
+            }
+        });
+    });
+
+    it('should only retry read transactions without retry policy', () => {
+        jasmine.clock().install();
+        const service = new MIServiceCore();
+        const errorResponse = new MIResponse();
+        errorResponse.errorCode = '503';
+        const spyExecuteRequest = spyOn(service as unknown as Spyable, 'executeRequest')
+            .and.callFake(() => throwError(() => errorResponse));
+        spyOn(Log, 'warning').and.callFake(() => { });
+        const execute = (request: IMIRequest) => {
+            spyExecuteRequest.calls.reset();
+            service.execute(request).subscribe({ error: () => { } });
+            jasmine.clock().tick(RetryUtil.defaultPolicy.maxDelay);
+            return spyExecuteRequest.calls.count();
+        };
+
+        expect(execute({ program: 'MHS850MI', transaction: 'AddCOPick' })).toBe(1);
+        expect(execute({ program: 'MHS850MI', transaction: 'AddCOPick', retryPolicy: { maxAttempts: 2 } })).toBe(2);
+        expect(execute({ program: 'MHS850MI', transaction: 'LstPickList' })).toBe(RetryUtil.defaultPolicy.maxAttempts);
+        jasmine.clock().uninstall();
+    });
+
+    it('should set timeout on http request', () => {
+        const httpRequests: IHttpRequest[] = [];
+        const service = new MIServiceCore({
+            execute: (httpRequest: IHttpRequest) => {
+                httpRequests.push(httpRequest);
+                return new AsyncSubject<IHttpResponse>();
+            }
+        });
+        const request = { program: 'foo', transaction: 'bar' } as IMIRequest;
+
+        service.executeInternal(request, new AsyncSubject<IMIResponse>());
+        service.executeInternal({ ...request, retryPolicy: { timeout: 1000 } }, new AsyncSubject<IMIResponse>());
+        expect(httpRequests.map(httpRequest => httpRequest.timeout)).toEqual([RetryUtil.defaultPolicy.timeout, 1000]);
+    });
+
     it('should update user context', () => {
         const service = new MIServiceCore();
         const spyLogDebug = spyOn(service as any, 'logDebug').and.callFake(() => { });
@@ -397,4 +480,663 @@ describe('MI Service Core', () => {
         expect(spyIsNumeric).toHaveBeenCalledTimes(5);
         expect(spyIsDate).toHaveBeenCalledTimes(3);
     });
+
+    it('should create bulk body', () => {
+        const service = new MIServiceCore();
+        service.updateUserContext('100', 'AAA');
+        const requests = [
+            {
+                program: 'OIS100MI', transaction: 'AddLineBatchEnt',
+                record: { ORNO: '1000', ORQT: 2, DWDT: new Date(2022, 9, 1), CUOR: null }
+            },
+            {
+                program: 'OIS100MI', transaction: 'GetHead', record: { ORNO: '1000' },
+                outputFields: ['ORNO', 'ORST'], maxReturnedRecords: 1
+            }
+        ] as IMIRequest[];
+
+        expect(service.createBulkBody(requests)).toEqual({
+            program: 'OIS100MI',
+            cono: '100',
+            divi: 'AAA',
+            excludeEmptyValues: false,
+            rightTrim: true,
+            maxReturnedRecords: 100,
+            transactions: [
+                { transaction: 'AddLineBatchEnt', record: { ORNO: '1000', ORQT: '2', DWDT: '20221001' } },
+                { transaction: 'GetHead', record: { ORNO: '1000' }, selectedColumns: ['ORNO', 'ORST'] }
+            ]
+        });
+        expect(service.createBulkBody([{ ...requests[0], company: '200', maxReturnedRecords: 0 }])).toEqual(jasmine.objectContaining({
+            cono: '200', maxReturnedRecords: 0
+        }));
+    });
+
+    it('should parse bulk response', () => {
+        const service = new MIServiceCore();
+        const requests = [
+            { program: 'MMS200MI', transaction: 'GetItmBasic', tag: 'first' },
+            { program: 'MMS200MI', transaction: 'GetItmBasic' },
+            { program: 'MMS200MI', transaction: 'GetItmBasic' },
+            { program: 'MMS200MI', transaction: 'GetItmBasic' }
+        ] as IMIRequest[];
+        const content = {
+            wasTerminated: true,
+            terminationReason: 'Too many failed transactions',
+            results: [
+                { transaction: 'GetItmBasic', records: [{ ITNO: 'A1  ', ITDS: 'Item' }] },
+                {
+                    transaction: 'GetItmBasic', errorMessage: 'Item number B2 does not exist', errorCode: 'WITNO03',
+                    errorField: 'ITNO', errorType: 'ServerReturnedNOK', records: []
+                },
+                { transaction: 'GetItmBasic', notProcessed: true }
+            ]
+        };
+
+        const responses = service.parseBulkResponse(requests, content);
+        expect(responses.length).toBe(4);
+        expect(responses[0].hasError()).toBe(false);
+        expect(responses[0].tag).toBe('first');
+        expect(responses[0].program).toBe('MMS200MI');
+        expect(responses[0].transaction).toBe('GetItmBasic');
+        expect(responses[0].items).toEqual([new MIRecord({ ITNO: 'A1', ITDS: 'Item' })]);
+        expect(responses[0].item).toBe(responses[0].items[0]);
+        expect(responses[1].hasError()).toBe(true);
+        expect(responses[1].errorMessage).toBe('Item number B2 does not exist');
+        expect(responses[1].errorCode).toBe('WITNO03');
+        expect(responses[1].errorField).toBe('ITNO');
+        expect(responses[1].errorType).toBe('ServerReturnedNOK');
+        expect(responses[1].items).toEqual([]);
+        expect(responses[1].item).toBeUndefined();
+        for (const response of responses.slice(2)) {
+            expect(response.hasError()).toBe(true);
+            expect(response.errorType).toBe('NotProcessed');
+            expect(response.errorMessage).toBe('Transaction was not processed: Too many failed transactions');
+        }
+    });
+
+    it('should execute bulk requests grouped by program', (done) => {
+        const httpRequests: IHttpRequest[] = [];
+        const service = new MIServiceCore({
+            execute: (httpRequest: IHttpRequest) => {
+                httpRequests.push(httpRequest);
+                const body: IMIBulkBody = JSON.parse(httpRequest.body);
+                const results = body.transactions.map(item => ({ transaction: item.transaction, records: [item.record] }));
+                return of({ status: 200, body: { results } } as IHttpResponse);
+            }
+        });
+        service['csrfToken'] = 'token';
+        service['csrfTimestamp'] = new Date().getTime();
+        const requests = [
+            { program: 'OIS100MI', transaction: 'AddLineBatchEnt', record: { PONR: '1' } },
+            { program: 'MMS200MI', transaction: 'GetItmBasic', record: { ITNO: 'A1' } },
+            { program: 'OIS100MI', transaction: 'AddLineBatchEnt', record: { PONR: '2' } },
+            { program: 'OIS100MI', transaction: 'AddLineBatchEnt', record: { PONR: '3' }, company: '200' }
+        ] as IMIRequest[];
+
+        service.executeBulk(requests).subscribe(responses => {
+            expect(httpRequests.length).toBe(3);
+            expect(httpRequests[0].method).toBe('POST');
+            expect(httpRequests[0].url).toBe('/m3api-rest/v2/execute');
+            expect(httpRequests[0].headers['fnd-csrf-token']).toBe('token');
+            expect(JSON.parse(httpRequests[0].body).transactions.length).toBe(2);
+            expect(responses.map(response => response.item['PONR'] || response.item['ITNO'])).toEqual(['1', 'A1', '2', '3']);
+            expect(responses.map(response => response.program)).toEqual(['OIS100MI', 'MMS200MI', 'OIS100MI', 'OIS100MI']);
+            done();
+        });
+    });
+
+    it('should split bulk requests larger than the max bulk size', (done) => {
+        const http = { execute: () => of({} as IHttpResponse) } as IHttpService;
+        const spyExecuteHttp = spyOn(http, 'execute').and.callFake((httpRequest: IHttpRequest) => {
+            const body: IMIBulkBody = JSON.parse(httpRequest.body);
+            return of({ status: 200, body: { results: body.transactions.map(() => ({})) } } as IHttpResponse);
+        });
+        const service = new MIServiceCore(http);
+        const request = { program: 'OIS100MI', transaction: 'AddLineBatchEnt', enableCsrf: false } as IMIRequest;
+        const requests = new Array(MIServiceCore.maxBulkSize + 1).fill(request);
+
+        service.executeBulk(requests).subscribe(responses => {
+            expect(spyExecuteHttp).toHaveBeenCalledTimes(2);
+            expect(responses.length).toBe(requests.length);
+            done();
+        });
+    });
+
+    it('should execute bulk requests with metadata one by one', (done) => {
+        const http = { execute: () => of({} as IHttpResponse) } as IHttpService;
+        const spyExecuteHttp = spyOn(http, 'execute');
+        const service = new MIServiceCore(http);
+        const errorResponse = new MIResponse();
+        errorResponse.errorMessage = 'foo error';
+        const spyExecute = spyOn(service, 'execute').and.callFake(() => throwError(() => errorResponse));
+        const request = { program: 'MMS200MI', transaction: 'GetItmBasic', typedOutput: true } as IMIRequest;
+
+        service.executeBulk([request]).subscribe(responses => {
+            expect(spyExecute).toHaveBeenCalledTimes(1);
+            expect(spyExecute).toHaveBeenCalledWith(request);
+            expect(spyExecuteHttp).not.toHaveBeenCalled();
+            expect(responses).toEqual([errorResponse]);
+            done();
+        });
+    });
+
+    it('should execute bulk requests with no requests', (done) => {
+        const service = new MIServiceCore();
+        service.executeBulk([]).subscribe(responses => {
+            expect(responses).toEqual([]);
+            done();
+        });
+    });
+
+    it('should refresh token before executing bulk requests', () => {
+        const httpRequests: IHttpRequest[] = [];
+        const service = new MIServiceCore({
+            execute: (httpRequest: IHttpRequest) => {
+                httpRequests.push(httpRequest);
+                return new AsyncSubject<IHttpResponse>();
+            }
+        });
+        const request = { program: 'MMS200MI', transaction: 'GetItmBasic' } as IMIRequest;
+
+        service.executeBulk([request]).subscribe();
+        expect(httpRequests.length).toBe(1);
+        expect(httpRequests[0].method).toBe('GET');
+        expect(httpRequests[0].url).toBe('/m3api-rest/csrf');
+    });
+
+    it('should execute bulk requests with http error', (done) => {
+        const service = new MIServiceCore({ execute: () => throwError(() => ({ status: 500 } as IHttpResponse)) });
+        const request = { program: 'MMS200MI', transaction: 'GetItmBasic', tag: 'first', enableCsrf: false } as IMIRequest;
+
+        service.executeBulk([request, { ...request, tag: 'second' }]).subscribe(responses => {
+            expect(responses.length).toBe(2);
+            for (const response of responses) {
+                expect(response.hasError()).toBe(true);
+                expect(response.program).toBe('MMS200MI');
+                expect(response.transaction).toBe('GetItmBasic');
+                expect(response.errorCode).toBe('500');
+                expect(response.errorMessage).toBe('Failed to call MMS200MI bulk 500');
+            }
+            expect(responses.map(response => response.tag)).toEqual(['first', 'second']);
+            done();
+        });
+    });
+
+    it('should keep the responses of other programs when a bulk request fails', (done) => {
+        const service = new MIServiceCore({
+            execute: (httpRequest: IHttpRequest) => {
+                const body: IMIBulkBody = JSON.parse(httpRequest.body);
+                if (body.program === 'OIS100MI') {
+                    return throwError(() => ({ status: 500 } as IHttpResponse));
+                }
+                return of({ status: 200, body: { results: [{ transaction: 'GetItmBasic', records: [{ ITNO: 'A1' }] }] } } as IHttpResponse);
+            }
+        });
+        const requests = [
+            { program: 'OIS100MI', transaction: 'GetHead', record: { ORNO: '1000' }, enableCsrf: false },
+            { program: 'MMS200MI', transaction: 'GetItmBasic', record: { ITNO: 'A1' }, enableCsrf: false }
+        ] as IMIRequest[];
+
+        service.executeBulk(requests).subscribe(responses => {
+            expect(responses[0].hasError()).toBe(true);
+            expect(responses[0].program).toBe('OIS100MI');
+            expect(responses[0].errorCode).toBe('500');
+            expect(responses[1].hasError()).toBe(false);
+            expect(responses[1].item['ITNO']).toBe('A1');
+            done();
+        });
+    });
+
+    describe('executeAll', () => {
+        // Simulates a list transaction that returns the records starting at the key in the request
+        const createService = (records: { [name: string]: string }[]) => {
+            const service = new MIServiceCore();
+            const requests: IMIRequest[] = [];
+            spyOn(service, 'execute').and.callFake((request: IMIRequest) => {
+                requests.push(request);
+                const key = request.record.CUNO || '';
+                const response = new MIResponse();
+                response.items = records
+                    .filter(record => record.CUNO >= key)
+                    .slice(0, request.maxReturnedRecords)
+                    .map(record => new MIRecord(record));
+                return of(response);
+            });
+            return { service, requests };
+        };
+        const createRecords = (count: number) => Array.from({ length: count }, (_, i) => ({
+            CUNO: 'C' + (1000 + i),
+            CUNM: 'Customer ' + i
+        }));
+        const listRequest = { program: 'CRS610MI', transaction: 'LstByNumber' } as IMIRequest;
+
+        it('should read all pages', (done) => {
+            const records = createRecords(25);
+            const { service, requests } = createService(records);
+            const request = { ...listRequest, record: { STAT: '20' }, outputFields: ['CUNM'] } as IMIRequest;
+            const pages: IMIResponse[] = [];
+
+            service.executeAll(request, { keyFields: ['CUNO'], pageSize: 10 }).subscribe({
+                next: response => pages.push(response),
+                complete: () => {
+                    expect(requests.length).toBe(3);
+                    expect(requests[0].record).toEqual({ STAT: '20' });
+                    expect(requests[0].maxReturnedRecords).toBe(10);
+                    expect(requests[0].outputFields).toEqual(['CUNM', 'CUNO']);
+                    expect(requests[1].record).toEqual({ STAT: '20', CUNO: 'C1009' });
+                    expect(requests[2].record).toEqual({ STAT: '20', CUNO: 'C1018' });
+                    expect(pages.map(page => page.items.length)).toEqual([10, 9, 6]);
+                    expect(pages[1].item.CUNO).toBe('C1010');
+                    const cunos = [].concat(...pages.map(page => page.items)).map((item: MIRecord) => item['CUNO']);
+                    expect(cunos).toEqual(records.map(record => record.CUNO));
+                    expect(request.outputFields).toEqual(['CUNM']);
+                    done();
+                }
+            });
+        });
+
+        it('should skip records with the same key as the end of the previous page', (done) => {
+            const records = [
+                { CUNO: 'A', CUNM: '1' }, { CUNO: 'B', CUNM: '2' }, { CUNO: 'B', CUNM: '3' },
+                { CUNO: 'C', CUNM: '4' }, { CUNO: 'D', CUNM: '5' }
+            ];
+            const { service } = createService(records);
+            const items: MIRecord[] = [];
+
+            service.executeAll(listRequest, { keyFields: ['CUNO'], pageSize: 3 }).subscribe({
+                next: response => items.push(...response.items),
+                complete: () => {
+                    expect(items.map(item => item['CUNM'])).toEqual(['1', '2', '3', '4', '5']);
+                    done();
+                }
+            });
+        });
+
+        it('should fail when a page only has records with the same key', (done) => {
+            const records = [{ CUNO: 'A' }, { CUNO: 'A' }, { CUNO: 'A' }, { CUNO: 'B' }];
+            const { service } = createService(records);
+            const spyLogWarning = spyOn(Log, 'warning').and.callFake(() => { });
+
+            service.executeAll(listRequest, { keyFields: ['CUNO'], pageSize: 2 }).subscribe({
+                error: (response: IMIResponse) => {
+                    expect(response.hasError()).toBe(true);
+                    expect(response.errorMessage).toBe('More than 1 records with the same key, increase the page size or add key fields');
+                    expect(spyLogWarning).toHaveBeenCalledTimes(1);
+                    done();
+                }
+            });
+        });
+
+        it('should stop at max records', (done) => {
+            const { service, requests } = createService(createRecords(100));
+            const spyLogWarning = spyOn(Log, 'warning').and.callFake(() => { });
+            const pages: IMIResponse[] = [];
+
+            service.executeAll(listRequest, { keyFields: ['CUNO'], pageSize: 10, maxRecords: 15 }).subscribe({
+                next: response => pages.push(response),
+                complete: () => {
+                    expect(requests.length).toBe(2);
+                    expect(pages.map(page => page.items.length)).toEqual([10, 5]);
+                    expect(spyLogWarning).toHaveBeenCalledTimes(1);
+                    done();
+                }
+            });
+        });
+
+        it('should emit an empty page', (done) => {
+            const { service } = createService([]);
+            const pages: IMIResponse[] = [];
+
+            service.executeAll(listRequest, { keyFields: ['CUNO'] }).subscribe({
+                next: response => pages.push(response),
+                complete: () => {
+                    expect(pages.length).toBe(1);
+                    expect(pages[0].items).toEqual([]);
+                    expect(pages[0].item).toBeUndefined();
+                    done();
+                }
+            });
+        });
+
+        it('should stop reading pages when unsubscribed', () => {
+            const service = new MIServiceCore();
+            const subject = new AsyncSubject<IMIResponse>();
+            const spyExecute = spyOn(service, 'execute').and.returnValue(subject);
+            const next = jasmine.createSpy('next');
+
+            const subscription = service.executeAll(listRequest, { keyFields: ['CUNO'] }).subscribe(next);
+            expect(subject.observed).toBe(true);
+            subscription.unsubscribe();
+            expect(subject.observed).toBe(false);
+            const response = new MIResponse();
+            response.items = createRecords(100).map(record => new MIRecord(record));
+            subject.next(response);
+            subject.complete();
+
+            expect(spyExecute).toHaveBeenCalledTimes(1);
+            expect(next).not.toHaveBeenCalled();
+        });
+
+        it('should fail when a page fails', (done) => {
+            const service = new MIServiceCore();
+            const errorResponse = new MIResponse();
+            errorResponse.errorMessage = 'foo error';
+            spyOn(service, 'execute').and.callFake(() => throwError(() => errorResponse));
+
+            service.executeAll(listRequest, { keyFields: ['CUNO'] }).subscribe({
+                error: (response: IMIResponse) => {
+                    expect(response).toBe(errorResponse);
+                    done();
+                }
+            });
+        });
+    });
+
+    describe('interceptors', () => {
+        const request = { program: 'MMS200MI', transaction: 'GetItmBasic', record: { ITNO: 'A1' } } as IMIRequest;
+
+        it('should pass modified request to execute', () => {
+            const service = new MIServiceCore();
+            const spyExecuteRequest = spyOn(service as unknown as Spyable, 'executeRequest').and.returnValue(of(new MIResponse()));
+            const interceptor: IMIInterceptor = { intercept: (req, next) => next({ ...req, company: '100' }) };
+
+            service.addInterceptor(interceptor);
+            service.execute(request);
+            expect(spyExecuteRequest).toHaveBeenCalledWith({ ...request, company: '100' });
+
+            service.removeInterceptor(interceptor);
+            service.execute(request);
+            expect(spyExecuteRequest).toHaveBeenCalledWith(request);
+        });
+
+        it('should return synthetic response before the cache', () => {
+            const service = new MIServiceCore();
+            const spyExecuteRequest = spyOn(service as unknown as Spyable, 'executeRequest').and.returnValue(of(new MIResponse()));
+            const response = new MIResponse();
+            let value: IMIResponse;
+
+            service.addInterceptor({ intercept: () => of(response) });
+            service.execute({ ...request, cache: true }).subscribe(resp => value = resp);
+            expect(value).toBe(response);
+            expect(spyExecuteRequest).not.toHaveBeenCalled();
+            expect(service['cache'].size).toBe(0);
+        });
+
+        it('should pass HTTP requests to HTTP interceptors', () => {
+            const http = { execute: jasmine.createSpy('execute').and.returnValue(of({ status: 200 } as IHttpResponse)) } as IHttpService;
+            const service = new MIServiceCore(http);
+            const interceptor: IHttpInterceptor = {
+                intercept: (req, next) => next({ ...req, headers: { ...req.headers, 'X-Trace-Id': 'foo' } })
+            };
+
+            service.addHttpInterceptor(interceptor);
+            service['executeHttp']({ method: 'GET', url: 'foo', headers: { Accept: 'application/json' } });
+            expect(http.execute).toHaveBeenCalledWith({
+                method: 'GET',
+                url: 'foo',
+                headers: { 'Accept': 'application/json', 'X-Trace-Id': 'foo' }
+            });
+
+            service.removeHttpInterceptor(interceptor);
+            service['executeHttp']({ method: 'GET', url: 'foo' });
+            expect(http.execute).toHaveBeenCalledWith({ method: 'GET', url: 'foo' });
+        });
+
+        it('should return error response from HTTP interceptor', (done) => {
+            const http = { execute: jasmine.createSpy('execute') } as IHttpService;
+            const service = new MIServiceCore(http);
+            const error = { status: 500 } as IHttpResponse;
+
+            service.addHttpInterceptor({ intercept: () => throwError(() => error) });
+            service['executeHttp']({ method: 'GET', url: 'foo' }).subscribe({
+                error: (err) => {
+                    expect(err).toBe(error);
+                    expect(http.execute).not.toHaveBeenCalled();
+                    done();
+                }
+            });
+        });
+    });
+
+    describe('validation', () => {
+        const definition = {
+            program: 'MMS200MI',
+            transaction: 'GetItmBasic',
+            inputFields: [{ name: 'ITNO', type: MIDataType.String, length: 15, mandatory: true }]
+        };
+        const request = { program: 'MMS200MI', transaction: 'GetItmBasic', record: { ITNO: 'A1' }, validate: true } as IMIRequest;
+
+        it('should fail without calling the server if record is not valid', () => {
+            const service = new MIServiceCore();
+            const spyExecuteRequest = spyOn(service as unknown as Spyable, 'executeRequest').and.returnValue(of(new MIResponse()));
+            spyOn(service as unknown as Spyable, 'logWarning').and.callFake(() => { });
+            let error: IMIResponse;
+
+            service.addMetadata([definition]);
+            const invalidRequest = { ...request, record: { ITNO: 'A1234567890123456', ITDS: 'Foo' }, tag: 'foo' };
+            service.execute(invalidRequest).subscribe({ error: err => error = err });
+            expect(spyExecuteRequest).not.toHaveBeenCalled();
+            expect(error.hasError()).toBe(true);
+            expect(error.program).toBe('MMS200MI');
+            expect(error.tag).toBe('foo');
+            expect(error.errorType).toBe('ValidationError');
+            expect(error.errorField).toBe('ITDS');
+            expect(error.errorMessage).toBe('Unknown input field ITDS. Input field ITNO is longer than 15 characters');
+            expect(error.validationErrors.map(item => item.errorType)).toEqual(['UnknownInputField', 'InputFieldTooLong']);
+        });
+
+        it('should execute valid request', () => {
+            const service = new MIServiceCore();
+            const response = new MIResponse();
+            const spyExecuteRequest = spyOn(service as unknown as Spyable, 'executeRequest').and.returnValue(of(response));
+            let value: IMIResponse;
+
+            service.addMetadata([definition]);
+            service.execute(request).subscribe(resp => value = resp);
+            expect(spyExecuteRequest).toHaveBeenCalledWith(request);
+            expect(value).toBe(response);
+        });
+
+        it('should load metadata once for each program', () => {
+            const document = { basePath: '/m3api-rest/v2/execute/MMS200MI', paths: {} };
+            const http = { execute: jasmine.createSpy('execute') } as IHttpService;
+            (http.execute as jasmine.Spy).and.returnValue(of({ status: 200, body: document } as IHttpResponse));
+            const service = new MIServiceCore(http);
+            const spyExecuteRequest = spyOn(service as unknown as Spyable, 'executeRequest').and.returnValue(of(new MIResponse()));
+            const spyLogWarning = spyOn(service as unknown as Spyable, 'logWarning').and.callFake(() => { });
+
+            service.execute(request);
+            service.execute(request);
+            expect(http.execute).toHaveBeenCalledTimes(1);
+            expect((http.execute as jasmine.Spy).calls.argsFor(0)[0].url).toBe('/m3api-rest/v2/metadata/MMS200MI');
+            expect(spyExecuteRequest).toHaveBeenCalledTimes(2);
+            expect(spyLogWarning).toHaveBeenCalledWith('execute: No metadata for MMS200MI GetItmBasic, the request is not validated');
+        });
+
+        it('should execute request without validation if metadata cannot be loaded', () => {
+            const http = { execute: jasmine.createSpy('execute').and.returnValue(throwError(() => ({ status: 404 }))) } as IHttpService;
+            const service = new MIServiceCore(http);
+            const spyExecuteRequest = spyOn(service as unknown as Spyable, 'executeRequest').and.returnValue(of(new MIResponse()));
+            const spyLogWarning = spyOn(service as unknown as Spyable, 'logWarning').and.callFake(() => { });
+
+            service.execute({ ...request, record: { FOO: 'bar' } });
+            service.execute({ ...request, record: { FOO: 'bar' } });
+            expect(http.execute).toHaveBeenCalledTimes(2);
+            expect(spyExecuteRequest).toHaveBeenCalledTimes(2);
+            expect(spyLogWarning).toHaveBeenCalledWith('loadMetadata: Failed to load metadata for MMS200MI 404');
+        });
+
+        it('should validate bulk requests before they are sent', (done) => {
+            const http = {
+                execute: jasmine.createSpy('execute').and.callFake((httpRequest: IHttpRequest) => {
+                    const body: IMIBulkBody = JSON.parse(httpRequest.body);
+                    const results = body.transactions.map(item => ({ transaction: item.transaction, records: [item.record] }));
+                    return of({ status: 200, body: { results } } as IHttpResponse);
+                })
+            } as IHttpService;
+            const service = new MIServiceCore(http);
+            spyOn(service as unknown as Spyable, 'logWarning').and.callFake(() => { });
+            service['csrfToken'] = 'token';
+            service['csrfTimestamp'] = new Date().getTime();
+
+            service.addMetadata([definition]);
+            const requests = [request, { ...request, record: { ITDS: 'Foo' } }, { ...request, record: { ITNO: 'A2' } }];
+            service.executeBulk(requests).subscribe(responses => {
+                expect(http.execute).toHaveBeenCalledTimes(1);
+                expect(JSON.parse((http.execute as jasmine.Spy).calls.argsFor(0)[0].body).transactions.length).toBe(2);
+                expect(responses.map(response => response.hasError())).toEqual([false, true, false]);
+                expect(responses[1].errorType).toBe('ValidationError');
+                const errorTypes = responses[1].validationErrors.map(item => item.errorType);
+                expect(errorTypes).toEqual(['UnknownInputField', 'MandatoryInputFieldNotFound']);
+                expect(responses[2].item['ITNO']).toBe('A2');
+                done();
+            });
+        });
+    });
+
+    describe('cache', () => {
+        const createService = () => {
+            const service = new MIServiceCore();
+            const subjects: AsyncSubject<IMIResponse>[] = [];
+            const spyExecuteRequest = spyOn(service as unknown as Spyable, 'executeRequest').and.callFake(() => {
+                const subject = new AsyncSubject<IMIResponse>();
+                subjects.push(subject);
+                return subject;
+            });
+            const complete = (index: number, response: IMIResponse) => {
+                subjects[index].next(response);
+                subjects[index].complete();
+            };
+            return { service, spyExecuteRequest, subjects, complete };
+        };
+        const request = { program: 'MMS200MI', transaction: 'GetItmBasic', record: { ITNO: 'A1' }, cache: true } as IMIRequest;
+
+        it('should execute request once while it is cached', () => {
+            const { service, spyExecuteRequest, complete } = createService();
+            const response = new MIResponse();
+            const values: IMIResponse[] = [];
+
+            service.execute(request).subscribe(value => values.push(value));
+            service.execute({ ...request, record: { ITNO: 'A1', STAT: null } }).subscribe(value => values.push(value));
+            expect(spyExecuteRequest).toHaveBeenCalledTimes(1);
+            complete(0, response);
+            service.execute(request).subscribe(value => values.push(value));
+            expect(spyExecuteRequest).toHaveBeenCalledTimes(1);
+            expect(values).toEqual([response, response, response]);
+            expect(values[0]).toBe(response);
+        });
+
+        it('should return response with the tag of the request', () => {
+            const { service, complete } = createService();
+            const response = new MIResponse();
+            response.tag = 'foo';
+            response.items = [new MIRecord({ ITNO: 'A1' })];
+            let value: IMIResponse;
+
+            service.execute({ ...request, tag: 'foo' }).subscribe();
+            complete(0, response);
+            service.execute({ ...request, tag: 'bar' }).subscribe(resp => value = resp);
+            expect(value.tag).toBe('bar');
+            expect(value.items).toBe(response.items);
+            expect(value.hasError()).toBe(false);
+        });
+
+        it('should not cache requests with other input, company or options', () => {
+            const { service, spyExecuteRequest } = createService();
+
+            service.execute(request);
+            service.execute({ ...request, record: { ITNO: 'A2' } });
+            service.execute({ ...request, company: '200' });
+            service.execute({ ...request, outputFields: ['ITNO'] });
+            service.execute({ ...request, transaction: 'LstByNumber' });
+            service.execute({ ...request, cache: false });
+            service.updateUserContext('300', 'AAA');
+            service.execute(request);
+            expect(spyExecuteRequest).toHaveBeenCalledTimes(7);
+        });
+
+        it('should not cache update transactions and failed requests', () => {
+            const { service, spyExecuteRequest, subjects } = createService();
+            spyOn(service as unknown as Spyable, 'isTransient').and.returnValue(false);
+
+            service.execute({ ...request, transaction: 'UpdItmBasic' });
+            service.execute({ ...request, transaction: 'UpdItmBasic' });
+            expect(spyExecuteRequest).toHaveBeenCalledTimes(2);
+
+            service.execute(request).subscribe({ error: () => { } });
+            subjects[2].error(new MIResponse());
+            service.execute(request);
+            expect(spyExecuteRequest).toHaveBeenCalledTimes(4);
+        });
+
+        it('should use ttl of request', () => {
+            const { service, spyExecuteRequest } = createService();
+            const now = Date.now();
+            const spyNow = spyOn(Date, 'now').and.returnValue(now);
+
+            service.execute({ ...request, cache: { ttl: 1000 } });
+            spyNow.and.returnValue(now + 999);
+            service.execute(request);
+            expect(spyExecuteRequest).toHaveBeenCalledTimes(1);
+            spyNow.and.returnValue(now + 1000);
+            service.execute(request);
+            spyNow.and.returnValue(now + 1000 + MICache.defaultTtl - 1);
+            service.execute(request);
+            expect(spyExecuteRequest).toHaveBeenCalledTimes(2);
+        });
+
+        it('should invalidate program when update transaction has been executed', () => {
+            const { service, spyExecuteRequest, complete } = createService();
+
+            service.execute(request);
+            complete(0, new MIResponse());
+            service.execute({ program: 'MMS200MI', transaction: 'UpdItmBasic', record: { ITNO: 'A1' } });
+            service.execute(request);
+            expect(spyExecuteRequest).toHaveBeenCalledTimes(2);
+            complete(1, new MIResponse());
+            service.execute(request);
+            expect(spyExecuteRequest).toHaveBeenCalledTimes(3);
+        });
+
+        it('should invalidate other programs', () => {
+            const { service, spyExecuteRequest, complete } = createService();
+
+            service.execute(request);
+            service.execute({ program: 'CRS610MI', transaction: 'GetBasicData', cache: true });
+            service.execute({ program: 'MMS001MI', transaction: 'Add', invalidateCache: ['MMS200MI'] });
+            complete(2, new MIResponse());
+            service.execute(request);
+            service.execute({ program: 'CRS610MI', transaction: 'GetBasicData', cache: true });
+            expect(spyExecuteRequest).toHaveBeenCalledTimes(4);
+        });
+
+        it('should clear cache', () => {
+            const { service, spyExecuteRequest } = createService();
+
+            service.execute(request);
+            service.clearCache('CRS610MI');
+            service.execute(request);
+            expect(spyExecuteRequest).toHaveBeenCalledTimes(1);
+            service.clearCache('MMS200MI');
+            service.execute(request);
+            expect(spyExecuteRequest).toHaveBeenCalledTimes(2);
+            service.clearCache();
+            service.execute(request);
+            expect(spyExecuteRequest).toHaveBeenCalledTimes(3);
+        });
+
+        it('should invalidate programs after bulk requests', () => {
+            const service = new MIServiceCore();
+            const spyInvalidate = spyOn(service['cache'], 'invalidate');
+            spyOn(service as unknown as Spyable, 'executeBulkRequests').and.callFake(() => of([]));
+
+            service.executeBulk([
+                { program: 'OIS100MI', transaction: 'AddLineBatchEnt' },
+                { program: 'OIS100MI', transaction: 'GetHead', invalidateCache: ['OIS101MI'] },
+                { program: 'MMS200MI', transaction: 'GetItmBasic' }
+            ]).subscribe();
+            expect(spyInvalidate.calls.allArgs()).toEqual([['OIS100MI'], ['OIS101MI']]);
+        });
+    });
 });
@@ -34,6 +34,15 @@ describe('MI Util', () => {
         expect(date.getFullYear()).toBe(2022);
     });
 
+    it('should evaluate read transactions', () => {
+        expect(MIUtil.isReadTransaction('GetBasicData')).toBe(true);
+        expect(MIUtil.isReadTransaction('LstByNumber')).toBe(true);
+        expect(MIUtil.isReadTransaction('SelItems')).toBe(true);
+        expect(MIUtil.isReadTransaction('SearchItem')).toBe(true);
+        expect(MIUtil.isReadTransaction('AddItmBasic')).toBe(false);
+        expect(MIUtil.isReadTransaction('UpdItmBasic')).toBe(false);
+    });
+
     it('should convert a dictionary structure to an array', () => {
         expect(MIUtil.metadataToArray({})).toEqual([]);
         const metaData = { ITNO: { name: 'ITNO', type: MIDataType.String, length: 10, description: 'foo' } as IMIMetadataInfo };
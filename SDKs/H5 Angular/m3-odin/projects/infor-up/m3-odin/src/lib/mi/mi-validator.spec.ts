@@ -0,0 +1,68 @@
+import { MIDataType } from '../mi/base';
+import { MIRecord, MIValidator } from '../mi/runtime';
+import { IMITransactionDefinition } from '../mi/types';
+
+describe('MI Validator', () => {
+    const definition: IMITransactionDefinition = {
+        program: 'MMS100MI',
+        transaction: 'AddHead',
+        inputFields: [
+            { name: 'WHLO', type: MIDataType.String, length: 3, mandatory: true },
+            { name: 'TRQT', type: MIDataType.Numeric, length: 8, decimals: 2 },
+            { name: 'RIDL', type: MIDataType.Numeric, length: 6 },
+            { name: 'TRDT', type: MIDataType.Date, length: 8 }
+        ]
+    };
+
+    it('should validate valid record', () => {
+        expect(MIValidator.validate({ WHLO: '100', TRQT: '-123456.78', RIDL: 10, TRDT: '20240229' }, definition)).toEqual([]);
+        expect(MIValidator.validate({ WHLO: '100', TRQT: 1.5, TRDT: new Date(2024, 1, 29), RIDL: null }, definition)).toEqual([]);
+    });
+
+    it('should validate unknown and mandatory fields', () => {
+        const record = new MIRecord({ WHLA: '100', FOO: null });
+
+        expect(MIValidator.validate(record, definition)).toEqual([
+            { field: 'WHLA', errorType: 'UnknownInputField', message: 'Unknown input field WHLA' },
+            { field: 'WHLO', errorType: 'MandatoryInputFieldNotFound', message: 'Mandatory input field WHLO is not set' }
+        ]);
+        expect(MIValidator.validate(null, definition)).toEqual([
+            { field: 'WHLO', errorType: 'MandatoryInputFieldNotFound', message: 'Mandatory input field WHLO is not set' }
+        ]);
+        expect(MIValidator.validate({ WHLO: '' }, definition).length).toBe(1);
+    });
+
+    it('should validate length of strings', () => {
+        expect(MIValidator.validate({ WHLO: '1000' }, definition)).toEqual([
+            { field: 'WHLO', errorType: 'InputFieldTooLong', message: 'Input field WHLO is longer than 3 characters' }
+        ]);
+    });
+
+    it('should validate numbers', () => {
+        expect(MIValidator.validate({ WHLO: '100', TRQT: '1,5' }, definition)).toEqual([
+            { field: 'TRQT', errorType: 'InvalidNumber', message: 'Input field TRQT is not a number' }
+        ]);
+        expect(MIValidator.validate({ WHLO: '100', RIDL: '1234.567' }, definition)).toEqual([
+            { field: 'RIDL', errorType: 'InputFieldTooLong', message: 'Input field RIDL has more than 6 digits' }
+        ]);
+        expect(MIValidator.validate({ WHLO: '100', RIDL: 1.12345 }, definition)).toEqual([]);
+    });
+
+    it('should validate decimals of numbers', () => {
+        expect(MIValidator.validate({ WHLO: '100', TRQT: 1.125 }, definition)).toEqual([
+            { field: 'TRQT', errorType: 'TooManyDecimals', message: 'Input field TRQT has more than 2 decimals' }
+        ]);
+        expect(MIValidator.validate({ WHLO: '100', TRQT: '1234567.8' }, definition)).toEqual([
+            { field: 'TRQT', errorType: 'InputFieldTooLong', message: 'Input field TRQT has more than 6 integer digits' }
+        ]);
+        expect(MIValidator.validate({ WHLO: '100', TRQT: '+123456.' }, definition)).toEqual([]);
+    });
+
+    it('should validate dates', () => {
+        const error = { field: 'TRDT', errorType: 'InvalidDate', message: 'Input field TRDT is not a date in the format yyyyMMdd' };
+
+        expect(MIValidator.validate({ WHLO: '100', TRDT: '2024-02-28' }, definition)).toEqual([error]);
+        expect(MIValidator.validate({ WHLO: '100', TRDT: '20230229' }, definition)).toEqual([error]);
+        expect(MIValidator.validate({ WHLO: '100', TRDT: '20241301' }, definition)).toEqual([error]);
+    });
+});
@@ -0,0 +1,303 @@
+import { of, throwError } from 'rxjs';
+import { IMIResponse, IMIService } from './base';
+import { MIErrorCategory } from './error';
+import { MIOutbox, MIOutboxIndexedDbStore, MIOutboxMemoryStore } from './outbox';
+import { RetryUtil } from '../retry';
+import { MIResponse } from './runtime';
+import { IMIOutboxEntry, IMIOutboxResult, IMIOutboxStatus, IMIRequest } from './types';
+
+type Spyable = { [name: string]: jasmine.Func };
+
+describe('MIOutbox', () => {
+    const addRequest = { program: 'MHS850MI', transaction: 'AddCOPick', record: { WHLO: '100' } } as IMIRequest;
+    const updRequest = { program: 'MHS850MI', transaction: 'UpdCOPick', record: { WHLO: '100' } } as IMIRequest;
+    const createError = (values: Partial<IMIResponse>) => throwError(() => Object.assign(new MIResponse(), values));
+    const networkError = () => createError({ errorMessage: 'Failed to call MHS850MI.AddCOPick 0', errorCode: '0' });
+    let miService: IMIService;
+    let spyExecute: jasmine.Spy;
+
+    const createOutbox = (online: boolean, store = new MIOutboxMemoryStore()) => {
+        spyOn(MIOutbox.prototype as unknown as Spyable, 'isOnline').and.returnValue(online);
+        spyOn(MIOutbox.prototype as unknown as Spyable, 'logInfo').and.callFake(() => { });
+        spyOn(MIOutbox.prototype as unknown as Spyable, 'logWarning').and.callFake(() => { });
+        return new MIOutbox(miService, store);
+    };
+
+    const setOnline = (outbox: MIOutbox, online: boolean) => {
+        (outbox['isOnline'] as jasmine.Spy).and.returnValue(online);
+    };
+
+    const getStatus = (outbox: MIOutbox): IMIOutboxStatus => {
+        let status: IMIOutboxStatus;
+        outbox.status.subscribe(value => status = value).unsubscribe();
+        return status;
+    };
+
+    beforeEach(() => {
+        spyExecute = jasmine.createSpy('execute').and.callFake(() => of(new MIResponse()));
+        miService = { execute: spyExecute } as unknown as IMIService;
+        jasmine.clock().install();
+    });
+
+    afterEach(() => {
+        jasmine.clock().uninstall();
+    });
+
+    it('should execute request when online', () => {
+        const outbox = createOutbox(true);
+        const response = new MIResponse();
+        spyExecute.and.returnValue(of(response));
+        let value: IMIResponse;
+
+        outbox.execute(addRequest).subscribe(resp => value = resp);
+        expect(value).toBe(response);
+        expect(spyExecute).toHaveBeenCalledWith(addRequest);
+        expect(getStatus(outbox).pending).toBe(0);
+    });
+
+    it('should not queue read transactions', () => {
+        const outbox = createOutbox(false);
+        const request = { program: 'MHS850MI', transaction: 'GetWhsHead' } as IMIRequest;
+        spyExecute.and.callFake(networkError);
+        let error: IMIResponse;
+
+        outbox.execute(request).subscribe({ error: err => error = err });
+        expect(spyExecute).toHaveBeenCalledWith(request);
+        expect(error.errorCode).toBe('0');
+        expect(getStatus(outbox).pending).toBe(0);
+    });
+
+    it('should fail with MI errors when online', () => {
+        const outbox = createOutbox(true);
+        spyExecute.and.returnValue(createError({ errorMessage: 'Quantity must be entered', errorField: 'QTYP' }));
+        let error: IMIResponse;
+
+        outbox.execute(addRequest).subscribe({ error: err => error = err });
+        expect(error.errorField).toBe('QTYP');
+        expect(getStatus(outbox).pending).toBe(0);
+    });
+
+    it('should queue request when offline', () => {
+        const store = new MIOutboxMemoryStore();
+        const outbox = createOutbox(false, store);
+        let value: IMIResponse;
+
+        outbox.execute({ ...addRequest, tag: 'foo' }, 'pick-1').subscribe(resp => value = resp);
+        expect(spyExecute).not.toHaveBeenCalled();
+        expect(value.queued).toBe(true);
+        expect(value.hasError()).toBe(false);
+        expect(value.program).toBe('MHS850MI');
+        expect(value.transaction).toBe('AddCOPick');
+        expect(value.tag).toBe('foo');
+        expect(value.items).toEqual([]);
+        expect(getStatus(outbox)).toEqual({ online: false, replaying: false, pending: 1, failed: [] });
+
+        let entries: IMIOutboxEntry[];
+        store.getAll().subscribe(items => entries = items);
+        expect(entries.length).toBe(1);
+        expect(entries[0].id).toBe('pick-1');
+        expect(entries[0].sequence).toBe(1);
+        expect(entries[0].state).toBe('pending');
+        expect(entries[0].attempts).toBe(0);
+        expect(entries[0].request.record).toEqual(addRequest.record);
+    });
+
+    it('should queue request on network error', () => {
+        const outbox = createOutbox(true);
+        spyExecute.and.callFake(networkError);
+        let value: IMIResponse;
+
+        outbox.execute(addRequest).subscribe(resp => value = resp);
+        expect(spyExecute).toHaveBeenCalledTimes(1);
+        expect(value.queued).toBe(true);
+        expect(getStatus(outbox).pending).toBe(1);
+    });
+
+    it('should queue request with the same idempotency key once', () => {
+        const outbox = createOutbox(false);
+        const responses: IMIResponse[] = [];
+
+        outbox.execute(addRequest, 'pick-1').subscribe(resp => responses.push(resp));
+        outbox.execute(addRequest, 'pick-1').subscribe(resp => responses.push(resp));
+        outbox.execute(addRequest, 'pick-2').subscribe(resp => responses.push(resp));
+        expect(responses.map(resp => resp.queued)).toEqual([true, true, true]);
+        expect(getStatus(outbox).pending).toBe(2);
+    });
+
+    it('should replay requests in order', () => {
+        const outbox = createOutbox(false);
+        const results: IMIOutboxResult[] = [];
+        outbox.results.subscribe(result => results.push(result));
+
+        outbox.execute(addRequest, 'pick-1');
+        outbox.execute(updRequest, 'pick-2');
+        setOnline(outbox, true);
+        outbox.replay();
+        expect(spyExecute.calls.allArgs()).toEqual([[addRequest], [updRequest]]);
+        expect(results.map(result => result.entry.id)).toEqual(['pick-1', 'pick-2']);
+        expect(results[0].response).toEqual(jasmine.any(MIResponse));
+        expect(results[0].entry.attempts).toBe(1);
+        expect(getStatus(outbox)).toEqual({ online: true, replaying: false, pending: 0, failed: [] });
+    });
+
+    it('should queue requests while other requests are queued', () => {
+        const outbox = createOutbox(false);
+
+        outbox.execute(addRequest, 'pick-1');
+        setOnline(outbox, true);
+        spyExecute.and.callFake(networkError);
+        outbox.execute(updRequest, 'pick-2');
+        expect(getStatus(outbox).pending).toBe(2);
+        expect(spyExecute.calls.allArgs()).toEqual([[addRequest]]);
+    });
+
+    it('should stop replay on network error and replay again with backoff', () => {
+        const outbox = createOutbox(false);
+        spyOn(Math, 'random').and.returnValue(0);
+        outbox.execute(addRequest, 'pick-1');
+        outbox.execute(updRequest, 'pick-2');
+        setOnline(outbox, true);
+        spyExecute.and.callFake(networkError);
+
+        outbox.replay();
+        expect(spyExecute).toHaveBeenCalledTimes(1);
+        expect(getStatus(outbox).pending).toBe(2);
+        expect(getStatus(outbox).replaying).toBe(false);
+
+        jasmine.clock().tick(299);
+        expect(spyExecute).toHaveBeenCalledTimes(1);
+        jasmine.clock().tick(1);
+        expect(spyExecute).toHaveBeenCalledTimes(2);
+        jasmine.clock().tick(599);
+        expect(spyExecute).toHaveBeenCalledTimes(2);
+
+        spyExecute.and.callFake(() => of(new MIResponse()));
+        outbox.replay();
+        expect(spyExecute).toHaveBeenCalledTimes(4);
+        expect(getStatus(outbox).pending).toBe(0);
+        jasmine.clock().tick(RetryUtil.defaultPolicy.maxDelay);
+        expect(spyExecute).toHaveBeenCalledTimes(4);
+    });
+
+    it('should not replay again with backoff when the record is locked', () => {
+        const outbox = createOutbox(false);
+        outbox.execute(addRequest, 'pick-1');
+        setOnline(outbox, true);
+        spyExecute.and.callFake(() => createError({ errorMessage: 'Record is locked by user FOO' }));
+
+        outbox.replay();
+        jasmine.clock().tick(RetryUtil.defaultPolicy.maxDelay);
+        expect(spyExecute).toHaveBeenCalledTimes(1);
+        expect(getStatus(outbox).pending).toBe(1);
+    });
+
+    it('should report conflicts and failed requests and continue replay', () => {
+        const outbox = createOutbox(false);
+        const results: IMIOutboxResult[] = [];
+        outbox.results.subscribe(result => results.push(result));
+        outbox.execute(addRequest, 'pick-1');
+        outbox.execute(updRequest, 'pick-2');
+        outbox.execute(addRequest, 'pick-3');
+        setOnline(outbox, true);
+        spyExecute.and.returnValues(
+            createError({ errorMessage: 'Record does not exist', errorCode: 'XRE0103' }),
+            createError({ errorMessage: 'Quantity must be entered', errorField: 'QTYP' }),
+            of(new MIResponse()));
+
+        outbox.replay();
+        const status = getStatus(outbox);
+        expect(status.pending).toBe(0);
+        expect(status.failed.map(entry => entry.id)).toEqual(['pick-1', 'pick-2']);
+        expect(status.failed[0].state).toBe('conflict');
+        expect(status.failed[0].error).toEqual({
+            category: MIErrorCategory.RecordNotFound, message: 'Record does not exist', code: 'XRE0103', field: null
+        });
+        expect(status.failed[1].state).toBe('failed');
+        expect(status.failed[1].error.field).toBe('QTYP');
+        expect(results.map(result => result.entry.id)).toEqual(['pick-1', 'pick-2', 'pick-3']);
+        expect(results[0].error.isRecordNotFound()).toBe(true);
+        expect(results[1].error.isValidation()).toBe(true);
+    });
+
+    it('should retry and discard failed requests', () => {
+        const outbox = createOutbox(false);
+        outbox.execute(addRequest, 'pick-1');
+        outbox.execute(updRequest, 'pick-2');
+        setOnline(outbox, true);
+        spyExecute.and.returnValue(createError({ errorMessage: 'Quantity must be entered', errorField: 'QTYP' }));
+        outbox.replay();
+        expect(getStatus(outbox).failed.length).toBe(2);
+
+        const corrected = { ...addRequest, record: { WHLO: '100', QTYP: 1 } };
+        spyExecute.and.returnValue(of(new MIResponse()));
+        outbox.retry('pick-1', corrected);
+        expect(spyExecute).toHaveBeenCalledWith(corrected);
+        outbox.discard('pick-2');
+        expect(spyExecute).toHaveBeenCalledTimes(3);
+        expect(getStatus(outbox)).toEqual({ online: true, replaying: false, pending: 0, failed: [] });
+    });
+
+    it('should replay stored requests when created', () => {
+        const store = new MIOutboxMemoryStore();
+        const entry: IMIOutboxEntry = {
+            id: 'pick-1', sequence: 1, request: addRequest, created: Date.now(), attempts: 0, state: 'pending'
+        };
+        store.put(entry);
+
+        createOutbox(true, store);
+        expect(spyExecute).toHaveBeenCalledWith(addRequest);
+        let entries: IMIOutboxEntry[];
+        store.getAll().subscribe(items => entries = items);
+        expect(entries).toEqual([]);
+    });
+
+    it('should complete status and results when disposed', () => {
+        const outbox = createOutbox(true);
+        let completed = 0;
+        outbox.status.subscribe({ complete: () => completed++ });
+        outbox.results.subscribe({ complete: () => completed++ });
+
+        outbox.dispose();
+        expect(completed).toBe(2);
+    });
+});
+
+describe('MIOutboxMemoryStore', () => {
+    it('should get entries ordered by sequence', () => {
+        const store = new MIOutboxMemoryStore();
+        const entry1 = { id: 'b', sequence: 1 } as IMIOutboxEntry;
+        const entry2 = { id: 'a', sequence: 2 } as IMIOutboxEntry;
+        let entries: IMIOutboxEntry[];
+
+        store.put(entry2);
+        store.put(entry1);
+        store.getAll().subscribe(items => entries = items);
+        expect(entries).toEqual([entry1, entry2]);
+
+        store.remove('b');
+        store.getAll().subscribe(items => entries = items);
+        expect(entries).toEqual([entry2]);
+    });
+});
+
+describe('MIOutboxIndexedDbStore', () => {
+    it('should store entries', (done) => {
+        const store = new MIOutboxIndexedDbStore('m3-odin-outbox-spec-' + Date.now());
+        const entry1 = { id: 'b', sequence: 1, request: { program: 'MHS850MI', transaction: 'AddCOPick' } } as IMIOutboxEntry;
+        const entry2 = { id: 'a', sequence: 2, request: { program: 'MHS850MI', transaction: 'UpdCOPick' } } as IMIOutboxEntry;
+
+        store.put(entry2).subscribe(() => {
+            store.put(entry1).subscribe(() => {
+                store.getAll().subscribe(entries => {
+                    expect(entries).toEqual([entry1, entry2]);
+                    store.remove('b').subscribe(() => {
+                        store.getAll().subscribe(remaining => {
+                            expect(remaining).toEqual([entry2]);
+                            done();
+                        });
+                    });
+                });
+            });
+        });
+    });
+});
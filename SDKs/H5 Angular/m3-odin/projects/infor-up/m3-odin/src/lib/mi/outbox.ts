@@ -0,0 +1,382 @@
+import { AsyncSubject, BehaviorSubject, Observable, of, Subject } from 'rxjs';
+import { map } from 'rxjs/operators';
+import { CoreBase } from '../base';
+import { IndexedDbObjectStore } from '../indexed-db';
+import { RetryUtil } from '../retry';
+import { ArrayUtil, CoreUtil } from '../util';
+import { IMIResponse, IMIService } from './base';
+import { MIError } from './error';
+import { MIResponse, MIUtil } from './runtime';
+import { IMIOutboxEntry, IMIOutboxResult, IMIOutboxStatus, IMIOutboxStore, IMIRequest } from './types';
+
+const sortBySequence = (entries: IMIOutboxEntry[]) => entries.sort((a, b) => a.sequence - b.sequence);
+
+/**
+ * Stores the entries of an {@link MIOutbox} in memory. The entries are lost when the application is reloaded.
+ *
+ * ```typescript
+ * import { MIOutboxMemoryStore } from '@infor-up/m3-odin';
+ * ```
+ *
+ * @since 7.3.0
+ */
+export class MIOutboxMemoryStore implements IMIOutboxStore {
+   private entries = new Map<string, IMIOutboxEntry>();
+
+   getAll(): Observable<IMIOutboxEntry[]> {
+      return of(sortBySequence(Array.from(this.entries.values())));
+   }
+
+   put(entry: IMIOutboxEntry): Observable<void> {
+      this.entries.set(entry.id, entry);
+      return of(undefined);
+   }
+
+   remove(id: string): Observable<void> {
+      this.entries.delete(id);
+      return of(undefined);
+   }
+}
+
+/**
+ * Stores the entries of an {@link MIOutbox} in an IndexedDB database in the browser.
+ *
+ * ```typescript
+ * import { MIOutboxIndexedDbStore } from '@infor-up/m3-odin';
+ * ```
+ *
+ * The requests are stored with the structured clone algorithm, so the tag of a queued request cannot contain functions.
+ *
+ * @since 7.3.0
+ */
+export class MIOutboxIndexedDbStore implements IMIOutboxStore {
+   private objectStore: IndexedDbObjectStore;
+
+   /**
+    * Creates a store.
+    * @param databaseName The name of the database. Use different names for applications on the same origin.
+    */
+   constructor(databaseName = 'm3-odin-outbox') {
+      this.objectStore = new IndexedDbObjectStore(databaseName, 'entries', 'id');
+   }
+
+   getAll(): Observable<IMIOutboxEntry[]> {
+      return this.objectStore.execute<IMIOutboxEntry[]>('readonly', store => store.getAll()).pipe(map(sortBySequence));
+   }
+
+   put(entry: IMIOutboxEntry): Observable<void> {
+      return this.objectStore.execute('readwrite', store => store.put(entry)).pipe(map(() => undefined));
+   }
+
+   remove(id: string): Observable<void> {
+      return this.objectStore.execute('readwrite', store => store.delete(id)).pipe(map(() => undefined));
+   }
+}
+
+/**
+ * Queues MI update transactions that fail because the network is not available, and replays them in order when the
+ * network is available again.
+ *
+ * ```typescript
+ * import { MIOutbox } from '@infor-up/m3-odin';
+ * ```
+ *
+ * The outbox is opt-in: only requests executed with {@link MIOutbox.execute} are queued. Transactions that only read
+ * data (see {@link MIUtil.isReadTransaction}) are never queued. A request is queued if the browser is offline, if the
+ * HTTP request fails with status 0, or if there are other queued requests, so that the order is kept. The Observable
+ * for a queued request completes with a response where {@link IMIResponse.queued} is true.
+ *
+ * Each request has an idempotency key. A request with the key of a request that is already queued is not queued again,
+ * for instance when a user submits the same form twice. An entry is removed when it has been replayed, so a request can
+ * be executed twice if the application is closed right after the request has been executed by the server.
+ *
+ * Requests that fail when they are replayed get the state conflict or failed (see {@link IMIOutboxEntry.state}), and
+ * the replay continues with the next request. The replay stops, and the request is replayed later, if the network
+ * is not available, if the user is not authorized or if the record is locked. After a network or server error the
+ * replay is started again with the delays of the default retry policy (see {@link RetryUtil.getDelay}).
+ *
+ * **Example**
+ * ```typescript
+ * this.outbox = new MIOutbox(this.miService, new MIOutboxIndexedDbStore('my-app-outbox'));
+ * this.outbox.status.subscribe(status => this.showBanner = !status.online || status.pending > 0);
+ * this.outbox.results.subscribe(result => {
+ *    if (result.error) {
+ *       this.showError(result.error.getUserMessage());
+ *    }
+ * });
+ *
+ * this.outbox.execute({ program: 'MHS850MI', transaction: 'AddCOPick', record: record }, pickId).subscribe((response: IMIResponse) => {
+ *    this.message = response.queued ? 'Saved, will be sent when online' : 'Saved';
+ * });
+ * ```
+ *
+ * @since 7.3.0
+ */
+export class MIOutbox extends CoreBase {
+   private entries: IMIOutboxEntry[] = [];
+   private ready = new AsyncSubject<void>();
+   private isReplaying = false;
+   private replayTimer: ReturnType<typeof setTimeout>;
+   private statusSubject: BehaviorSubject<IMIOutboxStatus>;
+   private resultSubject = new Subject<IMIOutboxResult>();
+   private onOnline = () => this.replay();
+   private onOffline = () => this.updateStatus();
+
+   /**
+    * Creates an outbox and replays the stored requests if the browser is online.
+    * @param miService The MI service that executes the requests.
+    * @param store The store for the queued requests. The default is to keep the requests in memory.
+    */
+   constructor(private miService: IMIService, private store: IMIOutboxStore = new MIOutboxMemoryStore()) {
+      super('MIOutbox');
+      this.statusSubject = new BehaviorSubject<IMIOutboxStatus>(this.createStatus());
+
+      if (typeof window !== 'undefined' && window.addEventListener) {
+         window.addEventListener('online', this.onOnline);
+         window.addEventListener('offline', this.onOffline);
+      }
+
+      this.store.getAll().subscribe(entries => {
+         this.entries = entries;
+         this.onReady();
+      }, error => {
+         this.logError('Failed to load queued requests', error);
+         this.onReady();
+      });
+   }
+
+   /**
+    * Gets an Observable that emits the current status and each change of the status.
+    */
+   public get status(): Observable<IMIOutboxStatus> {
+      return this.statusSubject.asObservable();
+   }
+
+   /**
+    * Gets an Observable that emits the result of each replayed request, and the errors for requests in conflict or failed.
+    */
+   public get results(): Observable<IMIOutboxResult> {
+      return this.resultSubject.asObservable();
+   }
+
+   /**
+    * Executes a request, or queues it if the network is not available.
+    * @param request The request to execute.
+    * @param idempotencyKey A key that identifies the request. A unique key is created if the key is not set.
+    * @returns An Observable that completes with the response, or with a queued response.
+    */
+   public execute(request: IMIRequest, idempotencyKey?: string): Observable<IMIResponse> {
+      if (MIUtil.isReadTransaction(request.transaction)) {
+         return this.miService.execute(request);
+      }
+
+      const subject = new AsyncSubject<IMIResponse>();
+      const id = idempotencyKey || CoreUtil.random(24);
+      this.ready.subscribe(() => {
+         if (this.getEntry(id)) {
+            this.logInfo('execute: ' + id + ' is already queued');
+            this.onQueued(request, subject);
+         } else if (!this.isOnline()) {
+            this.enqueue(id, request, subject);
+         } else if (this.getPendingCount() > 0) {
+            this.enqueue(id, request, subject);
+            this.replay();
+         } else {
+            this.miService.execute(request).subscribe(response => {
+               subject.next(response);
+               subject.complete();
+            }, (response: IMIResponse) => {
+               if (this.isNetworkError(response)) {
+                  this.enqueue(id, request, subject);
+               } else {
+                  subject.error(response);
+               }
+            });
+         }
+      });
+      return subject.asObservable();
+   }
+
+   /**
+    * Replays the pending requests, if the browser is online and the requests are not already being replayed.
+    * The requests are replayed automatically when the browser goes online, and when a request is executed while other
+    * requests are queued.
+    */
+   public replay(): void {
+      clearTimeout(this.replayTimer);
+      this.ready.subscribe(() => {
+         if (!this.isReplaying) {
+            this.replayNext();
+         }
+      });
+   }
+
+   /**
+    * Replays a request that is in conflict or failed again, for instance after the user has corrected the data.
+    * @param id The id of the entry.
+    * @param request The corrected request. The queued request is replayed if this is not set.
+    */
+   public retry(id: string, request?: IMIRequest): void {
+      const entry = this.getEntry(id);
+      if (entry) {
+         entry.state = 'pending';
+         entry.error = undefined;
+         entry.request = request || entry.request;
+         this.save(entry);
+         this.replay();
+      }
+   }
+
+   /**
+    * Removes a queued request without executing it.
+    * @param id The id of the entry.
+    */
+   public discard(id: string): void {
+      const entry = this.getEntry(id);
+      if (entry) {
+         this.remove(entry);
+      }
+   }
+
+   /**
+    * Stops listening to the online events of the browser and completes the status and results.
+    */
+   public dispose(): void {
+      if (typeof window !== 'undefined' && window.removeEventListener) {
+         window.removeEventListener('online', this.onOnline);
+         window.removeEventListener('offline', this.onOffline);
+      }
+      clearTimeout(this.replayTimer);
+      this.statusSubject.complete();
+      this.resultSubject.complete();
+   }
+
+   private onReady(): void {
+      this.ready.next(null);
+      this.ready.complete();
+      this.updateStatus();
+      this.replay();
+   }
+
+   private enqueue(id: string, request: IMIRequest, subject: AsyncSubject<IMIResponse>): void {
+      const last = ArrayUtil.last(this.entries) as IMIOutboxEntry;
+      const entry: IMIOutboxEntry = {
+         id: id,
+         sequence: last ? last.sequence + 1 : 1,
+         request: request,
+         created: Date.now(),
+         attempts: 0,
+         state: 'pending'
+      };
+      this.logInfo('execute: Queued ' + request.program + ' ' + request.transaction);
+      this.entries.push(entry);
+      this.save(entry);
+      this.onQueued(request, subject);
+   }
+
+   private onQueued(request: IMIRequest, subject: AsyncSubject<IMIResponse>): void {
+      const response = new MIResponse();
+      response.program = request.program;
+      response.transaction = request.transaction;
+      response.tag = request.tag;
+      response.items = [];
+      response.queued = true;
+      subject.next(response);
+      subject.complete();
+   }
+
+   private replayNext(): void {
+      const entry = ArrayUtil.find(this.entries, item => item.state === 'pending');
+      if (!entry || !this.isOnline()) {
+         this.setReplaying(false);
+         return;
+      }
+
+      this.setReplaying(true);
+      entry.attempts++;
+      this.miService.execute(entry.request).subscribe(response => {
+         this.remove(entry);
+         this.resultSubject.next({ entry: entry, response: response });
+         this.replayNext();
+      }, (response: IMIResponse) => {
+         const error = MIError.fromResponse(response);
+         entry.error = { category: error.category, message: error.message, code: error.code, field: error.field };
+         if (this.isNetworkError(response) || error.isServer() || error.isAuthorization() || error.isRecordLocked()) {
+            // Try again later, the requests after this one might depend on it
+            this.logWarning('replay: Stopped replay of queued requests. ' + error.message);
+            this.save(entry);
+            this.setReplaying(false);
+            if (this.isOnline() && (this.isNetworkError(response) || error.isServer())) {
+               this.scheduleReplay(entry.attempts);
+            }
+            return;
+         }
+
+         entry.state = error.isRecordNotFound() ? 'conflict' : 'failed';
+         const request = entry.request;
+         this.logWarning('replay: ' + request.program + ' ' + request.transaction + ' ' + entry.state + '. ' + error.message);
+         this.save(entry);
+         this.resultSubject.next({ entry: entry, error: error });
+         this.replayNext();
+      });
+   }
+
+   /**
+    * Replays the requests again after a delay that increases with the number of attempts of the request that failed.
+    * The delay is cancelled if the requests are replayed before that, for instance when the browser goes online.
+    */
+   private scheduleReplay(attempts: number): void {
+      const delay = RetryUtil.getDelay(RetryUtil.getPolicy(), attempts);
+      this.logInfo('replay: Replaying queued requests again in ' + delay + ' ms');
+      this.replayTimer = setTimeout(() => this.replay(), delay);
+   }
+
+   private save(entry: IMIOutboxEntry): void {
+      this.store.put(entry).subscribe({ error: error => this.logError('Failed to store queued request ' + entry.id, error) });
+      this.updateStatus();
+   }
+
+   private remove(entry: IMIOutboxEntry): void {
+      ArrayUtil.remove(this.entries, entry);
+      this.store.remove(entry.id).subscribe({ error: error => this.logError('Failed to remove queued request ' + entry.id, error) });
+      this.updateStatus();
+   }
+
+   private getEntry(id: string): IMIOutboxEntry {
+      return ArrayUtil.find(this.entries, entry => entry.id === id);
+   }
+
+   private getPendingCount(): number {
+      return this.entries.filter(entry => entry.state === 'pending').length;
+   }
+
+   private isOnline(): boolean {
+      return typeof navigator === 'undefined' || navigator.onLine !== false;
+   }
+
+   private isNetworkError(response: IMIResponse): boolean {
+      return !this.isOnline() || MIError.fromResponse(response).status === 0;
+   }
+
+   private setReplaying(replaying: boolean): void {
+      if (this.isReplaying !== replaying) {
+         this.isReplaying = replaying;
+         this.updateStatus();
+      }
+   }
+
+   private createStatus(): IMIOutboxStatus {
+      return {
+         online: this.isOnline(),
+         replaying: this.isReplaying,
+         pending: this.getPendingCount(),
+         failed: this.entries.filter(entry => entry.state !== 'pending')
+      };
+   }
+
+   private updateStatus(): void {
+      if (this.statusSubject) {
+         this.statusSubject.next(this.createStatus());
+      }
+   }
+}
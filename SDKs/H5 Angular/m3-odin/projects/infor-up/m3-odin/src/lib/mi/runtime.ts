@@ -1,10 +1,17 @@
-import { AsyncSubject, Observable } from 'rxjs';
+import { AsyncSubject, forkJoin, Observable, of, Subscription } from 'rxjs';
+import { catchError, map } from 'rxjs/operators';
 import { CoreBase } from '../base';
 import { AjaxHttpService } from '../http';
-import { IHttpRequest, IHttpResponse, IHttpService } from '../types';
+import { InterceptorChain } from '../interceptor';
+import { RetryUtil } from '../retry';
+import { IHttpInterceptor, IHttpRequest, IHttpResponse, IHttpService, IRetryPolicy } from '../types';
 import { ArrayUtil, CoreUtil, HttpUtil, StringUtil } from '../util';
-import { IMIMetadataInfo, IMIMetadataMap, IMIResponse, IMIService, MIDataType } from './base';
-import { IMIRequest } from './types';
+import { IMIInterceptor, IMIMetadataInfo, IMIMetadataMap, IMIResponse, IMIService, MIConstants, MIDataType } from './base';
+import { MICache } from './cache';
+import {
+   IMIBulkBody, IMIBulkContent, IMIBulkResult, IMIBulkTransaction, IMICacheOptions, IMIFieldDefinition, IMIPagingOptions, IMIRequest,
+   IMISwaggerDocument, IMISwaggerPath, IMITransactionDefinition, IMIValidationError
+} from './types';
 
 /**
  * Represents input and output records used when executing M3 MI transactions.
@@ -122,6 +129,8 @@ export class MIResponse implements IMIResponse {
    public errorMessage: string;
    public errorCode: string;
    public metadata: IMIMetadataMap;
+   public validationErrors: IMIValidationError[];
+   public queued: boolean;
 
    public hasError(): boolean {
       const state = this;
@@ -233,6 +242,16 @@ export class MIUtil {
       return new Date(year, month - 1, day);
    }
 
+   /**
+    * Gets a value that indicates if a transaction only reads data, based on the naming convention for MI transactions.
+    * @param transaction The name of the transaction, for example GetBasicData.
+    * @returns True if the transaction starts with Get, Lst, Sel or Search.
+    * @since 7.3.0
+    */
+   public static isReadTransaction(transaction: string): boolean {
+      return /^(Get|Lst|Sel|Search)/.test(transaction);
+   }
+
    /**
     * Converts a dictionary structure to an array.
     * @param metdataMap A map structure where the key is the field name and the value is a {@link MIMetadataInfo}.
@@ -251,6 +270,216 @@ export class MIUtil {
    }
 }
 
+/**
+ * Validates the input record of an MI request with the input fields of the transaction. See {@link IMIOptions.validate}.
+ *
+ * ```typescript
+ * import { MIValidator } from '@infor-up/m3-odin';
+ * ```
+ *
+ * Values are validated in MI format (see {@link MIUtil.toMIFormat}), so dates can be Date objects and numbers can be numbers.
+ *
+ * @since 7.3.0
+ */
+export class MIValidator {
+   private static numberPattern = /^[-+]?(\d+(\.\d*)?|\.\d+)$/;
+   private static datePattern = /^\d{8}$/;
+
+   /**
+    * Validates an input record.
+    * @param record The input record. Fields with a null or undefined value are not validated, since they are not sent.
+    * @param definition The input fields of the transaction.
+    * @returns The validation errors, or an empty array if the record is valid.
+    */
+   public static validate(record: object, definition: IMITransactionDefinition): IMIValidationError[] {
+      const values = record as { [name: string]: unknown };
+      const errors: IMIValidationError[] = [];
+      const fields: { [name: string]: IMIFieldDefinition } = {};
+      for (const field of definition.inputFields) {
+         fields[field.name] = field;
+      }
+
+      if (values) {
+         for (const name of Object.keys(values)) {
+            if (name !== 'metadata' && values[name] != null && !Object.prototype.hasOwnProperty.call(fields, name)) {
+               errors.push(MIValidator.createError(name, 'UnknownInputField', 'Unknown input field ' + name));
+            }
+         }
+      }
+
+      for (const field of definition.inputFields) {
+         const value = MIUtil.toMIFormat(values ? values[field.name] : null);
+         if (value === '') {
+            if (field.mandatory) {
+               const message = 'Mandatory input field ' + field.name + ' is not set';
+               errors.push(MIValidator.createError(field.name, 'MandatoryInputFieldNotFound', message));
+            }
+            continue;
+         }
+         const error = MIValidator.validateValue(field, value);
+         if (error) {
+            errors.push(error);
+         }
+      }
+      return errors;
+   }
+
+   private static validateValue(field: IMIFieldDefinition, value: string): IMIValidationError {
+      const name = field.name;
+      if (field.type === MIDataType.Numeric) {
+         if (!MIValidator.numberPattern.test(value)) {
+            return MIValidator.createError(name, 'InvalidNumber', 'Input field ' + name + ' is not a number');
+         }
+         const parts = value.replace(/^[-+]/, '').split('.');
+         const decimals = parts.length > 1 ? parts[1].length : 0;
+         if (field.decimals != null && decimals > field.decimals) {
+            const message = 'Input field ' + name + ' has more than ' + field.decimals + ' decimals';
+            return MIValidator.createError(name, 'TooManyDecimals', message);
+         }
+         if (field.decimals != null && field.length > 0 && parts[0].length > field.length - field.decimals) {
+            const message = 'Input field ' + name + ' has more than ' + (field.length - field.decimals) + ' integer digits';
+            return MIValidator.createError(name, 'InputFieldTooLong', message);
+         }
+         if (field.length > 0 && parts[0].length + decimals > field.length) {
+            const message = 'Input field ' + name + ' has more than ' + field.length + ' digits';
+            return MIValidator.createError(name, 'InputFieldTooLong', message);
+         }
+      } else if (field.type === MIDataType.Date) {
+         if (!MIValidator.datePattern.test(value) || MIUtil.getDateFormatted(MIUtil.getDate(value)) !== value) {
+            const message = 'Input field ' + name + ' is not a date in the format ' + MIConstants.datePattern;
+            return MIValidator.createError(name, 'InvalidDate', message);
+         }
+      } else if (field.length > 0 && value.length > field.length) {
+         const message = 'Input field ' + name + ' is longer than ' + field.length + ' characters';
+         return MIValidator.createError(name, 'InputFieldTooLong', message);
+      }
+      return null;
+   }
+
+   private static createError(field: string, errorType: string, message: string): IMIValidationError {
+      return { field: field, errorType: errorType, message: message };
+   }
+}
+
+/**
+ * Contains the input fields of MI transactions, used to validate input records. See {@link IMIOptions.validate}.
+ *
+ * ```typescript
+ * import { MIMetadataCatalog } from '@infor-up/m3-odin';
+ * ```
+ *
+ * The metadata can be created from the Swagger documents of m3api-rest v2 with {@link parseDocument},
+ * for instance to bundle the documents for the programs that an application uses.
+ *
+ * @since 7.3.0
+ */
+export class MIMetadataCatalog {
+   private programs: { [program: string]: { [transaction: string]: IMITransactionDefinition } } = {};
+
+   /**
+    * Adds the input fields of transactions. Existing transactions are replaced.
+    * @param definitions The transactions.
+    */
+   public add(definitions: IMITransactionDefinition[]): void {
+      for (const definition of definitions) {
+         const transactions = this.programs[definition.program] || (this.programs[definition.program] = {});
+         transactions[definition.transaction] = definition;
+      }
+   }
+
+   /**
+    * Gets a value that indicates if the catalog contains transactions for a program.
+    * @param program The MI program.
+    * @returns True if the program has transactions.
+    */
+   public hasProgram(program: string): boolean {
+      return Object.prototype.hasOwnProperty.call(this.programs, program);
+   }
+
+   /**
+    * Gets the input fields of a transaction.
+    * @param program The MI program.
+    * @param transaction The transaction.
+    * @returns The transaction, or null if it is not in the catalog.
+    */
+   public get(program: string, transaction: string): IMITransactionDefinition | null {
+      const transactions = this.programs[program];
+      return transactions && Object.prototype.hasOwnProperty.call(transactions, transaction) ? transactions[transaction] : null;
+   }
+
+   /**
+    * Creates transaction definitions from the Swagger document of an MI program in m3api-rest v2.
+    *
+    * The document has a path for each transaction, with a query parameter for each input field. Fields that are
+    * returned as dates by any transaction in the program are validated as dates.
+    *
+    * The document does not contain the number of decimals of numeric fields. To validate the decimals, pass them for
+    * the fields, for instance from the field definitions in the M3 data dictionary.
+    *
+    * **Example**
+    * ```typescript
+    * MIMetadataCatalog.parseDocument(mms200mi, { GRWE: 3, NEWE: 3 });
+    * ```
+    *
+    * @param document The Swagger document.
+    * @param decimals The number of decimals of numeric fields, by field name. Optional.
+    * @returns The transactions of the program.
+    */
+   public static parseDocument(document: IMISwaggerDocument, decimals?: { [field: string]: number }): IMITransactionDefinition[] {
+      const program = (document.basePath || '').split('/').pop();
+      const paths = document.paths || {};
+      const dateFields = MIMetadataCatalog.getDateFields(paths);
+      const definitions: IMITransactionDefinition[] = [];
+
+      for (const path of Object.keys(paths)) {
+         const operation = paths[path].get || paths[path].post;
+         if (!operation) {
+            continue;
+         }
+         const inputFields: IMIFieldDefinition[] = [];
+         for (const parameter of operation.parameters || []) {
+            // Options such as cono and maxrecs are also parameters, but field names are in upper case
+            if (parameter.in !== 'query' || !/^[A-Z0-9]+$/.test(parameter.name)) {
+               continue;
+            }
+            const match = /^(.*)\((\d+)\)$/.exec(parameter.description || '');
+            const field: IMIFieldDefinition = {
+               name: parameter.name,
+               description: match ? match[1] : parameter.description,
+               type: parameter.type === 'number' ? MIDataType.Numeric :
+                  ArrayUtil.contains(dateFields, parameter.name) ? MIDataType.Date : MIDataType.String,
+               length: match ? +match[2] : 0,
+               mandatory: !!parameter.required
+            };
+            if (field.type === MIDataType.Numeric && decimals && decimals[field.name] != null) {
+               field.decimals = decimals[field.name];
+            }
+            inputFields.push(field);
+         }
+         definitions.push({ program: program, transaction: path.replace(/^\//, ''), inputFields: inputFields });
+      }
+      return definitions;
+   }
+
+   private static getDateFields(paths: { [path: string]: IMISwaggerPath }): string[] {
+      const fields: string[] = [];
+      const schemaPath = ['responses', '200', 'schema', 'properties', 'results', 'items', 'properties', 'records', 'items', 'properties'];
+      for (const path of Object.keys(paths)) {
+         let schema: unknown = paths[path].get || paths[path].post;
+         for (const name of schemaPath) {
+            schema = schema ? (schema as { [name: string]: unknown })[name] : null;
+         }
+         const properties = (schema || {}) as { [name: string]: { format?: string } };
+         for (const name of Object.keys(properties)) {
+            if (properties[name].format === 'mvxdate' && !ArrayUtil.contains(fields, name)) {
+               fields.push(name);
+            }
+         }
+      }
+      return fields;
+   }
+}
+
 /**
  * Implementation of {@link IMIMetadataInfo}.
  * @hidden
@@ -314,12 +543,24 @@ export class MIServiceCore extends CoreBase implements IMIService {
     */
    static isIonApi = false; // TODO not implemented yet
 
+   /**
+    * @hidden
+    */
+   static maxBulkSize = 100; // The maximum number of transactions in one bulk request
+
    private csrfToken: string;
    private csrfTimestamp = 0;
    private csrfStatus = 0;
    private readonly maxTokenAge = 30000;
+   private readonly defaultPageSize = 100;
+   private readonly defaultMaxRecords = 10000;
    private currentCompany: string = null;
    private currentDivision: string = null;
+   private cache = new MICache();
+   private interceptors = new InterceptorChain<IMIRequest, IMIResponse>();
+   private httpInterceptors = new InterceptorChain<IHttpRequest, IHttpResponse>();
+   private metadata = new MIMetadataCatalog();
+   private metadataRequests = new Map<string, AsyncSubject<void>>();
 
    constructor(private http?: IHttpService) {
       super('MIServiceCore');
@@ -362,6 +603,13 @@ export class MIServiceCore extends CoreBase implements IMIService {
    }
 
    private executeRefreshToken(request: IMIRequest, subject: AsyncSubject<IMIResponse>): void {
+      this.refreshToken(request, () => this.executeInternal(request, subject), subject);
+   }
+
+   /**
+    * Gets a new CSRF token and calls the execute function, or errors the subject if there is no token.
+    */
+   private refreshToken(request: IMIRequest, execute: () => void, subject: AsyncSubject<unknown>): void {
       const url = this.getCsrfUrl(this.getBaseUrl(request));
       const httpRequest = {
          method: 'GET',
@@ -373,7 +621,7 @@ export class MIServiceCore extends CoreBase implements IMIService {
          this.csrfStatus = httpResponse.status;
          this.csrfToken = httpResponse.body;
          this.csrfTimestamp = new Date().getTime();
-         this.executeInternal(request, subject);
+         execute();
       }, httpResponse => {
          this.csrfStatus = httpResponse.status;
          this.csrfToken = null;
@@ -386,7 +634,7 @@ export class MIServiceCore extends CoreBase implements IMIService {
             errorResponse.errorType = 'TOKEN';
             subject.error(errorResponse);
          } else {
-            this.executeInternal(request, subject);
+            execute();
          }
       });
    }
@@ -395,7 +643,7 @@ export class MIServiceCore extends CoreBase implements IMIService {
       if (MIServiceCore.isIonApi) {
          // return MIService.widgetContext.executeIonApiAsync(options);
       }
-      return this.http.execute(request);
+      return this.httpInterceptors.execute(request, httpRequest => this.http.execute(httpRequest));
    }
 
    private resolve<T>(items: AsyncSubject<T>[], value: any): void {
@@ -423,6 +671,246 @@ export class MIServiceCore extends CoreBase implements IMIService {
     * See {@link IMIService.execute}
     */
    public execute(request: IMIRequest): Observable<IMIResponse> {
+      return this.interceptors.execute(request, miRequest => this.executeIntercepted(miRequest));
+   }
+
+   private executeIntercepted(request: IMIRequest): Observable<IMIResponse> {
+      if (request.validate) {
+         return this.executeValidated(request);
+      }
+      return this.executeWithCache(request);
+   }
+
+   private executeValidated(request: IMIRequest): Observable<IMIResponse> {
+      const subject = new AsyncSubject<IMIResponse>();
+      this.loadMetadata(request).subscribe(() => {
+         const errorResponse = this.validateRequest(request);
+         if (errorResponse) {
+            subject.error(errorResponse);
+         } else {
+            this.executeWithCache(request).subscribe(subject);
+         }
+      });
+      return subject.asObservable();
+   }
+
+   /**
+    * Validates the record of a request with the metadata that has been added or loaded.
+    * @returns An error response if the record is not valid, or null if it is valid or there is no metadata.
+    */
+   private validateRequest(request: IMIRequest): MIResponse {
+      const definition = this.metadata.get(request.program, request.transaction);
+      if (!definition) {
+         this.logWarning('execute: No metadata for ' + request.program + ' ' + request.transaction + ', the request is not validated');
+         return null;
+      }
+      const errors = MIValidator.validate(request.record, definition);
+      return errors.length > 0 ? this.createValidationResponse(request, errors) : null;
+   }
+
+   /**
+    * Loads the metadata for the program of the request, unless it has been added or loaded. Completes without
+    * loading the metadata if it fails.
+    */
+   private loadMetadata(request: IMIRequest): Observable<void> {
+      const program = request.program;
+      if (this.metadata.hasProgram(program)) {
+         return of(null);
+      }
+      let subject = this.metadataRequests.get(program);
+      if (!subject) {
+         subject = new AsyncSubject<void>();
+         this.metadataRequests.set(program, subject);
+         const httpRequest = this.createRequest(this.getMetadataUrl(this.getBaseUrl(request), program));
+         this.executeHttp(httpRequest).subscribe((httpResponse: IHttpResponse) => {
+            try {
+               this.metadata.add(MIMetadataCatalog.parseDocument(httpResponse.body));
+            } catch (ex) {
+               this.logError('loadMetadata: Failed to parse metadata for ' + program, ex);
+            }
+            subject.next(null);
+            subject.complete();
+         }, (httpResponse: IHttpResponse) => {
+            this.logWarning('loadMetadata: Failed to load metadata for ' + program + ' ' + httpResponse.status);
+            // Try again for the next request
+            this.metadataRequests.delete(program);
+            subject.next(null);
+            subject.complete();
+         });
+      }
+      return subject;
+   }
+
+   private createValidationResponse(request: IMIRequest, errors: IMIValidationError[]): MIResponse {
+      const response = new MIResponse();
+      response.program = request.program;
+      response.transaction = request.transaction;
+      response.tag = request.tag;
+      response.errorType = 'ValidationError';
+      response.errorField = errors[0].field;
+      response.errorMessage = errors.map(error => error.message).join('. ');
+      response.validationErrors = errors;
+      this.logWarning('execute: ' + request.program + ' ' + request.transaction + ' is not valid. ' + response.errorMessage);
+      return response;
+   }
+
+   private executeWithCache(request: IMIRequest): Observable<IMIResponse> {
+      if (request.cache && MIUtil.isReadTransaction(request.transaction)) {
+         return this.executeCached(request);
+      }
+      const response = this.executeWithRetry(request);
+      this.invalidateCacheAfter([request], response);
+      return response;
+   }
+
+   private executeWithRetry(request: IMIRequest): Observable<IMIResponse> {
+      const policy = this.getRetryPolicy([request]);
+      // The request is executed right away, like requests without retries
+      const subject = new AsyncSubject<IMIResponse>();
+      RetryUtil.retry(() => this.executeRequest(request), policy,
+         (response: IMIResponse) => this.isTransient(response, policy), request.program + ' ' + request.transaction).subscribe(subject);
+      return subject.asObservable();
+   }
+
+   private getRetryPolicy(requests: IMIRequest[]): IRetryPolicy {
+      const retryPolicy = requests[0].retryPolicy;
+      // A request that failed might still have been executed by M3, so only read transactions are retried by default
+      if (!retryPolicy && !requests.every(request => MIUtil.isReadTransaction(request.transaction))) {
+         return RetryUtil.getPolicy({ maxAttempts: 1 });
+      }
+      return RetryUtil.getPolicy(retryPolicy);
+   }
+
+   private executeCached(request: IMIRequest): Observable<IMIResponse> {
+      const key = this.getCacheKey(request);
+      let response = this.cache.get(key);
+      if (response) {
+         this.logDebug('execute: ' + request.program + ' ' + request.transaction + ' from cache');
+      } else {
+         const options = request.cache as IMICacheOptions;
+         const ttl = options.ttl >= 0 ? options.ttl : MICache.defaultTtl;
+         const cachedResponse = this.executeWithRetry(request);
+         this.cache.set(key, request.program, ttl, cachedResponse);
+         cachedResponse.subscribe({ error: () => this.cache.remove(key, cachedResponse) });
+         response = cachedResponse;
+      }
+      // The tag is the only value that can differ between requests with the same key
+      return response.pipe(map(item => item.tag === request.tag ? item : Object.assign(new MIResponse(), item, { tag: request.tag })));
+   }
+
+   private getCacheKey(request: IMIRequest): string {
+      const { company, division } = this.getCompanyDivision(request);
+      const record = {};
+      if (request.record) {
+         for (const field of Object.keys(request.record).sort()) {
+            const value = request.record[field];
+            if (value != null && field !== 'metadata') {
+               record[field] = MIUtil.toMIFormat(value);
+            }
+         }
+      }
+      return JSON.stringify([
+         this.getBaseUrl(request),
+         request.program,
+         request.transaction,
+         company,
+         division,
+         record,
+         request.outputFields,
+         request.maxReturnedRecords,
+         !!request.excludeEmptyValues,
+         !!request.includeMetadata,
+         !!request.typedOutput
+      ]);
+   }
+
+   /**
+    * Removes the cached responses that might have changed when the requests have been executed.
+    */
+   private invalidateCacheAfter(requests: IMIRequest[], response: Observable<unknown>): void {
+      const programs: string[] = [];
+      for (const request of requests) {
+         if (request.program && !MIUtil.isReadTransaction(request.transaction) && !ArrayUtil.contains(programs, request.program)) {
+            programs.push(request.program);
+         }
+         for (const program of request.invalidateCache || []) {
+            if (!ArrayUtil.contains(programs, program)) {
+               programs.push(program);
+            }
+         }
+      }
+      if (programs.length > 0) {
+         const invalidate = () => programs.forEach(program => this.cache.invalidate(program));
+         response.subscribe({ complete: invalidate, error: invalidate });
+      }
+   }
+
+   /**
+    * See {@link IMIService.clearCache}
+    */
+   public clearCache(program?: string): void {
+      this.cache.invalidate(program);
+   }
+
+   /**
+    * Adds the input fields of transactions, used to validate requests with {@link IMIOptions.validate}.
+    * The metadata endpoint is not called for programs that have been added.
+    *
+    * **Example**
+    * ```typescript
+    * import mms200mi from './metadata/MMS200MI.json';
+    *
+    * miService.addMetadata(MIMetadataCatalog.parseDocument(mms200mi));
+    * ```
+    *
+    * @param definitions The transactions.
+    * @since 7.3.0
+    */
+   public addMetadata(definitions: IMITransactionDefinition[]): void {
+      this.metadata.add(definitions);
+   }
+
+   /**
+    * Adds an interceptor for MI requests, see {@link IMIInterceptor}.
+    *
+    * @param interceptor An interceptor. Interceptors are called in the order they were added.
+    * @since 7.3.0
+    */
+   public addInterceptor(interceptor: IMIInterceptor): void {
+      this.interceptors.add(interceptor);
+   }
+
+   /**
+    * Removes an existing interceptor for MI requests.
+    *
+    * @param interceptor An existing interceptor to remove.
+    * @since 7.3.0
+    */
+   public removeInterceptor(interceptor: IMIInterceptor): void {
+      this.interceptors.remove(interceptor);
+   }
+
+   /**
+    * Adds an interceptor for the HTTP requests of the service, see {@link IHttpInterceptor}.
+    *
+    * @param interceptor An interceptor. Interceptors are called in the order they were added.
+    * @since 7.3.0
+    */
+   public addHttpInterceptor(interceptor: IHttpInterceptor): void {
+      this.httpInterceptors.add(interceptor);
+   }
+
+   /**
+    * Removes an existing interceptor for HTTP requests.
+    *
+    * @param interceptor An existing interceptor to remove.
+    * @since 7.3.0
+    */
+   public removeHttpInterceptor(interceptor: IHttpInterceptor): void {
+      this.httpInterceptors.remove(interceptor);
+   }
+
+   private executeRequest(request: IMIRequest): Observable<IMIResponse> {
       const subject = new AsyncSubject<IMIResponse>();
 
       if (!this.useToken(request) || this.isTokenValid()) {
@@ -434,6 +922,234 @@ export class MIServiceCore extends CoreBase implements IMIService {
       return subject.asObservable();
    }
 
+   /**
+    * See {@link IMIService.executeBulk}
+    */
+   public executeBulk(requests: IMIRequest[]): Observable<IMIResponse[]> {
+      if (requests.length === 0) {
+         return of([]);
+      }
+
+      const validated = requests.filter(request => request.validate);
+      if (validated.length === 0) {
+         return this.executeBatches(requests);
+      }
+
+      // The metadata is loaded before the requests are batched, so that invalid requests are not sent
+      const subject = new AsyncSubject<IMIResponse[]>();
+      forkJoin(validated.map(request => this.loadMetadata(request))).subscribe(() => this.executeBatches(requests).subscribe(subject));
+      return subject.asObservable();
+   }
+
+   private executeBatches(requests: IMIRequest[]): Observable<IMIResponse[]> {
+      // Requests are grouped by everything that is set for the whole bulk request, the indexes map the responses back
+      const batches: { indexes: number[], requests: IMIRequest[], response?: IMIResponse }[] = [];
+      const batchMap: { [key: string]: { indexes: number[], requests: IMIRequest[] } } = {};
+      requests.forEach((request, index) => {
+         // The bulk endpoint does not return metadata
+         if (request.includeMetadata || request.typedOutput) {
+            batches.push({ indexes: [index], requests: [request] });
+            return;
+         }
+         const errorResponse = request.validate ? this.validateRequest(request) : null;
+         if (errorResponse) {
+            batches.push({ indexes: [index], requests: [request], response: errorResponse });
+            return;
+         }
+         const key = this.getBulkKey(request);
+         let batch = batchMap[key];
+         if (!batch || batch.requests.length >= MIServiceCore.maxBulkSize) {
+            batch = { indexes: [], requests: [] };
+            batchMap[key] = batch;
+            batches.push(batch);
+         }
+         batch.indexes.push(index);
+         batch.requests.push(request);
+      });
+
+      const observables = batches.map(batch => {
+         if (batch.response) {
+            return of([batch.response]);
+         }
+         const request = batch.requests[0];
+         if (request.includeMetadata || request.typedOutput) {
+            return this.execute(request).pipe(
+               map(response => [response]),
+               catchError((response: IMIResponse) => of([response])));
+         }
+         const response = this.executeBulkRequests(batch.requests);
+         this.invalidateCacheAfter(batch.requests, response);
+         // A batch that fails does not fail the other batches
+         return response.pipe(
+            catchError((errorResponse: IMIResponse) => of(this.createBulkErrorResponses(batch.requests, errorResponse))));
+      });
+
+      return forkJoin(observables).pipe(map(batchResponses => {
+         const responses: IMIResponse[] = new Array(requests.length);
+         batchResponses.forEach((items, batchIndex) => {
+            items.forEach((response, index) => responses[batches[batchIndex].indexes[index]] = response);
+         });
+         return responses;
+      }));
+   }
+
+   private executeBulkRequests(requests: IMIRequest[]): Observable<IMIResponse[]> {
+      // Only a failed HTTP request is retried, failed transactions get their own response
+      const policy = this.getRetryPolicy(requests);
+      const subject = new AsyncSubject<IMIResponse[]>();
+      RetryUtil.retry(() => this.executeBulkRequest(requests), policy,
+         (response: IMIResponse) => this.isTransient(response, policy), requests[0].program + ' bulk').subscribe(subject);
+      return subject.asObservable();
+   }
+
+   /**
+    * Creates a response for each request in a bulk request that failed, with the error of the bulk request.
+    */
+   private createBulkErrorResponses(requests: IMIRequest[], errorResponse: IMIResponse): IMIResponse[] {
+      return requests.map(request => {
+         const response = new MIResponse();
+         response.tag = request.tag;
+         response.program = request.program;
+         response.transaction = request.transaction;
+         response.error = errorResponse.error;
+         response.errorMessage = errorResponse.errorMessage;
+         response.errorCode = errorResponse.errorCode;
+         response.errorType = errorResponse.errorType;
+         return response;
+      });
+   }
+
+   private executeBulkRequest(requests: IMIRequest[]): Observable<IMIResponse[]> {
+      const subject = new AsyncSubject<IMIResponse[]>();
+      const request = requests[0];
+
+      if (!this.useToken(request) || this.isTokenValid()) {
+         this.executeBulkInternal(requests, subject);
+      } else {
+         this.refreshToken(request, () => this.executeBulkInternal(requests, subject), subject);
+      }
+
+      return subject.asObservable();
+   }
+
+   private isTransient(response: IMIResponse, policy: IRetryPolicy): boolean {
+      const code = response.errorCode;
+      if (!code) {
+         return false;
+      }
+      // The error code is the HTTP status when the HTTP request fails
+      if (/^\d+$/.test(code)) {
+         return RetryUtil.isTransientStatus(policy, +code);
+      }
+      return ArrayUtil.contains(policy.errorCodes, code);
+   }
+
+   private getBulkKey(request: IMIRequest): string {
+      const { company, division } = this.getCompanyDivision(request);
+      return [
+         this.getBaseUrl(request),
+         request.program,
+         company,
+         division,
+         !!request.excludeEmptyValues,
+         request.maxReturnedRecords,
+         request.enableCsrf !== false
+      ].join('|');
+   }
+
+   private getCompanyDivision(request: IMIRequest): { company: string, division: string } {
+      if (!request.company && this.currentCompany) {
+         // If no values are set in the request and a user context exist the values from the user context are used.
+         return { company: this.currentCompany, division: this.currentDivision };
+      }
+      return { company: request.company, division: request.division };
+   }
+
+   /**
+    * See {@link IMIService.executeAll}
+    */
+   public executeAll(request: IMIRequest, options: IMIPagingOptions): Observable<IMIResponse> {
+      const keyFields = options.keyFields;
+      // A page starts with the last record of the previous page, so it must have room for at least one more
+      const pageSize = options.pageSize > 1 ? options.pageSize : this.defaultPageSize;
+      const maxRecords = options.maxRecords >= 0 ? options.maxRecords : this.defaultMaxRecords;
+
+      return new Observable<IMIResponse>(subscriber => {
+         const subscription = new Subscription();
+         let recordCount = 0;
+
+         // The last record of the previous page, and the number of records at the end of that page with the same key
+         const executePage = (lastRecord: MIRecord, lastKeyCount: number) => {
+            const pageRequest = this.createPageRequest(request, keyFields, pageSize, lastRecord);
+            subscription.add(this.execute(pageRequest).subscribe((response: IMIResponse) => {
+               const records: MIRecord[] = response.items || [];
+               let skipCount = 0;
+               while (lastRecord && skipCount < lastKeyCount && skipCount < records.length &&
+                  this.isSameKey(records[skipCount], lastRecord, keyFields)) {
+                  skipCount++;
+               }
+
+               const items = records.slice(skipCount, skipCount + maxRecords - recordCount);
+               recordCount += items.length;
+               const isLastPage = records.length < pageSize;
+               if (!isLastPage && skipCount === records.length) {
+                  const errorResponse = new MIResponse();
+                  errorResponse.program = request.program;
+                  errorResponse.transaction = request.transaction;
+                  errorResponse.errorMessage = 'More than ' + (pageSize - 1) +
+                     ' records with the same key, increase the page size or add key fields';
+                  this.logWarning('executeAll: ' + errorResponse.errorMessage);
+                  subscriber.error(errorResponse);
+                  return;
+               }
+
+               if (!lastRecord || items.length > 0) {
+                  response.items = items;
+                  response.item = items[0];
+                  subscriber.next(response);
+               }
+
+               if (isLastPage) {
+                  this.logInfo('executeAll: ' + this.getLogInfo(response) + ' completed with ' + recordCount + ' records');
+                  subscriber.complete();
+               } else if (recordCount >= maxRecords) {
+                  this.logWarning('executeAll: ' + this.getLogInfo(response) + ' stopped at the max records ' + maxRecords);
+                  subscriber.complete();
+               } else {
+                  const last = ArrayUtil.last(records);
+                  let keyCount = 0;
+                  for (let i = records.length - 1; i >= 0 && this.isSameKey(records[i], last, keyFields); i--) {
+                     keyCount++;
+                  }
+                  executePage(last, keyCount);
+               }
+            }, (response: IMIResponse) => subscriber.error(response)));
+         };
+
+         executePage(null, 0);
+         // Unsubscribing stops the paging, a page that is being executed is ignored
+         return subscription;
+      });
+   }
+
+   private createPageRequest(request: IMIRequest, keyFields: string[], pageSize: number, lastRecord: MIRecord): IMIRequest {
+      const record = { ...request.record };
+      if (lastRecord) {
+         for (const field of keyFields) {
+            record[field] = MIUtil.toMIFormat(lastRecord[field]);
+         }
+      }
+      let outputFields = request.outputFields;
+      if (outputFields && outputFields.length > 0) {
+         outputFields = [...outputFields, ...keyFields.filter(field => !ArrayUtil.contains(outputFields, field))];
+      }
+      return { ...request, record, outputFields, maxReturnedRecords: pageSize };
+   }
+
+   private isSameKey(record: MIRecord, other: MIRecord, keyFields: string[]): boolean {
+      return keyFields.every(field => MIUtil.toMIFormat(record[field]) === MIUtil.toMIFormat(other[field]));
+   }
+
    // Called internally to save the user context. Note that it is not in the interface.
    /**
     * @hidden
@@ -451,6 +1167,56 @@ export class MIServiceCore extends CoreBase implements IMIService {
       return '/m3api-rest/execute';
    }
 
+   /**
+    * @hidden
+    */
+   public getBulkUrl(baseUrl: string): string {
+      return HttpUtil.combine(baseUrl, '/m3api-rest/v2/execute');
+   }
+
+   /**
+    * @hidden
+    */
+   public createBulkBody(requests: IMIRequest[]): IMIBulkBody {
+      const request = requests[0];
+      const { company, division } = this.getCompanyDivision(request);
+      const body: IMIBulkBody = {
+         program: request.program,
+         excludeEmptyValues: !!request.excludeEmptyValues,
+         rightTrim: true,
+         maxReturnedRecords: request.maxReturnedRecords >= 0 ? request.maxReturnedRecords : 100,
+         transactions: requests.map(item => {
+            const transaction: IMIBulkTransaction = { transaction: item.transaction, record: {} };
+            const record = item.record;
+            if (record) {
+               for (const field of Object.keys(record)) {
+                  if (record[field] != null) {
+                     transaction.record[field] = MIUtil.toMIFormat(record[field]);
+                  }
+               }
+            }
+            if (item.outputFields && item.outputFields.length > 0) {
+               transaction.selectedColumns = item.outputFields;
+            }
+            return transaction;
+         })
+      };
+      if (company) {
+         body.cono = company;
+         if (division || division === '') {
+            body.divi = division;
+         }
+      }
+      return body;
+   }
+
+   /**
+    * @hidden
+    */
+   public getMetadataUrl(baseUrl: string, program: string): string {
+      return HttpUtil.combine(baseUrl, '/m3api-rest/v2/metadata/' + program);
+   }
+
    /**
     * @hidden
     */
@@ -544,6 +1310,7 @@ export class MIServiceCore extends CoreBase implements IMIService {
       const url = this.createUrl(baseUrl, request);
 
       const httpRequest: IHttpRequest = this.createRequest(url);
+      httpRequest.timeout = RetryUtil.getPolicy(request.retryPolicy).timeout;
       if (this.useToken(request)) {
          httpRequest.headers['fnd-csrf-token'] = this.csrfToken;
       }
@@ -578,6 +1345,83 @@ export class MIServiceCore extends CoreBase implements IMIService {
       });
    }
 
+   private executeBulkInternal(requests: IMIRequest[], subject: AsyncSubject<IMIResponse[]>): void {
+      const request = requests[0];
+      const url = this.getBulkUrl(this.getBaseUrl(request));
+      const httpRequest: IHttpRequest = this.createRequest(url);
+      httpRequest.method = 'POST';
+      httpRequest.body = JSON.stringify(this.createBulkBody(requests));
+      httpRequest.timeout = RetryUtil.getPolicy(request.retryPolicy).timeout;
+      if (this.useToken(request)) {
+         httpRequest.headers['fnd-csrf-token'] = this.csrfToken;
+      }
+
+      this.logDebug('executeBulk: ' + request.program + ' ' + requests.length + ' transactions');
+      this.executeHttp(httpRequest).subscribe((httpResponse: IHttpResponse) => {
+         try {
+            const responses = this.parseBulkResponse(requests, httpResponse.body);
+            const failed = responses.filter(response => response.hasError()).length;
+            this.logInfo('executeBulk: ' + request.program + ' completed with ' + failed + ' of ' + requests.length + ' failed');
+            subject.next(responses);
+            subject.complete();
+         } catch (ex) {
+            const errorResponse = new MIResponse();
+            this.logWarning('executeBulk: exception parsing response ' + JSON.stringify(ex));
+            errorResponse.error = ex;
+            subject.error(errorResponse);
+         }
+      }, httpResponse => {
+         const response = new MIResponse();
+         const status = httpResponse.status;
+         const message = 'Failed to call ' + request.program + ' bulk ' + status;
+         this.logWarning('executeBulk: ' + message);
+         response.program = request.program;
+         response.errorMessage = message;
+         response.errorCode = status.toString();
+         subject.error(response);
+      });
+   }
+
+   /**
+    * @hidden
+    */
+   public parseBulkResponse(requests: IMIRequest[], content: IMIBulkContent): IMIResponse[] {
+      // The results are in the same order as the transactions in the request
+      const results: IMIBulkResult[] = content.results || [];
+      return requests.map((request, index) => {
+         const result: IMIBulkResult = results[index] || { notProcessed: true };
+         const response: IMIResponse = new MIResponse();
+         response.tag = request.tag;
+         response.program = request.program;
+         response.transaction = request.transaction;
+         response.errorMessage = result.errorMessage;
+         response.errorCode = result.errorCode;
+         response.errorField = result.errorField;
+         response.errorType = result.errorType;
+
+         if (result.notProcessed) {
+            const reason = content.terminationReason ? ': ' + content.terminationReason : '';
+            response.errorType = 'NotProcessed';
+            response.errorMessage = response.errorMessage || 'Transaction was not processed' + reason;
+         }
+
+         const items = [];
+         response.items = items;
+         for (const record of result.records || []) {
+            const miRecord = new MIRecord();
+            for (const name of Object.keys(record)) {
+               const value: string = record[name];
+               miRecord[name] = value != null ? StringUtil.trimEnd(value) : value;
+            }
+            items.push(miRecord);
+         }
+         if (items.length > 0) {
+            response.item = items[0];
+         }
+         return response;
+      });
+   }
+
    private getBaseUrl(request: IMIRequest): string {
       return request['baseUrl'] || MIServiceCore.baseUrl;
    }
@@ -0,0 +1,142 @@
+import { of, throwError } from 'rxjs';
+import { IMIService } from './base';
+import { MIResponse } from './runtime';
+import { MISaga } from './saga';
+import { IMIRequest, IMISagaProgress, IMISagaResult } from './types';
+
+type Spyable = { [name: string]: jasmine.Func };
+
+describe('MISaga', () => {
+    const createResponse = (item: { [name: string]: string }) => Object.assign(new MIResponse(), { item: item, items: [item] });
+    const createError = (message: string) => {
+        return throwError(() => Object.assign(new MIResponse(), { errorMessage: message, errorCode: 'WMS0102' }));
+    };
+    const headRequest = { program: 'MHS850MI', transaction: 'AddWhsHead', record: { WHLO: '100' } } as IMIRequest;
+    let miService: IMIService;
+    let spyExecute: jasmine.Spy;
+
+    beforeEach(() => {
+        spyExecute = jasmine.createSpy('execute').and.callFake((request: IMIRequest) => {
+            return request.transaction === 'AddWhsHead' ? of(createResponse({ MSGN: '123' })) : of(createResponse({}));
+        });
+        miService = { execute: spyExecute } as unknown as IMIService;
+        spyOn(MISaga.prototype as unknown as Spyable, 'logInfo').and.callFake(() => { });
+        spyOn(MISaga.prototype as unknown as Spyable, 'logWarning').and.callFake(() => { });
+        spyOn(MISaga.prototype as unknown as Spyable, 'logError').and.callFake(() => { });
+    });
+
+    const createSaga = () => new MISaga(miService, [{
+        name: 'head',
+        request: headRequest,
+        compensation: response => ({ program: 'MHS850MI', transaction: 'DltWhsHead', record: { MSGN: response.item.MSGN } } as IMIRequest)
+    }, {
+        name: 'line',
+        request: responses => ({
+            program: 'MHS850MI', transaction: 'AddWhsLine', record: { MSGN: responses.head.item.MSGN, ITNO: 'A1' }
+        } as IMIRequest),
+        compensation: (response, request) => ({ program: 'MHS850MI', transaction: 'DltWhsLine', record: request.record } as IMIRequest)
+    }]).add({
+        name: 'process',
+        request: responses => ({ program: 'MHS850MI', transaction: 'PrcWhsTran', record: { MSGN: responses.head.item.MSGN } } as IMIRequest)
+    });
+
+    it('should execute steps in order', () => {
+        const progress: IMISagaProgress[] = [];
+        let result: IMISagaResult;
+
+        createSaga().run(value => progress.push(value)).subscribe(value => result = value);
+        expect(spyExecute.calls.allArgs().map(args => args[0].transaction)).toEqual(['AddWhsHead', 'AddWhsLine', 'PrcWhsTran']);
+        expect(spyExecute.calls.argsFor(1)[0].record).toEqual({ MSGN: '123', ITNO: 'A1' });
+        expect(result.completed).toBe(true);
+        expect(result.responses.head.item.MSGN).toBe('123');
+        expect(Object.keys(result.responses)).toEqual(['head', 'line', 'process']);
+        expect(result.error).toBeUndefined();
+        expect(progress.map(value => value.step + ' ' + value.state)).toEqual([
+            'head executing', 'head completed', 'line executing', 'line completed', 'process executing', 'process completed'
+        ]);
+        expect(progress[2]).toEqual({ step: 'line', index: 1, count: 3, state: 'executing' });
+    });
+
+    it('should create audit log', () => {
+        let result: IMISagaResult;
+
+        createSaga().run().subscribe(value => result = value);
+        expect(result.audit.length).toBe(3);
+        expect(result.audit[0]).toEqual({
+            step: 'head', action: 'execute', program: 'MHS850MI', transaction: 'AddWhsHead', record: { WHLO: '100' },
+            time: jasmine.any(Number), duration: jasmine.any(Number), success: true
+        });
+    });
+
+    it('should undo completed steps in reverse order when a step fails', () => {
+        const progress: IMISagaProgress[] = [];
+        let result: IMISagaResult;
+        spyExecute.and.callFake((request: IMIRequest) => {
+            if (request.transaction === 'PrcWhsTran') {
+                return createError('Quantity is not available');
+            }
+            return request.transaction === 'AddWhsHead' ? of(createResponse({ MSGN: '123' })) : of(createResponse({}));
+        });
+
+        createSaga().run(value => progress.push(value)).subscribe({ error: value => result = value });
+        const transactions = spyExecute.calls.allArgs().map(args => args[0].transaction);
+        expect(transactions).toEqual(['AddWhsHead', 'AddWhsLine', 'PrcWhsTran', 'DltWhsLine', 'DltWhsHead']);
+        expect(spyExecute.calls.argsFor(3)[0].record).toEqual({ MSGN: '123', ITNO: 'A1' });
+        expect(spyExecute.calls.argsFor(4)[0].record).toEqual({ MSGN: '123' });
+        expect(result.completed).toBe(false);
+        expect(result.failedStep).toBe('process');
+        expect(result.error.message).toBe('Quantity is not available');
+        expect(result.error.code).toBe('WMS0102');
+        expect(result.compensationErrors).toEqual([]);
+        expect(result.audit.map(entry => entry.action + ' ' + entry.transaction + ' ' + entry.success)).toEqual([
+            'execute AddWhsHead true', 'execute AddWhsLine true', 'execute PrcWhsTran false',
+            'compensate DltWhsLine true', 'compensate DltWhsHead true'
+        ]);
+        expect(result.audit[2].errorMessage).toBe('Quantity is not available');
+        expect(progress.slice(5).map(value => value.step + ' ' + value.state)).toEqual([
+            'process failed', 'line compensating', 'line compensated', 'head compensating', 'head compensated'
+        ]);
+    });
+
+    it('should continue to undo steps when a compensation fails', () => {
+        let result: IMISagaResult;
+        spyExecute.and.callFake((request: IMIRequest) => {
+            if (request.transaction === 'PrcWhsTran' || request.transaction === 'DltWhsLine') {
+                return createError('Failed');
+            }
+            return request.transaction === 'AddWhsHead' ? of(createResponse({ MSGN: '123' })) : of(createResponse({}));
+        });
+
+        createSaga().run().subscribe({ error: value => result = value });
+        expect(spyExecute).toHaveBeenCalledTimes(5);
+        expect(result.compensationErrors).toEqual(['line']);
+    });
+
+    it('should fail when a request cannot be created', () => {
+        let result: IMISagaResult;
+        const saga = new MISaga(miService, [{
+            name: 'head',
+            request: headRequest,
+            compensation: { program: 'MHS850MI', transaction: 'DltWhsHead', record: { MSGN: '123' } } as IMIRequest
+        }, {
+            name: 'line',
+            request: responses => ({
+                program: 'MHS850MI', transaction: 'AddWhsLine', record: { MSGN: responses.foo.item.MSGN }
+            } as IMIRequest)
+        }]);
+
+        saga.run().subscribe({ error: value => result = value });
+        expect(spyExecute.calls.allArgs().map(args => args[0].transaction)).toEqual(['AddWhsHead', 'DltWhsHead']);
+        expect(result.failedStep).toBe('line');
+        expect(result.error.isRecordNotFound()).toBe(false);
+        expect(result.error.message).toContain('item');
+    });
+
+    it('should complete without steps', () => {
+        let result: IMISagaResult;
+
+        new MISaga(miService).run().subscribe(value => result = value);
+        expect(result).toEqual({ completed: true, responses: {}, audit: [] });
+        expect(spyExecute).not.toHaveBeenCalled();
+    });
+});
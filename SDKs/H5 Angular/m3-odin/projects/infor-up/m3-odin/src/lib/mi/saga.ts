@@ -0,0 +1,200 @@
+import { AsyncSubject, Observable } from 'rxjs';
+import { CoreBase } from '../base';
+import { IMIResponse, IMIService } from './base';
+import { MIError, MIErrorCategory } from './error';
+import { IMIRequest, IMISagaAuditEntry, IMISagaProgress, IMISagaResult, IMISagaStep } from './types';
+
+interface ICompletedStep {
+   step: IMISagaStep;
+   index: number;
+   request: IMIRequest;
+   response: IMIResponse;
+}
+
+/**
+ * Executes a flow of MI transactions, where each step can be undone by a compensating transaction if a later step fails.
+ *
+ * ```typescript
+ * import { MISaga } from '@infor-up/m3-odin';
+ * ```
+ *
+ * The steps are executed in order. If a step fails, the compensations of the completed steps are executed in reverse
+ * order. A compensation that fails is logged and the other steps are still undone.
+ *
+ * The Observable from {@link run} completes with the result when all steps have been completed, and fails with the result
+ * when a step has failed and the completed steps have been undone. The result contains an audit log of all executed
+ * requests.
+ *
+ * **Example**
+ * ```typescript
+ * const saga = new MISaga(this.miService, [{
+ *    name: 'head',
+ *    request: { program: 'MHS850MI', transaction: 'AddWhsHead', record: head },
+ *    compensation: response => ({ program: 'MHS850MI', transaction: 'DltWhsHead', record: { MSGN: response.item.MSGN } })
+ * }, {
+ *    name: 'line',
+ *    request: responses => ({ program: 'MHS850MI', transaction: 'AddWhsLine', record: { ...line, MSGN: responses.head.item.MSGN } })
+ * }, {
+ *    name: 'process',
+ *    request: responses => ({ program: 'MHS850MI', transaction: 'PrcWhsTran', record: { MSGN: responses.head.item.MSGN } })
+ * }]);
+ *
+ * saga.run(progress => this.progress = (progress.index + 1) / progress.count).subscribe((result: IMISagaResult) => {
+ *    // All steps completed
+ * }, (result: IMISagaResult) => {
+ *    this.showError(result.error.getUserMessage());
+ * });
+ * ```
+ *
+ * @since 7.3.0
+ */
+export class MISaga extends CoreBase {
+   private steps: IMISagaStep[] = [];
+
+   /**
+    * Creates a saga.
+    * @param miService The MI service that executes the requests.
+    * @param steps The steps to execute. More steps can be added with {@link add}.
+    */
+   constructor(private miService: IMIService, steps?: IMISagaStep[]) {
+      super('MISaga');
+      if (steps) {
+         this.steps.push(...steps);
+      }
+   }
+
+   /**
+    * Adds a step.
+    * @param step The step.
+    * @returns The saga, so that calls can be chained.
+    */
+   public add(step: IMISagaStep): MISaga {
+      this.steps.push(step);
+      return this;
+   }
+
+   /**
+    * Executes the steps.
+    * @param onProgress A function that is called when a step, or its compensation, is started and ended.
+    * @returns An Observable that completes with the result, or fails with the result if a step failed.
+    */
+   public run(onProgress?: (progress: IMISagaProgress) => void): Observable<IMISagaResult> {
+      const subject = new AsyncSubject<IMISagaResult>();
+      const steps = this.steps.slice();
+      const completed: ICompletedStep[] = [];
+      const result: IMISagaResult = { completed: false, responses: {}, audit: [] };
+      const report = (index: number, state: IMISagaProgress['state']) => {
+         if (onProgress) {
+            onProgress({ step: steps[index].name, index: index, count: steps.length, state: state });
+         }
+      };
+
+      const fail = (index: number, error: MIError) => {
+         this.logWarning('run: Step ' + steps[index].name + ' failed, undoing ' + completed.length + ' steps. ' + error.message);
+         result.failedStep = steps[index].name;
+         result.error = error;
+         result.compensationErrors = [];
+         report(index, 'failed');
+         this.compensate(completed, result, report, () => subject.error(result));
+      };
+
+      const next = (index: number) => {
+         if (index >= steps.length) {
+            this.logInfo('run: Completed ' + steps.length + ' steps');
+            result.completed = true;
+            subject.next(result);
+            subject.complete();
+            return;
+         }
+
+         const step = steps[index];
+         let request: IMIRequest;
+         try {
+            request = typeof step.request === 'function' ? step.request(result.responses) : step.request;
+         } catch (ex) {
+            this.logError('run: Failed to create request for step ' + step.name, ex);
+            fail(index, new MIError(ex && ex.message || String(ex), MIErrorCategory.Unknown));
+            return;
+         }
+
+         report(index, 'executing');
+         this.execute(step, 'execute', request, result).subscribe(response => {
+            result.responses[step.name] = response;
+            completed.push({ step: step, index: index, request: request, response: response });
+            report(index, 'completed');
+            next(index + 1);
+         }, (response: IMIResponse) => fail(index, MIError.fromResponse(response)));
+      };
+
+      next(0);
+      return subject.asObservable();
+   }
+
+   private compensate(completed: ICompletedStep[], result: IMISagaResult, report: (index: number, state: IMISagaProgress['state']) => void,
+      done: () => void): void {
+      const item = completed.pop();
+      if (!item) {
+         done();
+         return;
+      }
+
+      const step = item.step;
+      const next = () => this.compensate(completed, result, report, done);
+      const onError = (message: string) => {
+         this.logError('compensate: Failed to undo step ' + step.name + '. ' + message);
+         result.compensationErrors.push(step.name);
+         report(item.index, 'compensationFailed');
+         next();
+      };
+
+      let request: IMIRequest;
+      try {
+         request = typeof step.compensation === 'function' ? step.compensation(item.response, item.request) : step.compensation;
+      } catch (ex) {
+         onError(ex && ex.message || String(ex));
+         return;
+      }
+      if (!request) {
+         next();
+         return;
+      }
+
+      report(item.index, 'compensating');
+      this.execute(step, 'compensate', request, result).subscribe(() => {
+         report(item.index, 'compensated');
+         next();
+      }, (response: IMIResponse) => onError(MIError.fromResponse(response).message));
+   }
+
+   private execute(step: IMISagaStep, action: 'execute' | 'compensate', request: IMIRequest,
+      result: IMISagaResult): Observable<IMIResponse> {
+      const subject = new AsyncSubject<IMIResponse>();
+      const time = Date.now();
+      const audit = (success: boolean, errorMessage?: string) => {
+         const entry: IMISagaAuditEntry = {
+            step: step.name,
+            action: action,
+            program: request.program,
+            transaction: request.transaction,
+            record: request.record,
+            time: time,
+            duration: Date.now() - time,
+            success: success
+         };
+         if (!success) {
+            entry.errorMessage = errorMessage;
+         }
+         result.audit.push(entry);
+      };
+
+      this.miService.execute(request).subscribe(response => {
+         audit(true);
+         subject.next(response);
+         subject.complete();
+      }, (response: IMIResponse) => {
+         audit(false, MIError.fromResponse(response).message);
+         subject.error(response);
+      });
+      return subject.asObservable();
+   }
+}
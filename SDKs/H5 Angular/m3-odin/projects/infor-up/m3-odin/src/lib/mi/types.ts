@@ -1,3 +1,7 @@
+import { Observable } from 'rxjs';
+import { IRetryPolicy } from '../types';
+import { IMIResponse, MIDataType } from './base';
+import { MIError, MIErrorCategory } from './error';
 
 /**
  * Represents a name value pair that is returned by the M3 API for each field.
@@ -17,6 +21,104 @@ export interface INameValue {
    value: string;
 }
 
+/**
+ * Represents a transaction in the body of a bulk request to the M3 API.
+ *
+ * @hidden
+ *
+ * @since 7.3.0
+ */
+export interface IMIBulkTransaction {
+   transaction: string;
+   record: { [name: string]: string };
+   selectedColumns?: string[];
+}
+
+/**
+ * Represents the body of a bulk request to the M3 API.
+ *
+ * @hidden
+ *
+ * @since 7.3.0
+ */
+export interface IMIBulkBody {
+   program: string;
+   excludeEmptyValues: boolean;
+   rightTrim: boolean;
+   maxReturnedRecords: number;
+   transactions: IMIBulkTransaction[];
+   cono?: string;
+   divi?: string;
+}
+
+/**
+ * Represents the result of a transaction in the response of a bulk request to the M3 API.
+ *
+ * @hidden
+ *
+ * @since 7.3.0
+ */
+export interface IMIBulkResult {
+   transaction?: string;
+   records?: { [name: string]: string }[];
+   errorMessage?: string;
+   errorCode?: string;
+   errorField?: string;
+   errorType?: string;
+   notProcessed?: boolean;
+}
+
+/**
+ * Represents the response of a bulk request to the M3 API.
+ *
+ * @hidden
+ *
+ * @since 7.3.0
+ */
+export interface IMIBulkContent {
+   results?: IMIBulkResult[];
+   terminationReason?: string;
+}
+
+/**
+ * Represents a query parameter of a transaction in the Swagger document of an MI program in m3api-rest v2.
+ *
+ * @hidden
+ *
+ * @since 7.3.0
+ */
+export interface IMISwaggerParameter {
+   name: string;
+   in: string;
+   type?: string;
+   description?: string;
+   required?: boolean;
+}
+
+/**
+ * Represents the path of a transaction in the Swagger document of an MI program in m3api-rest v2.
+ *
+ * @hidden
+ *
+ * @since 7.3.0
+ */
+export interface IMISwaggerPath {
+   get?: { parameters?: IMISwaggerParameter[], responses?: unknown };
+   post?: { parameters?: IMISwaggerParameter[], responses?: unknown };
+}
+
+/**
+ * Represents the Swagger document of an MI program in m3api-rest v2. See {@link MIMetadataCatalog.parseDocument}.
+ *
+ * @hidden
+ *
+ * @since 7.3.0
+ */
+export interface IMISwaggerDocument {
+   basePath?: string;
+   paths?: { [path: string]: IMISwaggerPath };
+}
+
 /**
  * Represents options for executing an MI request. See {@link IMIRequest}.
  *
@@ -86,6 +188,84 @@ export interface IMIOptions {
     * The default value is true.
     */
    enableCsrf?: boolean;
+
+   /**
+    * Gets or sets the policy for retrying the request when it fails with a transient HTTP status or MI error code, and
+    * the timeout of each attempt. Properties that are not set are taken from {@link RetryUtil.defaultPolicy}.
+    *
+    * A request that failed with a transient HTTP status might still have been executed by M3, so only read transactions
+    * (see {@link MIUtil.isReadTransaction}) are retried when the request has no policy. Set a policy to retry other
+    * transactions that can be executed twice.
+    *
+    * @since 7.3.0
+    */
+   retryPolicy?: IRetryPolicy;
+
+   /**
+    * Gets or sets a value that indicates if the response should be cached, or options for the cache.
+    * The default value is false.
+    *
+    * Only responses of read-only transactions (Get, Lst, Sel and Search) are cached. Requests with the same program,
+    * transaction, input record, company, division and options get the cached response, also while the first request
+    * is executing. Failed requests are not cached. The response is shared, so it should not be modified.
+    *
+    * Cached responses for a program are removed when any other transaction in the program has been executed, and
+    * with {@link IMIService.clearCache}. Use {@link invalidateCache} to remove the responses for other programs.
+    *
+    * @since 7.3.0
+    */
+   cache?: boolean | IMICacheOptions;
+
+   /**
+    * Gets or sets the names of the MI programs whose cached responses should be removed when the request has been
+    * executed. Use this for update transactions that change data that is read with another program.
+    *
+    * @since 7.3.0
+    */
+   invalidateCache?: string[];
+
+   /**
+    * Gets or sets a value that indicates if the input record should be validated before the request is sent.
+    * The default value is false.
+    *
+    * The record is validated with the input fields of the transaction, which are taken from the metadata added with
+    * {@link MIServiceCore.addMetadata} or loaded from the metadata endpoint of m3api-rest the first time the program is used.
+    * A request with an invalid record fails with an error response that has the error type 'ValidationError' and the
+    * errors in {@link IMIResponse.validationErrors}, without calling the server. With {@link IMIService.executeBulk} the
+    * error response is returned with the other responses instead. The request is executed without validation if the
+    * metadata cannot be loaded.
+    *
+    * @since 7.3.0
+    */
+   validate?: boolean;
+}
+
+/**
+ * Represents options for caching the response of an MI request. See {@link IMIOptions.cache}.
+ *
+ * ```typescript
+ * import { IMICacheOptions } from '@infor-up/m3-odin';
+ * ```
+ *
+ * **Example**
+ * ```typescript
+ * const request = {
+ *    program: 'MMS200MI',
+ *    transaction: 'GetItmBasic',
+ *    record: { ITNO: itemNumber },
+ *    outputFields: ['ITNO', 'INDI'],
+ *    cache: { ttl: 60000 }
+ * } as IMIRequest;
+ * ```
+ *
+ * @since 7.3.0
+ */
+export interface IMICacheOptions {
+   /**
+    * Gets or sets the number of milliseconds that the response is cached.
+    * The default value is {@link MICache.defaultTtl}.
+    */
+   ttl?: number;
 }
 
 /**
@@ -148,3 +328,480 @@ export interface IMIRequest extends IMIOptions {
     */
    outputFields?: string[];
 }
+
+/**
+ * Represents options for reading all records of an MI list transaction one page at a time. See {@link IMIService.executeAll}.
+ *
+ * ```typescript
+ * import { IMIPagingOptions } from '@infor-up/m3-odin';
+ * ```
+ *
+ * **Example**
+ * ```typescript
+ * const options = {
+ *    keyFields: ['CUNO'],
+ *    pageSize: 500,
+ *    maxRecords: 20000
+ * } as IMIPagingOptions;
+ * ```
+ *
+ * @since 7.3.0
+ */
+export interface IMIPagingOptions {
+   /**
+    * Gets or sets the names of the key fields of the transaction.
+    *
+    * The values of the key fields in the last record of a page are used as input for the next page, so the fields must
+    * have the same name in the input and the output of the transaction. They are added to the output fields of the
+    * request if they are missing.
+    */
+   keyFields: string[];
+
+   /**
+    * Gets or sets the number of records to request for each page.
+    * The default value is 100.
+    */
+   pageSize?: number;
+
+   /**
+    * Gets or sets the maximum number of records to read in total. Paging stops when this number of records has been
+    * read, even if the transaction has more records.
+    * The default value is 10000.
+    */
+   maxRecords?: number;
+}
+
+/**
+ * Represents an input field of an MI transaction, used to validate input records. See {@link IMIOptions.validate}.
+ *
+ * ```typescript
+ * import { IMIFieldDefinition } from '@infor-up/m3-odin';
+ * ```
+ *
+ * @since 7.3.0
+ */
+export interface IMIFieldDefinition {
+   /**
+    * Gets or sets the name of the field.
+    */
+   name: string;
+
+   /**
+    * Gets or sets the description of the field.
+    */
+   description?: string;
+
+   /**
+    * Gets or sets the data type of the field.
+    */
+   type: MIDataType;
+
+   /**
+    * Gets or sets the maximum length of the field. For numeric fields this is the maximum number of digits.
+    */
+   length: number;
+
+   /**
+    * Gets or sets the number of decimals of a numeric field. The Swagger documents of m3api-rest do not contain the
+    * decimals, so they are only set for bundled metadata, see {@link MIMetadataCatalog.parseDocument}. When the
+    * decimals are not set, only the total number of digits is validated.
+    */
+   decimals?: number;
+
+   /**
+    * Gets or sets a value that indicates if the field is mandatory.
+    */
+   mandatory?: boolean;
+}
+
+/**
+ * Represents the input fields of an MI transaction. See {@link IMIOptions.validate}.
+ *
+ * ```typescript
+ * import { IMITransactionDefinition } from '@infor-up/m3-odin';
+ * ```
+ *
+ * **Example**
+ * ```typescript
+ * const definition: IMITransactionDefinition = {
+ *    program: 'MMS200MI',
+ *    transaction: 'GetItmBasic',
+ *    inputFields: [
+ *       { name: 'CONO', type: MIDataType.Numeric, length: 3 },
+ *       { name: 'ITNO', type: MIDataType.String, length: 15, mandatory: true }
+ *    ]
+ * };
+ * ```
+ *
+ * @since 7.3.0
+ */
+export interface IMITransactionDefinition {
+   /**
+    * Gets or sets the name of the MI program.
+    */
+   program: string;
+
+   /**
+    * Gets or sets the name of the transaction.
+    */
+   transaction: string;
+
+   /**
+    * Gets or sets the input fields of the transaction.
+    */
+   inputFields: IMIFieldDefinition[];
+}
+
+/**
+ * Represents an invalid value in the input record of an MI request. See {@link IMIResponse.validationErrors}.
+ *
+ * ```typescript
+ * import { IMIValidationError } from '@infor-up/m3-odin';
+ * ```
+ *
+ * @since 7.3.0
+ */
+export interface IMIValidationError {
+   /**
+    * Gets or sets the name of the field.
+    */
+   field: string;
+
+   /**
+    * Gets or sets the type of error: UnknownInputField, MandatoryInputFieldNotFound, InputFieldTooLong, InvalidNumber,
+    * TooManyDecimals or InvalidDate.
+    */
+   errorType: string;
+
+   /**
+    * Gets or sets a message that describes the error.
+    */
+   message: string;
+}
+
+/**
+ * Represents the error of a queued request that failed when it was replayed by an {@link MIOutbox}.
+ *
+ * ```typescript
+ * import { IMIOutboxError } from '@infor-up/m3-odin';
+ * ```
+ *
+ * @since 7.3.0
+ */
+export interface IMIOutboxError {
+   /**
+    * Gets or sets the category of the error.
+    */
+   category: MIErrorCategory;
+
+   /**
+    * Gets or sets the error message.
+    */
+   message: string;
+
+   /**
+    * Gets or sets the M3 error code.
+    */
+   code?: string;
+
+   /**
+    * Gets or sets the input field that is the cause of the error.
+    */
+   field?: string;
+}
+
+/**
+ * Represents an MI request that has been queued by an {@link MIOutbox}.
+ *
+ * ```typescript
+ * import { IMIOutboxEntry } from '@infor-up/m3-odin';
+ * ```
+ *
+ * @since 7.3.0
+ */
+export interface IMIOutboxEntry {
+   /**
+    * Gets or sets the idempotency key of the request. A request with the same key is only queued once.
+    */
+   id: string;
+
+   /**
+    * Gets or sets the position of the entry in the queue. Entries are replayed in this order.
+    */
+   sequence: number;
+
+   /**
+    * Gets or sets the request.
+    */
+   request: IMIRequest;
+
+   /**
+    * Gets or sets the time when the request was queued, in milliseconds since the epoch.
+    */
+   created: number;
+
+   /**
+    * Gets or sets the number of times that the request has been replayed.
+    */
+   attempts: number;
+
+   /**
+    * Gets or sets the state of the entry.
+    *
+    * Pending entries are replayed when the network is available. Entries that are in conflict with changes made by others,
+    * such as a record that does not exist anymore, get the state conflict. Entries that failed with other errors get the
+    * state failed. Entries in conflict or failed are not replayed until they are retried.
+    */
+   state: 'pending' | 'conflict' | 'failed';
+
+   /**
+    * Gets or sets the error from the last replay, if any.
+    */
+   error?: IMIOutboxError;
+}
+
+/**
+ * Represents the status of an {@link MIOutbox}, for instance to show a banner while there are queued requests.
+ *
+ * ```typescript
+ * import { IMIOutboxStatus } from '@infor-up/m3-odin';
+ * ```
+ *
+ * @since 7.3.0
+ */
+export interface IMIOutboxStatus {
+   /**
+    * Gets a value that indicates if the browser is online.
+    */
+   online: boolean;
+
+   /**
+    * Gets a value that indicates if queued requests are being replayed.
+    */
+   replaying: boolean;
+
+   /**
+    * Gets the number of requests that are waiting to be replayed.
+    */
+   pending: number;
+
+   /**
+    * Gets the entries that are in conflict or failed when they were replayed.
+    */
+   failed: IMIOutboxEntry[];
+}
+
+/**
+ * Represents the result of replaying a queued request. See {@link MIOutbox.results}.
+ *
+ * ```typescript
+ * import { IMIOutboxResult } from '@infor-up/m3-odin';
+ * ```
+ *
+ * @since 7.3.0
+ */
+export interface IMIOutboxResult {
+   /**
+    * Gets the entry that was replayed.
+    */
+   entry: IMIOutboxEntry;
+
+   /**
+    * Gets the response if the request was executed.
+    */
+   response?: IMIResponse;
+
+   /**
+    * Gets the error if the request failed.
+    */
+   error?: MIError;
+}
+
+/**
+ * Represents a persistent store for the entries of an {@link MIOutbox}.
+ *
+ * ```typescript
+ * import { IMIOutboxStore } from '@infor-up/m3-odin';
+ * ```
+ *
+ * The entries must be stored so that they survive a reload of the application, unless the store is only used for tests.
+ * See {@link MIOutboxIndexedDbStore} and {@link MIOutboxMemoryStore}.
+ *
+ * @since 7.3.0
+ */
+export interface IMIOutboxStore {
+   /**
+    * Gets all entries.
+    * @returns An Observable that emits the entries, ordered by sequence.
+    */
+   getAll(): Observable<IMIOutboxEntry[]>;
+
+   /**
+    * Adds or replaces an entry.
+    * @param entry The entry.
+    * @returns An Observable that completes when the entry has been stored.
+    */
+   put(entry: IMIOutboxEntry): Observable<void>;
+
+   /**
+    * Removes an entry.
+    * @param id The id of the entry.
+    * @returns An Observable that completes when the entry has been removed.
+    */
+   remove(id: string): Observable<void>;
+}
+
+/**
+ * Represents a step in an {@link MISaga}.
+ *
+ * ```typescript
+ * import { IMISagaStep } from '@infor-up/m3-odin';
+ * ```
+ *
+ * @since 7.3.0
+ */
+export interface IMISagaStep {
+   /**
+    * Gets or sets the name of the step. The name must be unique in the saga, since the responses are stored by name.
+    */
+   name: string;
+
+   /**
+    * Gets or sets the request to execute, or a function that creates the request from the responses of the previous steps.
+    */
+   request: IMIRequest | ((responses: { [step: string]: IMIResponse }) => IMIRequest);
+
+   /**
+    * Gets or sets the request that undoes the step, or a function that creates it from the response and the request
+    * of the step. The compensation is executed if a later step fails. Steps without a compensation are not undone.
+    */
+   compensation?: IMIRequest | ((response: IMIResponse, request: IMIRequest) => IMIRequest);
+}
+
+/**
+ * Represents the progress of an {@link MISaga}.
+ *
+ * ```typescript
+ * import { IMISagaProgress } from '@infor-up/m3-odin';
+ * ```
+ *
+ * @since 7.3.0
+ */
+export interface IMISagaProgress {
+   /**
+    * Gets the name of the step.
+    */
+   step: string;
+
+   /**
+    * Gets the index of the step.
+    */
+   index: number;
+
+   /**
+    * Gets the number of steps in the saga.
+    */
+   count: number;
+
+   /**
+    * Gets the state of the step.
+    */
+   state: 'executing' | 'completed' | 'failed' | 'compensating' | 'compensated' | 'compensationFailed';
+}
+
+/**
+ * Represents an executed request in the audit log of an {@link MISaga}.
+ *
+ * ```typescript
+ * import { IMISagaAuditEntry } from '@infor-up/m3-odin';
+ * ```
+ *
+ * @since 7.3.0
+ */
+export interface IMISagaAuditEntry {
+   /**
+    * Gets the name of the step.
+    */
+   step: string;
+
+   /**
+    * Gets a value that indicates if the request of the step or its compensation was executed.
+    */
+   action: 'execute' | 'compensate';
+
+   /**
+    * Gets the MI program.
+    */
+   program: string;
+
+   /**
+    * Gets the transaction.
+    */
+   transaction: string;
+
+   /**
+    * Gets the input record.
+    */
+   record?: { [name: string]: unknown };
+
+   /**
+    * Gets the time when the request was executed, in milliseconds since the epoch.
+    */
+   time: number;
+
+   /**
+    * Gets the number of milliseconds that the request took.
+    */
+   duration: number;
+
+   /**
+    * Gets a value that indicates if the request was successful.
+    */
+   success: boolean;
+
+   /**
+    * Gets the error message if the request failed.
+    */
+   errorMessage?: string;
+}
+
+/**
+ * Represents the result of an {@link MISaga}.
+ *
+ * ```typescript
+ * import { IMISagaResult } from '@infor-up/m3-odin';
+ * ```
+ *
+ * @since 7.3.0
+ */
+export interface IMISagaResult {
+   /**
+    * Gets a value that indicates if all steps were completed.
+    */
+   completed: boolean;
+
+   /**
+    * Gets the responses of the completed steps by step name.
+    */
+   responses: { [step: string]: IMIResponse };
+
+   /**
+    * Gets the executed requests and compensations in the order they were executed.
+    */
+   audit: IMISagaAuditEntry[];
+
+   /**
+    * Gets the name of the step that failed, if any.
+    */
+   failedStep?: string;
+
+   /**
+    * Gets the error of the step that failed, if any.
+    */
+   error?: MIError;
+
+   /**
+    * Gets the names of the steps that could not be undone since their compensation failed.
+    */
+   compensationErrors?: string[];
+}
@@ -0,0 +1,147 @@
+import { AsyncSubject, Observable, of, throwError } from 'rxjs';
+import { Log } from './log';
+import { RetryUtil } from './retry';
+import { IHttpResponse, IRetryPolicy } from './types';
+
+describe('RetryUtil', () => {
+    const defaultPolicy = RetryUtil.defaultPolicy;
+    const noDelay: IRetryPolicy = { delay: 0, jitter: 0 };
+
+    afterEach(() => {
+        RetryUtil.defaultPolicy = defaultPolicy;
+    });
+
+    it('should get policy with default values', () => {
+        expect(RetryUtil.getPolicy()).toEqual(defaultPolicy);
+        expect(RetryUtil.getPolicy()).not.toBe(defaultPolicy);
+
+        const isTransient = () => true;
+        const policy = RetryUtil.getPolicy({ maxAttempts: 5, timeout: undefined, errorCodes: ['WPU0901'], isTransient });
+        expect(policy).toEqual({ ...defaultPolicy, maxAttempts: 5, errorCodes: ['WPU0901'], isTransient });
+
+        RetryUtil.defaultPolicy = { ...defaultPolicy, delay: 1000 };
+        expect(RetryUtil.getPolicy({ maxAttempts: 1 }).delay).toBe(1000);
+    });
+
+    it('should get delay with exponential backoff and jitter', () => {
+        const policy = RetryUtil.getPolicy({ delay: 100, backoffFactor: 2, maxDelay: 1000, jitter: 50 });
+        spyOn(Math, 'random').and.returnValue(0.5);
+
+        expect(RetryUtil.getDelay(policy, 1)).toBe(125);
+        expect(RetryUtil.getDelay(policy, 2)).toBe(225);
+        expect(RetryUtil.getDelay(policy, 3)).toBe(425);
+        expect(RetryUtil.getDelay(policy, 5)).toBe(1025);
+    });
+
+    it('should return if status is transient', () => {
+        const policy = RetryUtil.getPolicy();
+
+        expect(RetryUtil.isTransientStatus(policy, 503)).toBe(true);
+        expect(RetryUtil.isTransientStatus(policy, 429)).toBe(true);
+        expect(RetryUtil.isTransientStatus(policy, 500)).toBe(false);
+        expect(RetryUtil.isTransientStatus(policy, 0)).toBe(false);
+        expect(RetryUtil.isTransientStatus(RetryUtil.getPolicy({ httpStatuses: [0] }), 0)).toBe(true);
+    });
+
+    it('should execute once on success', (done) => {
+        const execute = jasmine.createSpy('execute').and.returnValue(of('foo'));
+
+        RetryUtil.retry(execute, RetryUtil.getPolicy(), () => true, 'foo').subscribe(value => {
+            expect(value).toBe('foo');
+            expect(execute).toHaveBeenCalledTimes(1);
+            done();
+        });
+    });
+
+    it('should execute the first attempt when subscribed', () => {
+        const execute = jasmine.createSpy('execute').and.returnValue(new AsyncSubject());
+
+        const retry = RetryUtil.retry(execute, RetryUtil.getPolicy(), () => true, 'foo');
+        expect(execute).not.toHaveBeenCalled();
+        retry.subscribe();
+        expect(execute).toHaveBeenCalledTimes(1);
+    });
+
+    it('should unsubscribe the current attempt when unsubscribed', () => {
+        const subject = new AsyncSubject<string>();
+        const execute = jasmine.createSpy('execute').and.returnValue(subject);
+
+        const subscription = RetryUtil.retry(execute, RetryUtil.getPolicy(), () => true, 'foo').subscribe();
+        expect(subject.observed).toBe(true);
+        subscription.unsubscribe();
+        expect(subject.observed).toBe(false);
+    });
+
+    it('should stop retrying when unsubscribed', () => {
+        jasmine.clock().install();
+        const execute = jasmine.createSpy('execute').and.callFake(() => throwError(() => ({ status: 503 })));
+        spyOn(Log, 'warning').and.callFake(() => { });
+
+        const subscription = RetryUtil.retry(execute, RetryUtil.getPolicy({ delay: 100, jitter: 0 }), () => true, 'foo').subscribe({
+            error: () => fail()
+        });
+        subscription.unsubscribe();
+        jasmine.clock().tick(1000);
+        jasmine.clock().uninstall();
+
+        expect(execute).toHaveBeenCalledTimes(1);
+    });
+
+    it('should retry transient errors', (done) => {
+        const error = { status: 503 } as IHttpResponse;
+        const results: Observable<string>[] = [throwError(() => error), throwError(() => error), of('foo')];
+        const execute = jasmine.createSpy('execute').and.callFake(() => results.shift());
+        const spyWarning = spyOn(Log, 'warning').and.callFake(() => { });
+
+        RetryUtil.retry(execute, RetryUtil.getPolicy(noDelay), (err: IHttpResponse) => err.status === 503, 'GET /foo').subscribe(value => {
+            expect(value).toBe('foo');
+            expect(execute).toHaveBeenCalledTimes(3);
+            expect(spyWarning).toHaveBeenCalledTimes(2);
+            expect(spyWarning.calls.argsFor(0)).toEqual(['[RetryUtil] GET /foo failed with status 503, attempt 2 of 3 in 0 ms']);
+            expect(spyWarning.calls.argsFor(1)).toEqual(['[RetryUtil] GET /foo failed with status 503, attempt 3 of 3 in 0 ms']);
+            done();
+        });
+    });
+
+    it('should fail after max attempts', (done) => {
+        const error = { errorCode: 'WPU0901' };
+        const execute = jasmine.createSpy('execute').and.callFake(() => throwError(() => error));
+        spyOn(Log, 'warning').and.callFake(() => { });
+
+        RetryUtil.retry(execute, RetryUtil.getPolicy({ ...noDelay, maxAttempts: 2 }), () => true, 'foo').subscribe({
+            error: (err) => {
+                expect(err).toBe(error);
+                expect(execute).toHaveBeenCalledTimes(2);
+                done();
+            }
+        });
+    });
+
+    it('should not retry errors that are not transient', (done) => {
+        const error = { status: 500 };
+        const execute = jasmine.createSpy('execute').and.callFake(() => throwError(() => error));
+        const spyWarning = spyOn(Log, 'warning').and.callFake(() => { });
+
+        RetryUtil.retry(execute, RetryUtil.getPolicy(noDelay), () => false, 'foo').subscribe({
+            error: (err) => {
+                expect(err).toBe(error);
+                expect(execute).toHaveBeenCalledTimes(1);
+                expect(spyWarning).not.toHaveBeenCalled();
+                done();
+            }
+        });
+    });
+
+    it('should use isTransient from the policy', (done) => {
+        const results: Observable<string>[] = [throwError(() => ({ status: 500 })), of('foo')];
+        const execute = jasmine.createSpy('execute').and.callFake(() => results.shift());
+        const isTransient = jasmine.createSpy('isTransient').and.returnValue(true);
+        spyOn(Log, 'warning').and.callFake(() => { });
+
+        RetryUtil.retry(execute, RetryUtil.getPolicy({ ...noDelay, isTransient }), () => false, 'foo').subscribe(value => {
+            expect(value).toBe('foo');
+            expect(isTransient).toHaveBeenCalledWith({ status: 500 });
+            done();
+        });
+    });
+});
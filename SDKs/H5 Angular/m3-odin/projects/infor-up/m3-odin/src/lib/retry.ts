@@ -0,0 +1,137 @@
+import { Observable, Subscription } from 'rxjs';
+import { Log } from './log';
+import { IRetryPolicy } from './types';
+import { ArrayUtil } from './util';
+
+/**
+ * Utility class for retrying requests that fail with transient errors.
+ *
+ * ```typescript
+ * import { RetryUtil } from '@infor-up/m3-odin';
+ * ```
+ *
+ * MI requests for read transactions are retried with the default policy unless the request has its own
+ * {@link IMIOptions.retryPolicy}. Other MI requests are only retried if they have their own policy, since a request
+ * that failed might still have been executed by M3. The default policy can be changed for all requests when the
+ * application starts.
+ *
+ * **Example**
+ * ```typescript
+ * RetryUtil.defaultPolicy = { ...RetryUtil.defaultPolicy, maxAttempts: 5, errorCodes: ['WPU0901'] };
+ * ```
+ *
+ * Each retry is logged as a warning, so a log appender can be used to monitor them (see {@link Log.addAppender}).
+ *
+ * @since 7.3.0
+ */
+export class RetryUtil {
+   /**
+    * Gets or sets the policy used for properties that are not set in the policy of a request.
+    */
+   public static defaultPolicy: IRetryPolicy = {
+      maxAttempts: 3,
+      delay: 300,
+      backoffFactor: 2,
+      maxDelay: 10000,
+      jitter: 100,
+      timeout: 60000,
+      httpStatuses: [429, 502, 503, 504],
+      errorCodes: []
+   };
+
+   /**
+    * Gets a policy with the properties of the default policy that are not set in a policy.
+    * @param policy An optional policy.
+    * @returns A policy with all properties set, except isTransient.
+    */
+   public static getPolicy(policy?: IRetryPolicy): IRetryPolicy {
+      const resolved = { ...RetryUtil.defaultPolicy };
+      if (policy) {
+         for (const key of Object.keys(policy)) {
+            if (policy[key] != null) {
+               resolved[key] = policy[key];
+            }
+         }
+      }
+      return resolved;
+   }
+
+   /**
+    * Gets the number of milliseconds to wait before a retry.
+    * @param policy A policy with all properties set, see {@link getPolicy}.
+    * @param retryCount The number of the retry, 1 for the first retry.
+    * @returns The delay in milliseconds, including the jitter.
+    */
+   public static getDelay(policy: IRetryPolicy, retryCount: number): number {
+      const delay = Math.min(policy.delay * Math.pow(policy.backoffFactor, retryCount - 1), policy.maxDelay);
+      return Math.round(delay + Math.random() * policy.jitter);
+   }
+
+   /**
+    * Gets a value that indicates if an HTTP response has a transient status.
+    * @param policy A policy with all properties set, see {@link getPolicy}.
+    * @param status An HTTP status.
+    * @returns True if the status is transient.
+    */
+   public static isTransientStatus(policy: IRetryPolicy, status: number): boolean {
+      return ArrayUtil.contains(policy.httpStatuses, status);
+   }
+
+   /**
+    * Executes a request and executes it again while it fails with a transient error, until the maximum number of
+    * attempts for the policy has been reached. The first attempt is executed when the Observable is subscribed to.
+    * Unsubscribing stops the retries and unsubscribes the current attempt.
+    *
+    * @param execute A function that executes the request. It is called once for each attempt.
+    * @param policy A policy with all properties set, see {@link getPolicy}.
+    * @param isTransient A function that decides if an error is transient. It is not used if the policy has an isTransient
+    * function.
+    * @param description A description of the request for the log, e.g. the name of the MI program and transaction.
+    * @returns An Observable that will be completed with the result of the last attempt.
+    */
+   public static retry<T, E>(execute: () => Observable<T>, policy: IRetryPolicy, isTransient: (error: E) => boolean,
+      description: string): Observable<T> {
+      const maxAttempts = Math.max(policy.maxAttempts, 1);
+      const isTransientError = policy.isTransient || isTransient;
+
+      return new Observable<T>(subscriber => {
+         const subscription = new Subscription();
+         let timer: ReturnType<typeof setTimeout>;
+
+         const executeAttempt = (attempt: number) => {
+            subscription.add(execute().subscribe(value => {
+               subscriber.next(value);
+            }, (error: E) => {
+               if (attempt >= maxAttempts || !isTransientError(error)) {
+                  subscriber.error(error);
+                  return;
+               }
+               const delay = RetryUtil.getDelay(policy, attempt);
+               Log.warning('[RetryUtil] ' + description + ' failed with ' + RetryUtil.getReason(error) + ', attempt ' +
+                  (attempt + 1) + ' of ' + maxAttempts + ' in ' + delay + ' ms');
+               timer = setTimeout(() => executeAttempt(attempt + 1), delay);
+            }, () => {
+               subscriber.complete();
+            }));
+         };
+
+         executeAttempt(1);
+         subscription.add(() => clearTimeout(timer));
+         return subscription;
+      });
+   }
+
+   private static getReason(error: unknown): string {
+      // The error is an IMIResponse or an IHttpResponse
+      const response = error as { errorCode?: string, status?: number };
+      if (response) {
+         if (response.errorCode) {
+            return response.errorCode;
+         }
+         if (response.status != null) {
+            return 'status ' + response.status;
+         }
+      }
+      return 'error';
+   }
+}
@@ -27,6 +27,10 @@ export interface IHttpRequest {
 
    /**
     * Gets or sets the expected response type.
+    *
+    * The body of a successful response is a Blob for blob, an ArrayBuffer for arraybuffer and a string for text.
+    * For json, or if the type is not set, the body is parsed as JSON if it looks like JSON and is a string otherwise.
+    * The body of an error response is always a string.
     */
    responseType?: 'arraybuffer' | 'blob' | 'json' | 'text';
 
@@ -34,6 +38,141 @@ export interface IHttpRequest {
     * Gets or sets requests headers.
     */
    headers?: { [name: string]: any };
+
+   /**
+    * Gets or sets the number of milliseconds before the request is aborted. A request that times out fails with status 0.
+    * The default value is 0, which means that there is no timeout.
+    *
+    * @since 7.3.0
+    */
+   timeout?: number;
+
+   /**
+    * Gets or sets a policy for retrying the request when it fails with a transient HTTP status.
+    * The request is not retried if no policy is set. See {@link RetryUtil}.
+    *
+    * @since 7.3.0
+    */
+   retryPolicy?: IRetryPolicy;
+
+   /**
+    * Gets or sets a function that is called with the progress of the upload of the request body and the download
+    * of the response body.
+    *
+    * @since 7.3.0
+    */
+   onProgress?: (event: IHttpProgressEvent) => void;
+}
+
+/**
+ * Represents the progress of an HTTP request, see {@link IHttpRequest.onProgress}.
+ *
+ * ```typescript
+ * import { IHttpProgressEvent } from '@infor-up/m3-odin';
+ * ```
+ *
+ * **Example**
+ * ```typescript
+ * const request: IHttpRequest = {
+ *    method: 'GET',
+ *    url: url,
+ *    responseType: 'blob',
+ *    onProgress: (event: IHttpProgressEvent) => {
+ *       if (event.type === 'download' && event.total) {
+ *          this.progress = Math.round(100 * event.loaded / event.total);
+ *       }
+ *    }
+ * };
+ * ```
+ *
+ * @since 7.3.0
+ */
+export interface IHttpProgressEvent {
+   /**
+    * Gets or sets the type of progress, upload for the request body and download for the response body.
+    */
+   type: 'upload' | 'download';
+
+   /**
+    * Gets or sets the number of bytes that have been uploaded or downloaded.
+    */
+   loaded: number;
+
+   /**
+    * Gets or sets the total number of bytes, or null if it is not known.
+    */
+   total: number | null;
+}
+
+/**
+ * Represents a policy for retrying requests that fail with transient errors, such as a busy server or a locked record.
+ *
+ * ```typescript
+ * import { IRetryPolicy } from '@infor-up/m3-odin';
+ * ```
+ *
+ * Properties that are not set are taken from {@link RetryUtil.defaultPolicy}. The delay before a retry is
+ * delay * backoffFactor ^ (retry - 1), but at most maxDelay, plus a random jitter.
+ *
+ * **Example**
+ * ```typescript
+ * const request = {
+ *    program: 'MHS850MI',
+ *    transaction: 'PrcWhsTran',
+ *    record: record,
+ *    retryPolicy: { maxAttempts: 5, errorCodes: ['WPU0901'] }
+ * } as IMIRequest;
+ * ```
+ *
+ * @since 7.3.0
+ */
+export interface IRetryPolicy {
+   /**
+    * Gets or sets the maximum number of attempts, including the first one. Use 1 to turn off retries.
+    */
+   maxAttempts?: number;
+
+   /**
+    * Gets or sets the delay in milliseconds before the first retry.
+    */
+   delay?: number;
+
+   /**
+    * Gets or sets the factor that the delay is multiplied with for each retry.
+    */
+   backoffFactor?: number;
+
+   /**
+    * Gets or sets the maximum delay in milliseconds, before the jitter is added.
+    */
+   maxDelay?: number;
+
+   /**
+    * Gets or sets the maximum number of milliseconds to add to each delay at random, so that clients that failed at
+    * the same time do not retry at the same time.
+    */
+   jitter?: number;
+
+   /**
+    * Gets or sets the number of milliseconds before each attempt is aborted. 0 means that there is no timeout.
+    */
+   timeout?: number;
+
+   /**
+    * Gets or sets the HTTP statuses that are transient. Status 0 is used for network errors and timeouts.
+    */
+   httpStatuses?: number[];
+
+   /**
+    * Gets or sets the MI error codes that are transient, for instance for records that are locked by another job.
+    */
+   errorCodes?: string[];
+
+   /**
+    * Gets or sets a function that decides if an error is transient, instead of httpStatuses and errorCodes.
+    * The error is an {@link IHttpResponse} for HTTP requests and an {@link IMIResponse} for MI requests.
+    */
+   isTransient?: (error: unknown) => boolean;
 }
 
 /**
@@ -70,6 +209,13 @@ export interface IHttpResponse {
     * Gets or sets the response body.
     */
    body: any | null;
+
+   /**
+    * Gets or sets the response headers. The header names are in lower case.
+    *
+    * @since 7.3.0
+    */
+   headers?: { [name: string]: string };
 }
 
 /**
@@ -90,6 +236,56 @@ export interface IHttpService {
    execute(request: IHttpRequest): Observable<IHttpResponse>;
 }
 
+/**
+ * Represents an interceptor that can inspect or modify a request before it is executed, and the response after it has
+ * been executed.
+ *
+ * ```typescript
+ * import { IInterceptor } from '@infor-up/m3-odin';
+ * ```
+ *
+ * An interceptor calls the next function to pass the request on to the next interceptor, or to execute it if there are no
+ * more interceptors. An interceptor can also return its own Observable without calling next, for example to return
+ * a synthetic response in a test.
+ *
+ * See {@link IHttpInterceptor} and {@link IMIInterceptor}.
+ *
+ * @since 7.3.0
+ */
+export interface IInterceptor<TRequest, TResponse> {
+   /**
+    * Intercepts a request.
+    * @param request The request. Create a copy of the request to modify it, the request might be executed again by a retry.
+    * @param next A function that executes the request with the remaining interceptors.
+    * @returns An Observable that will be completed with a response, or that fails with an error response.
+    */
+   intercept(request: TRequest, next: (request: TRequest) => Observable<TResponse>): Observable<TResponse>;
+}
+
+/**
+ * Represents an interceptor for HTTP requests.
+ *
+ * ```typescript
+ * import { IHttpInterceptor } from '@infor-up/m3-odin';
+ * ```
+ *
+ * HTTP interceptors are registered on the core services with addHttpInterceptor, or with the HttpInterceptors
+ * token in Angular projects. They are called for each HTTP request, including the requests for CSRF tokens and retries.
+ *
+ * **Example**
+ * ```typescript
+ * const tracing: IHttpInterceptor = {
+ *    intercept: (request, next) => {
+ *       const headers = { ...request.headers, 'X-Trace-Id': CoreUtil.random() };
+ *       return next({ ...request, headers: headers });
+ *    }
+ * };
+ * ```
+ *
+ * @since 7.3.0
+ */
+export type IHttpInterceptor = IInterceptor<IHttpRequest, IHttpResponse>;
+
 /**
  * Represents options for number formatting.
  *
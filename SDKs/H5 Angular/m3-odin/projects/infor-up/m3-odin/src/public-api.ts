@@ -1,6 +1,8 @@
 export * from './lib/types';
 export { CoreBase, ErrorState } from './lib/base';
 export { ILogAppender, Log } from './lib/log';
+export { InterceptorChain } from './lib/interceptor';
+export { RetryUtil } from './lib/retry';
 export * from './lib/util';
 export * from './lib/m3';
 export * from './lib/mi';